@@ -0,0 +1,41 @@
+import { admin } from "./supabaseAdmin.js";
+
+// Per-user limits for /api/chat. Override per deployment via env vars.
+export const LIMITS = {
+  perMinute:    Number(process.env.AI_REQUESTS_PER_MINUTE) || 6,
+  perDay:       Number(process.env.AI_REQUESTS_PER_DAY)    || 80,
+  tokensPerDay: Number(process.env.AI_TOKENS_PER_DAY)      || 150_000,
+};
+
+const QUOTA_ERRORS = {
+  minute: "You're sending messages quickly — give it a moment.",
+  day:    "You've reached today's limit for Luna. It resets within 24 hours.",
+};
+
+/**
+ * Checks the user's rolling one-minute and 24-hour usage and, if there's
+ * room, records the request up front so it counts even if the stream is cut
+ * short. Both happen in one call (claim_ai_usage, 018_ai_usage_claims.sql),
+ * so concurrent requests can't all get past the limits.
+ * Returns `{ ok: true, id }` or `{ ok: false, error, retryAfter }` (seconds).
+ */
+export async function claimUsage(userId, mode) {
+  const { data, error } = await admin.rpc("claim_ai_usage", {
+    for_user:       userId,
+    request_mode:   mode,
+    per_minute:     LIMITS.perMinute,
+    per_day:        LIMITS.perDay,
+    tokens_per_day: LIMITS.tokensPerDay,
+  });
+  if (error) throw error;
+  if (data.quota) return { ok: false, error: QUOTA_ERRORS[data.quota], retryAfter: data.retry_after };
+  return { ok: true, id: data.id };
+}
+
+export async function finishUsage(id, { input_tokens = 0, output_tokens = 0 } = {}) {
+  const { error } = await admin
+    .from("ai_usage")
+    .update({ input_tokens, output_tokens })
+    .eq("id", id);
+  if (error) console.error("ai_usage update failed:", error.message);
+}
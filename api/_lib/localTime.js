@@ -0,0 +1,22 @@
+/**
+ * Local "yyyy-MM-dd" date and "HH:mm" time for `at` in an IANA `timeZone`
+ * (as saved in cycle_settings.timezone), falling back to UTC when the zone
+ * is missing or unknown.
+ */
+export function localClock(at, timeZone) {
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat("en-CA", {
+      timeZone: timeZone || "UTC",
+      year: "numeric", month: "2-digit", day: "2-digit",
+      hour: "2-digit", minute: "2-digit", hourCycle: "h23",
+    }).formatToParts(at);
+  } catch {
+    return localClock(at, "UTC");
+  }
+  const get = (type) => parts.find((p) => p.type === type)?.value;
+  return {
+    date: `${get("year")}-${get("month")}-${get("day")}`,
+    time: `${get("hour")}:${get("minute")}`,
+  };
+}
@@ -0,0 +1,71 @@
+// Tools Luna can call in chat. Only the definitions live here: the browser
+// runs them (src/lib/lunaTools.js), where the user's data is decrypted and
+// reads go through their own RLS-scoped session, then sends the results
+// back as the next request.
+import { BUILTIN_SYMPTOMS, BUILTIN_MOODS } from "../../src/lib/logItems.js";
+
+// Tool calls Luna may make while answering one message
+export const MAX_TOOL_ROUNDS = 3;
+export const MAX_TOOL_RESULT_CHARS = 12_000;
+
+const DATE = { type: "string", description: "yyyy-MM-dd" };
+
+export const LUNA_TOOLS = [
+  {
+    name: "get_logs",
+    description:
+      "Fetches the user's daily logs between two dates (inclusive, at most 120 days apart), oldest first. " +
+      "Use it for anything older than, or more detailed than, the summary in <cycle_data>.",
+    input_schema: {
+      type: "object",
+      properties: { start_date: DATE, end_date: DATE },
+      required: ["start_date", "end_date"],
+    },
+  },
+  {
+    name: "analyze_cycles",
+    description:
+      "Runs the app's own cycle analysis over chosen cycles: `stats` (average, spread and range of cycle " +
+      "length), `symptom_patterns` (which cycle days symptoms tend to fall on) and `irregularity`. Pick the " +
+      "cycles either as the last N or as those starting between two dates; with neither, all cycles are used.",
+    input_schema: {
+      type: "object",
+      properties: {
+        analyses: {
+          type: "array",
+          items: { type: "string", enum: ["stats", "symptom_patterns", "irregularity"] },
+          minItems: 1,
+        },
+        last_n_cycles: { type: "integer", minimum: 2, maximum: 60 },
+        start_date: DATE,
+        end_date: DATE,
+      },
+      required: ["analyses"],
+    },
+  },
+  {
+    name: "draft_log",
+    description:
+      "Drafts a daily log for the user to review. Nothing is saved until they confirm it in the app, so " +
+      "tell them to check the draft. Only include what they told you. Symptoms are ids, optionally with " +
+      "a severity 1-3 as \"id:severity\"; the user's own symptoms and moods listed in <cycle_data> can be " +
+      `used by their label. Built-in symptoms: ${BUILTIN_SYMPTOMS.map((s) => s.id).join(", ")}. ` +
+      `Built-in moods: ${BUILTIN_MOODS.map((m) => m.id).join(", ")}.`,
+    input_schema: {
+      type: "object",
+      properties: {
+        date: DATE,
+        flow_intensity: { type: "string", enum: ["spotting", "light", "medium", "heavy"] },
+        symptoms: { type: "array", items: { type: "string" } },
+        moods: { type: "array", items: { type: "string" } },
+        notes: { type: "string", maxLength: 500 },
+        sleep_hours: { type: "number", minimum: 0, maximum: 24 },
+        stress_level: { type: "integer", minimum: 1, maximum: 5 },
+        water_intake: { type: "integer", minimum: 0, maximum: 30, description: "Glasses of water" },
+      },
+      required: ["date"],
+    },
+  },
+];
+
+export const TOOL_NAMES = LUNA_TOOLS.map((t) => t.name);
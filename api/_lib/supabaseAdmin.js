@@ -0,0 +1,28 @@
+import { createClient } from "@supabase/supabase-js";
+
+// Service-role client — bypasses RLS, so it must only ever run server-side.
+// Files under api/_lib are shared helpers, not routes.
+export const admin = createClient(
+  process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY,
+  { auth: { persistSession: false, autoRefreshToken: false } }
+);
+
+export const isAdminConfigured = () => !!process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+/**
+ * Resolves the signed-in user from the request's `Authorization: Bearer`
+ * Supabase access token. Returns `{ user }` or `{ status, error }` ready to
+ * send back — callers must never trust a user id from the body instead.
+ */
+export async function getRequestUser(req) {
+  const token = (req.headers.authorization || "").replace(/^Bearer\s+/i, "");
+  if (!token) {
+    return { status: 401, error: "Not signed in" };
+  }
+  const { data: { user } = {}, error } = await admin.auth.getUser(token);
+  if (error || !user) {
+    return { status: 401, error: "Session expired. Please sign in again." };
+  }
+  return { user };
+}
@@ -0,0 +1,45 @@
+import webpush from "web-push";
+
+// VAPID keys identify this server to the browsers' push services.
+// Generate a pair once with `npx web-push generate-vapid-keys`; the public
+// key is also given to the browser as VITE_VAPID_PUBLIC_KEY.
+export const isPushConfigured = () =>
+  !!(process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY);
+
+const vapidDetails = () => ({
+  subject:    process.env.VAPID_SUBJECT || "mailto:support@auracycle.app",
+  publicKey:  process.env.VAPID_PUBLIC_KEY,
+  privateKey: process.env.VAPID_PRIVATE_KEY,
+});
+
+/**
+ * Encrypts `payload` for one stored subscription row and POSTs it to the
+ * device's push service. web-push builds the request but its own sender only
+ * speaks https, so the request goes out through fetch — which also lets the
+ * local stand-in (scripts/push-standin.js) receive it over plain http.
+ * Resolves to `{ ok, status, gone }`; `gone` means the device unsubscribed
+ * and the row should be deleted.
+ */
+export async function sendPush(subscription, payload, { ttl = 60 * 60 * 12 } = {}) {
+  const details = webpush.generateRequestDetails(
+    {
+      endpoint: subscription.endpoint,
+      keys: { p256dh: subscription.p256dh, auth: subscription.auth },
+    },
+    JSON.stringify(payload),
+    { vapidDetails: vapidDetails(), TTL: ttl, urgency: "normal" }
+  );
+  const { "Content-Length": _length, ...headers } = details.headers;
+
+  try {
+    const res = await fetch(details.endpoint, {
+      method: details.method,
+      headers,
+      body: details.body,
+    });
+    return { ok: res.ok, status: res.status, gone: res.status === 404 || res.status === 410 };
+  } catch (err) {
+    console.error("push delivery failed:", err?.message || err);
+    return { ok: false, status: 0, gone: false };
+  }
+}
@@ -0,0 +1,65 @@
+import { admin, isAdminConfigured } from "./_lib/supabaseAdmin.js";
+import { localClock } from "./_lib/localTime.js";
+import { buildCycleEvents, toICS } from "../src/lib/calendarFeed.js";
+
+const TOKEN_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * GET /api/calendar-feed?token=<feed token>
+ * Subscribable iCalendar feed for calendar apps, which can't sign in — the
+ * secret token in the URL identifies the user instead. Unknown, rotated and
+ * revoked tokens all get the same 404.
+ */
+export default async function handler(req, res) {
+  if (req.method !== "GET" && req.method !== "HEAD") {
+    res.setHeader("Content-Type", "application/json");
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  if (!isAdminConfigured()) {
+    console.error("calendar-feed: SUPABASE_SERVICE_ROLE_KEY is not set");
+    res.setHeader("Content-Type", "application/json");
+    return res.status(500).json({ error: "Calendar feeds are not configured on this server." });
+  }
+
+  const token = String(req.query?.token ?? "");
+  const notFound = () => {
+    res.setHeader("Content-Type", "text/plain; charset=utf-8");
+    return res.status(404).send("Calendar not found");
+  };
+  if (!TOKEN_PATTERN.test(token)) return notFound();
+
+  try {
+    const { data: feed, error: feedError } = await admin
+      .from("calendar_feeds")
+      .select("*")
+      .eq("token", token)
+      .maybeSingle();
+    if (feedError) throw feedError;
+    if (!feed) return notFound();
+
+    // Dates and ovulation signals only (ovulation pain is a symptom) — never notes or moods
+    const [{ data: settings, error: settingsError }, { data: logs, error: logsError }] = await Promise.all([
+      admin.from("cycle_settings").select("*").eq("user_id", feed.user_id).maybeSingle(),
+      admin.from("cycle_logs")
+        .select("date, log_type, flow_intensity, is_period_end, bleed_type, symptoms, bbt, cervical_mucus, ovulation_test")
+        .eq("user_id", feed.user_id)
+        .order("date", { ascending: false })
+        .limit(500),
+    ]);
+    if (settingsError) throw settingsError;
+    if (logsError) throw logsError;
+
+    const { date: today } = localClock(new Date(), settings?.timezone);
+    const events = buildCycleEvents(settings, logs ?? [], today, { includeFertile: feed.include_fertile });
+
+    res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+    res.setHeader("Content-Disposition", 'inline; filename="calendar.ics"');
+    res.setHeader("Cache-Control", "private, max-age=900");
+    return res.status(200).send(toICS(events, feed));
+  } catch (err) {
+    console.error("calendar-feed error:", err?.message || err);
+    res.setHeader("Content-Type", "application/json");
+    return res.status(500).json({ error: "Couldn't build the calendar." });
+  }
+}
@@ -1,7 +1,35 @@
 import Anthropic from "@anthropic-ai/sdk";
+import { isAdminConfigured, getRequestUser } from "./_lib/supabaseAdmin.js";
+import { claimUsage, finishUsage } from "./_lib/aiQuota.js";
+import {
+  CLAUDE_MODEL, sanitizeMessages, countToolRounds, buildChatSystemPrompt, buildInsightRequest,
+  buildQuickLogRequest,
+} from "./_lib/lunaPrompt.js";
+import { LUNA_TOOLS, MAX_TOOL_ROUNDS } from "./_lib/lunaTools.js";
 
 const client = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
 
+const CHAT_MAX_TOKENS    = 1024;
+const INSIGHT_MAX_TOKENS = 200;
+const QUICK_LOG_MAX_TOKENS = 400;
+
+// Rough size of text the stream never reported usage for (client disconnected)
+const estimateTokens = (text) => Math.ceil(text.length / 4);
+const contentText = (content) => (typeof content === "string" ? content : JSON.stringify(content));
+
+/**
+ * POST /api/chat
+ *   { mode: "chat", messages, context }  → text/event-stream of
+ *       `delta` {text} events, then `done` {stop_reason, content} or
+ *       `error` {error}. With stop_reason "tool_use", `content` holds
+ *       Luna's tool calls: the client runs them and sends the results
+ *       back as the next user turn (see api/_lib/lunaTools.js).
+ *   { mode: "insight", data }            → JSON {content}
+ *   { mode: "quick_log", text, today, items } → JSON {input}: the
+ *       draft_log arguments read from the note, for the client to check
+ *       (src/lib/logDraft.js) and show before anything is saved
+ * Requires the caller's Supabase access token as a Bearer header.
+ */
 export default async function handler(req, res) {
   res.setHeader("Content-Type", "application/json");
 
@@ -9,26 +37,124 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: "Method not allowed" });
   }
 
-  const { messages, systemPrompt } = req.body;
+  if (!process.env.ANTHROPIC_API_KEY || !isAdminConfigured()) {
+    console.error("chat: ANTHROPIC_API_KEY or SUPABASE_SERVICE_ROLE_KEY is not set");
+    return res.status(500).json({ error: "AI service is not configured on this server." });
+  }
+
+  const { user, status, error: authError } = await getRequestUser(req);
+  if (!user) {
+    return res.status(status).json({ error: authError });
+  }
 
-  if (!messages || !Array.isArray(messages)) {
-    return res.status(400).json({ error: "Invalid request: messages array required" });
+  const mode = ["insight", "quick_log"].includes(req.body?.mode) ? req.body.mode : "chat";
+  let request;
+  if (mode === "insight") {
+    request = buildInsightRequest(req.body?.data);
+    if (!request) return res.status(400).json({ error: "Not enough period data for an insight" });
+  } else if (mode === "quick_log") {
+    request = buildQuickLogRequest(req.body);
+    if (!request) return res.status(400).json({ error: "Invalid request: text and today are required" });
+  } else {
+    const messages = sanitizeMessages(req.body?.messages);
+    if (!messages) return res.status(400).json({ error: "Invalid request: messages must end with a user message" });
+    request = {
+      system: buildChatSystemPrompt(req.body?.context),
+      messages,
+      tools: LUNA_TOOLS,
+      // Out of tool rounds for this message: answer with what's there
+      tool_choice: countToolRounds(messages) >= MAX_TOOL_ROUNDS ? { type: "none" } : { type: "auto" },
+    };
   }
 
+  let usageId;
   try {
-    const response = await client.messages.create({
-      model: "claude-sonnet-4-5",
-      max_tokens: 1024,
-      system: systemPrompt || "You are a helpful health assistant.",
-      messages: messages.map((m) => ({
-        role: m.role === "assistant" ? "assistant" : "user",
-        content: String(m.content),
-      })),
-    });
+    const quota = await claimUsage(user.id, mode);
+    if (!quota.ok) {
+      res.setHeader("Retry-After", String(quota.retryAfter));
+      return res.status(429).json({ error: quota.error, retryAfter: quota.retryAfter });
+    }
+    usageId = quota.id;
+  } catch (err) {
+    // Fail closed: without the ledger we can't enforce quotas
+    console.error("chat: usage check failed:", err?.message || err);
+    return res.status(503).json({ error: "AI service unavailable. Please try again." });
+  }
 
-    return res.status(200).json({ content: response.content[0].text });
+  if (mode === "insight") {
+    try {
+      const response = await client.messages.create({
+        model: CLAUDE_MODEL,
+        max_tokens: INSIGHT_MAX_TOKENS,
+        ...request,
+      });
+      await finishUsage(usageId, response.usage);
+      return res.status(200).json({ content: response.content[0]?.text ?? "" });
+    } catch (err) {
+      console.error("Claude API error:", err?.message || err);
+      return res.status(500).json({ error: "AI service unavailable. Please try again." });
+    }
+  }
+
+  if (mode === "quick_log") {
+    try {
+      const response = await client.messages.create({
+        model: CLAUDE_MODEL,
+        max_tokens: QUICK_LOG_MAX_TOKENS,
+        ...request,
+      });
+      await finishUsage(usageId, response.usage);
+      const call = response.content.find((b) => b.type === "tool_use");
+      return res.status(200).json({ input: call?.input ?? null });
+    } catch (err) {
+      console.error("Claude API error:", err?.message || err);
+      return res.status(500).json({ error: "AI service unavailable. Please try again." });
+    }
+  }
+
+  // ── Streaming chat ──
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  const stream = client.messages.stream({
+    model: CLAUDE_MODEL,
+    max_tokens: CHAT_MAX_TOKENS,
+    ...request,
+  });
+  let streamed = "";
+  let disconnected = false;
+  res.on("close", () => {
+    if (res.writableEnded) return;
+    disconnected = true;
+    stream.abort();
+  });
+  stream.on("text", (text) => {
+    streamed += text;
+    send("delta", { text });
+  });
+
+  try {
+    const final = await stream.finalMessage();
+    await finishUsage(usageId, final.usage);
+    send("done", {
+      stop_reason: final.stop_reason,
+      content: final.content.filter((b) => b.type === "text" || b.type === "tool_use"),
+    });
   } catch (err) {
-    console.error("Claude API error:", err?.message || err);
-    return res.status(500).json({ error: "AI service unavailable. Please try again." });
+    await finishUsage(usageId, {
+      input_tokens: estimateTokens(request.system + request.messages.map((m) => contentText(m.content)).join("")),
+      output_tokens: estimateTokens(streamed),
+    });
+    if (!disconnected) {
+      console.error("Claude API error:", err?.message || err);
+      send("error", { error: "AI service unavailable. Please try again." });
+    }
+  } finally {
+    if (!res.writableEnded) res.end();
   }
 }
@@ -0,0 +1,55 @@
+import { admin, isAdminConfigured, getRequestUser } from "./_lib/supabaseAdmin.js";
+
+// Uses the service role because the anon client cannot delete rows from auth.users.
+// Child tables first; profiles last because it mirrors the auth user
+const USER_TABLES = [
+  { table: "cycle_logs",     column: "user_id" },
+  { table: "cycle_settings", column: "user_id" },
+  { table: "encryption_keys", column: "user_id" },
+  { table: "ai_usage",       column: "user_id" },
+  { table: "push_subscriptions",  column: "user_id" },
+  { table: "reminder_deliveries", column: "user_id" },
+  { table: "calendar_feeds",      column: "user_id" },
+  { table: "custom_log_items",    column: "user_id" },
+  { table: "medications",         column: "user_id" },
+  { table: "chat_messages",       column: "user_id" },
+  { table: "chat_threads",        column: "user_id" },
+  { table: "profiles",       column: "id" },
+];
+
+export default async function handler(req, res) {
+  res.setHeader("Content-Type", "application/json");
+
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  if (!isAdminConfigured()) {
+    console.error("delete-account: SUPABASE_SERVICE_ROLE_KEY is not set");
+    return res.status(500).json({ error: "Account deletion is not configured on this server." });
+  }
+
+  // The caller's own access token decides whose account is deleted —
+  // never a user id from the request body.
+  const { user, status, error: authError } = await getRequestUser(req);
+  if (!user) {
+    return res.status(status).json({ error: authError });
+  }
+
+  if (req.body?.confirm !== "DELETE") {
+    return res.status(400).json({ error: "Deletion must be confirmed" });
+  }
+
+  try {
+    for (const { table, column } of USER_TABLES) {
+      const { error } = await admin.from(table).delete().eq(column, user.id);
+      if (error) throw error;
+    }
+    const { error } = await admin.auth.admin.deleteUser(user.id);
+    if (error) throw error;
+    return res.status(200).json({ deleted: true });
+  } catch (err) {
+    console.error("delete-account error:", err?.message || err);
+    return res.status(500).json({ error: "Couldn't delete your account. Please try again." });
+  }
+}
@@ -0,0 +1,148 @@
+import { admin, isAdminConfigured } from "./_lib/supabaseAdmin.js";
+import { isPushConfigured, sendPush } from "./_lib/webPush.js";
+import { localClock } from "./_lib/localTime.js";
+import { buildCycles, predictNextPeriod } from "../src/lib/cycleStats.js";
+import { dueReminders, reminderTime } from "../src/lib/reminderRules.js";
+
+const PAGE_SIZE = 1000;
+
+async function loadSubscriptions() {
+  const all = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await admin
+      .from("push_subscriptions")
+      .select("id, user_id, endpoint, p256dh, auth")
+      .order("created_at", { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+    if (error) throw error;
+    all.push(...(data ?? []));
+    if (!data || data.length < PAGE_SIZE) return all;
+  }
+}
+
+/**
+ * Claims a reminder for the user's local day. The ledger's primary key makes
+ * this the dedupe point: a run that loses the race (23505) skips it.
+ */
+async function claimDelivery(userId, type, localDate) {
+  const { error } = await admin
+    .from("reminder_deliveries")
+    .insert({ user_id: userId, reminder_type: type, local_date: localDate });
+  if (!error) return true;
+  if (error.code === "23505") return false;
+  throw error;
+}
+
+async function releaseDelivery(userId, type, localDate) {
+  await admin
+    .from("reminder_deliveries")
+    .delete()
+    .match({ user_id: userId, reminder_type: type, local_date: localDate });
+}
+
+/**
+ * Evaluates one user's reminders at their local time and pushes whatever is
+ * due to each of their devices. Encrypted symptoms and moods can't be read
+ * here, only whether they're empty: encryptLogFields stores an empty list
+ * as [] and anything else as a single ciphertext.
+ */
+async function remindUser(userId, subscriptions, at, summary) {
+  const [
+    { data: settings, error: settingsError },
+    { data: logs, error: logsError },
+    { data: medications, error: medicationsError },
+  ] = await Promise.all([
+    admin.from("cycle_settings").select("*").eq("user_id", userId).maybeSingle(),
+    admin.from("cycle_logs").select("*").eq("user_id", userId).order("date", { ascending: false }).limit(200),
+    admin.from("medications").select("*").eq("user_id", userId).eq("active", true),
+  ]);
+  if (settingsError) throw settingsError;
+  if (logsError) throw logsError;
+  if (medicationsError) throw medicationsError;
+  if (!settings?.notifications_enabled) return;
+
+  const { date, time } = localClock(at, settings.timezone);
+  const prediction = predictNextPeriod(buildCycles(logs ?? [], settings), settings, logs ?? []);
+  const due = dueReminders(settings, logs ?? [], prediction, date, medications ?? [])
+    .filter((r) => reminderTime(settings, r) <= time);
+
+  for (const reminder of due) {
+    if (!(await claimDelivery(userId, reminder.type, date))) continue;
+
+    let delivered = 0;
+    for (const sub of subscriptions) {
+      if (sub.gone) continue;
+      const result = await sendPush(sub, {
+        type:  reminder.type,
+        title: reminder.title,
+        body:  reminder.body,
+        url:   "/",
+      });
+      if (result.ok) {
+        delivered++;
+        summary.sent++;
+        await admin.from("push_subscriptions").update({ last_used_at: new Date().toISOString() }).eq("id", sub.id);
+      } else if (result.gone) {
+        sub.gone = true;
+        summary.removed++;
+        await admin.from("push_subscriptions").delete().eq("id", sub.id);
+      } else {
+        summary.failed++;
+      }
+    }
+    // Nothing reached a device — let the next run try again
+    if (delivered === 0) await releaseDelivery(userId, reminder.type, date);
+  }
+}
+
+/**
+ * GET /api/send-reminders — run by the Vercel cron in vercel.json every
+ * 15 minutes. Vercel sends `Authorization: Bearer $CRON_SECRET`; anything
+ * else is refused. `?at=<ISO time>` evaluates as if it were that moment,
+ * which is handy with the local push stand-in.
+ */
+export default async function handler(req, res) {
+  res.setHeader("Content-Type", "application/json");
+
+  if (req.method !== "GET" && req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  if (!process.env.CRON_SECRET || !isAdminConfigured() || !isPushConfigured()) {
+    console.error("send-reminders: CRON_SECRET, SUPABASE_SERVICE_ROLE_KEY or VAPID keys are not set");
+    return res.status(500).json({ error: "Reminders are not configured on this server." });
+  }
+
+  if (req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  const at = req.query?.at ? new Date(String(req.query.at)) : new Date();
+  if (Number.isNaN(at.getTime())) {
+    return res.status(400).json({ error: "Invalid `at` time" });
+  }
+
+  const summary = { users: 0, sent: 0, failed: 0, removed: 0, errors: 0 };
+  try {
+    const byUser = new Map();
+    for (const sub of await loadSubscriptions()) {
+      if (!byUser.has(sub.user_id)) byUser.set(sub.user_id, []);
+      byUser.get(sub.user_id).push(sub);
+    }
+
+    for (const [userId, subscriptions] of byUser) {
+      summary.users++;
+      try {
+        await remindUser(userId, subscriptions, at, summary);
+      } catch (err) {
+        // One user's bad data shouldn't hold up everyone else's reminders
+        summary.errors++;
+        console.error("send-reminders user error:", err?.message || err);
+      }
+    }
+    return res.status(200).json(summary);
+  } catch (err) {
+    console.error("send-reminders error:", err?.message || err);
+    return res.status(500).json({ error: "Couldn't send reminders." });
+  }
+}
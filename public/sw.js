@@ -0,0 +1,54 @@
+// AuraCycle service worker — shows Web Push reminders sent by
+// /api/send-reminders and opens the app when one is tapped.
+// Kept deliberately small: no offline caching happens here.
+
+const CONFIG_CACHE = "aura-sw-config";
+const DISGUISE_KEY = "/__aura/disguise";
+
+self.addEventListener("install", () => self.skipWaiting());
+self.addEventListener("activate", (event) => event.waitUntil(self.clients.claim()));
+
+// Disguise mode (set in the app's lock settings) swaps in neutral text
+async function disguisedText() {
+  try {
+    const cache = await caches.open(CONFIG_CACHE);
+    const res = await cache.match(DISGUISE_KEY);
+    return res ? await res.json() : null;
+  } catch {
+    return null;
+  }
+}
+
+async function showReminder(data) {
+  const disguise = await disguisedText();
+  const title = disguise?.title || data.title || "Reminder";
+  await self.registration.showNotification(title, {
+    body: disguise?.body || data.body || "",
+    tag:  data.type || "reminder",
+    data: { url: data.url || "/" },
+  });
+}
+
+self.addEventListener("push", (event) => {
+  let data = {};
+  try {
+    data = event.data ? event.data.json() : {};
+  } catch {
+    data = { body: event.data?.text() };
+  }
+  event.waitUntil(showReminder(data));
+});
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const url = new URL(event.notification.data?.url || "/", self.location.origin).href;
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+    const open = windows.find((w) => w.url.startsWith(self.location.origin));
+    if (open) {
+      await open.focus();
+      return;
+    }
+    await self.clients.openWindow(url);
+  })());
+});
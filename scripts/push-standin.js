@@ -0,0 +1,191 @@
+/**
+ * Local stand-in for a browser push service, for exercising
+ * /api/send-reminders without a real browser.
+ *
+ *   node --env-file=.env scripts/push-standin.js [--port 8790] [--user <uuid>] [--gone]
+ *
+ * It plays the device: generates a P-256 key pair and auth secret, prints the
+ * subscription JSON, and with `--user` stores it in push_subscriptions for
+ * that user (needs SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY; removed again
+ * on Ctrl+C). Every push is checked like a real push service would — VAPID
+ * JWT signature against the k= key — then decrypted (RFC 8291, aes128gcm).
+ *
+ *   GET    /messages  → what has arrived, newest last
+ *   DELETE /messages  → forget them
+ *
+ * `--gone` answers every push with 410, as for a device that unsubscribed,
+ * so the scheduler's clean-up can be tested too.
+ */
+import http from "node:http";
+import crypto from "node:crypto";
+
+const args = process.argv.slice(2);
+const option = (name) => {
+  const i = args.indexOf(`--${name}`);
+  return i === -1 ? undefined : args[i + 1];
+};
+const PORT = Number(option("port")) || 8790;
+const USER_ID = option("user");
+const GONE = args.includes("--gone");
+
+const b64url = (buf) => Buffer.from(buf).toString("base64url");
+
+// ─── THE "DEVICE" ─────────────────────────────────────────────
+
+const device = crypto.createECDH("prime256v1");
+device.generateKeys();
+const authSecret = crypto.randomBytes(16);
+const pushPath = `/push/${crypto.randomUUID()}`;
+
+const subscription = {
+  endpoint: `http://localhost:${PORT}${pushPath}`,
+  keys: { p256dh: b64url(device.getPublicKey()), auth: b64url(authSecret) },
+};
+
+/** Decrypts an aes128gcm push body (single record) for this device. */
+function decryptPayload(body) {
+  const salt = body.subarray(0, 16);
+  const idLength = body.readUInt8(20);
+  const senderKey = body.subarray(21, 21 + idLength);
+  const record = body.subarray(21 + idLength);
+
+  const shared = device.computeSecret(senderKey);
+  const keyInfo = Buffer.concat([Buffer.from("WebPush: info\0"), device.getPublicKey(), senderKey]);
+  const ikm = Buffer.from(crypto.hkdfSync("sha256", shared, authSecret, keyInfo, 32));
+  const cek = Buffer.from(crypto.hkdfSync("sha256", ikm, salt, Buffer.from("Content-Encoding: aes128gcm\0"), 16));
+  const nonce = Buffer.from(crypto.hkdfSync("sha256", ikm, salt, Buffer.from("Content-Encoding: nonce\0"), 12));
+
+  const decipher = crypto.createDecipheriv("aes-128-gcm", cek, nonce);
+  decipher.setAuthTag(record.subarray(record.length - 16));
+  const padded = Buffer.concat([decipher.update(record.subarray(0, record.length - 16)), decipher.final()]);
+  // Last record: content, then a 0x02 delimiter, then zero padding
+  let end = padded.length - 1;
+  while (end >= 0 && padded[end] === 0) end--;
+  return padded.subarray(0, end).toString("utf8");
+}
+
+/** Checks `Authorization: vapid t=<jwt>, k=<public key>` the way push services do. */
+function checkVapid(header = "") {
+  const t = /t=([^,\s]+)/.exec(header)?.[1];
+  const k = /k=([^,\s]+)/.exec(header)?.[1];
+  if (!t || !k) return { valid: false, error: "missing vapid t= or k=" };
+
+  const [head, claims, signature] = t.split(".");
+  const point = Buffer.from(k, "base64url");
+  const key = crypto.createPublicKey({
+    format: "jwk",
+    key: { kty: "EC", crv: "P-256", x: b64url(point.subarray(1, 33)), y: b64url(point.subarray(33, 65)) },
+  });
+  const valid = crypto.verify(
+    "sha256",
+    Buffer.from(`${head}.${claims}`),
+    { key, dsaEncoding: "ieee-p1363" },
+    Buffer.from(signature, "base64url")
+  );
+  const { aud, sub, exp } = JSON.parse(Buffer.from(claims, "base64url").toString("utf8"));
+  const audOk = aud === `http://localhost:${PORT}`;
+  const fresh = exp * 1000 > Date.now();
+  return { valid: valid && audOk && fresh, aud, sub, exp };
+}
+
+// ─── THE "PUSH SERVICE" ───────────────────────────────────────
+
+const messages = [];
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  req.on("data", (c) => chunks.push(c));
+  req.on("end", () => resolve(Buffer.concat(chunks)));
+  req.on("error", reject);
+});
+
+const send = (res, status, body) => {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(body === undefined ? "" : JSON.stringify(body, null, 2));
+};
+
+const server = http.createServer(async (req, res) => {
+  if (req.url === "/messages") {
+    if (req.method === "DELETE") {
+      messages.length = 0;
+      return send(res, 204);
+    }
+    return send(res, 200, messages);
+  }
+  if (req.method !== "POST" || req.url !== pushPath) return send(res, 404, { error: "Unknown subscription" });
+
+  const body = await readBody(req);
+  if (GONE) {
+    console.log("push received — answering 410 Gone");
+    return send(res, 410, { error: "Subscription expired" });
+  }
+
+  const vapid = checkVapid(req.headers.authorization);
+  if (!vapid.valid) {
+    console.log("push rejected: bad VAPID", vapid);
+    return send(res, 403, { error: "Invalid VAPID credentials", vapid });
+  }
+  if (req.headers["content-encoding"] !== "aes128gcm") {
+    return send(res, 415, { error: "Expected aes128gcm" });
+  }
+
+  let payload;
+  try {
+    const text = decryptPayload(body);
+    try { payload = JSON.parse(text); } catch { payload = text; }
+  } catch (err) {
+    console.log("push rejected: couldn't decrypt", err.message);
+    return send(res, 400, { error: "Decryption failed" });
+  }
+
+  const message = {
+    at: new Date().toISOString(),
+    ttl: Number(req.headers.ttl),
+    urgency: req.headers.urgency,
+    vapid: { aud: vapid.aud, sub: vapid.sub },
+    payload,
+  };
+  messages.push(message);
+  console.log("push received:", JSON.stringify(payload));
+  return send(res, 201);
+});
+
+// ─── REGISTRATION ─────────────────────────────────────────────
+
+let removeSubscription = async () => {};
+
+async function register() {
+  if (!USER_ID) return;
+  const { admin } = await import("../api/_lib/supabaseAdmin.js");
+  const { error } = await admin.from("push_subscriptions").insert({
+    user_id:    USER_ID,
+    endpoint:   subscription.endpoint,
+    p256dh:     subscription.keys.p256dh,
+    auth:       subscription.keys.auth,
+    user_agent: "push-standin",
+  });
+  if (error) throw error;
+  console.log(`Subscribed for user ${USER_ID}.`);
+  removeSubscription = async () => {
+    await admin.from("push_subscriptions").delete().eq("endpoint", subscription.endpoint);
+  };
+}
+
+server.listen(PORT, async () => {
+  console.log(`Push stand-in listening on http://localhost:${PORT}`);
+  console.log("Subscription:");
+  console.log(JSON.stringify(subscription, null, 2));
+  try {
+    await register();
+  } catch (err) {
+    console.error("Couldn't store the subscription:", err.message || err);
+  }
+});
+
+const stop = async () => {
+  await removeSubscription().catch(() => {});
+  server.close();
+  process.exit(0);
+};
+process.on("SIGINT", stop);
+process.on("SIGTERM", stop);
@@ -1,5 +1,5 @@
 import { Toaster } from "@/components/ui/toaster";
-import { QueryClientProvider } from "@tanstack/react-query";
+import { QueryClientProvider, useQueryClient } from "@tanstack/react-query";
 import { queryClientInstance } from "@/lib/query-client";
 import { pagesConfig } from "./pages.config";
 import { BrowserRouter as Router, Route, Routes } from "react-router-dom";
@@ -8,8 +8,12 @@ import { AuthProvider, useAuth } from "@/lib/AuthContext";
 import Login from "@/pages/Login";
 import Onboarding from "@/pages/Onboarding";
 import { useEffect } from "react";
-import { getCycleSettings, getCycleLogs } from "@/lib/db";
+import { getCycleSettings, getCycleLogs, getMedications, startOfflineSync } from "@/lib/db";
+import { subscribeSyncStatus } from "@/lib/offlineQueue";
+import EncryptionGate from "@/components/security/EncryptionGate";
+import AppLockGate from "@/components/security/AppLockGate";
 import { checkAllNotifications } from "@/lib/notifications";
+import { isPushActive } from "@/lib/push";
 import { buildCycles, predictNextPeriod } from "@/lib/cycleStats";
 
 const { Pages, Layout, mainPage } = pagesConfig;
@@ -19,23 +23,51 @@ const MainPage = mainPageKey ? Pages[mainPageKey] : <></>;
 const LayoutWrapper = ({ children, currentPageName }) =>
   Layout ? <Layout currentPageName={currentPageName}>{children}</Layout> : <>{children}</>;
 
+// In-app reminders while Luna is open. Devices subscribed to Web Push get
+// them from /api/send-reminders instead, so they aren't shown twice.
+const NOTIFICATION_CHECK_MS = 15 * 60 * 1000;
+
 function NotificationChecker() {
   useEffect(() => {
     const runCheck = async () => {
       try {
-        const [settings, logs] = await Promise.all([getCycleSettings(), getCycleLogs(200)]);
+        if (await isPushActive()) return;
+        const [settings, logs, medications] = await Promise.all([
+          getCycleSettings(), getCycleLogs(200), getMedications(),
+        ]);
         if (!settings) return;
-        const cycles    = buildCycles(logs);
-        const prediction = predictNextPeriod(cycles, settings);
-        checkAllNotifications(settings, logs, prediction);
+        const cycles    = buildCycles(logs, settings);
+        const prediction = predictNextPeriod(cycles, settings, logs);
+        checkAllNotifications(settings, logs, prediction, medications);
       } catch {}
     };
     const timer = setTimeout(runCheck, 2000);
-    return () => clearTimeout(timer);
+    const interval = setInterval(runCheck, NOTIFICATION_CHECK_MS);
+    return () => {
+      clearTimeout(timer);
+      clearInterval(interval);
+    };
   }, []);
   return null;
 }
 
+// Replays logs saved while offline and refreshes cached queries once they land
+function OfflineSync() {
+  const queryClient = useQueryClient();
+  useEffect(() => startOfflineSync(), []);
+  useEffect(() => {
+    let lastSyncedAt = null;
+    return subscribeSyncStatus((status) => {
+      if (status.lastSyncedAt === lastSyncedAt) return;
+      lastSyncedAt = status.lastSyncedAt;
+      queryClient.invalidateQueries({ queryKey: ["cycleLogs"] });
+      queryClient.invalidateQueries({ queryKey: ["recentLogs"] });
+      queryClient.invalidateQueries({ queryKey: ["cycleSettings"] });
+    });
+  }, [queryClient]);
+  return null;
+}
+
 const AuthenticatedApp = () => {
   const { user, profile, loading } = useAuth();
 
@@ -70,8 +102,9 @@ const AuthenticatedApp = () => {
 
   // Fully authenticated → main app
   return (
-    <>
+    <EncryptionGate>
       <NotificationChecker />
+      <OfflineSync />
       <Routes>
         <Route
           path="/"
@@ -94,7 +127,7 @@ const AuthenticatedApp = () => {
         ))}
         <Route path="*" element={<PageNotFound />} />
       </Routes>
-    </>
+    </EncryptionGate>
   );
 };
 
@@ -103,7 +136,9 @@ function App() {
     <AuthProvider>
       <QueryClientProvider client={queryClientInstance}>
         <Router>
-          <AuthenticatedApp />
+          <AppLockGate>
+            <AuthenticatedApp />
+          </AppLockGate>
         </Router>
         <Toaster />
       </QueryClientProvider>
@@ -2,6 +2,7 @@ import React from "react";
 import { Link } from "react-router-dom";
 import { createPageUrl } from "@/utils";
 import { Home, CalendarDays, TrendingUp, Settings, Sparkles } from "lucide-react";
+import SyncStatus from "@/components/sync/SyncStatus";
 
 const NAV_ITEMS = [
   { name: "Home", icon: Home, page: "Home" },
@@ -18,6 +19,7 @@ export default function Layout({ children, currentPageName }) {
 
   return (
     <div className="min-h-screen">
+      <SyncStatus />
       <main className="pb-safe">
         {children}
       </main>
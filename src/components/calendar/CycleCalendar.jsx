@@ -16,9 +16,11 @@ import {
   parseISO,
   isWithinInterval,
 } from "date-fns";
+import { usesHormonalContraception, showsFertileWindow } from "@/lib/contraception";
 
 function getDayPhase(day, settings) {
-  if (!settings?.last_period_start) return null;
+  // Hormonal contraception replaces the natural cycle, so there are no phases
+  if (!settings?.last_period_start || usesHormonalContraception(settings)) return null;
   const cycleLength  = settings.average_cycle_length  || 28;
   const periodLength = settings.average_period_length || 5;
   let daysSince = differenceInDays(day, parseISO(settings.last_period_start));
@@ -31,7 +33,7 @@ function getDayPhase(day, settings) {
   }
   const cycleDay = daysSince + 1;
   if (cycleDay <= periodLength)                                       return "period";
-  if (cycleDay >= cycleLength - 16 && cycleDay <= cycleLength - 11)  return "fertile";
+  if (cycleDay >= cycleLength - 16 && cycleDay <= cycleLength - 11)  return showsFertileWindow(settings) ? "fertile" : null;
   if (cycleDay > cycleLength - 11)                                    return "luteal";
   return "follicular";
 }
@@ -82,8 +84,15 @@ export default function CycleCalendar({
   onDayClick,
   selectedDay,
   periodLength = 5,
+  ovulationDate = null,
+  // Period range editing: days are picked instead of selected, and future days can't be
+  rangeMode = false,
+  rangeStart = null,
+  rangeEnd = null,
 }) {
   const [currentMonth, setCurrentMonth] = useState(new Date());
+  const hormonal     = usesHormonalContraception(settings);
+  const fertileShown = showsFertileWindow(settings);
   const [direction, setDirection] = useState(0);
   const touchStartX = useRef(null);
   const touchStartY = useRef(null);
@@ -173,19 +182,29 @@ export default function CycleCalendar({
 
         {days.map((day) => {
           const dayLogs    = getLogsForDay(day);
-          const isPeriod   = dayLogs.some((l) => l.log_type === "period");
+          const isPeriod   = dayLogs.some((l) => l.log_type === "period" && !l.bleed_type);
+          // Withdrawal / breakthrough bleed under hormonal contraception
+          const isBleed    = dayLogs.some((l) => l.log_type === "period" && l.bleed_type);
           const hasSymptom = dayLogs.some((l) => l.symptoms?.length > 0);
           const hasMood    = dayLogs.some((l) => l.moods?.length > 0);
+          const mucus      = dayLogs.find((l) => l.cervical_mucus)?.cervical_mucus;
+          const lhTest     = dayLogs.find((l) => l.ovulation_test && l.ovulation_test !== "negative")?.ovulation_test;
           const today      = isToday(day);
           const isSelected = selectedDay && isSameDay(day, selectedDay);
           const phase      = getDayPhase(day, settings);
+          const isOvulation = !!ovulationDate && isSameDay(day, parseISO(ovulationDate));
+          const isFuture   = rangeMode && day > new Date();
+          const inRange    = rangeMode && !!rangeStart &&
+            isWithinInterval(day, { start: rangeStart, end: rangeEnd ?? rangeStart });
+          const rangeEdge  = inRange &&
+            (isSameDay(day, rangeStart) || (!!rangeEnd && isSameDay(day, rangeEnd)));
 
           const predMid    = !isPeriod && isPredictedMidDay(day, prediction);
           const predPeriod = !isPeriod && !predMid && isPredictedPeriodDay(day, prediction);
           // Body days = predicted start+1 through predicted start+(periodLength-1)
           // Only show if not already covered by the confidence range
           const predBody   = !isPeriod && !predMid && !predPeriod && isPredictedPeriodBodyDay(day, prediction, periodLength);
-          const nextFertile= !isPeriod && !predPeriod && !predMid && !predBody && isNextFertileDay(day, fertileWindow);
+          const nextFertile= !isPeriod && !predPeriod && !predMid && !predBody && fertileShown && isNextFertileDay(day, fertileWindow);
           const isFertile  = !isPeriod && !predPeriod && !predMid && !predBody && !nextFertile && phase === "fertile";
 
           // Background — real data wins over predictions
@@ -193,9 +212,15 @@ export default function CycleCalendar({
           let text   = "text-slate-600";
           let border = "";
 
-          if (isPeriod) {
+          if (inRange) {
+            bg   = rangeEdge ? "bg-violet-500" : "bg-violet-100";
+            text = rangeEdge ? "text-white font-bold" : "text-violet-800 font-semibold";
+          } else if (isPeriod) {
             bg   = "bg-rose-100";
             text = "text-rose-700 font-bold";
+          } else if (isBleed) {
+            bg   = "bg-rose-50";
+            text = "text-rose-500 font-semibold";
           } else if (predMid) {
             bg   = "bg-rose-100";
             text = "text-rose-700 font-semibold";
@@ -230,15 +255,17 @@ export default function CycleCalendar({
               key={day.toISOString()}
               whileTap={{ scale: 0.88 }}
               onClick={() => onDayClick?.(day)}
+              disabled={isFuture}
               className={`relative aspect-square flex flex-col items-center justify-center rounded-2xl text-xs transition-all gap-0
                 ${bg} ${text} ${border}
-                ${isSelected ? "ring-2 ring-violet-500 ring-offset-1 shadow-sm" : ""}
-                ${today && !isSelected ? "ring-2 ring-violet-400" : ""}
+                ${isSelected && !rangeMode ? "ring-2 ring-violet-500 ring-offset-1 shadow-sm" : ""}
+                ${today && !isSelected && !inRange ? "ring-2 ring-violet-400" : ""}
                 ${!bg ? "hover:bg-slate-50" : ""}
+                ${isFuture ? "opacity-30" : ""}
               `}
             >
               {/* Date number */}
-              <span className={`leading-none text-[13px] ${today ? "text-violet-600 font-bold" : ""}`}>
+              <span className={`leading-none text-[13px] ${today && !rangeEdge ? "text-violet-600 font-bold" : ""}`}>
                 {format(day, "d")}
               </span>
 
@@ -253,9 +280,24 @@ export default function CycleCalendar({
                 )}
                 {/* Logged data dots */}
                 {isPeriod   && <div className="w-1.5 h-1.5 rounded-full bg-rose-500" />}
+                {isBleed    && <div className="w-1.5 h-1.5 rounded-full bg-rose-300" />}
                 {hasSymptom && <div className="w-1.5 h-1.5 rounded-full bg-amber-400" />}
                 {hasMood    && <div className="w-1.5 h-1.5 rounded-full bg-pink-400" />}
+                {isOvulation && <div className="w-1.5 h-1.5 rounded-full bg-teal-500" />}
+                {/* Fertility signs: egg-white mucus is the strongest, so it gets the solid dot */}
+                {mucus && (
+                  <div className={`w-1.5 h-1.5 rounded-full ${mucus === "egg_white" ? "bg-sky-500" : "bg-sky-200"}`} />
+                )}
               </div>
+
+              {/* LH test marker — corner badge so it doesn't crowd the dot row */}
+              {lhTest && (
+                <span className={`absolute top-0.5 right-1 text-[7px] font-bold leading-none ${
+                  lhTest === "peak" ? "text-fuchsia-600" : "text-fuchsia-300"
+                }`}>
+                  LH
+                </span>
+              )}
             </motion.button>
           );
         })}
@@ -267,11 +309,18 @@ export default function CycleCalendar({
       <div className="flex items-center justify-center flex-wrap gap-x-3 gap-y-1.5 mt-4 pt-3 border-t border-slate-50">
         {[
           { dot: "bg-rose-400",    label: "Period" },
-          { dot: "bg-emerald-300", label: "Follicular" },
-          { dot: "bg-emerald-500",  label: "Fertile" },
-          { dot: "bg-rose-300",    label: "Predicted", dashed: true },
-          { dot: "bg-violet-300",  label: "Luteal" },
+          ...(hormonal ? [{ dot: "bg-rose-200", label: "Bleed" }] : [
+            { dot: "bg-emerald-300", label: "Follicular" },
+            ...(fertileShown ? [{ dot: "bg-emerald-500", label: "Fertile" }] : []),
+            { dot: "bg-rose-300",    label: "Predicted", dashed: true },
+            { dot: "bg-violet-300",  label: "Luteal" },
+          ]),
           { dot: "bg-amber-300",   label: "Symptoms" },
+          ...(ovulationDate ? [{ dot: "bg-teal-500", label: "Ovulation" }] : []),
+          ...(logs.some((l) => l.cervical_mucus) ? [{ dot: "bg-sky-500", label: "Mucus" }] : []),
+          ...(logs.some((l) => l.ovulation_test && l.ovulation_test !== "negative")
+            ? [{ dot: "bg-fuchsia-500", label: "LH+" }]
+            : []),
         ].map((item) => (
           <div key={item.label} className="flex items-center gap-1">
             <div className={`w-2.5 h-2.5 rounded-full ${item.dot} ${item.dashed ? "ring-1 ring-rose-400 ring-offset-[1.5px]" : ""}`} />
@@ -0,0 +1,140 @@
+import React, { useState } from "react";
+import { motion } from "framer-motion";
+import { useQueryClient } from "@tanstack/react-query";
+import { format, eachDayOfInterval, isToday } from "date-fns";
+import { Droplets, X } from "lucide-react";
+import { toast } from "sonner";
+import { savePeriodDays, syncPeriodSettings } from "@/lib/db";
+
+const FLOWS = [
+  { id: "spotting", short: "S", color: "bg-rose-50 text-rose-400 border-rose-100" },
+  { id: "light",    short: "L", color: "bg-rose-100 text-rose-500 border-rose-200" },
+  { id: "medium",   short: "M", color: "bg-rose-300 text-white border-rose-300" },
+  { id: "heavy",    short: "H", color: "bg-rose-500 text-white border-rose-500" },
+];
+
+/** Starting flow per day: what's logged already, else medium tapering to light. */
+function defaultFlows(days, logs) {
+  const flows = {};
+  days.forEach((day, i) => {
+    const date = format(day, "yyyy-MM-dd");
+    const logged = logs.find((l) => l.date === date && l.log_type === "period");
+    flows[date] = logged?.flow_intensity
+      || (days.length > 2 && i === days.length - 1 ? "light" : "medium");
+  });
+  return flows;
+}
+
+/**
+ * Marks or unmarks every day between `start` and `end` as a period in one
+ * batch, with a compact strip to set each day's flow. The last day is saved
+ * as the period's end unless it's today (the period may still be going).
+ */
+export default function PeriodRangeEditor({ start, end, logs, onClose }) {
+  const queryClient = useQueryClient();
+  const days = eachDayOfInterval({ start, end: end ?? start });
+  const [flows, setFlows] = useState(() => defaultFlows(days, logs));
+  const [busy, setBusy] = useState(false);
+
+  const cycleFlow = (date) => {
+    const next = (FLOWS.findIndex((f) => f.id === flows[date]) + 1) % FLOWS.length;
+    setFlows({ ...flows, [date]: FLOWS[next].id });
+  };
+
+  const commit = async (mark) => {
+    const dates = days.map((d) => format(d, "yyyy-MM-dd"));
+    const last = days[days.length - 1];
+    setBusy(true);
+    try {
+      if (mark) {
+        await savePeriodDays(dates.map((date, i) => ({
+          date,
+          flow_intensity: flows[date],
+          is_period_end:  i === dates.length - 1 && !isToday(last),
+        })));
+      } else {
+        await savePeriodDays([], dates);
+      }
+      await syncPeriodSettings();
+      queryClient.invalidateQueries({ queryKey: ["cycleLogs"] });
+      queryClient.invalidateQueries({ queryKey: ["recentLogs"] });
+      queryClient.invalidateQueries({ queryKey: ["cycleSettings"] });
+      queryClient.invalidateQueries({ queryKey: ["dailyLog"] });
+      toast.success(mark ? "Period saved 🌸" : "Period days removed");
+      onClose();
+    } catch (err) {
+      toast.error(err.message || "Couldn't update your period.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const label = days.length === 1
+    ? format(start, "MMM d")
+    : `${format(start, "MMM d")} – ${format(days[days.length - 1], "MMM d")}`;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 8 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="bg-white rounded-2xl p-4 mb-4 border border-rose-100 shadow-sm"
+    >
+      <div className="flex items-center gap-2 mb-1">
+        <Droplets className="w-4 h-4 text-rose-500" />
+        <h3 className="text-sm font-bold text-slate-700">{label}</h3>
+        <span className="text-xs text-slate-400">
+          · {days.length} day{days.length > 1 ? "s" : ""}
+        </span>
+        <button type="button" onClick={onClose} aria-label="Cancel" className="ml-auto p-1 text-slate-400 hover:text-slate-600">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+      <p className="text-[11px] text-slate-400 mb-3">
+        {end ? "Tap a day's flow to change it." : "Tap another day to pick the end of the range."}
+      </p>
+
+      {/* Per-day flow strip */}
+      <div className="flex gap-1.5 overflow-x-auto pb-2 mb-3 scrollbar-none">
+        {days.map((day) => {
+          const date = format(day, "yyyy-MM-dd");
+          const flow = FLOWS.find((f) => f.id === flows[date]);
+          return (
+            <button
+              key={date}
+              type="button"
+              onClick={() => cycleFlow(date)}
+              aria-label={`${format(day, "MMMM d")}: ${flow.id}`}
+              className="flex-shrink-0 w-10 flex flex-col items-center gap-1"
+            >
+              <span className="text-[9px] font-semibold uppercase text-slate-400">{format(day, "EEE")}</span>
+              <span className="text-xs font-bold text-slate-600">{format(day, "d")}</span>
+              <span className={`w-8 h-8 rounded-xl border text-[11px] font-bold flex items-center justify-center transition-all ${flow.color}`}>
+                {flow.short}
+              </span>
+            </button>
+          );
+        })}
+      </div>
+      <p className="text-[10px] text-slate-300 mb-3">S spotting · L light · M medium · H heavy</p>
+
+      <div className="grid grid-cols-2 gap-2">
+        <button
+          type="button"
+          onClick={() => commit(false)}
+          disabled={busy}
+          className="py-2.5 rounded-xl text-xs font-semibold border-2 border-slate-100 text-slate-500 hover:bg-slate-50 transition-all disabled:opacity-40"
+        >
+          Remove period
+        </button>
+        <button
+          type="button"
+          onClick={() => commit(true)}
+          disabled={busy}
+          className="py-2.5 rounded-xl text-xs font-semibold text-white bg-gradient-to-r from-rose-500 to-pink-500 shadow-sm disabled:opacity-40"
+        >
+          {busy ? "Saving…" : "Mark as period"}
+        </button>
+      </div>
+    </motion.div>
+  );
+}
@@ -1,10 +1,13 @@
 import React from "react";
 import { motion } from "framer-motion";
 import ReactMarkdown from "react-markdown";
-import { Sparkles } from "lucide-react";
+import { Sparkles, Pin } from "lucide-react";
+import ToolSteps from "./ToolSteps";
 
-export default function ChatBubble({ message }) {
+export default function ChatBubble({ message, onDraftStatus, onTogglePin }) {
   const isUser = message.role === "user";
+  const hasSteps = !isUser && message.steps?.length > 0;
+  const content = message._locked ? "🔒 Unlock your encrypted data to read this message." : message.content;
 
   return (
     <motion.div
@@ -19,29 +22,46 @@ export default function ChatBubble({ message }) {
         </div>
       )}
 
-      <div
-        className={`max-w-[78%] rounded-2xl px-4 py-3 ${
-          isUser
-            ? "bg-gradient-to-br from-violet-600 to-purple-700 text-white rounded-br-sm shadow-md shadow-violet-200"
-            : "bg-white border border-purple-50 text-slate-700 rounded-bl-sm shadow-sm"
-        }`}
-      >
-        {isUser ? (
-          <p className="text-sm leading-relaxed">{message.content}</p>
-        ) : (
-          <ReactMarkdown
-            className="text-sm leading-relaxed prose prose-sm prose-slate max-w-none [&>*:first-child]:mt-0 [&>*:last-child]:mb-0"
-            components={{
-              p: ({ children }) => <p className="my-1">{children}</p>,
-              ul: ({ children }) => <ul className="my-1 ml-3 list-disc">{children}</ul>,
-              ol: ({ children }) => <ol className="my-1 ml-3 list-decimal">{children}</ol>,
-              li: ({ children }) => <li className="my-0.5">{children}</li>,
-              strong: ({ children }) => <strong className="font-semibold text-violet-700">{children}</strong>,
-              code: ({ children }) => <code className="bg-purple-50 text-purple-700 px-1 rounded text-xs">{children}</code>,
-            }}
+      <div className={`max-w-[78%] ${hasSteps ? "flex-1" : ""}`}>
+        {hasSteps && <ToolSteps steps={message.steps} onDraftStatus={onDraftStatus} />}
+        {content && (
+          <div
+            className={`rounded-2xl px-4 py-3 ${
+              isUser
+                ? "bg-gradient-to-br from-violet-600 to-purple-700 text-white rounded-br-sm shadow-md shadow-violet-200"
+                : "bg-white border border-purple-50 text-slate-700 rounded-bl-sm shadow-sm"
+            }`}
           >
-            {message.content}
-          </ReactMarkdown>
+            {isUser ? (
+              <p className="text-sm leading-relaxed">{content}</p>
+            ) : (
+              <ReactMarkdown
+                className="text-sm leading-relaxed prose prose-sm prose-slate max-w-none [&>*:first-child]:mt-0 [&>*:last-child]:mb-0"
+                components={{
+                  p: ({ children }) => <p className="my-1">{children}</p>,
+                  ul: ({ children }) => <ul className="my-1 ml-3 list-disc">{children}</ul>,
+                  ol: ({ children }) => <ol className="my-1 ml-3 list-decimal">{children}</ol>,
+                  li: ({ children }) => <li className="my-0.5">{children}</li>,
+                  strong: ({ children }) => <strong className="font-semibold text-violet-700">{children}</strong>,
+                  code: ({ children }) => <code className="bg-purple-50 text-purple-700 px-1 rounded text-xs">{children}</code>,
+                }}
+              >
+                {content}
+              </ReactMarkdown>
+            )}
+          </div>
+        )}
+        {onTogglePin && content && !message._locked && (
+          <button
+            type="button"
+            onClick={onTogglePin}
+            className={`mt-1 ml-1 flex items-center gap-1 text-[10px] font-medium transition-colors ${
+              message.pinned ? "text-violet-500" : "text-slate-300 hover:text-violet-400"
+            }`}
+          >
+            <Pin className={`w-3 h-3 ${message.pinned ? "fill-violet-400" : ""}`} />
+            {message.pinned ? "Pinned" : "Pin"}
+          </button>
         )}
       </div>
 
@@ -0,0 +1,147 @@
+import React, { useEffect, useState } from "react";
+import { motion } from "framer-motion";
+import { useQuery } from "@tanstack/react-query";
+import { Search, Plus, Pin, Trash2, X, MessageCircle, Loader2 } from "lucide-react";
+import { formatDistanceToNow, parseISO } from "date-fns";
+import { getPinnedChatMessages, searchChatMessages } from "@/lib/db";
+import { searchSnippet } from "@/lib/chatThreads";
+
+const SEARCH_DELAY_MS = 300;
+
+function MessageResult({ message, query = "", onOpen }) {
+  return (
+    <button
+      type="button"
+      onClick={() => onOpen(message.thread_id)}
+      className="w-full text-left bg-white rounded-xl px-3 py-2.5 border border-purple-50 hover:border-violet-200 transition-colors"
+    >
+      <p className="text-[10px] font-semibold text-violet-500 truncate mb-0.5">
+        {message.role === "user" ? "You asked" : "Luna"} · {message.thread_title}
+      </p>
+      <p className="text-xs text-slate-600 line-clamp-3">
+        {searchSnippet(message.content, query)}
+      </p>
+    </button>
+  );
+}
+
+/**
+ * Luna's past conversations: search across everything said, pinned
+ * answers, and the thread list with a delete per thread.
+ */
+export default function ThreadList({ threads, activeId, onOpen, onNew, onDelete, onClose }) {
+  const [input, setInput] = useState("");
+  const [query, setQuery] = useState("");
+
+  useEffect(() => {
+    const timer = setTimeout(() => setQuery(input.trim()), SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [input]);
+
+  const { data: results = [], isFetching: searching } = useQuery({
+    queryKey: ["chatSearch", query],
+    queryFn: () => searchChatMessages(query),
+    enabled: query.length >= 2,
+  });
+  const { data: pinned = [] } = useQuery({
+    queryKey: ["pinnedChat"],
+    queryFn: getPinnedChatMessages,
+  });
+
+  const isSearching = query.length >= 2;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, x: -24 }}
+      animate={{ opacity: 1, x: 0 }}
+      exit={{ opacity: 0, x: -24 }}
+      transition={{ duration: 0.18 }}
+      className="absolute inset-0 z-20 flex flex-col pb-16"
+      style={{ background: "linear-gradient(160deg, #faf5ff 0%, #fff0f8 100%)" }}
+    >
+      <div className="flex items-center gap-2 px-4 pt-10 pb-3 bg-white/70 backdrop-blur-xl border-b border-purple-50 shadow-sm">
+        <h2 className="flex-1 text-sm font-bold text-slate-800">Conversations</h2>
+        <button
+          type="button"
+          onClick={onNew}
+          className="flex items-center gap-1 text-xs font-semibold text-white bg-violet-600 px-3 py-1.5 rounded-xl"
+        >
+          <Plus className="w-3.5 h-3.5" /> New chat
+        </button>
+        <button type="button" onClick={onClose} className="p-2 rounded-xl text-slate-400 hover:bg-slate-100" title="Close">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto px-4 py-4 space-y-5">
+        <div className="flex items-center gap-2 bg-white rounded-2xl border border-purple-100 px-3 focus-within:border-violet-300 focus-within:ring-2 focus-within:ring-violet-100">
+          <Search className="w-4 h-4 text-slate-300" />
+          <input
+            value={input}
+            onChange={(e) => setInput(e.target.value)}
+            placeholder="Search your conversations"
+            className="flex-1 bg-transparent py-2.5 text-sm text-slate-700 placeholder:text-slate-400 focus:outline-none"
+          />
+          {searching && <Loader2 className="w-3.5 h-3.5 text-violet-400 animate-spin" />}
+        </div>
+
+        {isSearching ? (
+          <div className="space-y-2">
+            {results.length === 0 && !searching && (
+              <p className="text-xs text-slate-400 text-center py-4">Nothing found for “{query}”.</p>
+            )}
+            {results.map((m) => (
+              <MessageResult key={m.id} message={m} query={query} onOpen={onOpen} />
+            ))}
+          </div>
+        ) : (
+          <>
+            {pinned.length > 0 && (
+              <div>
+                <p className="flex items-center gap-1 text-[11px] font-semibold text-slate-400 uppercase tracking-wider mb-2">
+                  <Pin className="w-3 h-3" /> Pinned answers
+                </p>
+                <div className="space-y-2">
+                  {pinned.map((m) => (
+                    <MessageResult key={m.id} message={m} onOpen={onOpen} />
+                  ))}
+                </div>
+              </div>
+            )}
+
+            <div>
+              <p className="text-[11px] font-semibold text-slate-400 uppercase tracking-wider mb-2">Recent</p>
+              {threads.length === 0 ? (
+                <p className="text-xs text-slate-400 text-center py-4">No conversations yet.</p>
+              ) : (
+                <div className="bg-white rounded-2xl border border-purple-50 divide-y divide-slate-50 shadow-sm">
+                  {threads.map((t) => (
+                    <div key={t.id} className={`flex items-center gap-2 px-3 py-2.5 ${t.id === activeId ? "bg-violet-50/60" : ""}`}>
+                      <button type="button" onClick={() => onOpen(t.id)} className="flex-1 min-w-0 flex items-center gap-2.5 text-left">
+                        <MessageCircle className="w-4 h-4 text-violet-400 flex-shrink-0" />
+                        <div className="min-w-0">
+                          <p className="text-sm text-slate-700 truncate">{t.title}</p>
+                          <p className="text-[10px] text-slate-400">
+                            {formatDistanceToNow(parseISO(t.updated_at), { addSuffix: true })}
+                          </p>
+                        </div>
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => onDelete(t)}
+                        className="p-1.5 text-slate-300 hover:text-rose-500"
+                        title="Delete conversation"
+                      >
+                        <Trash2 className="w-3.5 h-3.5" />
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </motion.div>
+  );
+}
@@ -0,0 +1,145 @@
+import React, { useState } from "react";
+import { useQueryClient } from "@tanstack/react-query";
+import { ChevronRight, Search, BarChart3, PenLine, AlertCircle, Check, X, Loader2 } from "lucide-react";
+import { format, parseISO } from "date-fns";
+import { toast } from "sonner";
+import { useLogItems } from "@/hooks/use-log-items";
+import { describeSymptom, itemLabel } from "@/lib/logItems";
+import { saveLogDraft } from "@/lib/db";
+import { TOOL_LABELS } from "@/lib/lunaTools";
+
+const ICONS = { get_logs: Search, analyze_cycles: BarChart3, draft_log: PenLine };
+
+const pretty = (json) => {
+  try { return JSON.stringify(JSON.parse(json), null, 2); } catch { return json; }
+};
+
+/**
+ * A log Luna drafted, with Save and Discard. Nothing is written until the
+ * user saves it; `onStatus` is null while Luna is still replying.
+ */
+function DraftLogCard({ draft, onStatus }) {
+  const queryClient = useQueryClient();
+  const { customItems } = useLogItems();
+  const [saving, setSaving] = useState(false);
+
+  const rows = [
+    draft.flow_intensity && ["Flow", draft.flow_intensity],
+    draft.symptoms && ["Symptoms", draft.symptoms.map((s) => describeSymptom(s, customItems)).join(", ")],
+    draft.moods && ["Moods", draft.moods.map((m) => itemLabel(m, customItems)).join(", ")],
+    draft.sleep_hours !== undefined && ["Sleep", `${draft.sleep_hours}h`],
+    draft.stress_level !== undefined && ["Stress", `${draft.stress_level}/5`],
+    draft.water_intake !== undefined && ["Water", `${draft.water_intake} glasses`],
+    draft.notes && ["Note", draft.notes],
+  ].filter(Boolean);
+
+  const save = async () => {
+    setSaving(true);
+    try {
+      await saveLogDraft(draft);
+      queryClient.invalidateQueries({ queryKey: ["recentLogs"] });
+      queryClient.invalidateQueries({ queryKey: ["cycleSettings"] });
+      queryClient.invalidateQueries({ queryKey: ["cycleLogs"] });
+      queryClient.invalidateQueries({ queryKey: ["dailyLog"] });
+      onStatus("saved");
+      toast.success(`Saved to ${format(parseISO(draft.date), "MMM d")} 🌸`);
+    } catch (err) {
+      console.error("Draft log error:", err);
+      toast.error(err.message || "Couldn't save that log.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="mt-2 rounded-xl border border-violet-100 bg-violet-50/50 p-3">
+      <p className="text-xs font-semibold text-violet-700 mb-1.5">{format(parseISO(draft.date), "EEEE, MMM d")}</p>
+      <dl className="space-y-0.5 mb-2.5">
+        {rows.map(([label, value]) => (
+          <div key={label} className="flex gap-2 text-xs">
+            <dt className="w-16 flex-shrink-0 text-slate-400">{label}</dt>
+            <dd className="text-slate-600 first-letter:uppercase">{value}</dd>
+          </div>
+        ))}
+      </dl>
+
+      {draft.status === "saved" ? (
+        <p className="flex items-center gap-1 text-xs font-semibold text-emerald-600"><Check className="w-3.5 h-3.5" /> Saved</p>
+      ) : draft.status === "discarded" ? (
+        <p className="text-xs text-slate-400">Discarded</p>
+      ) : onStatus ? (
+        <div className="flex gap-2">
+          <button
+            type="button"
+            onClick={() => onStatus("discarded")}
+            disabled={saving}
+            className="flex items-center justify-center gap-1 px-3 py-1.5 rounded-lg text-xs font-semibold border border-slate-200 text-slate-500"
+          >
+            <X className="w-3 h-3" /> Discard
+          </button>
+          <button
+            type="button"
+            onClick={save}
+            disabled={saving}
+            className="flex-1 flex items-center justify-center gap-1 py-1.5 rounded-lg text-xs font-semibold text-white bg-violet-600 disabled:opacity-50"
+          >
+            {saving ? <Loader2 className="w-3 h-3 animate-spin" /> : <Check className="w-3 h-3" />} Save log
+          </button>
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+/**
+ * The tool calls behind one of Luna's replies, each collapsed to a line
+ * that expands to show what she asked for and what came back.
+ */
+export default function ToolSteps({ steps, onDraftStatus }) {
+  const [open, setOpen] = useState(null);
+
+  return (
+    <div className="space-y-1.5 mb-1.5">
+      {steps.map((step) => {
+        const Icon = step.isError ? AlertCircle : ICONS[step.name] ?? Search;
+        const expanded = open === step.id;
+        return (
+          <div key={step.id} className="rounded-xl border border-purple-50 bg-white/70 px-3 py-2">
+            <button
+              type="button"
+              onClick={(e) => { e.stopPropagation(); setOpen(expanded ? null : step.id); }}
+              className="w-full flex items-center gap-2 text-left"
+            >
+              <Icon className={`w-3.5 h-3.5 flex-shrink-0 ${step.isError ? "text-amber-500" : "text-violet-500"}`} />
+              <span className="flex-1 min-w-0 text-xs text-slate-600 truncate">
+                <span className="font-semibold">{TOOL_LABELS[step.name] ?? step.name}</span>
+                {step.summary && <span className="text-slate-400"> · {step.summary}</span>}
+              </span>
+              <ChevronRight className={`w-3.5 h-3.5 text-slate-300 transition-transform ${expanded ? "rotate-90" : ""}`} />
+            </button>
+
+            {expanded && (
+              <div className="mt-2 space-y-1.5">
+                <p className="text-[10px] font-semibold uppercase tracking-wider text-slate-400">Asked for</p>
+                <pre className="text-[10px] text-slate-500 bg-slate-50 rounded-lg p-2 overflow-x-auto whitespace-pre-wrap">
+                  {JSON.stringify(step.input, null, 2)}
+                </pre>
+                <p className="text-[10px] font-semibold uppercase tracking-wider text-slate-400">Result</p>
+                <pre className="text-[10px] text-slate-500 bg-slate-50 rounded-lg p-2 max-h-48 overflow-auto whitespace-pre-wrap">
+                  {pretty(step.result)}
+                </pre>
+              </div>
+            )}
+
+            {step.draft && (
+              <DraftLogCard
+                draft={step.draft}
+                onStatus={onDraftStatus && ((status) => onDraftStatus(step.id, status))}
+              />
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
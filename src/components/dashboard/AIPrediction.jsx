@@ -8,19 +8,23 @@ import {
   predictNextPeriod,
   getLateStatus,
   detectIrregularity,
+  explainPrediction,
 } from "@/lib/cycleStats";
+import { irregularityOptions } from "@/lib/perimenopause";
+import { requestCycleInsight } from "@/lib/lunaChat";
 
-export default function AIPrediction({ logs, settings, onPrediction }) {
+export default function AIPrediction({ logs, settings, profile, redFlags = [], onPrediction }) {
   const [aiInsight, setAiInsight] = useState(null);
   const [loading, setLoading]     = useState(false);
   const [fetched, setFetched]     = useState(false);
 
   // ── Local stats (instant, no API) ───────────────────────────
-  const cycles      = buildCycles(logs);
+  const cycles      = buildCycles(logs, settings);
   const stats       = computeCycleStats(cycles);
-  const localPred   = predictNextPeriod(cycles, settings);
-  const lateStatus  = getLateStatus(localPred, settings);
-  const irregularity = detectIrregularity(cycles);
+  const localPred   = predictNextPeriod(cycles, settings, logs);
+  const lateStatus  = getLateStatus(localPred, settings, redFlags);
+  const irregularity = detectIrregularity(cycles, irregularityOptions(settings, profile));
+  const explanation = explainPrediction(localPred);
 
   // Bubble prediction up to parent (for CycleWheel arc)
   useEffect(() => {
@@ -41,43 +45,20 @@ export default function AIPrediction({ logs, settings, onPrediction }) {
     setLoading(true);
     setFetched(true);
 
-    const context = periodLogs
-      .map((l) => {
-        let s = `${l.date} (flow: ${l.flow_intensity || "unknown"}`;
-        if (l.stress_level)  s += `, stress: ${l.stress_level}/5`;
-        if (l.sleep_quality) s += `, sleep: ${l.sleep_quality}/5`;
-        if (l.exercise_type && l.exercise_type !== "none") s += `, exercise: ${l.exercise_type}`;
-        return s + ")";
-      })
-      .join(", ");
-
-    const today = format(new Date(), "yyyy-MM-dd");
-
-    fetch("/api/chat", {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
-        systemPrompt: "You are a menstrual cycle prediction AI. Respond ONLY with valid JSON — no explanation, no markdown.",
-        messages: [{
-          role: "user",
-          content: `Based on this period log data, give a short personalised insight.
-
-Period logs: ${context}
-Average cycle: ${settings.average_cycle_length || 28} days
-Last period start: ${settings.last_period_start || "unknown"}
-Today: ${today}
-Local prediction: ${localPred?.predicted_date || "unknown"} (${localPred?.confidence || "unknown"} confidence)
-
-Respond with JSON only:
-{
-  "insight": "One personalised sentence max 15 words about a notable pattern or health tip",
-  "pattern_note": "One sentence about a specific symptom or lifestyle pattern, or null"
-}`,
-        }],
-      }),
+    requestCycleInsight({
+      period_logs: periodLogs.map((l) => ({
+        date:           l.date,
+        flow_intensity: l.flow_intensity,
+        stress_level:   l.stress_level,
+        sleep_quality:  l.sleep_quality,
+        exercise_type:  l.exercise_type,
+      })),
+      average_cycle_length: settings.average_cycle_length || 28,
+      last_period_start:    settings.last_period_start,
+      predicted_date:       localPred?.predicted_date,
+      confidence:           localPred?.confidence,
     })
-      .then((r) => r.json())
-      .then(({ content }) => {
+      .then((content) => {
         try {
           const jsonMatch = content.match(/\{[\s\S]*\}/);
           if (jsonMatch) setAiInsight(JSON.parse(jsonMatch[0]));
@@ -128,6 +109,7 @@ Respond with JSON only:
             animate={{ opacity: 1, y: 0, scale: 1 }}
             exit={{ opacity: 0 }}
             className={`rounded-2xl p-4 border ${
+              lateStatus.severity === "urgent"   ? "bg-red-50 border-red-300" :
               lateStatus.severity === "high"     ? "bg-rose-50 border-rose-200" :
               lateStatus.severity === "moderate" ? "bg-amber-50 border-amber-200" :
               lateStatus.severity === "mild"     ? "bg-yellow-50 border-yellow-200" :
@@ -138,6 +120,7 @@ Respond with JSON only:
               <span className="text-xl mt-0.5">{lateStatus.emoji}</span>
               <div>
                 <p className={`text-sm font-semibold ${
+                  lateStatus.severity === "urgent"   ? "text-red-700" :
                   lateStatus.severity === "high"     ? "text-rose-700" :
                   lateStatus.severity === "moderate" ? "text-amber-700" :
                   lateStatus.severity === "mild"     ? "text-yellow-700" :
@@ -202,6 +185,16 @@ Respond with JSON only:
             </div>
           )}
 
+          {/* Why this date — which signals the prediction used */}
+          {explanation && (
+            <div className="mb-3 bg-white/60 rounded-xl px-3 py-2">
+              <p className="text-[11px] font-semibold text-violet-600">{explanation.summary}</p>
+              {explanation.details.map((d) => (
+                <p key={d} className="text-[10px] text-slate-400 mt-0.5">• {d}</p>
+              ))}
+            </div>
+          )}
+
           {/* AI insight */}
           {loading && (
             <div className="flex items-center gap-1.5 mt-1">
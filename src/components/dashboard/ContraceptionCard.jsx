@@ -0,0 +1,138 @@
+import React, { useState } from "react";
+import { motion } from "framer-motion";
+import { useQueryClient } from "@tanstack/react-query";
+import { Pill, Check, AlertTriangle } from "lucide-react";
+import { addDays, format, parseISO } from "date-fns";
+import { toast } from "sonner";
+import { logPillTaken } from "@/lib/db";
+import { getContraceptionMethod, getPackDay, getMissedPills, isPillTaken } from "@/lib/contraception";
+
+/**
+ * Home screen card for birth control mode. Pill users get the pack tracker:
+ * today's pack day, a strip of the pack so far, and the pill-taken toggle.
+ * Other methods just explain why there's no cycle wheel or prediction.
+ */
+export default function ContraceptionCard({ settings, logs }) {
+  const queryClient = useQueryClient();
+  const [busy, setBusy] = useState(false);
+
+  const method = getContraceptionMethod(settings);
+  if (!method) return null;
+
+  const todayStr = format(new Date(), "yyyy-MM-dd");
+  const pack = getPackDay(settings, todayStr);
+  const takenToday = isPillTaken(logs, todayStr);
+  const missed = pack ? getMissedPills(settings, logs, todayStr) : [];
+
+  const toggleTaken = async () => {
+    setBusy(true);
+    try {
+      await logPillTaken(todayStr, !takenToday);
+      queryClient.invalidateQueries({ queryKey: ["recentLogs"] });
+      queryClient.invalidateQueries({ queryKey: ["cycleLogs"] });
+      queryClient.invalidateQueries({ queryKey: ["dailyLog", todayStr] });
+      if (!takenToday) toast.success("Pill logged 💊");
+    } catch (err) {
+      console.error("Pill log error:", err);
+      toast.error(err.message || "Couldn't log your pill.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // One square per pack day: taken, not logged, placebo, or still to come
+  const packDays = pack
+    ? Array.from({ length: pack.packLength }, (_, i) => {
+        const date = format(addDays(parseISO(pack.packStart), i), "yyyy-MM-dd");
+        const placebo = i >= pack.activeDays;
+        let tone = "bg-slate-100";
+        if (placebo) tone = "bg-rose-100";
+        else if (isPillTaken(logs, date)) tone = "bg-violet-500";
+        else if (missed.includes(date)) tone = "bg-amber-300";
+        return { date, tone, isToday: date === todayStr };
+      })
+    : [];
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 10 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="bg-gradient-to-br from-violet-50 to-rose-50 rounded-2xl p-5 border border-violet-100/50"
+    >
+      <div className="flex items-center gap-2 mb-3">
+        <div className="bg-white w-7 h-7 rounded-lg flex items-center justify-center shadow-sm">
+          <Pill className="w-3.5 h-3.5 text-violet-500" />
+        </div>
+        <div>
+          <p className="text-sm font-semibold text-violet-700">{method.label}</p>
+          {settings.contraception_started && (
+            <p className="text-[10px] text-slate-400">
+              Since {format(parseISO(settings.contraception_started), "MMM d, yyyy")}
+            </p>
+          )}
+        </div>
+      </div>
+
+      {pack ? (
+        <>
+          <div className="flex items-end justify-between mb-3">
+            <div>
+              <p className="text-3xl font-light text-slate-800">Day {pack.packDay}</p>
+              <p className="text-xs text-slate-400 mt-0.5">
+                {pack.isPlacebo
+                  ? `Break week · new pack ${format(parseISO(pack.nextPackStart), "EEE, MMM d")}`
+                  : `of ${pack.packLength} · ${pack.activeDays - pack.packDay} active ${pack.activeDays - pack.packDay === 1 ? "pill" : "pills"} left`}
+              </p>
+            </div>
+            {!pack.isPlacebo && (
+              <button
+                type="button"
+                onClick={toggleTaken}
+                disabled={busy}
+                className={`flex items-center gap-1.5 text-xs font-bold px-3 py-2 rounded-xl transition-colors disabled:opacity-50 ${
+                  takenToday
+                    ? "bg-white text-violet-600 border border-violet-200"
+                    : "bg-violet-500 text-white hover:bg-violet-600"
+                }`}
+              >
+                {takenToday ? <><Check className="w-3.5 h-3.5" /> Taken</> : "Took today's pill"}
+              </button>
+            )}
+          </div>
+
+          <div className="grid grid-cols-7 gap-1 mb-3">
+            {packDays.map((d) => (
+              <div
+                key={d.date}
+                title={d.date}
+                className={`h-2.5 rounded-full ${d.tone} ${d.isToday ? "ring-2 ring-violet-300 ring-offset-1" : ""}`}
+              />
+            ))}
+          </div>
+
+          {missed.length > 0 && (
+            <div className="bg-amber-50 border border-amber-200 rounded-xl px-3 py-2 flex items-start gap-2">
+              <AlertTriangle className="w-3.5 h-3.5 text-amber-500 mt-0.5 flex-shrink-0" />
+              <p className="text-xs text-amber-700">
+                {missed.length === 1
+                  ? `No pill logged for ${format(parseISO(missed[0]), "EEE, MMM d")}.`
+                  : `${missed.length} active pills not logged this week.`}{" "}
+                If you missed {missed.length === 1 ? "it" : "any"}, your pill's leaflet or a pharmacist can tell you what to do.
+              </p>
+            </div>
+          )}
+        </>
+      ) : method.pack ? (
+        <p className="text-xs text-slate-500">
+          Set the day your current pack started in Settings to track your pack and get pill reminders.
+        </p>
+      ) : null}
+
+      <p className="text-[11px] text-slate-400 mt-3">
+        {method.hormonal
+          ? "Your method replaces the natural cycle, so period predictions and fertile windows are off. Any bleeding you log is kept apart from periods."
+          : "Fertile windows are hidden while you use this method."}
+      </p>
+    </motion.div>
+  );
+}
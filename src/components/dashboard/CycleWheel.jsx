@@ -42,6 +42,8 @@ export default function CycleWheel({
   periodLength = 5,
   phase,
   prediction = null,
+  // Off under contraception, where a fertile window would read as a green light
+  showFertile = true,
 }) {
   const percentage = (cycleDay / cycleLength) * 100;
   const radius = 110;
@@ -103,15 +105,17 @@ export default function CycleWheel({
           <circle cx="130" cy="130" r={radius} fill="none" stroke="#F3E8FF" strokeWidth="12" />
 
           {/* Fertile window arc (inner, subtle) */}
-          <PhaseArc
-            startDay={fertileStart}
-            endDay={fertileEnd}
-            cycleLength={cycleLength}
-            radius={radius}
-            strokeWidth={12}
-            color="#34D399"
-            opacity={0.25}
-          />
+          {showFertile && (
+            <PhaseArc
+              startDay={fertileStart}
+              endDay={fertileEnd}
+              cycleLength={cycleLength}
+              radius={radius}
+              strokeWidth={12}
+              color="#34D399"
+              opacity={0.25}
+            />
+          )}
 
           {/* PMS / pre-menstrual window arc */}
           <PhaseArc
@@ -190,10 +194,12 @@ export default function CycleWheel({
         transition={{ delay: 1 }}
         className="flex items-center gap-4 mt-1 flex-wrap justify-center"
       >
-        <span className="flex items-center gap-1.5 text-[10px] text-slate-400">
-          <span className="w-2.5 h-2.5 rounded-full bg-emerald-400 opacity-70" />
-          Fertile window
-        </span>
+        {showFertile && (
+          <span className="flex items-center gap-1.5 text-[10px] text-slate-400">
+            <span className="w-2.5 h-2.5 rounded-full bg-emerald-400 opacity-70" />
+            Fertile window
+          </span>
+        )}
         <span className="flex items-center gap-1.5 text-[10px] text-slate-400">
           <span className="w-2.5 h-2.5 rounded-full bg-amber-400 opacity-70" />
           Pre-menstrual
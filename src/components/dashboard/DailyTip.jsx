@@ -1,73 +1,28 @@
 import React from "react";
 import { motion } from "framer-motion";
-import { Sparkles } from "lucide-react";
+import { Sparkles, Check } from "lucide-react";
+import { format } from "date-fns";
+import { getDailyTip } from "@/lib/dailyTips";
+import { tipMedications } from "@/lib/medications";
+import { useMedications, useMedicationToggle } from "@/hooks/use-medications";
 
-const tips = {
-  period: [
-    {
-      days: [1, 2],
-      title: "Heaviest days",
-      tip: "A heat pad on your lower belly relaxes uterine muscles and eases cramping. Ibuprofen (taken with food) works better than paracetamol for period pain.",
-    },
-    {
-      days: [3, 4],
-      title: "Flow is easing",
-      tip: "Replenish iron lost during your period with spinach, lentils, or red meat. Pair them with vitamin C — it doubles iron absorption.",
-    },
-    {
-      days: [5, 6, 7],
-      title: "Nearly through it",
-      tip: "Light movement like walking or gentle yoga boosts circulation and lifts your mood as your period winds down. You're almost there.",
-    },
-  ],
-  follicular: [
-    "Estrogen is rising — your energy and focus are naturally climbing. This is the best phase to start new habits, tackle hard tasks, or push your workouts.",
-    "Your skin tends to look its best right now thanks to rising estrogen. Stay hydrated and use SPF to make the most of it.",
-    "Social energy is high in the follicular phase. Make plans, have important conversations, and lean into your natural confidence.",
-  ],
-  ovulation: [
-    "You're at peak energy and communication skills. Great day for presentations, difficult conversations, or anything that needs your A-game.",
-    "Your fertile window is open. Clear, stretchy cervical mucus (like egg whites) is your body's natural sign. Stay hydrated and fuel well today.",
-  ],
-  luteal: [
-    "Progesterone is rising — bloating and mood shifts are normal. Cutting back on salt and caffeine this week can make a real difference.",
-    "Magnesium (dark chocolate, nuts, seeds) reduces cramps and mood swings before your period. Start taking it now if PMS is a pattern for you.",
-    "Your body temperature runs slightly higher in the luteal phase. Swap high-intensity cardio for strength training or pilates — you'll feel better for it.",
-    "Cravings for carbs and sweets are driven by progesterone — they're real, not a lack of willpower. Complex carbs like oats and sweet potato satisfy without the crash.",
-  ],
+const PHASE_COLORS = {
+  period:     "text-rose-600",
+  follicular: "text-emerald-600",
+  ovulation:  "text-teal-600",
+  luteal:     "text-amber-600",
 };
 
-function getPeriodTip(cycleDay) {
-  for (const entry of tips.period) {
-    if (entry.days.includes(cycleDay)) return { title: entry.title, tip: entry.tip };
-  }
-  // fallback for longer periods
-  return { title: "Period day", tip: tips.period[2].tip };
-}
-
-const PHASE_LABELS = {
-  period:     { label: "Period Phase",    color: "text-rose-600" },
-  follicular: { label: "Follicular Phase", color: "text-emerald-600" },
-  ovulation:  { label: "Ovulation Phase",  color: "text-teal-600" },
-  luteal:     { label: "Luteal Phase",     color: "text-amber-600" },
-};
-
-export default function DailyTip({ phase, cycleDay = 1 }) {
-  let title = "";
-  let tip = "";
-
-  if (phase === "period") {
-    const periodTip = getPeriodTip(cycleDay);
-    title = periodTip.title;
-    tip = periodTip.tip;
-  } else {
-    const phaseTips = tips[phase] || tips.follicular;
-    const idx = new Date().getDate() % phaseTips.length;
-    tip = phaseTips[idx];
-    title = PHASE_LABELS[phase]?.label || "Daily Tip";
-  }
-
-  const phaseColor = PHASE_LABELS[phase]?.color || "text-violet-700";
+/**
+ * Today's phase tip. When it mentions something on the user's medication
+ * list (ibuprofen, magnesium, iron…) it offers to log it as taken.
+ */
+export default function DailyTip({ phase, cycleDay = 1, periodLength = 5, logs = [] }) {
+  const { title, tip } = getDailyTip(phase, cycleDay, periodLength);
+  const phaseColor = PHASE_COLORS[phase] || "text-violet-700";
+  const todayStr = format(new Date(), "yyyy-MM-dd");
+  const mentioned = tipMedications(tip, useMedications());
+  const { toggle, busyId, isTaken } = useMedicationToggle(logs, todayStr);
 
   return (
     <motion.div
@@ -86,6 +41,25 @@ export default function DailyTip({ phase, cycleDay = 1 }) {
         </div>
       </div>
       <p className="text-sm text-slate-600 leading-relaxed">{tip}</p>
+      {mentioned.length > 0 && (
+        <div className="flex flex-wrap gap-2 mt-3">
+          {mentioned.map((med) => (
+            <button
+              key={med.id}
+              type="button"
+              onClick={() => toggle(med)}
+              disabled={busyId === med.id}
+              className={`flex items-center gap-1.5 text-xs font-semibold px-3 py-1.5 rounded-xl transition-colors disabled:opacity-50 ${
+                isTaken(med.id)
+                  ? "bg-white text-violet-600 border border-violet-200"
+                  : "bg-violet-500 text-white hover:bg-violet-600"
+              }`}
+            >
+              {isTaken(med.id) ? <><Check className="w-3.5 h-3.5" /> {med.name} taken</> : `Log ${med.name}`}
+            </button>
+          ))}
+        </div>
+      )}
     </motion.div>
   );
 }
@@ -0,0 +1,71 @@
+import React from "react";
+import { motion } from "framer-motion";
+import { Pill, Check } from "lucide-react";
+import { format } from "date-fns";
+import { useMedications, useMedicationToggle } from "@/hooks/use-medications";
+import { activeMedications, MEDICATION_KINDS, SCHEDULES } from "@/lib/medications";
+
+/**
+ * Home screen checklist of today's medications and supplements: one tap
+ * logs each as taken. Hidden until the user has added some in Settings.
+ */
+export default function MedicationsCard({ logs }) {
+  const todayStr = format(new Date(), "yyyy-MM-dd");
+  const medications = activeMedications(useMedications());
+  const { toggle, busyId, isTaken } = useMedicationToggle(logs, todayStr);
+
+  if (medications.length === 0) return null;
+
+  const daily = medications.filter((m) => m.schedule === "daily");
+  const takenDaily = daily.filter((m) => isTaken(m.id)).length;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 10 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="bg-white rounded-2xl p-5 border border-purple-50 shadow-sm mb-4"
+    >
+      <div className="flex items-center gap-2 mb-3">
+        <div className="bg-violet-50 w-7 h-7 rounded-lg flex items-center justify-center">
+          <Pill className="w-3.5 h-3.5 text-violet-500" />
+        </div>
+        <p className="text-sm font-semibold text-slate-700 flex-1">Medications</p>
+        {daily.length > 0 && (
+          <span className="text-[10px] font-semibold text-slate-400">
+            {takenDaily} of {daily.length} daily taken
+          </span>
+        )}
+      </div>
+
+      <div className="space-y-2">
+        {medications.map((med) => {
+          const taken = isTaken(med.id);
+          return (
+            <button
+              key={med.id}
+              type="button"
+              onClick={() => toggle(med)}
+              disabled={busyId === med.id}
+              className={`w-full flex items-center gap-3 px-3 py-2.5 rounded-xl border-2 text-left transition-all disabled:opacity-50 ${
+                taken ? "border-violet-300 bg-violet-50" : "border-slate-100 hover:border-slate-200"
+              }`}
+            >
+              <span className="text-lg">{MEDICATION_KINDS[med.kind]?.emoji ?? "💊"}</span>
+              <div className="flex-1 min-w-0">
+                <p className={`text-sm font-medium truncate ${taken ? "text-violet-700" : "text-slate-700"}`}>
+                  {med.name}
+                </p>
+                <p className="text-[11px] text-slate-400 truncate">
+                  {[med.dose, SCHEDULES[med.schedule]].filter(Boolean).join(" · ")}
+                </p>
+              </div>
+              {taken
+                ? <Check className="w-4 h-4 text-violet-500" />
+                : <span className="text-[11px] font-semibold text-slate-400">Took it</span>}
+            </button>
+          );
+        })}
+      </div>
+    </motion.div>
+  );
+}
@@ -0,0 +1,96 @@
+import React from "react";
+import { motion } from "framer-motion";
+import { Link } from "react-router-dom";
+import { Baby, Plus } from "lucide-react";
+import { differenceInDays, format, parseISO } from "date-fns";
+import { createPageUrl } from "@/utils";
+import { getGestation, PREGNANCY_DAYS } from "@/lib/pregnancy";
+
+const TRIMESTERS = { 1: "First trimester", 2: "Second trimester", 3: "Third trimester" };
+
+/**
+ * Takes the CycleWheel's place while cycle tracking is paused: gestational
+ * week and progress to the due date during pregnancy, and afterwards how
+ * long ago it ended until the first period restarts cycle tracking.
+ */
+export default function PregnancyCard({ settings }) {
+  const todayStr = format(new Date(), "yyyy-MM-dd");
+  const gestation = getGestation(settings, todayStr);
+
+  if (!gestation) {
+    const end = settings?.pregnancy_end_date;
+    const weeksSince = end ? Math.floor(differenceInDays(new Date(), parseISO(end)) / 7) : null;
+    return (
+      <motion.div
+        initial={{ opacity: 0, y: 10 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="bg-gradient-to-br from-violet-50 to-rose-50 rounded-2xl p-5 border border-violet-100/50"
+      >
+        <div className="flex items-center gap-2 mb-2">
+          <Baby className="w-4 h-4 text-violet-500" />
+          <p className="text-sm font-semibold text-violet-700">After pregnancy</p>
+        </div>
+        {weeksSince !== null && (
+          <p className="text-3xl font-light text-slate-800 mb-1">
+            {weeksSince} {weeksSince === 1 ? "week" : "weeks"}
+          </p>
+        )}
+        <p className="text-xs text-slate-500 mb-4">
+          Cycles can take a while to come back, especially while breastfeeding. Predictions restart once you log your first period.
+        </p>
+        <Link
+          to={createPageUrl("LogEntry")}
+          className="inline-flex items-center gap-1.5 bg-violet-500 text-white text-xs font-bold px-3 py-2 rounded-xl hover:bg-violet-600 transition-colors"
+        >
+          <Plus className="w-3.5 h-3.5" /> Log first period
+        </Link>
+      </motion.div>
+    );
+  }
+
+  const { week, day, trimester, progress, daysToGo, dueDate } = gestation;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 10 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="bg-gradient-to-br from-violet-50 to-rose-50 rounded-2xl p-5 border border-violet-100/50"
+    >
+      <div className="flex items-center gap-2 mb-3">
+        <Baby className="w-4 h-4 text-violet-500" />
+        <p className="text-sm font-semibold text-violet-700">{TRIMESTERS[trimester]}</p>
+      </div>
+
+      <div className="text-center mb-4">
+        <p className="text-5xl font-light text-slate-800">Week {week}</p>
+        <p className="text-sm text-slate-400 mt-1">
+          {week} {week === 1 ? "week" : "weeks"}, {day} {day === 1 ? "day" : "days"}
+        </p>
+      </div>
+
+      {/* Progress to the due date, with trimester boundaries at weeks 14 and 28 */}
+      <div className="relative h-2.5 bg-white/70 rounded-full overflow-hidden mb-1.5">
+        <motion.div
+          initial={{ width: 0 }}
+          animate={{ width: `${(progress * 100).toFixed(1)}%` }}
+          transition={{ duration: 1, ease: "easeOut" }}
+          className="absolute inset-y-0 left-0 bg-gradient-to-r from-violet-400 to-rose-400 rounded-full"
+        />
+        <div className="absolute inset-y-0 w-px bg-white" style={{ left: `${(98 / PREGNANCY_DAYS) * 100}%` }} />
+        <div className="absolute inset-y-0 w-px bg-white" style={{ left: `${(196 / PREGNANCY_DAYS) * 100}%` }} />
+      </div>
+      <div className="flex justify-between text-[10px] text-slate-400">
+        <span>Due {format(parseISO(dueDate), "MMM d, yyyy")}</span>
+        <span>
+          {daysToGo > 0
+            ? `${daysToGo} ${daysToGo === 1 ? "day" : "days"} to go`
+            : daysToGo === 0 ? "Due today" : `${-daysToGo} ${daysToGo === -1 ? "day" : "days"} past due date`}
+        </span>
+      </div>
+
+      <p className="text-[11px] text-slate-400 mt-3">
+        Period predictions and reminders are paused. You can keep logging symptoms and moods.
+      </p>
+    </motion.div>
+  );
+}
@@ -0,0 +1,304 @@
+import React, { useState } from "react";
+import { motion, AnimatePresence } from "framer-motion";
+import { useQueryClient } from "@tanstack/react-query";
+import { Zap, Loader2, Sparkles, X } from "lucide-react";
+import { format, parseISO } from "date-fns";
+import { toast } from "sonner";
+import FlowPicker from "@/components/log/FlowPicker";
+import { useLogItems } from "@/hooks/use-log-items";
+import { saveLogDraft } from "@/lib/db";
+import { parseQuickLog } from "@/lib/quickLog";
+import { buildLogDraft, MAX_WATER_GLASSES } from "@/lib/logDraft";
+import { requestQuickLog } from "@/lib/lunaChat";
+import { getLogItems, parseSymptom, SEVERITY_LABELS } from "@/lib/logItems";
+
+const inputClass =
+  "w-full rounded-xl border border-purple-100 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-violet-200";
+
+// The editable form of a draft: numbers as input strings
+const toForm = (draft) => ({
+  date: draft.date,
+  flow_intensity: draft.flow_intensity ?? null,
+  symptoms: draft.symptoms ?? [],
+  moods: draft.moods ?? [],
+  sleep_hours: draft.sleep_hours != null ? String(draft.sleep_hours) : "",
+  stress_level: draft.stress_level ?? null,
+  water_intake: draft.water_intake != null ? String(draft.water_intake) : "",
+});
+
+const orNull = (value) => (value === "" ? null : value);
+
+/**
+ * One-line logging from Home: "heavy flow, bad cramps since this morning"
+ * becomes a draft the user can correct before it's saved into that day.
+ * The app's own parser reads it first; Luna only sees notes it can't place,
+ * or when asked to.
+ */
+export default function QuickLogCard() {
+  const queryClient = useQueryClient();
+  const { customItems, label } = useLogItems();
+  const [text, setText] = useState("");
+  const [form, setForm] = useState(null);
+  const [source, setSource] = useState(null);
+  const [keepNote, setKeepNote] = useState(false);
+  const [busy, setBusy] = useState(false);
+
+  const today = format(new Date(), "yyyy-MM-dd");
+  const note = text.trim();
+  const symptomItems = getLogItems("symptom", customItems);
+
+  const showDraft = (input, from) => {
+    setForm(toForm(buildLogDraft(input, customItems, today)));
+    setSource(from);
+  };
+
+  const askLuna = async () => {
+    setBusy(true);
+    try {
+      const input = await requestQuickLog(note, today, customItems);
+      if (!input) throw new Error("Luna couldn't find anything to log in that.");
+      showDraft(input, "luna");
+    } catch (err) {
+      console.error("Quick log error:", err);
+      toast.error(err.message || "Couldn't read that — try the full log.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const read = async () => {
+    if (!note || busy) return;
+    const { input, found } = parseQuickLog(note, { customItems, today });
+    if (found === 0) return askLuna();
+    try {
+      showDraft(input, "local");
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const reset = () => { setForm(null); setSource(null); setText(""); setKeepNote(false); };
+
+  const setSeverity = (raw) => {
+    const { id, severity } = parseSymptom(raw);
+    const next = `${id}:${(severity % 3) + 1}`;
+    setForm((f) => ({ ...f, symptoms: f.symptoms.map((s) => (s === raw ? next : s)) }));
+  };
+
+  const save = async () => {
+    let draft;
+    try {
+      draft = buildLogDraft({
+        ...form,
+        sleep_hours: orNull(form.sleep_hours),
+        water_intake: orNull(form.water_intake),
+        notes: keepNote ? note : undefined,
+      }, customItems, today);
+    } catch (err) {
+      toast.error(err.message);
+      return;
+    }
+    setBusy(true);
+    try {
+      await saveLogDraft(draft);
+      queryClient.invalidateQueries({ queryKey: ["recentLogs"] });
+      queryClient.invalidateQueries({ queryKey: ["cycleSettings"] });
+      queryClient.invalidateQueries({ queryKey: ["cycleLogs"] });
+      queryClient.invalidateQueries({ queryKey: ["dailyLog"] });
+      toast.success(draft.date === today ? "Logged 🌸" : `Logged for ${format(parseISO(draft.date), "MMM d")} 🌸`);
+      reset();
+    } catch (err) {
+      console.error("Quick log save error:", err);
+      toast.error(err.message || "Couldn't save that log.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 10 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="bg-white rounded-2xl p-4 border border-purple-50 shadow-sm mb-4"
+    >
+      <form
+        onSubmit={(e) => { e.preventDefault(); read(); }}
+        className="flex items-center gap-2"
+      >
+        <Zap className="w-4 h-4 text-violet-400 flex-shrink-0" />
+        <input
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          placeholder="Quick log, e.g. heavy flow, bad cramps"
+          disabled={busy || !!form}
+          className="flex-1 min-w-0 text-sm text-slate-700 placeholder:text-slate-300 bg-transparent focus:outline-none"
+        />
+        {!form && (
+          <button
+            type="submit"
+            disabled={busy || !note}
+            className="flex items-center gap-1 text-xs font-semibold text-white bg-violet-600 px-3 py-1.5 rounded-xl disabled:opacity-40"
+          >
+            {busy ? <Loader2 className="w-3.5 h-3.5 animate-spin" /> : "Log"}
+          </button>
+        )}
+      </form>
+
+      <AnimatePresence>
+        {form && (
+          <motion.div
+            initial={{ opacity: 0, height: 0 }}
+            animate={{ opacity: 1, height: "auto" }}
+            exit={{ opacity: 0, height: 0 }}
+            className="overflow-hidden"
+          >
+            <div className="mt-3 pt-3 border-t border-purple-50 space-y-3">
+              <div className="flex items-center gap-2">
+                <input
+                  type="date"
+                  value={form.date}
+                  max={today}
+                  onChange={(e) => e.target.value && setForm((f) => ({ ...f, date: e.target.value }))}
+                  className="text-sm font-medium text-slate-700 bg-white border border-slate-200 rounded-lg px-2 py-1 focus:outline-none focus:border-violet-300"
+                />
+                <span className="flex-1 text-[11px] text-slate-400 text-right">
+                  {source === "luna" ? "Read by Luna" : "Check it before saving"}
+                </span>
+              </div>
+
+              <FlowPicker
+                selected={form.flow_intensity}
+                onChange={(flow_intensity) => setForm((f) => ({ ...f, flow_intensity }))}
+              />
+
+              {(form.symptoms.length > 0 || form.moods.length > 0) && (
+                <div className="flex flex-wrap gap-1.5">
+                  {form.symptoms.map((raw) => {
+                    const { id, severity } = parseSymptom(raw);
+                    const rated = symptomItems.find((i) => i.id === id)?.severity;
+                    return (
+                      <span key={raw} className="flex items-center gap-1 bg-rose-50 text-rose-700 text-xs font-medium pl-2.5 pr-1 py-1 rounded-full">
+                        {label(id)}
+                        {rated && (
+                          <button
+                            type="button"
+                            onClick={() => setSeverity(raw)}
+                            className="text-[10px] font-semibold text-rose-400 hover:text-rose-600"
+                          >
+                            {SEVERITY_LABELS[severity - 1]}
+                          </button>
+                        )}
+                        <button
+                          type="button"
+                          onClick={() => setForm((f) => ({ ...f, symptoms: f.symptoms.filter((s) => s !== raw) }))}
+                          className="p-0.5 text-rose-300 hover:text-rose-500"
+                        >
+                          <X className="w-3 h-3" />
+                        </button>
+                      </span>
+                    );
+                  })}
+                  {form.moods.map((id) => (
+                    <span key={id} className="flex items-center gap-1 bg-violet-50 text-violet-700 text-xs font-medium pl-2.5 pr-1 py-1 rounded-full">
+                      {label(id)}
+                      <button
+                        type="button"
+                        onClick={() => setForm((f) => ({ ...f, moods: f.moods.filter((m) => m !== id) }))}
+                        className="p-0.5 text-violet-300 hover:text-violet-500"
+                      >
+                        <X className="w-3 h-3" />
+                      </button>
+                    </span>
+                  ))}
+                </div>
+              )}
+
+              <div className="grid grid-cols-2 gap-2">
+                <label className="text-[11px] text-slate-400">
+                  Sleep (hours)
+                  <input
+                    type="number"
+                    min="0"
+                    max="24"
+                    step="0.5"
+                    value={form.sleep_hours}
+                    onChange={(e) => setForm((f) => ({ ...f, sleep_hours: e.target.value }))}
+                    className={`${inputClass} mt-1`}
+                  />
+                </label>
+                <label className="text-[11px] text-slate-400">
+                  Water (glasses)
+                  <input
+                    type="number"
+                    min="0"
+                    max={MAX_WATER_GLASSES}
+                    value={form.water_intake}
+                    onChange={(e) => setForm((f) => ({ ...f, water_intake: e.target.value }))}
+                    className={`${inputClass} mt-1`}
+                  />
+                </label>
+              </div>
+
+              <div>
+                <p className="text-[11px] text-slate-400 mb-1">Stress</p>
+                <div className="flex gap-1.5">
+                  {[1, 2, 3, 4, 5].map((v) => (
+                    <button
+                      key={v}
+                      type="button"
+                      onClick={() => setForm((f) => ({ ...f, stress_level: f.stress_level === v ? null : v }))}
+                      className={`flex-1 py-1.5 rounded-lg text-xs font-semibold border-2 transition-all ${
+                        form.stress_level === v ? "border-violet-400 bg-violet-50 text-violet-700" : "border-slate-100 text-slate-400"
+                      }`}
+                    >
+                      {v}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              <label className="flex items-center gap-2 text-xs text-slate-500">
+                <input
+                  type="checkbox"
+                  checked={keepNote}
+                  onChange={(e) => setKeepNote(e.target.checked)}
+                  className="accent-violet-600"
+                />
+                Also save what I wrote as a note
+              </label>
+
+              <div className="flex gap-2">
+                <button
+                  type="button"
+                  onClick={reset}
+                  disabled={busy}
+                  className="px-4 py-2.5 rounded-xl text-xs font-semibold border-2 border-slate-100 text-slate-500"
+                >
+                  Cancel
+                </button>
+                {source === "local" && (
+                  <button
+                    type="button"
+                    onClick={askLuna}
+                    disabled={busy}
+                    className="flex items-center gap-1 px-3 py-2.5 rounded-xl text-xs font-semibold border-2 border-violet-100 text-violet-600"
+                  >
+                    <Sparkles className="w-3.5 h-3.5" /> Ask Luna
+                  </button>
+                )}
+                <button
+                  type="button"
+                  onClick={save}
+                  disabled={busy}
+                  className="flex-1 flex items-center justify-center gap-1 py-2.5 rounded-xl text-xs font-semibold text-white bg-violet-600 disabled:opacity-40"
+                >
+                  {busy && <Loader2 className="w-3.5 h-3.5 animate-spin" />} Save
+                </button>
+              </div>
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </motion.div>
+  );
+}
@@ -0,0 +1,104 @@
+import React, { useState, useMemo } from "react";
+import { motion } from "framer-motion";
+import {
+  LineChart, Line, XAxis, YAxis, Tooltip, ReferenceLine, ResponsiveContainer,
+} from "recharts";
+import { Thermometer } from "lucide-react";
+import { differenceInDays, format, parseISO } from "date-fns";
+import { getBbtReadings, detectThermalShift } from "@/lib/cycleStats";
+import { fromCelsius } from "@/lib/temperature";
+
+export default function BbtChart({ logs, cycles, unit = "C" }) {
+  // Cycles that have at least a few readings, most recent first
+  const bbtCycles = useMemo(() => {
+    return cycles
+      .map((c, i) => {
+        const readings = getBbtReadings(logs, c.startObj, cycles[i + 1]?.startObj);
+        return { cycle: c, readings, shift: detectThermalShift(readings) };
+      })
+      .filter((c) => c.readings.length >= 3)
+      .reverse()
+      .slice(0, 6);
+  }, [logs, cycles]);
+
+  const [selected, setSelected] = useState(0);
+  if (bbtCycles.length === 0) return null;
+
+  const { cycle, readings, shift } = bbtCycles[Math.min(selected, bbtCycles.length - 1)];
+  const data = readings.map((r) => ({
+    day: differenceInDays(r.dateObj, cycle.startObj) + 1,
+    temp: fromCelsius(r.temp, unit),
+    date: r.date,
+  }));
+  const coverline = shift ? fromCelsius(shift.coverline, unit) : null;
+  const ovulationDay = shift
+    ? differenceInDays(shift.ovulationObj, cycle.startObj) + 1
+    : null;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 15 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.13 }}
+      className="bg-white rounded-2xl p-5 border border-purple-50 shadow-sm mb-4"
+    >
+      <div className="flex items-center justify-between mb-1">
+        <div className="flex items-center gap-2">
+          <Thermometer className="w-4 h-4 text-teal-500" />
+          <h3 className="text-sm font-bold text-slate-700">Basal Body Temperature</h3>
+        </div>
+        {bbtCycles.length > 1 && (
+          <div className="flex bg-slate-100 rounded-xl p-0.5">
+            {bbtCycles.map((c, i) => (
+              <button
+                key={c.cycle.start}
+                onClick={() => setSelected(i)}
+                className={`text-[11px] font-semibold px-2 py-1 rounded-lg transition-all ${
+                  selected === i ? "bg-white text-teal-600 shadow-sm" : "text-slate-400"
+                }`}
+              >
+                C{c.cycle.index}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+      <p className="text-[11px] text-slate-400 mb-3">
+        Cycle from {format(cycle.startObj, "MMM d")} · {readings.length} readings
+      </p>
+
+      <ResponsiveContainer width="100%" height={180}>
+        <LineChart data={data} margin={{ left: -16, right: 8, top: 4, bottom: 0 }}>
+          <XAxis dataKey="day" type="number" domain={["dataMin", "dataMax"]} tick={{ fontSize: 10, fill: "#94A3B8" }} />
+          <YAxis domain={["dataMin - 0.2", "dataMax + 0.2"]} tick={{ fontSize: 10, fill: "#94A3B8" }} tickFormatter={(v) => v.toFixed(1)} />
+          <Tooltip
+            contentStyle={{ borderRadius: 12, border: "1px solid #CCFBF1", fontSize: 12 }}
+            labelFormatter={(d) => `Cycle day ${d}`}
+            formatter={(val) => [`${Number(val).toFixed(2)}°${unit}`, "BBT"]}
+          />
+          {coverline !== null && (
+            <ReferenceLine y={coverline} stroke="#F59E0B" strokeDasharray="4 3" label={{ value: "coverline", position: "insideTopLeft", fontSize: 9, fill: "#F59E0B" }} />
+          )}
+          {ovulationDay !== null && (
+            <ReferenceLine x={ovulationDay} stroke="#14B8A6" strokeDasharray="2 2" />
+          )}
+          <Line type="monotone" dataKey="temp" stroke="#14B8A6" strokeWidth={2} dot={{ r: 2.5 }} />
+        </LineChart>
+      </ResponsiveContainer>
+
+      <div className="mt-3 pt-2 border-t border-slate-50">
+        {shift ? (
+          <p className="text-xs text-teal-700">
+            <span className="font-semibold">Ovulation confirmed</span> around{" "}
+            {format(parseISO(shift.ovulationDate), "MMM d")} (cycle day {ovulationDay}) — sustained rise from{" "}
+            {format(parseISO(shift.shiftDate), "MMM d")}.
+          </p>
+        ) : (
+          <p className="text-xs text-slate-400">
+            No sustained temperature rise yet. Ovulation is confirmed after 3 readings above the previous 6.
+          </p>
+        )}
+      </div>
+    </motion.div>
+  );
+}
@@ -0,0 +1,84 @@
+import React, { useMemo } from "react";
+import { motion } from "framer-motion";
+import { Pill } from "lucide-react";
+import { useMedications } from "@/hooks/use-medications";
+import { computeMedicationEffects, MEDICATION_KINDS, MIN_COMPARE_DAYS } from "@/lib/medications";
+
+const cap = (s) => s.charAt(0).toUpperCase() + s.slice(1);
+
+/**
+ * Symptom load on days each medication was taken against days it wasn't.
+ * A comparison, not proof: an as-needed painkiller is taken on bad days,
+ * so the footnote says so when one is listed.
+ */
+export default function MedicationEffects({ logs, customItems }) {
+  const medications = useMedications();
+  const effects = useMemo(
+    () => computeMedicationEffects(logs, medications, customItems),
+    [logs, medications, customItems]
+  );
+
+  if (effects.length === 0) return null;
+  const asNeeded = effects.some((e) => e.enough && e.medication.schedule === "as_needed");
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 15 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.09 }}
+      className="bg-white rounded-2xl p-5 border border-purple-50 shadow-sm mb-4"
+    >
+      <div className="flex items-center gap-2 mb-1">
+        <Pill className="w-4 h-4 text-violet-500" />
+        <h3 className="text-sm font-bold text-slate-700">Medications & Symptoms</h3>
+      </div>
+      <p className="text-[11px] text-slate-400 mb-4">
+        Average symptom severity on days you logged symptoms, with and without each one.
+      </p>
+
+      <div className="space-y-4">
+        {effects.map((e) => (
+          <div key={e.medication.id}>
+            <div className="flex items-center gap-2 mb-1.5">
+              <span className="text-base">{MEDICATION_KINDS[e.medication.kind]?.emoji ?? "💊"}</span>
+              <span className="text-sm font-semibold text-slate-700 flex-1 truncate">{e.medication.name}</span>
+              <span className="text-[10px] text-slate-400">{e.withDays} days with · {e.withoutDays} without</span>
+            </div>
+
+            {!e.enough ? (
+              <p className="text-xs text-slate-400">
+                Needs at least {MIN_COMPARE_DAYS} days with symptoms logged both with and without it.
+              </p>
+            ) : (
+              <>
+                <div className="grid grid-cols-2 gap-2 mb-2">
+                  <div className="bg-violet-50 rounded-xl px-3 py-2">
+                    <p className="text-[10px] text-violet-400 font-semibold uppercase tracking-wider">With</p>
+                    <p className="text-lg font-bold text-violet-700">{e.avgWith}</p>
+                  </div>
+                  <div className="bg-slate-50 rounded-xl px-3 py-2">
+                    <p className="text-[10px] text-slate-400 font-semibold uppercase tracking-wider">Without</p>
+                    <p className="text-lg font-bold text-slate-600">{e.avgWithout}</p>
+                  </div>
+                </div>
+                {e.symptoms.map((s) => (
+                  <div key={s.symptom} className="flex items-center justify-between py-1 text-xs">
+                    <span className="text-slate-600">{cap(s.symptom)}</span>
+                    <span className={s.change < 0 ? "text-emerald-600 font-semibold" : "text-rose-500 font-semibold"}>
+                      {s.avgWithout} → {s.avgWith}
+                    </span>
+                  </div>
+                ))}
+              </>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <p className="text-[10px] text-slate-300 mt-3">
+        Severity adds up every symptom that day, 1 for mild to 3 for severe.
+        {asNeeded && " As-needed medicines tend to be taken on worse days, so they can look worse than they are."}
+      </p>
+    </motion.div>
+  );
+}
@@ -0,0 +1,122 @@
+import React, { useMemo } from "react";
+import { motion } from "framer-motion";
+import { BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer } from "recharts";
+import { Flame } from "lucide-react";
+import { format, parseISO } from "date-fns";
+import { detectSkippedCycles } from "@/lib/cycleStats";
+import {
+  computeYearlyTrends, getMenopauseMilestone, vasomotorByMonth, summariseVasomotor, MENOPAUSE_MONTHS,
+} from "@/lib/perimenopause";
+
+/**
+ * Perimenopause mode's view of the long run: time since the last period
+ * towards the 12-month menopause milestone, cycle length and flow year by
+ * year, and hot flashes by month.
+ */
+export default function PerimenopauseTrends({ logs, cycles, settings }) {
+  const years     = useMemo(() => computeYearlyTrends(cycles, detectSkippedCycles(cycles)), [cycles]);
+  const milestone = useMemo(() => getMenopauseMilestone(logs, settings), [logs, settings]);
+  const monthly   = useMemo(() => vasomotorByMonth(logs), [logs]);
+  const recent    = useMemo(() => summariseVasomotor(logs), [logs]);
+  const hasVasomotor = monthly.some((m) => m.days > 0);
+
+  if (!milestone && years.length === 0 && !hasVasomotor) return null;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 15 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.08 }}
+      className="bg-white rounded-2xl p-5 border border-purple-50 shadow-sm mb-4"
+    >
+      <div className="flex items-center gap-2 mb-4">
+        <Flame className="w-4 h-4 text-orange-500" />
+        <h3 className="text-sm font-bold text-slate-700">Perimenopause</h3>
+      </div>
+
+      {/* ── Months since the last period ── */}
+      {milestone && (
+        <div className="mb-5">
+          <div className="flex items-baseline justify-between mb-1.5">
+            <span className="text-xs text-slate-500">Since your last period</span>
+            <span className="text-sm font-bold text-slate-800">
+              {milestone.monthsSince} of {MENOPAUSE_MONTHS} months
+            </span>
+          </div>
+          <div className="h-2 bg-slate-100 rounded-full overflow-hidden">
+            <motion.div
+              initial={{ width: 0 }}
+              animate={{ width: `${milestone.progress * 100}%` }}
+              transition={{ duration: 0.8, ease: "easeOut" }}
+              className={`h-full rounded-full ${milestone.reached ? "bg-emerald-400" : "bg-gradient-to-r from-orange-300 to-rose-400"}`}
+            />
+          </div>
+          <p className="text-[11px] text-slate-400 mt-1.5">
+            {milestone.reached
+              ? `12 months without a period since ${format(parseISO(milestone.lastPeriod), "MMM d, yyyy")}, which marks menopause. Bleeding from now on is worth mentioning to a doctor.`
+              : `Last period ${format(parseISO(milestone.lastPeriod), "MMM d, yyyy")} (${milestone.daysSince} days ago). Twelve months without one marks menopause.`}
+          </p>
+        </div>
+      )}
+
+      {/* ── Year by year ── */}
+      {years.length > 0 && (
+        <div className="mb-5">
+          <p className="text-[10px] text-slate-400 font-semibold uppercase tracking-wider mb-2">Year by year</p>
+          {years.some((y) => y.avgCycleLength) && (
+            <ResponsiveContainer width="100%" height={140}>
+              <BarChart data={years} margin={{ left: -20, right: 4, top: 4, bottom: 0 }}>
+                <XAxis dataKey="year" tick={{ fontSize: 10, fill: "#94A3B8" }} />
+                <YAxis tick={{ fontSize: 10, fill: "#94A3B8" }} />
+                <Tooltip
+                  contentStyle={{ borderRadius: 12, border: "1px solid #FED7AA", fontSize: 12 }}
+                  formatter={(val) => [`${val} days`, "Avg cycle"]}
+                />
+                <Bar dataKey="avgCycleLength" fill="#FB923C" radius={[6, 6, 0, 0]} />
+              </BarChart>
+            </ResponsiveContainer>
+          )}
+          <div className="divide-y divide-slate-50 mt-2">
+            {years.slice().reverse().map((y) => (
+              <div key={y.year} className="flex items-center justify-between py-2 text-xs">
+                <span className="font-semibold text-slate-700 w-12">{y.year}</span>
+                <span className="text-slate-500 flex-1">
+                  {y.cycles} {y.cycles === 1 ? "period" : "periods"}
+                  {y.skipped > 0 && <span className="text-orange-500"> · {y.skipped} skipped</span>}
+                </span>
+                <span className="text-slate-500 w-16 text-right">{y.avgCycleLength ? `${y.avgCycleLength}d` : "—"}</span>
+                <span className="text-slate-400 w-16 text-right">{y.flowLabel ?? "—"}</span>
+              </div>
+            ))}
+          </div>
+          <p className="text-[10px] text-slate-300 mt-1">Average cycle length and typical flow, leaving out skipped cycles</p>
+        </div>
+      )}
+
+      {/* ── Hot flashes ── */}
+      {hasVasomotor && (
+        <div>
+          <p className="text-[10px] text-slate-400 font-semibold uppercase tracking-wider mb-2">Hot flashes per day</p>
+          <ResponsiveContainer width="100%" height={120}>
+            <BarChart data={monthly} margin={{ left: -20, right: 4, top: 4, bottom: 0 }}>
+              <XAxis dataKey="label" tick={{ fontSize: 10, fill: "#94A3B8" }} interval={1} />
+              <YAxis tick={{ fontSize: 10, fill: "#94A3B8" }} allowDecimals={false} />
+              <Tooltip
+                contentStyle={{ borderRadius: 12, border: "1px solid #FED7AA", fontSize: 12 }}
+                formatter={(val, _name, item) => [`${val ?? 0} a day (${item.payload.days} days logged)`, "Hot flashes"]}
+              />
+              <Bar dataKey="avgPerDay" fill="#F97316" radius={[6, 6, 0, 0]} />
+            </BarChart>
+          </ResponsiveContainer>
+          {recent && (
+            <p className="text-xs text-slate-500 mt-2">
+              Last 30 days: <span className="font-semibold text-orange-600">{recent.avgPerDay}</span> a day on average,
+              up to {recent.maxPerDay} on the worst day
+              {recent.nightSweatNights > 0 && `, and night sweats on ${recent.nightSweatNights} ${recent.nightSweatNights === 1 ? "night" : "nights"}`}.
+            </p>
+          )}
+        </div>
+      )}
+    </motion.div>
+  );
+}
@@ -0,0 +1,68 @@
+import React from "react";
+import { motion } from "framer-motion";
+
+const MUCUS_TYPES = [
+  { id: "dry",       emoji: "🏜️", label: "Dry",       desc: "Nothing noticeable" },
+  { id: "sticky",    emoji: "🧴", label: "Sticky",    desc: "Tacky, crumbly" },
+  { id: "creamy",    emoji: "🥛", label: "Creamy",    desc: "Lotion-like" },
+  { id: "watery",    emoji: "💧", label: "Watery",    desc: "Wet, slippery" },
+  { id: "egg_white", emoji: "🥚", label: "Egg White", desc: "Clear, stretchy" },
+];
+
+const TEST_RESULTS = [
+  { id: "negative", label: "Negative", active: "border-slate-300 bg-slate-50 text-slate-700" },
+  { id: "high",     label: "High",     active: "border-fuchsia-300 bg-fuchsia-50 text-fuchsia-700" },
+  { id: "peak",     label: "Peak",     active: "border-fuchsia-500 bg-fuchsia-100 text-fuchsia-800" },
+];
+
+export default function FertilityPicker({ mucus, onMucusChange, test, onTestChange }) {
+  return (
+    <div className="space-y-5">
+      <div>
+        <p className="text-xs font-semibold text-slate-500 uppercase tracking-wider mb-2">Cervical mucus</p>
+        <div className="grid grid-cols-5 gap-1.5">
+          {MUCUS_TYPES.map((m, i) => (
+            <motion.button
+              key={m.id}
+              initial={{ opacity: 0, y: 10 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ delay: i * 0.04 }}
+              onClick={() => onMucusChange(mucus === m.id ? null : m.id)}
+              className={`flex flex-col items-center py-3 px-1 rounded-2xl border-2 transition-all ${
+                mucus === m.id
+                  ? "border-sky-300 bg-sky-50 shadow-sm"
+                  : "border-slate-100 bg-white hover:border-slate-200"
+              }`}
+            >
+              <span className="text-lg mb-1">{m.emoji}</span>
+              <span className="text-[11px] font-medium text-slate-600 text-center leading-tight">{m.label}</span>
+            </motion.button>
+          ))}
+        </div>
+        {mucus && (
+          <p className="text-[11px] text-slate-400 text-center mt-2">
+            {MUCUS_TYPES.find((m) => m.id === mucus)?.desc}
+          </p>
+        )}
+      </div>
+
+      <div>
+        <p className="text-xs font-semibold text-slate-500 uppercase tracking-wider mb-2">Ovulation (LH) test</p>
+        <div className="grid grid-cols-3 gap-2">
+          {TEST_RESULTS.map((t) => (
+            <button
+              key={t.id}
+              onClick={() => onTestChange(test === t.id ? null : t.id)}
+              className={`py-2.5 rounded-xl text-xs font-semibold border-2 transition-all ${
+                test === t.id ? t.active : "border-slate-100 text-slate-500 hover:border-slate-200 bg-white"
+              }`}
+            >
+              {t.label}
+            </button>
+          ))}
+        </div>
+        <p className="text-[11px] text-slate-400 text-center mt-2">Skip if you didn't test today</p>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,43 @@
+import React from "react";
+import { Check } from "lucide-react";
+import { MEDICATION_KINDS } from "@/lib/medications";
+
+/**
+ * Which of the user's medications and supplements were taken that day.
+ * Stopped ones still show when the day already has them ticked.
+ */
+export default function MedicationPicker({ medications, selected, onChange }) {
+  const shown = medications.filter((m) => m.active !== false || selected.includes(m.id));
+  if (shown.length === 0) return null;
+
+  const toggle = (id) =>
+    onChange(selected.includes(id) ? selected.filter((s) => s !== id) : [...selected, id]);
+
+  return (
+    <div>
+      <p className="text-xs font-semibold text-slate-500 uppercase tracking-wider mb-2">Medications taken</p>
+      <div className="grid grid-cols-2 gap-2">
+        {shown.map((med) => {
+          const on = selected.includes(med.id);
+          return (
+            <button
+              key={med.id}
+              type="button"
+              onClick={() => toggle(med.id)}
+              className={`flex items-center gap-2 px-3 py-2.5 rounded-2xl border-2 text-left transition-all ${
+                on ? "border-violet-400 bg-violet-50" : "border-slate-100 bg-white hover:border-slate-200"
+              }`}
+            >
+              <span className="text-base">{MEDICATION_KINDS[med.kind]?.emoji ?? "💊"}</span>
+              <div className="flex-1 min-w-0">
+                <p className={`text-xs font-semibold truncate ${on ? "text-violet-700" : "text-slate-600"}`}>{med.name}</p>
+                {med.dose && <p className="text-[10px] text-slate-400 truncate">{med.dose}</p>}
+              </div>
+              {on && <Check className="w-3.5 h-3.5 text-violet-500 flex-shrink-0" />}
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -1,35 +1,12 @@
 import React from "react";
 import { motion } from "framer-motion";
-
-const MOODS = [
-  { id: "happy",             emoji: "😊", label: "Happy" },
-  { id: "calm",              emoji: "😌", label: "Calm" },
-  { id: "energetic",         emoji: "⚡", label: "Energetic" },
-  { id: "frisky",            emoji: "😏", label: "Frisky" },
-  { id: "mood_swings",       emoji: "🎭", label: "Mood Swings" },
-  { id: "irritated",         emoji: "😤", label: "Irritated" },
-  { id: "sad",               emoji: "😢", label: "Sad" },
-  { id: "anxious",           emoji: "😰", label: "Anxious" },
-  { id: "depressed",         emoji: "😞", label: "Depressed" },
-  { id: "feeling_guilty",    emoji: "😔", label: "Feeling Guilty" },
-  { id: "obsessive_thoughts",emoji: "🔄", label: "Obsessive Thoughts" },
-  { id: "low_energy",        emoji: "🔋", label: "Low Energy" },
-  { id: "apathetic",         emoji: "😑", label: "Apathetic" },
-  { id: "confused",          emoji: "😕", label: "Confused" },
-  { id: "very_self_critical",emoji: "😣", label: "Very Self-Critical" },
-  { id: "confident",         emoji: "💪", label: "Confident" },
-  { id: "grateful",          emoji: "🙏", label: "Grateful" },
-  { id: "focused",           emoji: "🎯", label: "Focused" },
-  { id: "sensitive",         emoji: "🥺", label: "Sensitive" },
-  { id: "overwhelmed",       emoji: "🌊", label: "Overwhelmed" },
-  { id: "lonely",            emoji: "🌧️", label: "Lonely" },
-  { id: "frustrated",        emoji: "😩", label: "Frustrated" },
-  { id: "unmotivated",       emoji: "😶", label: "Unmotivated" },
-  { id: "foggy",             emoji: "🌫️", label: "Brain Fog" },
-  { id: "restless",          emoji: "🦋", label: "Restless" },
-];
+import { useLogItems } from "@/hooks/use-log-items";
+import { getLogItems } from "@/lib/logItems";
 
 export default function MoodPicker({ selected = [], onChange }) {
+  const { customItems, settings } = useLogItems();
+  const moods = getLogItems("mood", customItems, settings, selected);
+
   const toggle = (id) => {
     onChange(selected.includes(id) ? selected.filter((s) => s !== id) : [...selected, id]);
   };
@@ -37,7 +14,7 @@ export default function MoodPicker({ selected = [], onChange }) {
   return (
     <div className="space-y-3">
       <div className="grid grid-cols-3 gap-2">
-        {MOODS.map((m, i) => (
+        {moods.map((m, i) => (
           <motion.button
             key={m.id}
             initial={{ opacity: 0, scale: 0.9 }}
@@ -55,9 +32,9 @@ export default function MoodPicker({ selected = [], onChange }) {
           </motion.button>
         ))}
       </div>
-      {selected.length > 0 && (
-        <p className="text-xs text-slate-400 text-center">Tap to deselect</p>
-      )}
+      <p className="text-xs text-slate-400 text-center">
+        {selected.length > 0 ? "Tap to deselect" : "Add your own moods in Settings"}
+      </p>
     </div>
   );
 }
@@ -1,51 +1,28 @@
 import React, { useState } from "react";
 import { motion, AnimatePresence } from "framer-motion";
-
-const SYMPTOMS = [
-  { id: "everything_fine",    emoji: "👍", label: "Everything is Fine" },
-  { id: "cramps",             emoji: "🤕", label: "Cramps" },
-  { id: "tender_breasts",     emoji: "💗", label: "Tender Breasts" },
-  { id: "headache",           emoji: "🤯", label: "Headache" },
-  { id: "acne",               emoji: "😣", label: "Acne" },
-  { id: "backache",           emoji: "💆", label: "Backache" },
-  { id: "fatigue",            emoji: "😴", label: "Fatigue" },
-  { id: "cravings",           emoji: "🍫", label: "Cravings" },
-  { id: "insomnia",           emoji: "🌙", label: "Insomnia" },
-  { id: "abdominal_pain",     emoji: "🫃", label: "Abdominal Pain" },
-  { id: "vaginal_itching",    emoji: "⚠️", label: "Vaginal Itching" },
-  { id: "vaginal_dryness",    emoji: "💧", label: "Vaginal Dryness" },
-  { id: "bloating",           emoji: "🎈", label: "Bloating" },
-  { id: "nausea",             emoji: "🤢", label: "Nausea" },
-  { id: "hot_flashes",        emoji: "🔥", label: "Hot Flashes" },
-  { id: "dizziness",          emoji: "💫", label: "Dizziness" },
-  { id: "joint_pain",         emoji: "🦴", label: "Joint Pain" },
-  { id: "migraine",           emoji: "⚡", label: "Migraine" },
-];
-
-const SEVERITY_LABELS = ["Mild", "Moderate", "Severe"];
-
-// Stored as "id:severity" e.g. "cramps:2"
-function parseSymptom(s) {
-  const [id, sev] = s.split(":");
-  return { id, severity: sev ? parseInt(sev) : 1 };
-}
+import { useLogItems } from "@/hooks/use-log-items";
+import { getLogItems, parseSymptom, SEVERITY_LABELS } from "@/lib/logItems";
 
 export default function SymptomPicker({ selected = [], onChange }) {
   const [severityTarget, setSeverityTarget] = useState(null);
+  const { customItems, settings } = useLogItems();
 
   const selectedMap = {};
   selected.forEach((s) => {
     const { id, severity } = parseSymptom(s);
     selectedMap[id] = severity;
   });
+  // Hidden built-ins stay visible on a day that already has them
+  const symptoms = getLogItems("symptom", customItems, settings, Object.keys(selectedMap));
 
-  const toggle = (id) => {
+  const toggle = (item) => {
+    const { id } = item;
     if (selectedMap[id] !== undefined) {
       onChange(selected.filter((s) => !s.startsWith(id + ":")));
       if (severityTarget === id) setSeverityTarget(null);
     } else {
       onChange([...selected, `${id}:1`]);
-      setSeverityTarget(id);
+      setSeverityTarget(item.severity ? id : null);
     }
   };
 
@@ -57,9 +34,9 @@ export default function SymptomPicker({ selected = [], onChange }) {
   return (
     <div className="space-y-3">
       <div className="grid grid-cols-3 gap-2">
-        {SYMPTOMS.map((s, i) => {
+        {symptoms.map((s, i) => {
           const isSelected = selectedMap[s.id] !== undefined;
-          const severity = selectedMap[s.id];
+          const severity = s.severity ? selectedMap[s.id] : 1;
           const severityColor = severity === 1 ? "border-amber-200 bg-amber-50" : severity === 2 ? "border-orange-300 bg-orange-50" : "border-rose-400 bg-rose-50";
 
           return (
@@ -68,14 +45,14 @@ export default function SymptomPicker({ selected = [], onChange }) {
               initial={{ opacity: 0, scale: 0.9 }}
               animate={{ opacity: 1, scale: 1 }}
               transition={{ delay: i * 0.03 }}
-              onClick={() => toggle(s.id)}
+              onClick={() => toggle(s)}
               className={`flex flex-col items-center py-3 px-2 rounded-2xl border-2 transition-all relative ${
                 isSelected ? severityColor + " shadow-sm" : "border-slate-100 bg-white hover:border-slate-200"
               }`}
             >
               <span className="text-xl mb-1">{s.emoji}</span>
               <span className="text-xs font-medium text-slate-600 text-center leading-tight">{s.label}</span>
-              {isSelected && (
+              {isSelected && s.severity && (
                 <span className="absolute top-1 right-1.5 text-[9px] font-bold text-slate-500">
                   {severity === 1 ? "mild" : severity === 2 ? "mod" : "sev"}
                 </span>
@@ -95,7 +72,7 @@ export default function SymptomPicker({ selected = [], onChange }) {
             className="bg-white rounded-2xl border border-slate-100 p-4 shadow-sm"
           >
             <p className="text-xs font-semibold text-slate-500 mb-3 uppercase tracking-wider">
-              How severe is your {SYMPTOMS.find((s) => s.id === severityTarget)?.label}?
+              How severe is your {symptoms.find((s) => s.id === severityTarget)?.label}?
             </p>
             <div className="grid grid-cols-3 gap-2">
               {SEVERITY_LABELS.map((label, i) => (
@@ -118,9 +95,9 @@ export default function SymptomPicker({ selected = [], onChange }) {
         )}
       </AnimatePresence>
 
-      {selected.length > 0 && (
-        <p className="text-xs text-slate-400 text-center">Tap a symptom again to deselect</p>
-      )}
+      <p className="text-xs text-slate-400 text-center">
+        {selected.length > 0 ? "Tap a symptom again to deselect" : "Add your own symptoms in Settings"}
+      </p>
     </div>
   );
 }
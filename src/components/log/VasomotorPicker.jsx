@@ -0,0 +1,61 @@
+import React from "react";
+import { Minus, Plus } from "lucide-react";
+import { MAX_VASOMOTOR_COUNT } from "@/lib/perimenopause";
+
+const COUNTERS = [
+  { field: "hot_flash_count",   emoji: "🔥", label: "Hot flashes",  desc: "Today" },
+  { field: "night_sweat_count", emoji: "💦", label: "Night sweats", desc: "Last night" },
+];
+
+/**
+ * Steppers for how many hot flashes and night sweats there were. A counter
+ * left untouched stays null, which isn't the same as logging zero.
+ */
+export default function VasomotorPicker({ values, onChange }) {
+  const step = (field, delta) => {
+    const next = Math.min(MAX_VASOMOTOR_COUNT, Math.max(0, (values[field] ?? 0) + delta));
+    onChange({ ...values, [field]: next });
+  };
+
+  return (
+    <div>
+      <p className="text-xs font-semibold text-slate-500 uppercase tracking-wider mb-2">How many?</p>
+      <div className="grid grid-cols-2 gap-2">
+        {COUNTERS.map((c) => {
+          const value = values[c.field];
+          return (
+            <div key={c.field} className="bg-white rounded-2xl border-2 border-slate-100 px-3 py-2.5">
+              <div className="flex items-center gap-1.5 mb-2">
+                <span className="text-base">{c.emoji}</span>
+                <div>
+                  <p className="text-xs font-semibold text-slate-700 leading-tight">{c.label}</p>
+                  <p className="text-[10px] text-slate-400">{c.desc}</p>
+                </div>
+              </div>
+              <div className="flex items-center justify-between">
+                <button
+                  type="button"
+                  onClick={() => step(c.field, -1)}
+                  disabled={!value}
+                  className="w-8 h-8 rounded-xl bg-slate-50 flex items-center justify-center text-slate-500 disabled:opacity-40"
+                >
+                  <Minus className="w-3.5 h-3.5" />
+                </button>
+                <span className={`text-lg font-bold ${value == null ? "text-slate-300" : "text-orange-600"}`}>
+                  {value ?? "–"}
+                </span>
+                <button
+                  type="button"
+                  onClick={() => step(c.field, 1)}
+                  className="w-8 h-8 rounded-xl bg-orange-50 flex items-center justify-center text-orange-500"
+                >
+                  <Plus className="w-3.5 h-3.5" />
+                </button>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,147 @@
+import React, { useEffect, useState, useSyncExternalStore } from "react";
+import { motion } from "framer-motion";
+import { Lock, Fingerprint, Delete, StickyNote } from "lucide-react";
+import { useAuth } from "@/lib/AuthContext";
+import {
+  isAppLocked, subscribeAppLock, getAppLockConfig, getAppTitle, isDisguised, applyDisguise,
+  unlockWithPin, unlockWithPasskey, getCooldownSeconds, disableAppLock, startIdleLock,
+  PIN_MIN_LENGTH, PIN_MAX_LENGTH,
+} from "@/lib/appLock";
+
+const KEYS = ["1", "2", "3", "4", "5", "6", "7", "8", "9", "", "0", "del"];
+
+function LockScreen() {
+  const { logout } = useAuth();
+  const config = getAppLockConfig();
+  const disguised = isDisguised();
+  const [pin, setPin] = useState("");
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [cooldown, setCooldown] = useState(getCooldownSeconds);
+
+  useEffect(() => {
+    if (cooldown <= 0) return;
+    const timer = setTimeout(() => setCooldown(getCooldownSeconds()), 1000);
+    return () => clearTimeout(timer);
+  }, [cooldown]);
+
+  const submit = async (value) => {
+    setBusy(true);
+    const ok = await unlockWithPin(value);
+    setBusy(false);
+    if (ok) return;
+    setPin("");
+    setCooldown(getCooldownSeconds());
+    setError("Wrong PIN");
+  };
+
+  const press = (key) => {
+    if (busy || cooldown > 0) return;
+    setError("");
+    if (key === "del") {
+      setPin((p) => p.slice(0, -1));
+      return;
+    }
+    if (pin.length < PIN_MAX_LENGTH) setPin(pin + key);
+  };
+
+  const unlockPasskey = async () => {
+    setError("");
+    if (!(await unlockWithPasskey())) setError("Passkey wasn't verified");
+  };
+
+  // Forgotten PIN: signing back in with the account password resets the lock
+  const forgotPin = async () => {
+    disableAppLock();
+    await logout();
+  };
+
+  return (
+    <div className="min-h-screen flex flex-col items-center justify-center px-6 max-w-lg mx-auto" style={{ background: disguised ? "#f8fafc" : "linear-gradient(160deg, #faf5ff 0%, #fff0f8 100%)" }}>
+      <motion.div initial={{ opacity: 0, y: -20 }} animate={{ opacity: 1, y: 0 }} className="text-center mb-8">
+        <div className={`w-16 h-16 rounded-full flex items-center justify-center mx-auto mb-4 shadow-xl ${
+          disguised ? "bg-slate-700 shadow-slate-200" : "bg-gradient-to-br from-violet-500 to-pink-500 shadow-violet-200"
+        }`}>
+          {disguised ? <StickyNote className="w-7 h-7 text-white" /> : <Lock className="w-7 h-7 text-white" />}
+        </div>
+        <h1 className="text-2xl font-bold text-slate-800 mb-1">{getAppTitle()}</h1>
+        <p className="text-slate-400 text-sm">Enter your PIN</p>
+      </motion.div>
+
+      <div className="flex gap-3 mb-3 h-4">
+        {Array.from({ length: Math.max(4, pin.length) }, (_, i) => (
+          <span
+            key={i}
+            className={`w-3.5 h-3.5 rounded-full border-2 transition-all ${
+              i < pin.length ? "bg-slate-700 border-slate-700" : "border-slate-300"
+            }`}
+          />
+        ))}
+      </div>
+      <p className="text-xs text-rose-500 h-4 mb-4">
+        {cooldown > 0 ? `Too many attempts — try again in ${cooldown}s` : error}
+      </p>
+
+      <div className="grid grid-cols-3 gap-3 w-full max-w-[280px]">
+        {KEYS.map((key, i) =>
+          key === "" ? (
+            config?.passkey_id ? (
+              <button
+                key={i}
+                type="button"
+                onClick={unlockPasskey}
+                aria-label="Unlock with passkey"
+                className="h-16 rounded-2xl flex items-center justify-center text-violet-600 hover:bg-white/70 transition-all"
+              >
+                <Fingerprint className="w-6 h-6" />
+              </button>
+            ) : <span key={i} />
+          ) : (
+            <button
+              key={i}
+              type="button"
+              onClick={() => press(key)}
+              disabled={cooldown > 0}
+              aria-label={key === "del" ? "Delete" : key}
+              className="h-16 rounded-2xl bg-white border border-slate-100 shadow-sm text-xl font-semibold text-slate-700 flex items-center justify-center active:scale-95 transition-all disabled:opacity-40"
+            >
+              {key === "del" ? <Delete className="w-5 h-5 text-slate-400" /> : key}
+            </button>
+          )
+        )}
+      </div>
+
+      <button
+        type="button"
+        onClick={() => submit(pin)}
+        disabled={busy || cooldown > 0 || pin.length < PIN_MIN_LENGTH}
+        className={`mt-5 w-full max-w-[280px] h-12 rounded-2xl text-white text-sm font-semibold disabled:opacity-40 ${
+          disguised ? "bg-slate-700" : "bg-gradient-to-r from-violet-600 to-purple-700 shadow-lg shadow-violet-200"
+        }`}
+      >
+        {busy ? "Checking…" : "Unlock"}
+      </button>
+
+      <button type="button" onClick={forgotPin} className="mt-4 text-xs text-slate-400 hover:text-slate-600">
+        Forgot PIN? Sign out
+      </button>
+    </div>
+  );
+}
+
+/**
+ * Optional PIN / passkey lock in front of the whole signed-in app. Runs the
+ * idle timer while unlocked and keeps the tab title in sync with disguise mode.
+ */
+export default function AppLockGate({ children }) {
+  const { user } = useAuth();
+  const locked = useSyncExternalStore(subscribeAppLock, isAppLocked);
+
+  useEffect(() => {
+    applyDisguise();
+    return startIdleLock();
+  }, []);
+
+  if (user && locked) return <LockScreen />;
+  return children;
+}
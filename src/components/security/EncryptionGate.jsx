@@ -0,0 +1,165 @@
+import React, { useState, useSyncExternalStore } from "react";
+import { useQuery, useQueryClient } from "@tanstack/react-query";
+import { motion } from "framer-motion";
+import { Lock, KeyRound, ShieldCheck } from "lucide-react";
+import { getEncryptionKeys, saveEncryptionKeys } from "@/lib/db";
+import {
+  getEncryptionKeysCache, isUnlocked, subscribeEncryption,
+  unlockWithPassphrase, unlockWithRecoveryCode, rewrapForPassphrase, lock,
+  MIN_PASSPHRASE_LENGTH,
+} from "@/lib/encryption";
+import { useAuth } from "@/lib/AuthContext";
+
+const inputClass =
+  "w-full px-4 py-3 bg-slate-50 border border-purple-100 rounded-2xl text-sm focus:outline-none focus:ring-2 focus:ring-violet-200 focus:border-violet-300 transition-all";
+
+function UnlockScreen({ record }) {
+  const { logout } = useAuth();
+  const queryClient = useQueryClient();
+  const [mode, setMode] = useState("passphrase"); // "passphrase" | "recovery"
+  const [passphrase, setPassphrase] = useState("");
+  const [code, setCode] = useState("");
+  const [newPassphrase, setNewPassphrase] = useState("");
+  const [confirm, setConfirm] = useState("");
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const handleUnlock = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError("");
+    try {
+      if (mode === "passphrase") {
+        if (!(await unlockWithPassphrase(record, passphrase))) {
+          setError("That passphrase doesn't match.");
+          return;
+        }
+      } else {
+        if (newPassphrase.length < MIN_PASSPHRASE_LENGTH) {
+          setError(`Choose a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters.`);
+          return;
+        }
+        if (newPassphrase !== confirm) {
+          setError("The new passphrases don't match.");
+          return;
+        }
+        if (!(await unlockWithRecoveryCode(record, code))) {
+          setError("That recovery code doesn't match.");
+          return;
+        }
+        // Recovered — protect the same data key with the new passphrase
+        try {
+          await saveEncryptionKeys({ ...record, ...(await rewrapForPassphrase(newPassphrase)) });
+        } catch (err) {
+          lock();
+          throw err;
+        }
+      }
+      // Everything fetched while locked came back without its encrypted fields
+      queryClient.invalidateQueries();
+    } catch (err) {
+      setError(err.message || "Something went wrong. Please try again.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex flex-col items-center justify-center px-6 max-w-lg mx-auto" style={{ background: "linear-gradient(160deg, #faf5ff 0%, #fff0f8 100%)" }}>
+      <motion.div initial={{ opacity: 0, y: -20 }} animate={{ opacity: 1, y: 0 }} className="text-center mb-8">
+        <div className="w-20 h-20 rounded-full bg-gradient-to-br from-violet-500 to-pink-500 flex items-center justify-center mx-auto mb-4 shadow-xl shadow-violet-200">
+          <Lock className="w-9 h-9 text-white" />
+        </div>
+        <h1 className="text-2xl font-bold text-slate-800 mb-1">Your data is encrypted</h1>
+        <p className="text-slate-400 text-sm">
+          {mode === "passphrase" ? "Enter your passphrase to unlock it on this device" : "Use your recovery code to set a new passphrase"}
+        </p>
+      </motion.div>
+
+      <motion.form
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        onSubmit={handleUnlock}
+        className="w-full bg-white rounded-3xl p-6 shadow-xl shadow-violet-100 border border-purple-50 space-y-4"
+      >
+        {mode === "passphrase" ? (
+          <input
+            type="password"
+            value={passphrase}
+            onChange={(e) => setPassphrase(e.target.value)}
+            placeholder="Passphrase"
+            autoFocus
+            className={inputClass}
+          />
+        ) : (
+          <>
+            <input
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              placeholder="XXXX-XXXX-XXXX-XXXX-XXXX-XXXX"
+              autoCapitalize="characters"
+              autoComplete="off"
+              className={`${inputClass} font-mono`}
+            />
+            <input
+              type="password"
+              value={newPassphrase}
+              onChange={(e) => setNewPassphrase(e.target.value)}
+              placeholder="New passphrase"
+              className={inputClass}
+            />
+            <input
+              type="password"
+              value={confirm}
+              onChange={(e) => setConfirm(e.target.value)}
+              placeholder="Confirm new passphrase"
+              className={inputClass}
+            />
+          </>
+        )}
+
+        {error && (
+          <p className="text-sm text-rose-500 bg-rose-50 border border-rose-100 rounded-xl px-3 py-2">{error}</p>
+        )}
+
+        <button
+          type="submit"
+          disabled={busy || (mode === "passphrase" ? !passphrase : !code)}
+          className="w-full h-12 rounded-2xl bg-gradient-to-r from-violet-600 to-purple-700 text-white text-sm font-semibold shadow-lg shadow-violet-200 disabled:opacity-50 flex items-center justify-center gap-2"
+        >
+          {mode === "passphrase" ? <ShieldCheck className="w-4 h-4" /> : <KeyRound className="w-4 h-4" />}
+          {busy ? "Unlocking…" : mode === "passphrase" ? "Unlock" : "Recover & unlock"}
+        </button>
+
+        <div className="flex justify-between text-xs">
+          <button
+            type="button"
+            onClick={() => { setMode(mode === "passphrase" ? "recovery" : "passphrase"); setError(""); }}
+            className="text-violet-500 hover:text-violet-700 font-medium"
+          >
+            {mode === "passphrase" ? "Forgot passphrase?" : "← Back to passphrase"}
+          </button>
+          <button type="button" onClick={logout} className="text-slate-400 hover:text-slate-600">
+            Sign out
+          </button>
+        </div>
+      </motion.form>
+    </div>
+  );
+}
+
+/**
+ * Holds the app behind an unlock screen while end-to-end encryption is on
+ * and the data key isn't in memory yet (every fresh page load).
+ */
+export default function EncryptionGate({ children }) {
+  const unlocked = useSyncExternalStore(subscribeEncryption, isUnlocked);
+  const { data: record } = useQuery({
+    queryKey: ["encryptionKeys"],
+    queryFn: getEncryptionKeys,
+    initialData: getEncryptionKeysCache,
+  });
+
+  if (record && !unlocked) return <UnlockScreen record={record} />;
+  return children;
+}
@@ -0,0 +1,237 @@
+import React, { useEffect, useState, useSyncExternalStore } from "react";
+import { LockKeyhole, Fingerprint, EyeOff } from "lucide-react";
+import { toast } from "sonner";
+import { useAuth } from "@/lib/AuthContext";
+import {
+  getAppLockConfig, getAppLockVersion, subscribeAppLock, updateAppLockConfig,
+  setPin, verifyPin, isValidPin, disableAppLock, lockApp,
+  isPasskeySupported, registerPasskey, removePasskey,
+  IDLE_OPTIONS, DEFAULT_IDLE_MINUTES, PIN_MIN_LENGTH, PIN_MAX_LENGTH, DISGUISE_TITLE,
+} from "@/lib/appLock";
+
+const pinInputClass =
+  "w-full rounded-xl border border-purple-100 px-3 py-2 text-sm tracking-[0.3em] focus:outline-none focus:ring-2 focus:ring-violet-200";
+
+const digitsOnly = (v) => v.replace(/\D/g, "").slice(0, PIN_MAX_LENGTH);
+
+function Toggle({ on, onClick, label }) {
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      aria-label={label}
+      aria-pressed={on}
+      className={`w-12 h-6 rounded-full transition-all duration-200 relative flex-shrink-0 ${
+        on ? "bg-violet-500" : "bg-slate-200"
+      }`}
+    >
+      <div className={`absolute top-0.5 left-0.5 w-5 h-5 bg-white rounded-full shadow transition-transform duration-200 ${
+        on ? "translate-x-6" : "translate-x-0"
+      }`} />
+    </button>
+  );
+}
+
+export default function AppLockSection() {
+  const { user } = useAuth();
+  // Re-read the device config whenever it changes
+  useSyncExternalStore(subscribeAppLock, getAppLockVersion);
+  const config = getAppLockConfig();
+  const enabled = !!config?.pin_hash;
+
+  const [flow, setFlow] = useState(null); // "set" | "change" | "disable" | null
+  const [current, setCurrent] = useState("");
+  const [pin, setPinValue] = useState("");
+  const [confirm, setConfirm] = useState("");
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [passkeySupported, setPasskeySupported] = useState(false);
+
+  useEffect(() => {
+    isPasskeySupported().then(setPasskeySupported);
+  }, []);
+
+  const reset = () => {
+    setFlow(null); setCurrent(""); setPinValue(""); setConfirm(""); setError(""); setBusy(false);
+  };
+
+  const submit = async () => {
+    setBusy(true);
+    setError("");
+    try {
+      if (flow !== "set" && !(await verifyPin(current))) {
+        setError("Your current PIN is incorrect.");
+        return;
+      }
+      if (flow === "disable") {
+        disableAppLock();
+        toast.success("App lock turned off");
+        reset();
+        return;
+      }
+      if (!isValidPin(pin)) {
+        setError(`Use ${PIN_MIN_LENGTH}–${PIN_MAX_LENGTH} digits.`);
+        return;
+      }
+      if (pin !== confirm) {
+        setError("The PINs don't match.");
+        return;
+      }
+      await setPin(pin);
+      toast.success(flow === "set" ? "App lock is on" : "PIN changed");
+      reset();
+    } catch (err) {
+      setError(err.message || "Something went wrong.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const togglePasskey = async () => {
+    if (config?.passkey_id) {
+      removePasskey();
+      return;
+    }
+    try {
+      await registerPasskey(user?.email);
+      toast.success("Passkey added");
+    } catch (err) {
+      if (err?.name !== "NotAllowedError") toast.error(err.message || "Couldn't add a passkey");
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-2xl p-5 border border-purple-50 shadow-sm">
+      <div className="flex items-center gap-2 mb-1">
+        <LockKeyhole className="w-4 h-4 text-violet-500" />
+        <h3 className="text-sm font-bold text-slate-700">App Lock</h3>
+        {enabled && (
+          <span className="ml-auto text-[10px] font-semibold bg-emerald-50 text-emerald-600 px-2 py-0.5 rounded-full border border-emerald-100">
+            On
+          </span>
+        )}
+      </div>
+      <p className="text-xs text-slate-400 mb-4">
+        Ask for a PIN{passkeySupported ? " or passkey" : ""} before anything is shown on this device.
+      </p>
+
+      {!enabled && !flow && (
+        <button
+          type="button"
+          onClick={() => setFlow("set")}
+          className="w-full py-2.5 rounded-xl text-xs font-semibold border-2 border-violet-100 text-violet-700 hover:bg-violet-50 transition-all"
+        >
+          Set a PIN
+        </button>
+      )}
+
+      {enabled && !flow && (
+        <div className="space-y-4">
+          <div>
+            <p className="text-xs font-semibold text-slate-600 mb-2">Auto-lock</p>
+            <div className="grid grid-cols-5 gap-1.5">
+              {IDLE_OPTIONS.map((o) => {
+                const active = (config.idle_minutes ?? DEFAULT_IDLE_MINUTES) === o.minutes;
+                return (
+                  <button
+                    key={o.minutes}
+                    type="button"
+                    onClick={() => updateAppLockConfig({ idle_minutes: o.minutes })}
+                    className={`py-1.5 rounded-lg text-[10px] font-semibold border-2 transition-all ${
+                      active ? "border-violet-400 bg-violet-50 text-violet-700" : "border-slate-100 text-slate-500"
+                    }`}
+                  >
+                    {o.label.replace("After ", "")}
+                  </button>
+                );
+              })}
+            </div>
+          </div>
+
+          {passkeySupported && (
+            <div className="flex items-center justify-between">
+              <div className="flex items-center gap-2">
+                <Fingerprint className="w-4 h-4 text-slate-400" />
+                <div>
+                  <p className="text-xs font-semibold text-slate-600">Unlock with passkey</p>
+                  <p className="text-[11px] text-slate-400">Face ID, fingerprint or device PIN</p>
+                </div>
+              </div>
+              <Toggle on={!!config.passkey_id} onClick={togglePasskey} label="Unlock with passkey" />
+            </div>
+          )}
+
+          <div className="grid grid-cols-3 gap-2">
+            <button
+              type="button"
+              onClick={lockApp}
+              className="py-2.5 rounded-xl text-xs font-semibold border-2 border-violet-100 text-violet-700 hover:bg-violet-50 transition-all"
+            >
+              Lock now
+            </button>
+            <button
+              type="button"
+              onClick={() => setFlow("change")}
+              className="py-2.5 rounded-xl text-xs font-semibold border-2 border-slate-100 text-slate-600 hover:bg-slate-50 transition-all"
+            >
+              Change PIN
+            </button>
+            <button
+              type="button"
+              onClick={() => setFlow("disable")}
+              className="py-2.5 rounded-xl text-xs font-semibold border-2 border-slate-100 text-slate-500 hover:bg-slate-50 transition-all"
+            >
+              Turn off
+            </button>
+          </div>
+        </div>
+      )}
+
+      {flow && (
+        <div className="space-y-2">
+          {flow !== "set" && (
+            <input type="password" inputMode="numeric" autoComplete="off" value={current}
+              onChange={(e) => setCurrent(digitsOnly(e.target.value))} placeholder="Current PIN" className={pinInputClass} />
+          )}
+          {flow !== "disable" && (
+            <>
+              <input type="password" inputMode="numeric" autoComplete="off" value={pin}
+                onChange={(e) => setPinValue(digitsOnly(e.target.value))} placeholder={`New PIN (${PIN_MIN_LENGTH}–${PIN_MAX_LENGTH} digits)`} className={pinInputClass} />
+              <input type="password" inputMode="numeric" autoComplete="off" value={confirm}
+                onChange={(e) => setConfirm(digitsOnly(e.target.value))} placeholder="Confirm PIN" className={pinInputClass} />
+            </>
+          )}
+          {error && (
+            <p className="text-xs text-rose-600 bg-rose-50 border border-rose-100 rounded-xl px-3 py-2">{error}</p>
+          )}
+          <div className="flex gap-2 pt-1">
+            <button type="button" onClick={reset} disabled={busy}
+              className="flex-1 py-2.5 rounded-xl text-xs font-semibold border border-slate-200 text-slate-500">
+              Cancel
+            </button>
+            <button type="button" onClick={submit} disabled={busy}
+              className="flex-1 py-2.5 rounded-xl text-xs font-semibold text-white bg-violet-600 disabled:opacity-40">
+              {busy ? "Working…" : { set: "Turn on", change: "Change PIN", disable: "Turn off" }[flow]}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Disguise works with or without the lock */}
+      <div className="flex items-center justify-between mt-4 pt-4 border-t border-slate-50">
+        <div className="flex items-center gap-2">
+          <EyeOff className="w-4 h-4 text-slate-400" />
+          <div>
+            <p className="text-xs font-semibold text-slate-600">Disguise mode</p>
+            <p className="text-[11px] text-slate-400">Shows the app as "{DISGUISE_TITLE}" and hides notification text</p>
+          </div>
+        </div>
+        <Toggle
+          on={!!config?.disguise}
+          onClick={() => updateAppLockConfig({ disguise: !config?.disguise })}
+          label="Disguise mode"
+        />
+      </div>
+    </div>
+  );
+}
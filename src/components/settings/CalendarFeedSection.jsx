@@ -0,0 +1,225 @@
+import React, { useEffect, useState } from "react";
+import { useQuery, useQueryClient } from "@tanstack/react-query";
+import { CalendarDays, Copy, RefreshCw } from "lucide-react";
+import { toast } from "sonner";
+import { getCalendarFeed, saveCalendarFeed, rotateCalendarFeedToken, deleteCalendarFeed } from "@/lib/db";
+import { TITLE_PRESETS, DEFAULT_FEED_OPTIONS } from "@/lib/calendarFeed";
+
+const inputClass =
+  "w-full rounded-xl border border-purple-100 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-violet-200";
+
+const TITLE_FIELDS = [
+  { key: "calendar_name", label: "Calendar name" },
+  { key: "period_title",  label: "Period days" },
+  { key: "fertile_title", label: "Fertile window" },
+];
+
+const pickOptions = (source) => ({
+  calendar_name:   source.calendar_name,
+  period_title:    source.period_title,
+  fertile_title:   source.fertile_title,
+  include_fertile: source.include_fertile ?? true,
+});
+
+// Which preset the titles match, or "custom"
+const presetOf = (options) =>
+  Object.keys(TITLE_PRESETS).find((id) =>
+    TITLE_FIELDS.every(({ key }) => TITLE_PRESETS[id][key] === options[key])
+  ) ?? "custom";
+
+const feedUrl = (token) => `${window.location.origin}/api/calendar-feed?token=${token}`;
+
+/**
+ * Secret ICS feed for Google / Apple / Outlook calendars: create it, pick the
+ * event titles, copy the link, and rotate or revoke the token.
+ */
+export default function CalendarFeedSection() {
+  const queryClient = useQueryClient();
+  const { data: feed, isLoading } = useQuery({
+    queryKey: ["calendarFeed"],
+    queryFn: getCalendarFeed,
+  });
+
+  const [options, setOptions] = useState(DEFAULT_FEED_OPTIONS);
+  const [flow, setFlow] = useState(null); // "rotate" | "revoke" | null
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    if (feed) setOptions(pickOptions(feed));
+  }, [feed]);
+
+  const preset = presetOf(options);
+  const dirty = !!feed && Object.entries(pickOptions(feed)).some(([key, value]) => options[key] !== value);
+
+  // "Custom" just means editing the fields below
+  const applyPreset = (id) => {
+    const titles = TITLE_PRESETS[id];
+    if (!titles) return;
+    setOptions({ ...pickOptions(titles), include_fertile: options.include_fertile });
+  };
+
+  const run = async (action, success) => {
+    setBusy(true);
+    try {
+      const data = await action();
+      queryClient.setQueryData(["calendarFeed"], data ?? null);
+      toast.success(success);
+      setFlow(null);
+    } catch (err) {
+      console.error("Calendar feed error:", err);
+      toast.error("Couldn't update your calendar feed.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const save = () => {
+    if (TITLE_FIELDS.some(({ key }) => !options[key]?.trim())) {
+      toast.error("Give every title some text.");
+      return;
+    }
+    run(() => saveCalendarFeed(pickOptions(options)), feed ? "Calendar titles saved" : "Calendar feed created");
+  };
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(feedUrl(feed.token));
+      toast.success("Link copied");
+    } catch {
+      toast.error("Couldn't copy — select the link and copy it instead.");
+    }
+  };
+
+  if (isLoading) return null;
+
+  return (
+    <div className="bg-white rounded-2xl p-5 border border-purple-50 shadow-sm">
+      <div className="flex items-center gap-2 mb-1">
+        <CalendarDays className="w-4 h-4 text-violet-500" />
+        <h3 className="text-sm font-bold text-slate-700">Calendar Feed</h3>
+        {feed && (
+          <span className="ml-auto text-[10px] font-semibold bg-emerald-50 text-emerald-600 px-2 py-0.5 rounded-full border border-emerald-100">
+            On
+          </span>
+        )}
+      </div>
+      <p className="text-xs text-slate-400 mb-4">
+        Periods, predictions and fertile windows in Google, Apple or Outlook calendar. Anyone with the link can see it.
+      </p>
+
+      {/* Event titles */}
+      <p className="text-xs font-semibold text-slate-600 mb-2">Event titles</p>
+      <div className="grid grid-cols-3 gap-1.5 mb-3">
+        {[...Object.keys(TITLE_PRESETS), "custom"].map((id) => (
+          <button
+            key={id}
+            type="button"
+            onClick={() => applyPreset(id)}
+            className={`py-1.5 rounded-lg text-[11px] font-semibold border-2 transition-all ${
+              preset === id ? "border-violet-400 bg-violet-50 text-violet-700" : "border-slate-100 text-slate-500"
+            }`}
+          >
+            {TITLE_PRESETS[id]?.label ?? "Custom"}
+          </button>
+        ))}
+      </div>
+      <div className="space-y-2 mb-3">
+        {TITLE_FIELDS.map(({ key, label }) => (
+          <label key={key} className="flex items-center gap-3">
+            <span className="text-[11px] text-slate-500 w-24 flex-shrink-0">{label}</span>
+            <input
+              value={options[key]}
+              maxLength={60}
+              onChange={(e) => setOptions({ ...options, [key]: e.target.value })}
+              className={inputClass}
+            />
+          </label>
+        ))}
+        <label className="flex items-center gap-2 pt-1">
+          <input
+            type="checkbox"
+            checked={options.include_fertile}
+            onChange={(e) => setOptions({ ...options, include_fertile: e.target.checked })}
+            className="accent-violet-600"
+          />
+          <span className="text-xs text-slate-600">Include fertile windows</span>
+        </label>
+      </div>
+
+      {(!feed || dirty) && (
+        <button
+          type="button"
+          onClick={save}
+          disabled={busy}
+          className="w-full py-2.5 rounded-xl text-xs font-semibold border-2 border-violet-100 text-violet-700 hover:bg-violet-50 transition-all disabled:opacity-40"
+        >
+          {busy ? "Saving…" : feed ? "Save titles" : "Create feed link"}
+        </button>
+      )}
+
+      {feed && !flow && (
+        <div className="space-y-2 mt-3">
+          <div className="flex gap-2">
+            <input readOnly value={feedUrl(feed.token)} onFocus={(e) => e.target.select()} className={`${inputClass} text-xs text-slate-500`} />
+            <button
+              type="button"
+              onClick={copyLink}
+              aria-label="Copy feed link"
+              className="px-3 rounded-xl border-2 border-violet-100 text-violet-700 hover:bg-violet-50"
+            >
+              <Copy className="w-4 h-4" />
+            </button>
+          </div>
+          <a
+            href={feedUrl(feed.token).replace(/^https?:/, "webcal:")}
+            className="block text-center py-2.5 rounded-xl text-xs font-semibold text-white bg-violet-600"
+          >
+            Subscribe in calendar app
+          </a>
+          <div className="grid grid-cols-2 gap-2">
+            <button
+              type="button"
+              onClick={() => setFlow("rotate")}
+              className="py-2.5 rounded-xl text-xs font-semibold border-2 border-slate-100 text-slate-600 hover:bg-slate-50 transition-all flex items-center justify-center gap-1.5"
+            >
+              <RefreshCw className="w-3.5 h-3.5" /> New link
+            </button>
+            <button
+              type="button"
+              onClick={() => setFlow("revoke")}
+              className="py-2.5 rounded-xl text-xs font-semibold border-2 border-slate-100 text-slate-500 hover:bg-slate-50 transition-all"
+            >
+              Turn off
+            </button>
+          </div>
+        </div>
+      )}
+
+      {feed && flow && (
+        <div className="mt-3 space-y-2">
+          <p className="text-xs text-slate-600 bg-amber-50 border border-amber-100 rounded-xl px-3 py-2">
+            {flow === "rotate"
+              ? "The current link stops working. Calendars subscribed to it need the new link."
+              : "The link stops working and subscribed calendars stop updating."}
+          </p>
+          <div className="flex gap-2">
+            <button type="button" onClick={() => setFlow(null)} disabled={busy}
+              className="flex-1 py-2.5 rounded-xl text-xs font-semibold border border-slate-200 text-slate-500">
+              Cancel
+            </button>
+            <button
+              type="button"
+              disabled={busy}
+              onClick={() => flow === "rotate"
+                ? run(rotateCalendarFeedToken, "New link created")
+                : run(async () => { await deleteCalendarFeed(); return null; }, "Calendar feed turned off")}
+              className="flex-1 py-2.5 rounded-xl text-xs font-semibold text-white bg-violet-600 disabled:opacity-40"
+            >
+              {busy ? "Working…" : flow === "rotate" ? "Create new link" : "Turn off"}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
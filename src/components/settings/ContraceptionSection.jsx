@@ -0,0 +1,103 @@
+import React from "react";
+import { format } from "date-fns";
+import { Pill } from "lucide-react";
+import DatePicker from "@/components/ui/DatePicker";
+import { CONTRACEPTION_METHODS, PACK_LAYOUTS } from "@/lib/contraception";
+
+/**
+ * Contraception profile in the Settings form: the method, when it started,
+ * and for pills the pack layout and the day the current pack started. Saved
+ * with the rest of the form.
+ */
+export default function ContraceptionSection({ form, setForm }) {
+  const method = CONTRACEPTION_METHODS[form.contraception_method] ?? null;
+
+  const selectMethod = (id) => {
+    const next = CONTRACEPTION_METHODS[id];
+    setForm({
+      ...form,
+      contraception_method: id,
+      // Bleeds are classified from this day on, so default to today
+      contraception_started: id ? form.contraception_started || format(new Date(), "yyyy-MM-dd") : "",
+      pill_active_days:  next?.pack ? next.activeDays  : form.pill_active_days,
+      pill_placebo_days: next?.pack ? next.placeboDays : form.pill_placebo_days,
+    });
+  };
+
+  return (
+    <div className="bg-white rounded-2xl p-5 border border-purple-50 shadow-sm space-y-4">
+      <div className="flex items-center gap-2">
+        <Pill className="w-4 h-4 text-violet-500" />
+        <h3 className="text-sm font-bold text-slate-700">Contraception</h3>
+      </div>
+
+      <div className="grid grid-cols-2 gap-2">
+        {["", ...Object.keys(CONTRACEPTION_METHODS)].map((id) => (
+          <button
+            key={id || "none"}
+            type="button"
+            onClick={() => selectMethod(id)}
+            className={`py-2 rounded-xl text-xs font-semibold border-2 transition-all ${
+              form.contraception_method === id
+                ? "border-violet-400 bg-violet-50 text-violet-700"
+                : "border-slate-100 text-slate-500 hover:border-slate-200"
+            }`}
+          >
+            {CONTRACEPTION_METHODS[id]?.label ?? "None"}
+          </button>
+        ))}
+      </div>
+
+      {method && (
+        <DatePicker
+          label="Started on"
+          value={form.contraception_started}
+          onChange={(v) => setForm({ ...form, contraception_started: v })}
+          maxDate={new Date()}
+          placeholder="Pick start date"
+        />
+      )}
+
+      {method?.pack && (
+        <>
+          <div className="space-y-2">
+            <p className="text-xs font-semibold text-slate-500 uppercase tracking-wide">Pack</p>
+            <div className="grid grid-cols-3 gap-2">
+              {PACK_LAYOUTS.map((layout) => (
+                <button
+                  key={layout.label}
+                  type="button"
+                  onClick={() => setForm({ ...form, pill_active_days: layout.activeDays, pill_placebo_days: layout.placeboDays })}
+                  className={`py-2 rounded-xl text-xs font-semibold border-2 transition-all ${
+                    Number(form.pill_active_days) === layout.activeDays && Number(form.pill_placebo_days) === layout.placeboDays
+                      ? "border-violet-400 bg-violet-50 text-violet-700"
+                      : "border-slate-100 text-slate-500 hover:border-slate-200"
+                  }`}
+                >
+                  {layout.label}
+                </button>
+              ))}
+            </div>
+            <p className="text-xs text-slate-400">Active pills + placebo or pill-free days</p>
+          </div>
+
+          <DatePicker
+            label="Current Pack Started"
+            value={form.pill_pack_start}
+            onChange={(v) => setForm({ ...form, pill_pack_start: v })}
+            maxDate={new Date()}
+            placeholder="Pick day 1 of this pack"
+          />
+        </>
+      )}
+
+      {method && (
+        <p className="text-xs text-slate-400">
+          {method.hormonal
+            ? "Period predictions and fertile windows are turned off, and bleeding you log from the start date on is saved as a withdrawal or breakthrough bleed."
+            : "Fertile windows are hidden. Your period predictions carry on as before."}
+        </p>
+      )}
+    </div>
+  );
+}
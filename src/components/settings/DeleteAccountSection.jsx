@@ -0,0 +1,117 @@
+import React, { useState } from "react";
+import { Trash2, Download, AlertTriangle } from "lucide-react";
+import { toast } from "sonner";
+import { getAllCycleLogs, getCycleSettings, getCustomLogItems, getMedications } from "@/lib/db";
+import { buildExportBundle, downloadJson } from "@/lib/exportData";
+import { useAuth } from "@/lib/AuthContext";
+
+const CONFIRM_WORD = "DELETE";
+
+export default function DeleteAccountSection() {
+  const { deleteAccount } = useAuth();
+  const [open, setOpen] = useState(false);
+  const [typed, setTyped] = useState("");
+  const [exporting, setExporting] = useState(false);
+  const [deleting, setDeleting] = useState(false);
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      const [logs, settings, customItems, medications] = await Promise.all([
+        getAllCycleLogs(), getCycleSettings(), getCustomLogItems(), getMedications(),
+      ]);
+      downloadJson(buildExportBundle(logs, settings, null, customItems, medications));
+    } catch {
+      toast.error("Export failed. Check your connection and try again.");
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    setDeleting(true);
+    try {
+      await deleteAccount();
+      // AuthContext clears the user, which sends the app back to Login
+    } catch (err) {
+      toast.error(err.message || "Couldn't delete your account.");
+      setDeleting(false);
+    }
+  };
+
+  const close = () => { setOpen(false); setTyped(""); };
+
+  return (
+    <div className="bg-white rounded-2xl p-5 border border-rose-100 shadow-sm">
+      <div className="flex items-center gap-2 mb-1">
+        <Trash2 className="w-4 h-4 text-rose-500" />
+        <h3 className="text-sm font-bold text-slate-700">Delete Account</h3>
+      </div>
+      <p className="text-xs text-slate-400">
+        Permanently erase your account and all cycle data from our servers and this device.
+      </p>
+
+      {!open ? (
+        <button
+          type="button"
+          onClick={() => setOpen(true)}
+          className="mt-4 w-full py-2.5 rounded-xl text-xs font-semibold border-2 border-rose-100 text-rose-600 hover:bg-rose-50 transition-all"
+        >
+          Delete my account and all data
+        </button>
+      ) : (
+        <div className="mt-4 space-y-3">
+          <div className="flex gap-2 bg-rose-50 border border-rose-100 rounded-xl p-3">
+            <AlertTriangle className="w-4 h-4 text-rose-500 flex-shrink-0 mt-0.5" />
+            <div className="text-xs text-rose-700 space-y-1">
+              <p className="font-semibold">This can't be undone.</p>
+              <p>Your profile, settings, every period, symptom and mood log, and your Luna chat history will be deleted. We keep no backup.</p>
+            </div>
+          </div>
+
+          <button
+            type="button"
+            onClick={handleExport}
+            disabled={exporting}
+            className="w-full flex items-center justify-center gap-1.5 py-2.5 rounded-xl text-xs font-semibold border-2 border-violet-100 text-violet-700 hover:bg-violet-50 transition-all disabled:opacity-50"
+          >
+            <Download className="w-3.5 h-3.5" />
+            {exporting ? "Preparing…" : "Download a copy of my data first"}
+          </button>
+
+          <div>
+            <p className="text-xs text-slate-500 mb-1.5">
+              Type <span className="font-mono font-bold text-rose-600">{CONFIRM_WORD}</span> to confirm
+            </p>
+            <input
+              value={typed}
+              onChange={(e) => setTyped(e.target.value)}
+              autoCapitalize="characters"
+              autoComplete="off"
+              className="w-full rounded-xl border border-rose-200 px-3 py-2 text-sm font-mono focus:outline-none focus:ring-2 focus:ring-rose-200"
+            />
+          </div>
+
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={close}
+              disabled={deleting}
+              className="flex-1 py-2.5 rounded-xl text-xs font-semibold border border-slate-200 text-slate-500"
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              onClick={handleDelete}
+              disabled={typed.trim() !== CONFIRM_WORD || deleting}
+              className="flex-1 py-2.5 rounded-xl text-xs font-semibold bg-rose-600 text-white disabled:opacity-40"
+            >
+              {deleting ? "Deleting…" : "Delete forever"}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
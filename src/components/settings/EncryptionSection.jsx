@@ -0,0 +1,249 @@
+import React, { useState } from "react";
+import { useQuery, useQueryClient } from "@tanstack/react-query";
+import { ShieldCheck, Shield, Copy, AlertTriangle } from "lucide-react";
+import { toast } from "sonner";
+import { getEncryptionKeys, saveEncryptionKeys, deleteEncryptionKeys, rewriteAllLogs } from "@/lib/db";
+import {
+  createKeyMaterial, unlockWithPassphrase, rewrapForPassphrase, lock,
+  getEncryptionKeysCache, MIN_PASSPHRASE_LENGTH,
+} from "@/lib/encryption";
+
+const inputClass =
+  "w-full rounded-xl border border-purple-100 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-violet-200";
+
+function validateNew(passphrase, confirm) {
+  if (passphrase.length < MIN_PASSPHRASE_LENGTH) return `Use at least ${MIN_PASSPHRASE_LENGTH} characters.`;
+  if (passphrase !== confirm) return "The passphrases don't match.";
+  return null;
+}
+
+export default function EncryptionSection() {
+  const queryClient = useQueryClient();
+  const { data: record } = useQuery({
+    queryKey: ["encryptionKeys"],
+    queryFn: getEncryptionKeys,
+    initialData: getEncryptionKeysCache,
+  });
+
+  // "enable" | "recovery" | "change" | "disable" | null
+  const [flow, setFlow] = useState(null);
+  const [current, setCurrent] = useState("");
+  const [passphrase, setPassphrase] = useState("");
+  const [confirm, setConfirm] = useState("");
+  const [pending, setPending] = useState(null); // { record, recoveryCode } before it's saved
+  const [savedCode, setSavedCode] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const reset = () => {
+    setFlow(null); setCurrent(""); setPassphrase(""); setConfirm("");
+    setPending(null); setSavedCode(false); setProgress(null); setError(""); setBusy(false);
+  };
+
+  const refresh = () => {
+    queryClient.invalidateQueries({ queryKey: ["encryptionKeys"] });
+    queryClient.invalidateQueries({ queryKey: ["cycleLogs"] });
+    queryClient.invalidateQueries({ queryKey: ["recentLogs"] });
+  };
+
+  const run = async (fn) => {
+    setBusy(true);
+    setError("");
+    try {
+      await fn();
+    } catch (err) {
+      setError(err.message || "Something went wrong.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Step 1 of enabling: make the key and show the recovery code — nothing is saved yet
+  const startEnable = () => run(async () => {
+    const problem = validateNew(passphrase, confirm);
+    if (problem) { setError(problem); return; }
+    setPending(await createKeyMaterial(passphrase));
+    setFlow("recovery");
+  });
+
+  // Step 2: store the wrapped key, then encrypt existing logs
+  const finishEnable = () => run(async () => {
+    await saveEncryptionKeys(pending.record);
+    const count = await rewriteAllLogs("encrypt", (done, total) => setProgress({ done, total }));
+    refresh();
+    toast.success(`Encryption on · ${count} entries encrypted`);
+    reset();
+  });
+
+  const cancelEnable = () => {
+    lock();
+    reset();
+  };
+
+  const changePassphrase = () => run(async () => {
+    const problem = validateNew(passphrase, confirm);
+    if (problem) { setError(problem); return; }
+    if (!(await unlockWithPassphrase(record, current))) {
+      setError("Your current passphrase is incorrect.");
+      return;
+    }
+    await saveEncryptionKeys({ ...record, ...(await rewrapForPassphrase(passphrase)) });
+    refresh();
+    toast.success("Passphrase changed");
+    reset();
+  });
+
+  const disable = () => run(async () => {
+    if (!(await unlockWithPassphrase(record, current))) {
+      setError("That passphrase is incorrect.");
+      return;
+    }
+    await rewriteAllLogs("decrypt", (done, total) => setProgress({ done, total }));
+    await deleteEncryptionKeys();
+    lock();
+    refresh();
+    toast.success("Encryption turned off");
+    reset();
+  });
+
+  const copyCode = async () => {
+    try {
+      await navigator.clipboard.writeText(pending.recoveryCode);
+      toast.success("Recovery code copied");
+    } catch {}
+  };
+
+  return (
+    <div className="bg-white rounded-2xl p-5 border border-purple-50 shadow-sm">
+      <div className="flex items-center gap-2 mb-1">
+        {record ? <ShieldCheck className="w-4 h-4 text-emerald-500" /> : <Shield className="w-4 h-4 text-violet-500" />}
+        <h3 className="text-sm font-bold text-slate-700">End-to-End Encryption</h3>
+        {record && (
+          <span className="ml-auto text-[10px] font-semibold bg-emerald-50 text-emerald-600 px-2 py-0.5 rounded-full border border-emerald-100">
+            On
+          </span>
+        )}
+      </div>
+      <p className="text-xs text-slate-400 mb-4">
+        Notes, symptoms and moods are encrypted on this device with your passphrase before they're saved.
+        Not even our database can read them. Dates, flow and temperatures stay readable so predictions still sync.
+      </p>
+
+      {/* ── Off ── */}
+      {!record && !flow && (
+        <button
+          type="button"
+          onClick={() => setFlow("enable")}
+          className="w-full py-2.5 rounded-xl text-xs font-semibold border-2 border-violet-100 text-violet-700 hover:bg-violet-50 transition-all"
+        >
+          Turn on encryption
+        </button>
+      )}
+
+      {flow === "enable" && (
+        <div className="space-y-2">
+          <input type="password" value={passphrase} onChange={(e) => setPassphrase(e.target.value)} placeholder="Choose a passphrase" className={inputClass} />
+          <input type="password" value={confirm} onChange={(e) => setConfirm(e.target.value)} placeholder="Confirm passphrase" className={inputClass} />
+          <p className="text-[11px] text-slate-400">You'll need it each time you open Luna on a new session.</p>
+        </div>
+      )}
+
+      {flow === "recovery" && pending && (
+        <div className="space-y-3">
+          <div className="flex gap-2 bg-amber-50 border border-amber-100 rounded-xl p-3">
+            <AlertTriangle className="w-4 h-4 text-amber-500 flex-shrink-0 mt-0.5" />
+            <p className="text-xs text-amber-800">
+              Save this recovery code somewhere safe. It's the only way back in if you forget your passphrase — we can't reset it for you.
+            </p>
+          </div>
+          <button
+            type="button"
+            onClick={copyCode}
+            className="w-full flex items-center justify-center gap-2 py-3 rounded-xl bg-slate-50 border border-slate-200 font-mono text-sm font-bold text-slate-700 tracking-wide"
+          >
+            {pending.recoveryCode}
+            <Copy className="w-3.5 h-3.5 text-slate-400" />
+          </button>
+          <label className="flex items-center gap-2 text-xs text-slate-600">
+            <input type="checkbox" checked={savedCode} onChange={(e) => setSavedCode(e.target.checked)} />
+            I've saved my recovery code
+          </label>
+        </div>
+      )}
+
+      {/* ── On ── */}
+      {record && !flow && (
+        <div className="grid grid-cols-2 gap-2">
+          <button
+            type="button"
+            onClick={() => setFlow("change")}
+            className="py-2.5 rounded-xl text-xs font-semibold border-2 border-violet-100 text-violet-700 hover:bg-violet-50 transition-all"
+          >
+            Change passphrase
+          </button>
+          <button
+            type="button"
+            onClick={() => setFlow("disable")}
+            className="py-2.5 rounded-xl text-xs font-semibold border-2 border-slate-100 text-slate-500 hover:bg-slate-50 transition-all"
+          >
+            Turn off
+          </button>
+        </div>
+      )}
+
+      {(flow === "change" || flow === "disable") && (
+        <div className="space-y-2">
+          <input type="password" value={current} onChange={(e) => setCurrent(e.target.value)} placeholder="Current passphrase" className={inputClass} />
+          {flow === "change" ? (
+            <>
+              <input type="password" value={passphrase} onChange={(e) => setPassphrase(e.target.value)} placeholder="New passphrase" className={inputClass} />
+              <input type="password" value={confirm} onChange={(e) => setConfirm(e.target.value)} placeholder="Confirm new passphrase" className={inputClass} />
+              <p className="text-[11px] text-slate-400">Your recovery code keeps working after the change.</p>
+            </>
+          ) : (
+            <p className="text-[11px] text-slate-400">Your entries will be decrypted and stored as regular data again.</p>
+          )}
+        </div>
+      )}
+
+      {progress && (
+        <p className="text-[11px] text-slate-400 text-center mt-3">
+          Updating entries {progress.done} of {progress.total}…
+        </p>
+      )}
+
+      {error && (
+        <p className="mt-3 text-xs text-rose-600 bg-rose-50 border border-rose-100 rounded-xl px-3 py-2">{error}</p>
+      )}
+
+      {flow && (
+        <div className="flex gap-2 mt-3">
+          <button
+            type="button"
+            onClick={flow === "recovery" ? cancelEnable : reset}
+            disabled={busy}
+            className="flex-1 py-2.5 rounded-xl text-xs font-semibold border border-slate-200 text-slate-500"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            disabled={busy || (flow === "recovery" && !savedCode)}
+            onClick={{ enable: startEnable, recovery: finishEnable, change: changePassphrase, disable }[flow]}
+            className={`flex-1 py-2.5 rounded-xl text-xs font-semibold text-white disabled:opacity-40 ${
+              flow === "disable" ? "bg-slate-600" : "bg-violet-600"
+            }`}
+          >
+            {busy ? "Working…" : {
+              enable: "Continue",
+              recovery: "Encrypt my data",
+              change: "Change passphrase",
+              disable: "Decrypt & turn off",
+            }[flow]}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,64 @@
+import React, { useState } from "react";
+import { Download, FileJson, FileSpreadsheet, FileText } from "lucide-react";
+import { toast } from "sonner";
+import { getAllCycleLogs, getCycleSettings, getCustomLogItems, getMedications } from "@/lib/db";
+import { buildExportBundle, downloadCsv, downloadJson } from "@/lib/exportData";
+import { downloadClinicianReport } from "@/lib/clinicianReport";
+import { useAuth } from "@/lib/AuthContext";
+
+const FORMATS = [
+  { id: "csv",  label: "CSV",  desc: "Spreadsheet tables", icon: FileSpreadsheet },
+  { id: "json", label: "JSON", desc: "Complete backup",    icon: FileJson },
+  { id: "pdf",  label: "PDF",  desc: "Report for your doctor", icon: FileText },
+];
+
+export default function ExportSection() {
+  const { profile } = useAuth();
+  const [busy, setBusy] = useState(null);
+
+  const handleExport = async (formatId) => {
+    setBusy(formatId);
+    try {
+      // Always export fresh server data, never the capped on-screen cache
+      const [logs, settings, customItems, medications] = await Promise.all([
+        getAllCycleLogs(), getCycleSettings(), getCustomLogItems(), getMedications(),
+      ]);
+      const bundle = buildExportBundle(logs, settings, profile, customItems, medications);
+      if (formatId === "csv") downloadCsv(bundle);
+      else if (formatId === "json") downloadJson(bundle);
+      else await downloadClinicianReport(bundle, profile);
+    } catch (err) {
+      console.error("Export error:", err);
+      toast.error("Export failed. Check your connection and try again.");
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-2xl p-5 border border-purple-50 shadow-sm">
+      <div className="flex items-center gap-2 mb-1">
+        <Download className="w-4 h-4 text-violet-500" />
+        <h3 className="text-sm font-bold text-slate-700">Export Your Data</h3>
+      </div>
+      <p className="text-xs text-slate-400 mb-4">
+        Every log, your settings and your cycle statistics. Files are created on this device.
+      </p>
+      <div className="grid grid-cols-3 gap-2">
+        {FORMATS.map((f) => (
+          <button
+            key={f.id}
+            type="button"
+            onClick={() => handleExport(f.id)}
+            disabled={busy !== null}
+            className="flex flex-col items-center gap-1 py-3 px-1 rounded-xl border-2 border-slate-100 hover:border-violet-200 hover:bg-violet-50 transition-all disabled:opacity-50"
+          >
+            <f.icon className={`w-5 h-5 text-violet-500 ${busy === f.id ? "animate-pulse" : ""}`} />
+            <span className="text-xs font-semibold text-slate-700">{busy === f.id ? "Preparing…" : f.label}</span>
+            <span className="text-[10px] text-slate-400 text-center leading-tight">{f.desc}</span>
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,287 @@
+import React, { useRef, useState } from "react";
+import { useQueryClient } from "@tanstack/react-query";
+import { Upload, FileUp, AlertCircle, Check, X } from "lucide-react";
+import { format, parseISO } from "date-fns";
+import { toast } from "sonner";
+import { getAllCycleLogs, getCycleSettings, getCycleSettingsCache, saveDailyLog, upsertCycleSettings } from "@/lib/db";
+import {
+  IMPORT_SOURCES, CSV_FIELDS, DATE_FORMATS,
+  parseClueJson, parseHealthXml, parseCsv, guessCsvMapping, mapCsvRows, planImport,
+} from "@/lib/importers";
+import { buildCycles } from "@/lib/cycleStats";
+
+const PREVIEW_ROWS = 8;
+
+const fmt = (iso) => format(parseISO(iso), "MMM d, yyyy");
+
+function detectSource(file, text) {
+  const name = file.name.toLowerCase();
+  if (name.endsWith(".xml") || text.trimStart().startsWith("<")) return "health";
+  if (name.endsWith(".json") || /^[[{]/.test(text.trimStart())) return "clue";
+  return "csv";
+}
+
+function describeRow(r) {
+  const parts = [];
+  if (r.flow_intensity) parts.push(`${r.flow_intensity} flow`);
+  if (r.symptoms.length) parts.push(r.symptoms.map((s) => s.split(":")[0].replace(/_/g, " ")).join(", "));
+  if (r.moods.length) parts.push(r.moods.join(", ").replace(/_/g, " "));
+  if (r.cervical_mucus) parts.push(`${r.cervical_mucus.replace(/_/g, " ")} mucus`);
+  if (r.ovulation_test) parts.push(`LH ${r.ovulation_test}`);
+  if (r.bbt !== undefined) parts.push(`${r.bbt}°C`);
+  if (parts.length === 0 && r.notes) parts.push("note");
+  return parts.join(" · ");
+}
+
+export default function ImportSection() {
+  const queryClient = useQueryClient();
+  const fileRef = useRef(null);
+  const [source, setSource] = useState(null);
+  const [fileName, setFileName] = useState("");
+  const [csv, setCsv] = useState(null);           // { headers, rows } for the mapping step
+  const [mapping, setMapping] = useState(() => guessCsvMapping([]));
+  const [dateFormat, setDateFormat] = useState("iso");
+  const [plan, setPlan] = useState(null);
+  const [skipped, setSkipped] = useState(0);
+  const [error, setError] = useState("");
+  const [progress, setProgress] = useState(null); // { done, total } while importing
+
+  const reset = () => {
+    setSource(null); setFileName(""); setCsv(null); setPlan(null);
+    setSkipped(0); setError(""); setProgress(null);
+    if (fileRef.current) fileRef.current.value = "";
+  };
+
+  const buildPlan = async (rows, skippedCount = 0) => {
+    if (rows.length === 0) {
+      setError("No period, symptom or mood entries were found in this file.");
+      return;
+    }
+    const existing = await getAllCycleLogs();
+    setPlan(planImport(rows, existing));
+    setSkipped(skippedCount);
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setError(""); setPlan(null); setCsv(null);
+    setFileName(file.name);
+    try {
+      const text = await file.text();
+      const detected = detectSource(file, text);
+      setSource(detected);
+      if (detected === "clue") {
+        await buildPlan(parseClueJson(text));
+      } else if (detected === "health") {
+        await buildPlan(parseHealthXml(text));
+      } else {
+        const parsed = parseCsv(text);
+        if (parsed.headers.length === 0) throw new Error("The CSV file is empty.");
+        setCsv(parsed);
+        setMapping(guessCsvMapping(parsed.headers));
+      }
+    } catch (err) {
+      setError(err.message || "Couldn't read this file.");
+    }
+  };
+
+  const previewCsv = async () => {
+    setError("");
+    try {
+      const { rows, skipped: bad } = mapCsvRows(csv.rows, mapping, {
+        dateFormat,
+        unit: getCycleSettingsCache()?.temperature_unit || "C",
+      });
+      await buildPlan(rows, bad);
+    } catch (err) {
+      setError(err.message || "Couldn't read this file.");
+    }
+  };
+
+  const runImport = async () => {
+    const rows = plan.toCreate;
+    setProgress({ done: 0, total: rows.length });
+    let failed = 0;
+    for (let i = 0; i < rows.length; i++) {
+      try {
+        await saveDailyLog(rows[i]);
+      } catch {
+        failed++;
+      }
+      setProgress({ done: i + 1, total: rows.length });
+    }
+
+    // Imported history may contain a more recent period than the one in settings
+    try {
+      const [logs, settings] = await Promise.all([getAllCycleLogs(), getCycleSettings()]);
+      const cycles = buildCycles(logs, settings);
+      const latest = cycles[cycles.length - 1];
+      if (latest && (!settings?.last_period_start || latest.start > settings.last_period_start)) {
+        await upsertCycleSettings({ last_period_start: latest.start, last_period_end: latest.end });
+      }
+    } catch {}
+
+    queryClient.invalidateQueries({ queryKey: ["cycleLogs"] });
+    queryClient.invalidateQueries({ queryKey: ["recentLogs"] });
+    queryClient.invalidateQueries({ queryKey: ["cycleSettings"] });
+    if (failed > 0) toast.error(`Imported ${rows.length - failed} entries; ${failed} failed.`);
+    else toast.success(`Imported ${rows.length} entries 🌸`);
+    reset();
+  };
+
+  const sourceMeta = IMPORT_SOURCES.find((s) => s.id === source);
+
+  return (
+    <div className="bg-white rounded-2xl p-5 border border-purple-50 shadow-sm">
+      <div className="flex items-center gap-2 mb-1">
+        <Upload className="w-4 h-4 text-violet-500" />
+        <h3 className="text-sm font-bold text-slate-700">Import History</h3>
+      </div>
+      <p className="text-xs text-slate-400 mb-4">
+        Bring in past cycles from {IMPORT_SOURCES.map((s) => s.label).join(", ")}. You'll see a preview before anything is saved.
+      </p>
+
+      {!plan && !csv && (
+        <label className="flex flex-col items-center gap-1 py-5 rounded-xl border-2 border-dashed border-violet-200 bg-violet-50/40 cursor-pointer hover:bg-violet-50 transition-all">
+          <FileUp className="w-5 h-5 text-violet-500" />
+          <span className="text-xs font-semibold text-violet-700">{fileName || "Choose export file"}</span>
+          <span className="text-[10px] text-slate-400">{IMPORT_SOURCES.map((s) => s.accept).join(", ")}</span>
+          <input
+            ref={fileRef}
+            type="file"
+            accept={IMPORT_SOURCES.map((s) => s.accept).join(",")}
+            onChange={handleFile}
+            className="hidden"
+          />
+        </label>
+      )}
+
+      {error && (
+        <div className="mt-3 flex items-start gap-2 bg-rose-50 border border-rose-100 rounded-xl p-3">
+          <AlertCircle className="w-4 h-4 text-rose-500 flex-shrink-0 mt-0.5" />
+          <p className="text-xs text-rose-700 flex-1">{error}</p>
+          <button onClick={reset} className="text-rose-400"><X className="w-3.5 h-3.5" /></button>
+        </div>
+      )}
+
+      {/* CSV column mapping */}
+      {csv && !plan && (
+        <div className="space-y-3">
+          <p className="text-xs text-slate-500">
+            <span className="font-semibold">{fileName}</span> · {csv.rows.length} rows. Match its columns:
+          </p>
+          {CSV_FIELDS.map((f) => (
+            <div key={f.id} className="flex items-center gap-3">
+              <span className="text-xs font-medium text-slate-600 w-24">{f.label}{f.required && " *"}</span>
+              <select
+                value={mapping[f.id] ?? ""}
+                onChange={(e) => setMapping({ ...mapping, [f.id]: e.target.value })}
+                className="flex-1 text-xs rounded-lg border border-purple-100 px-2 py-1.5 bg-white"
+              >
+                <option value="">{f.required ? "Select column" : "Not in file"}</option>
+                {csv.headers.map((h) => <option key={h} value={h}>{h}</option>)}
+              </select>
+            </div>
+          ))}
+          <div className="flex items-center gap-3">
+            <span className="text-xs font-medium text-slate-600 w-24">Date format</span>
+            <div className="flex-1 grid grid-cols-3 gap-1.5">
+              {DATE_FORMATS.map((d) => (
+                <button
+                  key={d.id}
+                  type="button"
+                  onClick={() => setDateFormat(d.id)}
+                  className={`py-1.5 rounded-lg text-[11px] font-semibold border-2 transition-all ${
+                    dateFormat === d.id ? "border-violet-400 bg-violet-50 text-violet-700" : "border-slate-100 text-slate-500"
+                  }`}
+                >
+                  {d.label}
+                </button>
+              ))}
+            </div>
+          </div>
+          <div className="flex gap-2 pt-1">
+            <button onClick={reset} className="flex-1 py-2 rounded-xl text-xs font-semibold border border-slate-200 text-slate-500">
+              Cancel
+            </button>
+            <button
+              onClick={previewCsv}
+              disabled={!mapping.date}
+              className="flex-1 py-2 rounded-xl text-xs font-semibold bg-violet-600 text-white disabled:opacity-40"
+            >
+              Preview import
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Dry-run preview */}
+      {plan && (
+        <div className="space-y-3">
+          <div className="bg-violet-50 rounded-xl p-3 border border-violet-100">
+            <p className="text-xs font-semibold text-violet-700">
+              {sourceMeta?.label} · {fmt(plan.firstDate)} – {fmt(plan.lastDate)}
+            </p>
+            <p className="text-xs text-slate-600 mt-1">
+              <span className="font-semibold">{plan.toCreate.length}</span> new entries
+              ({plan.periodDays} period days)
+              {plan.duplicates.length > 0 && <> · <span className="font-semibold">{plan.duplicates.length}</span> already logged, will be skipped</>}
+              {skipped > 0 && <> · {skipped} rows with unreadable dates ignored</>}
+            </p>
+          </div>
+
+          {plan.toCreate.length > 0 && (
+            <div className="divide-y divide-slate-50 border border-slate-100 rounded-xl">
+              {plan.toCreate.slice(-PREVIEW_ROWS).reverse().map((r) => (
+                <div key={r.date} className="flex items-center gap-3 px-3 py-2">
+                  <span className="text-[11px] font-semibold text-slate-600 w-24 flex-shrink-0">{fmt(r.date)}</span>
+                  <span className="text-[11px] text-slate-500 truncate">{describeRow(r)}</span>
+                </div>
+              ))}
+              {plan.toCreate.length > PREVIEW_ROWS && (
+                <p className="text-[10px] text-slate-400 text-center py-1.5">
+                  + {plan.toCreate.length - PREVIEW_ROWS} earlier entries
+                </p>
+              )}
+            </div>
+          )}
+
+          {plan.duplicates.length > 0 && (
+            <p className="text-[11px] text-slate-400">
+              Skipped dates: {plan.duplicates.slice(0, 6).map((r) => fmt(r.date)).join(", ")}
+              {plan.duplicates.length > 6 && ` and ${plan.duplicates.length - 6} more`}
+            </p>
+          )}
+
+          {progress ? (
+            <div>
+              <div className="h-2 rounded-full bg-violet-100 overflow-hidden">
+                <div
+                  className="h-full bg-violet-500 transition-all"
+                  style={{ width: `${(progress.done / Math.max(1, progress.total)) * 100}%` }}
+                />
+              </div>
+              <p className="text-[11px] text-slate-400 text-center mt-1.5">
+                Importing {progress.done} of {progress.total}…
+              </p>
+            </div>
+          ) : (
+            <div className="flex gap-2">
+              <button onClick={reset} className="flex-1 py-2 rounded-xl text-xs font-semibold border border-slate-200 text-slate-500">
+                Cancel
+              </button>
+              <button
+                onClick={runImport}
+                disabled={plan.toCreate.length === 0}
+                className="flex-1 py-2 rounded-xl text-xs font-semibold bg-violet-600 text-white disabled:opacity-40 flex items-center justify-center gap-1.5"
+              >
+                <Check className="w-3.5 h-3.5" /> Import {plan.toCreate.length} entries
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,208 @@
+import React, { useState } from "react";
+import { useQueryClient } from "@tanstack/react-query";
+import { ListChecks, Pencil, Trash2, X } from "lucide-react";
+import { toast } from "sonner";
+import {
+  createCustomLogItem, updateCustomLogItem, deleteCustomLogItem, upsertCycleSettings,
+} from "@/lib/db";
+import { useLogItems } from "@/hooks/use-log-items";
+import {
+  BUILTIN_SYMPTOMS, BUILTIN_MOODS, MAX_LABEL_LENGTH, hiddenItems, newItemKey,
+} from "@/lib/logItems";
+
+const inputClass =
+  "w-full rounded-xl border border-purple-100 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-violet-200";
+
+const KINDS = [
+  { id: "symptom", label: "Symptoms", builtins: BUILTIN_SYMPTOMS, hiddenKey: "hidden_symptoms" },
+  { id: "mood",    label: "Moods",    builtins: BUILTIN_MOODS,    hiddenKey: "hidden_moods" },
+];
+
+const EMPTY_DRAFT = { emoji: "", label: "", has_severity: false };
+
+/**
+ * The user's own symptoms and moods (add, rename, remove) and which
+ * built-in ones the log pickers show. Everything saves straight away.
+ */
+export default function LogItemsSection() {
+  const queryClient = useQueryClient();
+  const { customItems, settings } = useLogItems();
+
+  const [kindId, setKindId] = useState("symptom");
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [editingId, setEditingId] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const kind = KINDS.find((k) => k.id === kindId);
+  const hidden = hiddenItems(kindId, settings);
+  const mine = customItems.filter((c) => c.kind === kindId);
+  const label = draft.label.trim();
+
+  const run = async (action, success, queryKey) => {
+    setBusy(true);
+    try {
+      await action();
+      queryClient.invalidateQueries({ queryKey });
+      if (success) toast.success(success);
+      return true;
+    } catch (err) {
+      console.error("Custom log items error:", err);
+      toast.error("Couldn't save that change.");
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const resetDraft = () => { setDraft(EMPTY_DRAFT); setEditingId(null); };
+
+  const switchKind = (id) => { setKindId(id); resetDraft(); };
+
+  const startEdit = (item) => {
+    setEditingId(item.id);
+    setDraft({ emoji: item.emoji, label: item.label, has_severity: item.has_severity });
+  };
+
+  const save = async () => {
+    if (!label) return;
+    const fields = {
+      label,
+      emoji: draft.emoji.trim() || "✨",
+      has_severity: kindId === "symptom" && draft.has_severity,
+    };
+    const done = editingId
+      ? await run(() => updateCustomLogItem(editingId, fields), `${label} updated`, ["customLogItems"])
+      : await run(
+          () => createCustomLogItem({ ...fields, kind: kindId, key: newItemKey(label, customItems) }),
+          `${label} added`,
+          ["customLogItems"],
+        );
+    if (done) resetDraft();
+  };
+
+  const remove = (item) => {
+    if (!window.confirm(`Remove "${item.label}"? Days you've already tagged keep it as plain text.`)) return;
+    if (editingId === item.id) resetDraft();
+    run(() => deleteCustomLogItem(item.id), `${item.label} removed`, ["customLogItems"]);
+  };
+
+  const toggleBuiltin = (id) => {
+    const next = hidden.includes(id) ? hidden.filter((h) => h !== id) : [...hidden, id];
+    run(() => upsertCycleSettings({ [kind.hiddenKey]: next }), null, ["cycleSettings"]);
+  };
+
+  if (!settings) return null;
+
+  return (
+    <div className="bg-white rounded-2xl p-5 border border-purple-50 shadow-sm">
+      <div className="flex items-center gap-2 mb-1">
+        <ListChecks className="w-4 h-4 text-violet-500" />
+        <h3 className="text-sm font-bold text-slate-700">Symptoms & Moods</h3>
+      </div>
+      <p className="text-xs text-slate-400 mb-4">
+        Add your own, and hide the built-in ones you never use. Hidden items stay on days you've already tagged.
+      </p>
+
+      <div className="flex gap-2 mb-4">
+        {KINDS.map((k) => (
+          <button
+            key={k.id}
+            type="button"
+            onClick={() => switchKind(k.id)}
+            className={`flex-1 py-2 rounded-xl text-xs font-semibold border-2 transition-all ${
+              kindId === k.id ? "border-violet-400 bg-violet-50 text-violet-700" : "border-slate-100 text-slate-500"
+            }`}
+          >
+            {k.label}
+          </button>
+        ))}
+      </div>
+
+      {/* ── Your own ── */}
+      <p className="text-[10px] text-slate-400 font-semibold uppercase tracking-wider mb-2">Your {kind.label.toLowerCase()}</p>
+      {mine.length === 0 ? (
+        <p className="text-xs text-slate-400 mb-3">None yet.</p>
+      ) : (
+        <div className="divide-y divide-slate-50 mb-3">
+          {mine.map((item) => (
+            <div key={item.id} className="flex items-center gap-2 py-2">
+              <span className="text-lg">{item.emoji}</span>
+              <span className="text-sm text-slate-700 flex-1 truncate">{item.label}</span>
+              {item.has_severity && <span className="text-[10px] text-slate-400">with severity</span>}
+              <button type="button" onClick={() => startEdit(item)} disabled={busy} className="p-1.5 text-slate-400 hover:text-violet-600">
+                <Pencil className="w-3.5 h-3.5" />
+              </button>
+              <button type="button" onClick={() => remove(item)} disabled={busy} className="p-1.5 text-slate-400 hover:text-rose-500">
+                <Trash2 className="w-3.5 h-3.5" />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="flex gap-2">
+        <input
+          value={draft.emoji}
+          onChange={(e) => setDraft((d) => ({ ...d, emoji: e.target.value.slice(0, 8) }))}
+          placeholder="✨"
+          aria-label="Emoji"
+          className={`${inputClass} w-14 text-center`}
+        />
+        <input
+          value={draft.label}
+          onChange={(e) => setDraft((d) => ({ ...d, label: e.target.value.slice(0, MAX_LABEL_LENGTH) }))}
+          onKeyDown={(e) => e.key === "Enter" && save()}
+          placeholder={kindId === "symptom" ? "e.g. Jaw pain" : "e.g. Nostalgic"}
+          className={inputClass}
+        />
+        {editingId && (
+          <button type="button" onClick={resetDraft} className="px-2 text-slate-400" aria-label="Cancel editing">
+            <X className="w-4 h-4" />
+          </button>
+        )}
+        <button
+          type="button"
+          onClick={save}
+          disabled={busy || !label}
+          className="px-4 rounded-xl text-xs font-semibold text-white bg-violet-600 disabled:opacity-40"
+        >
+          {editingId ? "Save" : "Add"}
+        </button>
+      </div>
+      {kindId === "symptom" && (
+        <label className="flex items-center gap-2 mt-2 text-xs text-slate-500">
+          <input
+            type="checkbox"
+            checked={draft.has_severity}
+            onChange={(e) => setDraft((d) => ({ ...d, has_severity: e.target.checked }))}
+            className="accent-violet-600"
+          />
+          Ask how bad it is (mild / moderate / severe)
+        </label>
+      )}
+
+      {/* ── Built-in ── */}
+      <p className="text-[10px] text-slate-400 font-semibold uppercase tracking-wider mt-5 mb-2">
+        Built-in · tap to show or hide
+      </p>
+      <div className="flex flex-wrap gap-1.5">
+        {kind.builtins.map((b) => {
+          const off = hidden.includes(b.id);
+          return (
+            <button
+              key={b.id}
+              type="button"
+              onClick={() => toggleBuiltin(b.id)}
+              disabled={busy}
+              className={`text-xs px-2.5 py-1 rounded-full border transition-all ${
+                off ? "border-slate-100 text-slate-300 line-through" : "border-violet-100 bg-violet-50 text-violet-700"
+              }`}
+            >
+              {b.emoji} {b.label}
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,225 @@
+import React, { useState } from "react";
+import { useQuery, useQueryClient } from "@tanstack/react-query";
+import { Pill, Pencil, Trash2, X } from "lucide-react";
+import { toast } from "sonner";
+import {
+  createMedication, updateMedication, deleteMedication, getCycleSettings,
+} from "@/lib/db";
+import { useMedications } from "@/hooks/use-medications";
+import {
+  MEDICATION_KINDS, SCHEDULES, MAX_NAME_LENGTH, MAX_DOSE_LENGTH, DEFAULT_REMINDER_TIME,
+} from "@/lib/medications";
+
+const inputClass =
+  "w-full rounded-xl border border-purple-100 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-violet-200";
+
+const EMPTY_DRAFT = {
+  name: "",
+  dose: "",
+  kind: "medication",
+  schedule: "daily",
+  reminder_enabled: false,
+  reminder_time: DEFAULT_REMINDER_TIME,
+};
+
+function Chips({ options, value, onChange }) {
+  return (
+    <div className="flex gap-2">
+      {Object.entries(options).map(([id, label]) => (
+        <button
+          key={id}
+          type="button"
+          onClick={() => onChange(id)}
+          className={`flex-1 py-2 rounded-xl text-xs font-semibold border-2 transition-all ${
+            value === id ? "border-violet-400 bg-violet-50 text-violet-700" : "border-slate-100 text-slate-500"
+          }`}
+        >
+          {label}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * The user's medications and supplements: dose, schedule and an optional
+ * daily reminder. Stopping one keeps it for past days and Insights;
+ * deleting it forgets the name. Everything saves straight away.
+ */
+export default function MedicationsSection() {
+  const queryClient = useQueryClient();
+  const medications = useMedications();
+  const { data: settings } = useQuery({
+    queryKey: ["cycleSettings"],
+    queryFn: getCycleSettings,
+  });
+
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [editingId, setEditingId] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const name = draft.name.trim();
+  const kindLabels = Object.fromEntries(Object.entries(MEDICATION_KINDS).map(([id, k]) => [id, k.label]));
+
+  const run = async (action, success) => {
+    setBusy(true);
+    try {
+      await action();
+      queryClient.invalidateQueries({ queryKey: ["medications"] });
+      toast.success(success);
+      return true;
+    } catch (err) {
+      console.error("Medication settings error:", err);
+      toast.error("Couldn't save that change.");
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const resetDraft = () => { setDraft(EMPTY_DRAFT); setEditingId(null); };
+
+  const startEdit = (med) => {
+    setEditingId(med.id);
+    setDraft({
+      name: med.name,
+      dose: med.dose ?? "",
+      kind: med.kind,
+      schedule: med.schedule,
+      reminder_enabled: med.reminder_enabled,
+      reminder_time: med.reminder_time || DEFAULT_REMINDER_TIME,
+    });
+  };
+
+  const save = async () => {
+    if (!name) return;
+    const fields = {
+      ...draft,
+      name,
+      dose: draft.dose.trim() || null,
+      // Only daily medications have a time to be reminded at
+      reminder_enabled: draft.schedule === "daily" && draft.reminder_enabled,
+    };
+    const done = editingId
+      ? await run(() => updateMedication(editingId, fields), `${name} updated`)
+      : await run(() => createMedication(fields), `${name} added`);
+    if (done) resetDraft();
+  };
+
+  const setActive = (med, active) =>
+    run(() => updateMedication(med.id, { active }), active ? `${med.name} restarted` : `${med.name} stopped`);
+
+  const remove = (med) => {
+    if (!window.confirm(`Delete "${med.name}"? Days you logged it on will no longer show its name.`)) return;
+    if (editingId === med.id) resetDraft();
+    run(() => deleteMedication(med.id), `${med.name} deleted`);
+  };
+
+  if (!settings) return null;
+
+  return (
+    <div className="bg-white rounded-2xl p-5 border border-purple-50 shadow-sm">
+      <div className="flex items-center gap-2 mb-1">
+        <Pill className="w-4 h-4 text-violet-500" />
+        <h3 className="text-sm font-bold text-slate-700">Medications & Supplements</h3>
+      </div>
+      <p className="text-xs text-slate-400 mb-4">
+        Log them from Home or your daily log, and Insights compares your symptoms on days with and without each one.
+      </p>
+
+      {medications.length > 0 && (
+        <div className="divide-y divide-slate-50 mb-4">
+          {medications.map((med) => (
+            <div key={med.id} className={`flex items-center gap-2 py-2 ${med.active ? "" : "opacity-50"}`}>
+              <span className="text-lg">{MEDICATION_KINDS[med.kind]?.emoji ?? "💊"}</span>
+              <div className="flex-1 min-w-0">
+                <p className="text-sm text-slate-700 truncate">{med.name}{med.dose && ` · ${med.dose}`}</p>
+                <p className="text-[11px] text-slate-400">
+                  {med.active ? SCHEDULES[med.schedule] : "Stopped"}
+                  {med.active && med.reminder_enabled && ` · reminder ${med.reminder_time}`}
+                </p>
+              </div>
+              <button
+                type="button"
+                onClick={() => setActive(med, !med.active)}
+                disabled={busy}
+                className="text-[11px] font-semibold text-slate-400 hover:text-violet-600 px-1.5"
+              >
+                {med.active ? "Stop" : "Restart"}
+              </button>
+              <button type="button" onClick={() => startEdit(med)} disabled={busy} className="p-1.5 text-slate-400 hover:text-violet-600">
+                <Pencil className="w-3.5 h-3.5" />
+              </button>
+              <button type="button" onClick={() => remove(med)} disabled={busy} className="p-1.5 text-slate-400 hover:text-rose-500">
+                <Trash2 className="w-3.5 h-3.5" />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="space-y-2">
+        <div className="flex gap-2">
+          <input
+            value={draft.name}
+            onChange={(e) => setDraft((d) => ({ ...d, name: e.target.value.slice(0, MAX_NAME_LENGTH) }))}
+            placeholder="e.g. Ibuprofen"
+            className={inputClass}
+          />
+          <input
+            value={draft.dose}
+            onChange={(e) => setDraft((d) => ({ ...d, dose: e.target.value.slice(0, MAX_DOSE_LENGTH) }))}
+            placeholder="Dose, e.g. 400 mg"
+            className={`${inputClass} w-36`}
+          />
+        </div>
+        <Chips options={kindLabels} value={draft.kind} onChange={(kind) => setDraft((d) => ({ ...d, kind }))} />
+        <Chips options={SCHEDULES} value={draft.schedule} onChange={(schedule) => setDraft((d) => ({ ...d, schedule }))} />
+
+        {draft.schedule === "daily" && (
+          <div className="flex items-center gap-2 pt-1">
+            <label className="flex items-center gap-2 text-xs text-slate-500 flex-1">
+              <input
+                type="checkbox"
+                checked={draft.reminder_enabled}
+                onChange={(e) => setDraft((d) => ({ ...d, reminder_enabled: e.target.checked }))}
+                className="accent-violet-600"
+              />
+              Remind me daily at
+            </label>
+            <input
+              type="time"
+              value={draft.reminder_time}
+              disabled={!draft.reminder_enabled}
+              onChange={(e) => setDraft((d) => ({ ...d, reminder_time: e.target.value }))}
+              className="text-sm font-medium text-slate-700 bg-white border border-slate-200 rounded-lg px-2 py-1 focus:outline-none focus:border-violet-300 disabled:opacity-40"
+            />
+          </div>
+        )}
+        {draft.reminder_enabled && draft.schedule === "daily" && !settings.notifications_enabled && (
+          <p className="text-[11px] text-amber-600">Turn on Reminders above for this to reach you.</p>
+        )}
+
+        <div className="flex gap-2 pt-1">
+          {editingId && (
+            <button
+              type="button"
+              onClick={resetDraft}
+              className="flex items-center justify-center gap-1 px-4 py-2.5 rounded-xl text-xs font-semibold border-2 border-slate-100 text-slate-500"
+            >
+              <X className="w-3.5 h-3.5" /> Cancel
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={save}
+            disabled={busy || !name}
+            className="flex-1 py-2.5 rounded-xl text-xs font-semibold text-white bg-violet-600 disabled:opacity-40"
+          >
+            {editingId ? "Save changes" : "Add"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,123 @@
+import React, { useEffect, useState } from "react";
+import { useQuery, useQueryClient } from "@tanstack/react-query";
+import { Flame } from "lucide-react";
+import { toast } from "sonner";
+import { useAuth } from "@/lib/AuthContext";
+import { getCycleSettings, upsertCycleSettings, upsertProfile } from "@/lib/db";
+import { getAge, isPerimenopause } from "@/lib/perimenopause";
+import { isCyclePaused } from "@/lib/pregnancy";
+
+const inputClass =
+  "w-full rounded-xl border border-purple-100 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-violet-200";
+
+/**
+ * Birth year (which makes the irregularity checks age-aware) and the
+ * perimenopause mode switch. Both save straight away.
+ */
+export default function PerimenopauseSection() {
+  const queryClient = useQueryClient();
+  const { profile, refreshProfile } = useAuth();
+  const { data: settings } = useQuery({
+    queryKey: ["cycleSettings"],
+    queryFn: getCycleSettings,
+  });
+
+  const [birthYear, setBirthYear] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    setBirthYear(profile?.birth_year ? String(profile.birth_year) : "");
+  }, [profile?.birth_year]);
+
+  const thisYear = new Date().getFullYear();
+  const yearNum = birthYear ? Number(birthYear) : null;
+  const yearValid = yearNum === null || (Number.isInteger(yearNum) && yearNum >= thisYear - 100 && yearNum <= thisYear - 8);
+  const yearDirty = (yearNum ?? null) !== (profile?.birth_year ?? null);
+  const age = getAge(profile?.birth_year);
+  const on = isPerimenopause(settings);
+  // Pregnancy mode owns tracking_mode until the first period after it
+  const pregnancy = isCyclePaused(settings);
+
+  const run = async (action, success) => {
+    setBusy(true);
+    try {
+      await action();
+      toast.success(success);
+    } catch (err) {
+      console.error("Perimenopause settings error:", err);
+      toast.error("Couldn't save that change.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const saveBirthYear = () => run(async () => {
+    await upsertProfile({ birth_year: yearNum });
+    await refreshProfile();
+  }, "Birth year saved");
+
+  const toggle = () => run(async () => {
+    await upsertCycleSettings({ tracking_mode: on ? "cycle" : "perimenopause" });
+    queryClient.invalidateQueries({ queryKey: ["cycleSettings"] });
+  }, on ? "Perimenopause mode off" : "Perimenopause mode on");
+
+  if (!settings) return null;
+
+  return (
+    <div className="bg-white rounded-2xl p-5 border border-purple-50 shadow-sm">
+      <div className="flex items-center gap-2 mb-1">
+        <Flame className="w-4 h-4 text-orange-500" />
+        <h3 className="text-sm font-bold text-slate-700">Perimenopause</h3>
+        {on && (
+          <span className="ml-auto text-[10px] font-semibold bg-emerald-50 text-emerald-600 px-2 py-0.5 rounded-full border border-emerald-100">
+            On
+          </span>
+        )}
+      </div>
+      <p className="text-xs text-slate-400 mb-4">
+        Longer and skipped cycles are expected from your 40s on. Your birth year makes the
+        irregularity checks allow for that; perimenopause mode goes further and adds hot flash
+        tracking and year-by-year trends in Insights.
+      </p>
+
+      <label className="text-xs font-semibold text-slate-500 mb-1 block">Birth year</label>
+      <div className="flex gap-2 mb-1">
+        <input
+          type="number"
+          inputMode="numeric"
+          placeholder="e.g. 1978"
+          value={birthYear}
+          onChange={(e) => setBirthYear(e.target.value)}
+          className={`${inputClass} ${yearValid ? "" : "border-rose-300"}`}
+        />
+        {yearDirty && (
+          <button
+            type="button"
+            onClick={saveBirthYear}
+            disabled={busy || !yearValid}
+            className="px-4 rounded-xl text-xs font-semibold text-white bg-violet-600 disabled:opacity-40"
+          >
+            Save
+          </button>
+        )}
+      </div>
+      {!yearValid && <p className="text-[11px] text-rose-500 mb-1">That doesn't look like a birth year.</p>}
+
+      <button
+        type="button"
+        onClick={toggle}
+        disabled={busy || pregnancy}
+        className={`w-full mt-3 py-2.5 rounded-xl text-xs font-semibold border-2 transition-all disabled:opacity-40 ${
+          on ? "border-slate-100 text-slate-600 hover:bg-slate-50" : "border-orange-100 text-orange-700 hover:bg-orange-50"
+        }`}
+      >
+        {on ? "Turn off perimenopause mode" : "Turn on perimenopause mode"}
+      </button>
+      {pregnancy ? (
+        <p className="text-[11px] text-slate-400 mt-2">Available again once cycle tracking restarts after pregnancy.</p>
+      ) : !on && age >= 40 && (
+        <p className="text-[11px] text-slate-400 mt-2">Worth turning on if your cycles have started to change.</p>
+      )}
+    </div>
+  );
+}
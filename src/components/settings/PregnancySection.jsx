@@ -0,0 +1,169 @@
+import React, { useState } from "react";
+import { useQuery, useQueryClient } from "@tanstack/react-query";
+import { Baby } from "lucide-react";
+import { addDays, format, parseISO } from "date-fns";
+import { toast } from "sonner";
+import DatePicker from "@/components/ui/DatePicker";
+import { getCycleSettings, upsertCycleSettings } from "@/lib/db";
+import {
+  DUE_DATE_SOURCES, PREGNANCY_DAYS, estimateDueDate, pregnancyStart, endPregnancySettings, isCyclePaused,
+} from "@/lib/pregnancy";
+
+/**
+ * Turns pregnancy mode on from a due date, conception date or the last
+ * period, and ends it again. Saves straight away rather than with the
+ * Settings form, like the other sections below it.
+ */
+export default function PregnancySection() {
+  const queryClient = useQueryClient();
+  const { data: settings } = useQuery({
+    queryKey: ["cycleSettings"],
+    queryFn: getCycleSettings,
+  });
+
+  const [flow, setFlow] = useState(null); // "start" | "end" | null
+  const [source, setSource] = useState("due_date");
+  const [date, setDate] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const mode = settings?.tracking_mode || "cycle";
+  const today = new Date();
+  const todayStr = format(today, "yyyy-MM-dd");
+  const dueDate = estimateDueDate(source, date, settings?.average_cycle_length);
+
+  const openStart = () => {
+    setSource(settings?.last_period_start ? "last_period" : "due_date");
+    setDate(settings?.last_period_start || "");
+    setFlow("start");
+  };
+
+  const pickSource = (id) => {
+    setSource(id);
+    setDate(id === "last_period" ? settings?.last_period_start || "" : "");
+  };
+
+  const save = async (changes, success) => {
+    setBusy(true);
+    try {
+      await upsertCycleSettings(changes);
+      queryClient.invalidateQueries({ queryKey: ["cycleSettings"] });
+      toast.success(success);
+      setFlow(null);
+    } catch (err) {
+      console.error("Pregnancy mode error:", err);
+      toast.error("Couldn't update pregnancy mode.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!settings) return null;
+
+  return (
+    <div className="bg-white rounded-2xl p-5 border border-purple-50 shadow-sm">
+      <div className="flex items-center gap-2 mb-1">
+        <Baby className="w-4 h-4 text-violet-500" />
+        <h3 className="text-sm font-bold text-slate-700">Pregnancy</h3>
+        {mode === "pregnancy" && (
+          <span className="ml-auto text-[10px] font-semibold bg-emerald-50 text-emerald-600 px-2 py-0.5 rounded-full border border-emerald-100">
+            On
+          </span>
+        )}
+      </div>
+      <p className="text-xs text-slate-400 mb-4">
+        {mode === "pregnancy"
+          ? `Due ${format(parseISO(settings.due_date), "MMMM d, yyyy")}. Period predictions and reminders are paused.`
+          : mode === "postpartum" && isCyclePaused(settings)
+            ? `Ended ${format(parseISO(settings.pregnancy_end_date), "MMMM d, yyyy")}. Cycle tracking restarts with your first period.`
+            : "Pauses period predictions and reminders, and shows your week of pregnancy on Home."}
+      </p>
+
+      {flow === "start" && (
+        <div className="space-y-3">
+          <div className="grid grid-cols-3 gap-1.5">
+            {Object.entries(DUE_DATE_SOURCES).map(([id, label]) => (
+              <button
+                key={id}
+                type="button"
+                onClick={() => pickSource(id)}
+                className={`py-1.5 rounded-lg text-[11px] font-semibold border-2 transition-all ${
+                  source === id ? "border-violet-400 bg-violet-50 text-violet-700" : "border-slate-100 text-slate-500"
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          <DatePicker
+            label={DUE_DATE_SOURCES[source]}
+            value={date}
+            onChange={setDate}
+            minDate={source === "due_date" ? today : addDays(today, -PREGNANCY_DAYS)}
+            maxDate={source === "due_date" ? addDays(today, PREGNANCY_DAYS) : today}
+            placeholder="Pick a date"
+          />
+          {dueDate && source !== "due_date" && (
+            <p className="text-xs text-slate-500">
+              Estimated due date: <span className="font-semibold text-violet-600">{format(parseISO(dueDate), "MMMM d, yyyy")}</span>
+            </p>
+          )}
+        </div>
+      )}
+
+      {flow === "end" && (
+        <DatePicker
+          label="Pregnancy ended on"
+          value={date}
+          onChange={setDate}
+          minDate={parseISO(pregnancyStart(settings.due_date))}
+          maxDate={today}
+          placeholder="Pick a date"
+        />
+      )}
+
+      {flow ? (
+        <div className="flex gap-2 mt-3">
+          <button type="button" onClick={() => setFlow(null)} disabled={busy}
+            className="flex-1 py-2.5 rounded-xl text-xs font-semibold border border-slate-200 text-slate-500">
+            Cancel
+          </button>
+          <button
+            type="button"
+            disabled={busy || (flow === "start" ? !dueDate : !date)}
+            onClick={() => flow === "start"
+              ? save({ tracking_mode: "pregnancy", due_date: dueDate }, "Pregnancy mode on 💜")
+              : save(endPregnancySettings(settings, date), "Pregnancy mode off")}
+            className="flex-1 py-2.5 rounded-xl text-xs font-semibold text-white bg-violet-600 disabled:opacity-40"
+          >
+            {busy ? "Saving…" : "Save"}
+          </button>
+        </div>
+      ) : mode === "pregnancy" ? (
+        <div className="grid grid-cols-2 gap-2">
+          <button
+            type="button"
+            onClick={openStart}
+            className="py-2.5 rounded-xl text-xs font-semibold border-2 border-slate-100 text-slate-600 hover:bg-slate-50 transition-all"
+          >
+            Change due date
+          </button>
+          <button
+            type="button"
+            onClick={() => { setDate(todayStr); setFlow("end"); }}
+            className="py-2.5 rounded-xl text-xs font-semibold border-2 border-slate-100 text-slate-600 hover:bg-slate-50 transition-all"
+          >
+            Pregnancy ended
+          </button>
+        </div>
+      ) : (
+        <button
+          type="button"
+          onClick={openStart}
+          className="w-full py-2.5 rounded-xl text-xs font-semibold border-2 border-violet-100 text-violet-700 hover:bg-violet-50 transition-all"
+        >
+          I'm pregnant
+        </button>
+      )}
+    </div>
+  );
+}
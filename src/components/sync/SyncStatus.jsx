@@ -0,0 +1,91 @@
+import React, { useEffect, useState, useSyncExternalStore } from "react";
+import { motion, AnimatePresence } from "framer-motion";
+import { CloudOff, CloudUpload, RefreshCw, Check, AlertTriangle } from "lucide-react";
+import { getSyncStatus, setSyncStatus, subscribeSyncStatus } from "@/lib/offlineQueue";
+import { flushOfflineQueue } from "@/lib/db";
+
+const SYNCED_VISIBLE_MS = 4000;
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? "" : "s"}`;
+
+export default function SyncStatus() {
+  const status = useSyncExternalStore(subscribeSyncStatus, getSyncStatus);
+  const { online, pending, syncing, lastSyncedAt, conflicts, failed, dropped } = status;
+
+  // Show the "synced" confirmation briefly after each successful flush
+  const [showSynced, setShowSynced] = useState(false);
+  useEffect(() => {
+    if (!lastSyncedAt) return;
+    setShowSynced(true);
+    const timer = setTimeout(() => setShowSynced(false), conflicts || failed ? SYNCED_VISIBLE_MS * 2 : SYNCED_VISIBLE_MS);
+    return () => clearTimeout(timer);
+  }, [lastSyncedAt, conflicts, failed]);
+
+  let pill = null;
+  if (!online) {
+    pill = {
+      key: "offline",
+      icon: CloudOff,
+      className: "bg-slate-700 text-white",
+      text: pending > 0 ? `Offline · ${plural(pending, "entry")} waiting to sync` : "Offline · changes will sync later",
+    };
+  } else if (syncing) {
+    pill = {
+      key: "syncing",
+      icon: RefreshCw,
+      spin: true,
+      className: "bg-violet-600 text-white",
+      text: pending > 0 ? `Syncing ${plural(pending, "entry")}…` : "Syncing…",
+    };
+  } else if (pending > 0) {
+    pill = {
+      key: "pending",
+      icon: CloudUpload,
+      className: "bg-amber-500 text-white",
+      text: `${plural(pending, "entry")} waiting to sync · tap to retry`,
+      onClick: () => flushOfflineQueue(),
+    };
+  } else if (dropped.length > 0) {
+    // Stays up until tapped: these changes are gone and the user should know which
+    pill = {
+      key: "failed",
+      icon: AlertTriangle,
+      className: "bg-rose-500 text-white",
+      text: `Couldn't save ${dropped.slice(0, 3).join(", ")}${dropped.length > 3 ? ` and ${dropped.length - 3} more` : ""} · tap to dismiss`,
+      onClick: () => setSyncStatus({ dropped: [] }),
+    };
+  } else if (showSynced) {
+    pill = {
+      key: "synced",
+      icon: Check,
+      className: "bg-emerald-500 text-white",
+      text: conflicts > 0
+        ? `Synced · ${plural(conflicts, "edit")} merged with another device`
+        : "All changes synced",
+    };
+  }
+
+  return (
+    <div
+      className="fixed top-0 left-0 right-0 z-[60] flex justify-center pointer-events-none"
+      style={{ paddingTop: "calc(env(safe-area-inset-top) + 8px)" }}
+    >
+      <AnimatePresence>
+        {pill && (
+          <motion.button
+            key={pill.key}
+            initial={{ opacity: 0, y: -12 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -12 }}
+            onClick={pill.onClick}
+            disabled={!pill.onClick}
+            className={`pointer-events-auto flex items-center gap-1.5 px-3 py-1.5 rounded-full text-[11px] font-semibold shadow-lg ${pill.className}`}
+          >
+            <pill.icon className={`w-3.5 h-3.5 ${pill.spin ? "animate-spin" : ""}`} />
+            {pill.text}
+          </motion.button>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
@@ -0,0 +1,59 @@
+import React from "react";
+import { motion } from "framer-motion";
+import { AlertTriangle, Siren, X } from "lucide-react";
+import { RED_FLAG_LEVELS } from "@/lib/redFlags";
+
+const LEVEL_STYLES = {
+  emergency: { card: "bg-red-600 border-red-700 text-white", badge: "bg-white text-red-700", muted: "text-red-50", close: "text-red-200 hover:text-white" },
+  urgent:    { card: "bg-red-50 border-red-300 text-red-800", badge: "bg-red-600 text-white", muted: "text-red-700/80", close: "text-red-300 hover:text-red-600" },
+  prompt:    { card: "bg-amber-50 border-amber-300 text-amber-900", badge: "bg-amber-500 text-white", muted: "text-amber-800/80", close: "text-amber-300 hover:text-amber-600" },
+};
+
+/**
+ * Urgent-care cards for red flags (see redFlags.js), most urgent first.
+ * Shown ahead of anything Luna says and never written by her. `onDismiss`
+ * adds a close button per card.
+ */
+export default function RedFlagCard({ flags, onDismiss = null, className = "" }) {
+  if (!flags?.length) return null;
+  return (
+    <div className={`space-y-2 ${className}`} role="alert">
+      {flags.map((flag) => {
+        const style = LEVEL_STYLES[flag.level];
+        const Icon = flag.level === "emergency" ? Siren : AlertTriangle;
+        return (
+          <motion.div
+            key={flag.key}
+            initial={{ opacity: 0, y: -6, scale: 0.97 }}
+            animate={{ opacity: 1, y: 0, scale: 1 }}
+            exit={{ opacity: 0, y: -6, scale: 0.97 }}
+            className={`rounded-2xl border-2 p-4 shadow-sm ${style.card}`}
+          >
+            <div className="flex items-start gap-2.5">
+              <Icon className="w-5 h-5 flex-shrink-0 mt-0.5" />
+              <div className="flex-1 min-w-0">
+                <span className={`inline-block text-[10px] font-bold uppercase tracking-wider px-2 py-0.5 rounded-full mb-1.5 ${style.badge}`}>
+                  {RED_FLAG_LEVELS[flag.level].label}
+                </span>
+                <p className="text-sm font-bold">{flag.title}</p>
+                {flag.detail && <p className={`text-xs mt-0.5 ${style.muted}`}>{flag.detail}</p>}
+                <p className={`text-xs mt-1.5 leading-relaxed ${style.muted}`}>{flag.advice}</p>
+                <p className="text-xs font-semibold mt-1.5">{flag.action}</p>
+              </div>
+              {onDismiss && (
+                <button
+                  type="button"
+                  onClick={() => onDismiss(flag)}
+                  className={`flex-shrink-0 ${style.close}`}
+                  title="I've got this covered"
+                >
+                  <X className="w-4 h-4" />
+                </button>
+              )}
+            </div>
+          </motion.div>
+        );
+      })}
+    </div>
+  );
+}
@@ -4,6 +4,16 @@ import { format, parseISO, isValid } from "date-fns";
 import { CalendarDays, ChevronDown, ChevronLeft, ChevronRight } from "lucide-react";
 import { motion, AnimatePresence } from "framer-motion";
 
+/**
+ * @param {{
+ *   value?: string | Date | null,
+ *   onChange: (date: string) => void,
+ *   placeholder?: string,
+ *   maxDate?: Date,
+ *   minDate?: Date,
+ *   label?: string,
+ * }} props
+ */
 export default function DatePicker({
   value,
   onChange,
@@ -0,0 +1,30 @@
+import { useMemo } from "react";
+import { useQuery } from "@tanstack/react-query";
+import {
+  getCustomLogItems, getCustomLogItemsCache, getCycleSettings, getCycleSettingsCache,
+} from "@/lib/db";
+import { itemLabel, itemName } from "@/lib/logItems";
+
+/**
+ * The user's custom symptoms and moods plus their settings (for hidden
+ * built-ins), and label lookups for stored keys that know about both.
+ */
+export function useLogItems() {
+  const { data: customItems = [] } = useQuery({
+    queryKey: ["customLogItems"],
+    queryFn: getCustomLogItems,
+    initialData: getCustomLogItemsCache,
+  });
+  const { data: settings } = useQuery({
+    queryKey: ["cycleSettings"],
+    queryFn: getCycleSettings,
+    initialData: getCycleSettingsCache,
+  });
+
+  return useMemo(() => ({
+    customItems,
+    settings,
+    label: (id) => itemLabel(id, customItems),
+    name:  (id) => itemName(id, customItems),
+  }), [customItems, settings]);
+}
@@ -0,0 +1,43 @@
+import { useState } from "react";
+import { useQuery, useQueryClient } from "@tanstack/react-query";
+import { toast } from "sonner";
+import { getMedications, getMedicationsCache, logMedicationTaken } from "@/lib/db";
+import { isMedicationTaken } from "@/lib/medications";
+
+/** The user's medications and supplements, stopped ones included. */
+export function useMedications() {
+  const { data: medications = [] } = useQuery({
+    queryKey: ["medications"],
+    queryFn: getMedications,
+    initialData: getMedicationsCache,
+  });
+  return medications;
+}
+
+/**
+ * Quick "taken" toggles for `date`, read from `logs` (Home's recent logs)
+ * and saved straight into that day's record.
+ */
+export function useMedicationToggle(logs, date) {
+  const queryClient = useQueryClient();
+  const [busyId, setBusyId] = useState(null);
+
+  const toggle = async (med) => {
+    const taken = !isMedicationTaken(logs, date, med.id);
+    setBusyId(med.id);
+    try {
+      await logMedicationTaken(date, med.id, taken);
+      queryClient.invalidateQueries({ queryKey: ["recentLogs"] });
+      queryClient.invalidateQueries({ queryKey: ["cycleLogs"] });
+      queryClient.invalidateQueries({ queryKey: ["dailyLog", date] });
+      if (taken) toast.success(`${med.name} logged 💊`);
+    } catch (err) {
+      console.error("Medication log error:", err);
+      toast.error(err.message || "Couldn't log that.");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return { toggle, busyId, isTaken: (id) => isMedicationTaken(logs, date, id) };
+}
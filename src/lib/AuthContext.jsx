@@ -1,6 +1,6 @@
 import React, { createContext, useState, useContext, useEffect, useRef } from "react";
 import { supabase } from "./supabaseClient";
-import { clearSettingsCache } from "./db";
+import { clearSettingsCache, clearLocalData, deleteAccount as deleteAccountOnServer } from "./db";
 import { queryClientInstance } from "./query-client";
 
 const AuthContext = createContext(null);
@@ -156,8 +156,21 @@ export const AuthProvider = ({ children }) => {
     setProfile(null);
   };
 
+  const deleteAccount = async () => {
+    if (!user) return;
+    await deleteAccountOnServer();
+    // The account is gone server-side — now erase everything this device holds.
+    await clearLocalData(user.id);
+    queryClientInstance.clear();
+    // Local scope: the server session was revoked along with the user
+    await supabase.auth.signOut({ scope: "local" }).catch(() => {});
+    setUser(null);
+    profileRef.current = null;
+    setProfile(null);
+  };
+
   return (
-    <AuthContext.Provider value={{ user, profile, loading, logout, refreshProfile }}>
+    <AuthContext.Provider value={{ user, profile, loading, logout, refreshProfile, deleteAccount }}>
       {children}
     </AuthContext.Provider>
   );
@@ -0,0 +1,311 @@
+/**
+ * Device-level app lock: a PIN (always) plus an optional passkey, an idle
+ * auto-lock, and a "disguise" mode that swaps the app name and notification
+ * text for something neutral.
+ *
+ * The lock is a privacy screen for shared phones, not encryption — the
+ * config lives in localStorage on this device only and a fresh page load
+ * always starts locked. Cached cycle data is withheld by db.js until unlock.
+ */
+
+const CONFIG_KEY   = "aura_app_lock";
+const ATTEMPTS_KEY = "aura_app_lock_attempts";
+
+const PIN_ITERATIONS  = 100_000;
+const MAX_ATTEMPTS    = 5;     // wrong PINs before a cool-down kicks in
+const BASE_COOLDOWN_S = 30;    // doubles with every further wrong PIN
+
+export const PIN_MIN_LENGTH = 4;
+export const PIN_MAX_LENGTH = 8;
+
+export const IDLE_OPTIONS = [
+  { minutes: 0,  label: "Immediately" },
+  { minutes: 1,  label: "After 1 min" },
+  { minutes: 5,  label: "After 5 min" },
+  { minutes: 15, label: "After 15 min" },
+  { minutes: 60, label: "After 1 hour" },
+];
+export const DEFAULT_IDLE_MINUTES = 5;
+
+export const APP_TITLE      = "Luna";
+export const DISGUISE_TITLE = "Notes";
+export const DISGUISE_NOTIFICATION = { title: "Reminder", body: "You have a new reminder." };
+
+// ─── CONFIG ───────────────────────────────────────────────────
+
+/** { pin_salt, pin_hash, passkey_id?, idle_minutes, disguise } or null. */
+export function getAppLockConfig() {
+  try {
+    const stored = localStorage.getItem(CONFIG_KEY);
+    return stored ? JSON.parse(stored) : null;
+  } catch {
+    return null;
+  }
+}
+
+function setAppLockConfig(config) {
+  try {
+    if (config) localStorage.setItem(CONFIG_KEY, JSON.stringify(config));
+    else localStorage.removeItem(CONFIG_KEY);
+  } catch {}
+  notify();
+}
+
+export const isAppLockEnabled = () => !!getAppLockConfig()?.pin_hash;
+export const isDisguised = () => !!getAppLockConfig()?.disguise;
+export const getAppTitle = () => (isDisguised() ? DISGUISE_TITLE : APP_TITLE);
+
+/** Partial update of the stored options (idle time, disguise). */
+export function updateAppLockConfig(patch) {
+  setAppLockConfig({ ...(getAppLockConfig() ?? {}), ...patch });
+  applyDisguise();
+}
+
+export function applyDisguise() {
+  if (typeof document !== "undefined") document.title = getAppTitle();
+  syncServiceWorkerDisguise();
+}
+
+// The push service worker (public/sw.js) can't read localStorage, so the
+// disguised notification text is left for it in CacheStorage instead.
+const SW_CONFIG_CACHE = "aura-sw-config";
+const SW_DISGUISE_KEY = "/__aura/disguise";
+
+async function syncServiceWorkerDisguise() {
+  if (typeof caches === "undefined") return;
+  try {
+    const cache = await caches.open(SW_CONFIG_CACHE);
+    if (isDisguised()) {
+      await cache.put(SW_DISGUISE_KEY, new Response(JSON.stringify(DISGUISE_NOTIFICATION)));
+    } else {
+      await cache.delete(SW_DISGUISE_KEY);
+    }
+  } catch {}
+}
+
+// ─── LOCK STATE ───────────────────────────────────────────────
+
+let unlocked = false;
+let version = 0; // bumps on any change so useSyncExternalStore re-reads
+const listeners = new Set();
+
+function notify() {
+  version++;
+  listeners.forEach((l) => l());
+}
+
+/** True while the lock screen should be showing. */
+export const isAppLocked = () => isAppLockEnabled() && !unlocked;
+export const getAppLockVersion = () => version;
+
+export function subscribeAppLock(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export function lockApp() {
+  if (!unlocked) return;
+  unlocked = false;
+  notify();
+}
+
+function markUnlocked() {
+  unlocked = true;
+  clearAttempts();
+  notify();
+}
+
+// ─── PIN ──────────────────────────────────────────────────────
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)));
+const fromBase64 = (b64) => Uint8Array.from(atob(b64), (c) => c.charCodeAt(0));
+
+async function hashPin(pin, salt) {
+  const material = await crypto.subtle.importKey("raw", new TextEncoder().encode(pin), "PBKDF2", false, ["deriveBits"]);
+  const bits = await crypto.subtle.deriveBits(
+    { name: "PBKDF2", salt, iterations: PIN_ITERATIONS, hash: "SHA-256" },
+    material,
+    256
+  );
+  return toBase64(bits);
+}
+
+export const isValidPin = (pin) =>
+  new RegExp(`^\\d{${PIN_MIN_LENGTH},${PIN_MAX_LENGTH}}$`).test(pin);
+
+/** Turns the lock on (or replaces the PIN), keeping the other options. */
+export async function setPin(pin) {
+  if (!isValidPin(pin)) throw new Error(`Use ${PIN_MIN_LENGTH}–${PIN_MAX_LENGTH} digits.`);
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const current = getAppLockConfig() ?? {};
+  setAppLockConfig({
+    idle_minutes: DEFAULT_IDLE_MINUTES,
+    ...current,
+    pin_salt: toBase64(salt),
+    pin_hash: await hashPin(pin, salt),
+  });
+  unlocked = true;
+  notify();
+}
+
+async function pinMatches(pin) {
+  const config = getAppLockConfig();
+  if (!config?.pin_hash) return false;
+  return (await hashPin(pin, fromBase64(config.pin_salt))) === config.pin_hash;
+}
+
+function getAttempts() {
+  try {
+    return JSON.parse(localStorage.getItem(ATTEMPTS_KEY)) ?? { count: 0, until: 0 };
+  } catch {
+    return { count: 0, until: 0 };
+  }
+}
+
+function clearAttempts() {
+  try { localStorage.removeItem(ATTEMPTS_KEY); } catch {}
+}
+
+/** Seconds left before another PIN may be tried, 0 if none. */
+export function getCooldownSeconds() {
+  return Math.max(0, Math.ceil((getAttempts().until - Date.now()) / 1000));
+}
+
+/**
+ * Checks a PIN against the stored hash and unlocks on a match. Repeated
+ * failures are throttled; the counter is kept in storage so reloading the
+ * page doesn't reset it.
+ */
+export async function unlockWithPin(pin) {
+  if (getCooldownSeconds() > 0) return false;
+  if (await pinMatches(pin)) {
+    markUnlocked();
+    return true;
+  }
+  const { count } = getAttempts();
+  const next = count + 1;
+  const until = next >= MAX_ATTEMPTS
+    ? Date.now() + BASE_COOLDOWN_S * 1000 * 2 ** (next - MAX_ATTEMPTS)
+    : 0;
+  try { localStorage.setItem(ATTEMPTS_KEY, JSON.stringify({ count: next, until })); } catch {}
+  return false;
+}
+
+/** Verifies the PIN without touching the lock state (for settings changes). */
+export const verifyPin = (pin) => pinMatches(pin);
+
+/** Removes the PIN and passkey; disguise mode is a separate choice and stays. */
+export function disableAppLock() {
+  setAppLockConfig(isDisguised() ? { disguise: true } : null);
+  clearAttempts();
+  unlocked = false;
+  applyDisguise();
+}
+
+// ─── PASSKEY ──────────────────────────────────────────────────
+// WebAuthn is used purely as a local user-verification prompt (Face ID,
+// fingerprint, device PIN). There is no server to check the assertion, so a
+// successful ceremony for the registered credential is what unlocks.
+
+export async function isPasskeySupported() {
+  try {
+    return typeof PublicKeyCredential !== "undefined" &&
+      await PublicKeyCredential.isUserVerifyingPlatformAuthenticatorAvailable();
+  } catch {
+    return false;
+  }
+}
+
+const challenge = () => crypto.getRandomValues(new Uint8Array(32));
+
+export async function registerPasskey(userLabel) {
+  const credential = await navigator.credentials.create({
+    publicKey: {
+      challenge: challenge(),
+      rp: { name: getAppTitle() },
+      user: {
+        id: crypto.getRandomValues(new Uint8Array(16)),
+        name: userLabel || getAppTitle(),
+        displayName: userLabel || getAppTitle(),
+      },
+      pubKeyCredParams: [
+        { type: "public-key", alg: -7 },   // ES256
+        { type: "public-key", alg: -257 }, // RS256
+      ],
+      authenticatorSelection: {
+        authenticatorAttachment: "platform",
+        userVerification: "required",
+        residentKey: "discouraged",
+      },
+      timeout: 60_000,
+    },
+  });
+  if (!credential) throw new Error("Passkey setup was cancelled.");
+  updateAppLockConfig({ passkey_id: toBase64(/** @type {PublicKeyCredential} */ (credential).rawId) });
+}
+
+export function removePasskey() {
+  updateAppLockConfig({ passkey_id: null });
+}
+
+export async function unlockWithPasskey() {
+  const config = getAppLockConfig();
+  if (!config?.passkey_id) return false;
+  try {
+    const assertion = await navigator.credentials.get({
+      publicKey: {
+        challenge: challenge(),
+        allowCredentials: [{ type: "public-key", id: fromBase64(config.passkey_id) }],
+        userVerification: "required",
+        timeout: 60_000,
+      },
+    });
+    const rawId = assertion && toBase64(/** @type {PublicKeyCredential} */ (assertion).rawId);
+    if (rawId !== config.passkey_id) return false;
+    markUnlocked();
+    return true;
+  } catch {
+    // Cancelled or timed out
+    return false;
+  }
+}
+
+// ─── IDLE AUTO-LOCK ───────────────────────────────────────────
+
+const ACTIVITY_EVENTS = ["pointerdown", "keydown", "touchstart", "wheel"];
+
+/**
+ * Locks after `idle_minutes` without interaction, and on return to the app
+ * if it was in the background for longer than that. "Immediately" (0) locks
+ * as soon as the app is hidden. Returns a cleanup function.
+ */
+export function startIdleLock() {
+  let lastActive = Date.now();
+  let hiddenAt = null;
+
+  const idleMs = () => (getAppLockConfig()?.idle_minutes ?? DEFAULT_IDLE_MINUTES) * 60_000;
+  const onActivity = () => { lastActive = Date.now(); };
+  const check = () => {
+    if (isAppLockEnabled() && idleMs() > 0 && Date.now() - lastActive >= idleMs()) lockApp();
+  };
+  const onVisibility = () => {
+    if (!isAppLockEnabled()) return;
+    if (document.visibilityState === "hidden") {
+      hiddenAt = Date.now();
+      if (idleMs() === 0) lockApp();
+    } else if (hiddenAt !== null) {
+      if (Date.now() - hiddenAt >= idleMs()) lockApp();
+      hiddenAt = null;
+      lastActive = Date.now();
+    }
+  };
+
+  ACTIVITY_EVENTS.forEach((e) => window.addEventListener(e, onActivity, { passive: true }));
+  document.addEventListener("visibilitychange", onVisibility);
+  const timer = setInterval(check, 15_000);
+  return () => {
+    ACTIVITY_EVENTS.forEach((e) => window.removeEventListener(e, onActivity));
+    document.removeEventListener("visibilitychange", onVisibility);
+    clearInterval(timer);
+  };
+}
@@ -0,0 +1,176 @@
+/**
+ * iCalendar (RFC 5545) export of the cycle: past logged periods, predicted
+ * periods several cycles ahead and fertile windows, all as all-day events.
+ * Pure, so /api/calendar-feed and the one-off download on the Calendar page
+ * build exactly the same file.
+ */
+import { addDays, format, parseISO } from "date-fns";
+import {
+  buildCycles, computeCycleStats, predictNextPeriod, getFertileWindow,
+} from "./cycleStats.js";
+import { showsFertileWindow } from "./contraception.js";
+
+export const FEED_CYCLES_AHEAD = 6;
+const PAST_CYCLES = 12;
+
+// Event titles a user can pick from. "discreet" is the default so nothing on
+// a shared or work calendar gives away what the events are.
+export const TITLE_PRESETS = {
+  discreet: {
+    label: "Discreet",
+    calendar_name: "Personal",
+    period_title:  "Personal",
+    fertile_title: "Reminder",
+  },
+  descriptive: {
+    label: "Descriptive",
+    calendar_name: "Cycle",
+    period_title:  "Period",
+    fertile_title: "Fertile window",
+  },
+};
+
+export const DEFAULT_FEED_OPTIONS = {
+  calendar_name:   TITLE_PRESETS.discreet.calendar_name,
+  period_title:    TITLE_PRESETS.discreet.period_title,
+  fertile_title:   TITLE_PRESETS.discreet.fertile_title,
+  include_fertile: true,
+};
+
+// ─── EVENTS ───────────────────────────────────────────────────
+
+/**
+ * All-day events `{ kind, start, end }` ("yyyy-MM-dd", end inclusive) for
+ * `today`: the last PAST_CYCLES logged periods, then `cyclesAhead` predicted
+ * periods and — with `includeFertile` — the fertile window of the current
+ * and each predicted cycle. Under contraception there are no fertile windows,
+ * and under hormonal methods no predictions either (see contraception.js).
+ */
+export function buildCycleEvents(settings, logs, today, { cyclesAhead = FEED_CYCLES_AHEAD, includeFertile = true } = {}) {
+  const withFertile = includeFertile && showsFertileWindow(settings);
+  const cycles = buildCycles(logs, settings);
+  const events = cycles.slice(-PAST_CYCLES).map((c) => ({ kind: "period", start: c.start, end: c.end }));
+
+  const prediction = predictNextPeriod(cycles, settings, logs);
+  if (!prediction) return events;
+
+  const avgLen = prediction.avg_cycle_length || computeCycleStats(cycles).avg || settings?.average_cycle_length || 28;
+  // Average period length from logged cycles; fall back to settings or default
+  const periodLength = cycles.length >= 2
+    ? Math.round(cycles.reduce((sum, c) => sum + c.periodLength, 0) / cycles.length)
+    : settings?.average_period_length ?? 5;
+  const fertileOptions = { lutealLength: prediction.luteal_length };
+
+  // Current cycle's fertile window, unless it's already over
+  const lastStart = settings?.last_period_start || cycles[cycles.length - 1]?.start;
+  if (withFertile && lastStart) {
+    const current = getFertileWindow(lastStart, avgLen, {
+      ...fertileOptions,
+      ovulationDate: prediction.ovulation_detected ? prediction.ovulation_date : null,
+    });
+    if (format(current.end, "yyyy-MM-dd") >= today) {
+      events.push({ kind: "fertile", start: format(current.start, "yyyy-MM-dd"), end: format(current.end, "yyyy-MM-dd") });
+    }
+  }
+
+  // Same rule as the Calendar page: once period days are logged inside the
+  // predicted window, that period has happened and projection starts after it.
+  const happened = logs.some((l) => l.log_type === "period" && l.date >= prediction.range_start);
+  let nextStart = parseISO(prediction.predicted_date);
+  if (happened) nextStart = addDays(parseISO(cycles[cycles.length - 1].start), Math.round(avgLen));
+
+  for (let i = 0; i < cyclesAhead; i++) {
+    const start = addDays(nextStart, Math.round(i * avgLen));
+    const startStr = format(start, "yyyy-MM-dd");
+    events.push({ kind: "predicted", start: startStr, end: format(addDays(start, periodLength - 1), "yyyy-MM-dd") });
+    if (withFertile && i < cyclesAhead - 1) {
+      const fertile = getFertileWindow(startStr, avgLen, fertileOptions);
+      events.push({ kind: "fertile", start: format(fertile.start, "yyyy-MM-dd"), end: format(fertile.end, "yyyy-MM-dd") });
+    }
+  }
+  return events;
+}
+
+// ─── ICS ──────────────────────────────────────────────────────
+
+// TEXT values escape backslash, semicolon, comma and newlines
+const escapeText = (text) =>
+  String(text).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+
+// Content lines longer than 75 octets continue on lines starting with a space
+function foldLine(line) {
+  const bytes = new TextEncoder().encode(line);
+  if (bytes.length <= 75) return line;
+  const parts = [];
+  let current = "";
+  let size = 0;
+  for (const char of line) {
+    const charSize = new TextEncoder().encode(char).length;
+    if (size + charSize > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = "";
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+const icsDate = (date) => date.replace(/-/g, "");
+
+// FNV-1a, twice with different offsets for 64 bits: enough to keep UIDs apart
+// between users without putting their id in every calendar that subscribes
+function ownerHash(id) {
+  let a = 0x811c9dc5, b = 0x050c5d1f;
+  for (const char of String(id)) {
+    const code = char.codePointAt(0);
+    a = Math.imul(a ^ code, 0x01000193) >>> 0;
+    b = Math.imul(b ^ code, 0x01000193) >>> 0;
+  }
+  return a.toString(16).padStart(8, "0") + b.toString(16).padStart(8, "0");
+}
+
+/**
+ * Serialises events as a VCALENDAR. Titles come from `options` so the user
+ * decides what shows up. UIDs depend on kind, start date and a hash of
+ * `options.user_id`: a subscribed calendar updates moved predictions instead
+ * of duplicating them, and two people's feeds in one calendar app never
+ * collide.
+ */
+export function toICS(events, options = DEFAULT_FEED_OPTIONS, now = new Date()) {
+  const titles = {
+    period:    options.period_title  || DEFAULT_FEED_OPTIONS.period_title,
+    predicted: options.period_title  || DEFAULT_FEED_OPTIONS.period_title,
+    fertile:   options.fertile_title || DEFAULT_FEED_OPTIONS.fertile_title,
+  };
+  const owner = options.user_id ? `-${ownerHash(options.user_id)}` : "";
+  const stamp = now.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//AuraCycle//Cycle Calendar//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(options.calendar_name || DEFAULT_FEED_OPTIONS.calendar_name)}`,
+    "REFRESH-INTERVAL;VALUE=DURATION:PT12H",
+    "X-PUBLISHED-TTL:PT12H",
+  ];
+  for (const event of events) {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${event.kind}-${icsDate(event.start)}${owner}@auracycle.app`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${icsDate(event.start)}`,
+      // DTEND is exclusive for all-day events
+      `DTEND;VALUE=DATE:${format(addDays(parseISO(event.end), 1), "yyyyMMdd")}`,
+      `SUMMARY:${escapeText(titles[event.kind])}`,
+      "TRANSP:TRANSPARENT",
+      "END:VEVENT"
+    );
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,46 @@
+/**
+ * Luna conversations as threads (chat_threads / chat_messages): titles from
+ * the first question, and the matching used when messages are encrypted and
+ * the database can't search them. Pure.
+ */
+
+export const MAX_TITLE_LENGTH = 60;
+const SNIPPET_RADIUS = 60;
+
+/**
+ * A thread's title from its first question: the first sentence, cut at a
+ * word boundary. "When should I expect my period? It's been…" → "When should
+ * I expect my period?"
+ */
+export function threadTitle(question) {
+  const text = String(question ?? "").replace(/\s+/g, " ").trim();
+  if (!text) return "New conversation";
+  const sentence = text.match(/^.+?[.?!](?=\s|$)/)?.[0] ?? text;
+  if (sentence.length <= MAX_TITLE_LENGTH) return sentence;
+  const cut = sentence.slice(0, MAX_TITLE_LENGTH - 1);
+  const space = cut.lastIndexOf(" ");
+  return `${(space > MAX_TITLE_LENGTH / 2 ? cut.slice(0, space) : cut).replace(/[\s,;:]+$/, "")}…`;
+}
+
+const searchWords = (query) =>
+  String(query ?? "").toLowerCase().split(/\s+/).map((w) => w.replace(/^["']+|["']+$/g, "")).filter(Boolean);
+
+/** True if `text` contains every word of `query`, in any order and case. */
+export function matchesSearch(text, query) {
+  const words = searchWords(query);
+  const haystack = String(text ?? "").toLowerCase();
+  return words.length > 0 && words.every((w) => haystack.includes(w));
+}
+
+/**
+ * The part of `text` around the first word of `query` it contains, for a
+ * search result: "…the luteal phase usually lasts 12–14 days…".
+ */
+export function searchSnippet(text, query) {
+  const plain = String(text ?? "").replace(/[*_#>`]/g, "").replace(/\s+/g, " ").trim();
+  const lower = plain.toLowerCase();
+  const at = searchWords(query).map((w) => lower.indexOf(w)).filter((i) => i !== -1).sort((a, b) => a - b)[0] ?? 0;
+  const start = Math.max(0, at - SNIPPET_RADIUS);
+  const end = Math.min(plain.length, at + SNIPPET_RADIUS * 2);
+  return `${start > 0 ? "…" : ""}${plain.slice(start, end).trim()}${end < plain.length ? "…" : ""}`;
+}
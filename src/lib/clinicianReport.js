@@ -0,0 +1,326 @@
+/**
+ * Clinician PDF report — a printable cycle summary to hand to a gynecologist.
+ * Built with jsPDF, which is loaded on demand so it stays out of the main bundle.
+ */
+import { format, parseISO } from "date-fns";
+import { getLateStatus } from "./cycleStats";
+import { exportFilename } from "./exportData";
+import { SCHEDULES } from "./medications";
+
+// Outside the commonly cited adult reference ranges
+const SHORT_CYCLE = 21;
+const LONG_CYCLE = 35;
+const LONG_PERIOD = 7;
+const RECENT_CYCLES = 12;
+
+const PAGE_W = 210;
+const PAGE_H = 297;
+const MARGIN = 18;
+const CONTENT_W = PAGE_W - MARGIN * 2;
+
+const VIOLET = "#7c3aed";
+const SLATE = "#334155";
+const MUTED = "#94a3b8";
+const ROSE = "#e11d48";
+
+const fmtDate = (iso) => (iso ? format(parseISO(iso), "d MMM yyyy") : "—");
+
+// ─── FLAGS ────────────────────────────────────────────────────
+
+/**
+ * Findings worth a clinician's attention, in plain language.
+ */
+export function collectReportFlags(bundle) {
+  const { cycles, prediction, irregularity, settings } = bundle;
+  const flags = [];
+
+  const late = prediction ? getLateStatus(prediction, settings) : null;
+  if (late) {
+    flags.push(`Current period is ${late.daysLate} day${late.daysLate === 1 ? "" : "s"} later than predicted (${fmtDate(prediction.predicted_date)}).`);
+  }
+  if (irregularity?.isIrregular) {
+    flags.push(`Irregular: last 3 cycles were ${irregularity.last3.join(", ")} days (spread ${irregularity.range} days, SD ${irregularity.stdDev}).`);
+  }
+
+  const completed = cycles.filter((c) => c.cycle_length !== null);
+  const short = completed.filter((c) => c.cycle_length < SHORT_CYCLE);
+  const long = completed.filter((c) => c.cycle_length > LONG_CYCLE);
+  const longPeriods = cycles.filter((c) => c.period_length > LONG_PERIOD);
+  if (short.length) {
+    flags.push(`${short.length} cycle${short.length === 1 ? "" : "s"} shorter than ${SHORT_CYCLE} days (${short.map((c) => c.cycle_length).join(", ")}).`);
+  }
+  if (long.length) {
+    flags.push(`${long.length} cycle${long.length === 1 ? "" : "s"} longer than ${LONG_CYCLE} days (${long.map((c) => c.cycle_length).join(", ")}).`);
+  }
+  if (longPeriods.length) {
+    flags.push(`${longPeriods.length} period${longPeriods.length === 1 ? "" : "s"} lasting more than ${LONG_PERIOD} days.`);
+  }
+  return flags;
+}
+
+// ─── LAYOUT HELPERS ───────────────────────────────────────────
+
+function createWriter(doc) {
+  let y = MARGIN;
+
+  const ensureSpace = (height) => {
+    if (y + height > PAGE_H - MARGIN - 8) {
+      doc.addPage();
+      y = MARGIN;
+    }
+  };
+
+  return {
+    get y() { return y; },
+    set y(v) { y = v; },
+    ensureSpace,
+
+    heading(text) {
+      ensureSpace(14);
+      y += 4;
+      doc.setFont("helvetica", "bold");
+      doc.setFontSize(12);
+      doc.setTextColor(VIOLET);
+      doc.text(text, MARGIN, y);
+      y += 2;
+      doc.setDrawColor("#ddd6fe");
+      doc.line(MARGIN, y, PAGE_W - MARGIN, y);
+      y += 6;
+    },
+
+    paragraph(text, { color = SLATE, size = 10, bold = false } = {}) {
+      doc.setFont("helvetica", bold ? "bold" : "normal");
+      doc.setFontSize(size);
+      doc.setTextColor(color);
+      const lines = doc.splitTextToSize(text, CONTENT_W);
+      ensureSpace(lines.length * 5);
+      doc.text(lines, MARGIN, y);
+      y += lines.length * 5;
+    },
+
+    keyValues(pairs) {
+      doc.setFontSize(10);
+      pairs.forEach(([label, value]) => {
+        ensureSpace(6);
+        doc.setFont("helvetica", "normal");
+        doc.setTextColor(MUTED);
+        doc.text(label, MARGIN, y);
+        doc.setFont("helvetica", "bold");
+        doc.setTextColor(SLATE);
+        doc.text(String(value), MARGIN + 62, y);
+        y += 6;
+      });
+    },
+
+    table(columns, rows) {
+      const rowH = 6;
+      const header = () => {
+        doc.setFillColor("#f5f3ff");
+        doc.rect(MARGIN, y - 4, CONTENT_W, rowH, "F");
+        doc.setFont("helvetica", "bold");
+        doc.setFontSize(9);
+        doc.setTextColor(SLATE);
+        let x = MARGIN + 2;
+        columns.forEach((c) => { doc.text(c.label, x, y); x += c.width; });
+        y += rowH;
+      };
+      ensureSpace(rowH * 2);
+      header();
+      doc.setFont("helvetica", "normal");
+      rows.forEach((row) => {
+        if (y + rowH > PAGE_H - MARGIN - 8) {
+          doc.addPage();
+          y = MARGIN;
+          header();
+          doc.setFont("helvetica", "normal");
+        }
+        doc.setFontSize(9);
+        doc.setTextColor(SLATE);
+        let x = MARGIN + 2;
+        columns.forEach((c) => {
+          const text = doc.splitTextToSize(String(row[c.key] ?? "—"), c.width - 2)[0];
+          doc.text(text, x, y);
+          x += c.width;
+        });
+        y += rowH;
+      });
+      y += 2;
+    },
+  };
+}
+
+function drawCycleLengthChart(doc, w, cycles) {
+  const data = cycles.filter((c) => c.cycle_length !== null).slice(-RECENT_CYCLES);
+  if (data.length === 0) return;
+
+  const chartH = 42;
+  w.ensureSpace(chartH + 14);
+  const top = w.y;
+  const left = MARGIN + 8;
+  const width = CONTENT_W - 8;
+  const maxLen = Math.max(LONG_CYCLE + 5, ...data.map((c) => c.cycle_length));
+  const yFor = (len) => top + chartH - (len / maxLen) * chartH;
+
+  // Shaded 21–35 day reference band
+  doc.setFillColor("#ecfdf5");
+  doc.rect(left, yFor(LONG_CYCLE), width, yFor(SHORT_CYCLE) - yFor(LONG_CYCLE), "F");
+  doc.setFontSize(7);
+  doc.setTextColor(MUTED);
+  [SHORT_CYCLE, 28, LONG_CYCLE].forEach((len) => doc.text(String(len), MARGIN, yFor(len) + 1));
+
+  const slot = width / data.length;
+  const barW = Math.min(10, slot * 0.6);
+  data.forEach((c, i) => {
+    const x = left + slot * i + (slot - barW) / 2;
+    const outOfRange = c.cycle_length < SHORT_CYCLE || c.cycle_length > LONG_CYCLE;
+    doc.setFillColor(outOfRange ? ROSE : VIOLET);
+    doc.rect(x, yFor(c.cycle_length), barW, top + chartH - yFor(c.cycle_length), "F");
+    doc.setTextColor(SLATE);
+    doc.text(String(c.cycle_length), x + barW / 2, yFor(c.cycle_length) - 1, { align: "center" });
+    doc.setTextColor(MUTED);
+    doc.text(format(parseISO(c.start), "MMM yy"), x + barW / 2, top + chartH + 4, { align: "center" });
+  });
+
+  doc.setDrawColor(MUTED);
+  doc.line(left, top + chartH, left + width, top + chartH);
+  w.y = top + chartH + 8;
+  w.paragraph("Bars show days from one period start to the next; shaded band is 21–35 days.", { color: MUTED, size: 8 });
+}
+
+// ─── REPORT ───────────────────────────────────────────────────
+
+/**
+ * Renders the report for an export bundle (see buildExportBundle) and
+ * triggers the download. `profile` supplies the name and birth year.
+ */
+export async function downloadClinicianReport(bundle, profile) {
+  const { jsPDF } = await import("jspdf");
+  const doc = new jsPDF({ unit: "mm", format: "a4" });
+  const w = createWriter(doc);
+  const { cycles, stats, prediction, symptom_patterns: patterns, logs } = bundle;
+
+  // Title block
+  doc.setFont("helvetica", "bold");
+  doc.setFontSize(18);
+  doc.setTextColor(SLATE);
+  doc.text("Menstrual Cycle Report", MARGIN, w.y + 4);
+  w.y += 11;
+  const age = profile?.birth_year ? new Date().getFullYear() - profile.birth_year : null;
+  const firstDate = logs[0]?.date;
+  const lastDate = logs[logs.length - 1]?.date;
+  w.paragraph(
+    [
+      profile?.display_name,
+      age ? `age ${age}` : null,
+      `generated ${format(new Date(), "d MMM yyyy")}`,
+      firstDate ? `data from ${fmtDate(firstDate)} to ${fmtDate(lastDate)}` : null,
+    ].filter(Boolean).join(" · "),
+    { color: MUTED, size: 9 }
+  );
+
+  // Summary
+  w.heading("Summary");
+  const periodLengths = cycles.map((c) => c.period_length);
+  const avgPeriod = periodLengths.length
+    ? Math.round((periodLengths.reduce((a, b) => a + b, 0) / periodLengths.length) * 10) / 10
+    : null;
+  w.keyValues([
+    ["Cycles tracked", `${cycles.length} (${stats.count} complete)`],
+    ["Average cycle length", stats.avg ? `${stats.avg} days (SD ${stats.stdDev})` : "Not enough data"],
+    ["Shortest / longest cycle", stats.count ? `${stats.min} / ${stats.max} days` : "—"],
+    ["Average period length", avgPeriod ? `${avgPeriod} days` : "—"],
+    ["Last period started", fmtDate(cycles[cycles.length - 1]?.start ?? bundle.settings?.last_period_start)],
+    ["Next period expected", prediction ? `${fmtDate(prediction.predicted_date)} (range ${fmtDate(prediction.range_start)} – ${fmtDate(prediction.range_end)})` : "—"],
+  ]);
+
+  // Flags
+  w.heading("Flags");
+  const flags = collectReportFlags(bundle);
+  if (flags.length === 0) {
+    w.paragraph("No late period, irregularity or out-of-range cycles detected in the logged data.", { color: MUTED });
+  } else {
+    flags.forEach((f) => w.paragraph(`•  ${f}`, { color: ROSE }));
+  }
+
+  // Cycle length history
+  w.heading("Cycle length history");
+  if (stats.count === 0) {
+    w.paragraph("At least two logged periods are needed to measure cycle length.", { color: MUTED });
+  } else {
+    drawCycleLengthChart(doc, w, cycles);
+  }
+
+  // Recent cycles
+  w.heading(`Recent cycles (last ${Math.min(RECENT_CYCLES, cycles.length)})`);
+  w.table(
+    [
+      { key: "start", label: "Period start", width: 34 },
+      { key: "end", label: "Period end", width: 34 },
+      { key: "period", label: "Bleeding days", width: 30 },
+      { key: "cycle", label: "Cycle length", width: 30 },
+      { key: "flow", label: "Flow", width: CONTENT_W - 128 },
+    ],
+    cycles.slice(-RECENT_CYCLES).reverse().map((c) => ({
+      start: fmtDate(c.start),
+      end: fmtDate(c.end),
+      period: c.period_length,
+      cycle: c.cycle_length ?? "ongoing",
+      // Day-by-day flow with repeats collapsed, e.g. "heavy, medium, light"
+      flow: c.flow.filter((f, i) => f !== c.flow[i - 1]).join(", "),
+    }))
+  );
+
+  // Symptom timing
+  w.heading("Symptom timing");
+  if (patterns.length === 0) {
+    w.paragraph("No symptom has been logged in at least two cycles yet.", { color: MUTED });
+  } else {
+    w.table(
+      [
+        { key: "symptom", label: "Symptom", width: 60 },
+        { key: "count", label: "Times logged", width: 34 },
+        { key: "range", label: "Typical cycle days", width: 44 },
+        { key: "avg", label: "Average day", width: CONTENT_W - 138 },
+      ],
+      patterns.map((p) => ({
+        symptom: p.symptom.charAt(0).toUpperCase() + p.symptom.slice(1),
+        count: p.count,
+        range: p.typicalRange,
+        avg: `day ${p.avgDay}`,
+      }))
+    );
+  }
+
+  // Medications
+  const medications = bundle.medications ?? [];
+  if (medications.length > 0) {
+    w.heading("Medications and supplements");
+    w.table(
+      [
+        { key: "name", label: "Name", width: 60 },
+        { key: "dose", label: "Dose", width: 34 },
+        { key: "schedule", label: "Schedule", width: 44 },
+        { key: "status", label: "Status", width: CONTENT_W - 138 },
+      ],
+      medications.map((m) => ({
+        name: m.name,
+        dose: m.dose || "—",
+        schedule: SCHEDULES[m.schedule] ?? m.schedule,
+        status: m.active ? "Taking" : "Stopped",
+      }))
+    );
+  }
+
+  // Footer on every page
+  const pages = doc.getNumberOfPages();
+  for (let i = 1; i <= pages; i++) {
+    doc.setPage(i);
+    doc.setFont("helvetica", "normal");
+    doc.setFontSize(7);
+    doc.setTextColor(MUTED);
+    doc.text("Self-reported data from AuraCycle. Not a diagnosis.", MARGIN, PAGE_H - 10);
+    doc.text(`Page ${i} of ${pages}`, PAGE_W - MARGIN, PAGE_H - 10, { align: "right" });
+  }
+
+  doc.save(exportFilename("report", "pdf"));
+}
@@ -0,0 +1,141 @@
+/**
+ * Birth control mode. Hormonal methods stop the cycle that predictNextPeriod
+ * and getFertileWindow model, so under them predictions and fertile windows
+ * are switched off and bleeds are classified instead of counted as periods.
+ * Pure, so the reminder scheduler and the calendar feed agree with the app.
+ */
+import { addDays, differenceInDays, format, parseISO } from "date-fns";
+
+// `pack` methods have a pill a day on a pack schedule; `activeDays` and
+// `placeboDays` are that method's usual pack
+export const CONTRACEPTION_METHODS = {
+  combined_pill: { label: "Combined pill",  hormonal: true,  pack: true, activeDays: 21, placeboDays: 7 },
+  mini_pill:     { label: "Mini-pill",      hormonal: true,  pack: true, activeDays: 28, placeboDays: 0 },
+  patch:         { label: "Patch",          hormonal: true },
+  ring:          { label: "Vaginal ring",   hormonal: true },
+  hormonal_iud:  { label: "Hormonal IUD",   hormonal: true },
+  copper_iud:    { label: "Copper IUD",     hormonal: false },
+  implant:       { label: "Implant",        hormonal: true },
+};
+
+// Pack layouts offered in Settings, as active + placebo (or pill-free) days
+export const PACK_LAYOUTS = [
+  { activeDays: 21, placeboDays: 7, label: "21 + 7" },
+  { activeDays: 24, placeboDays: 4, label: "24 + 4" },
+  { activeDays: 28, placeboDays: 0, label: "28, no break" },
+];
+
+export const BLEED_LABELS = {
+  withdrawal:   "Withdrawal bleed",
+  breakthrough: "Breakthrough bleed",
+};
+
+// A withdrawal bleed often runs on into the first days of the next pack
+const WITHDRAWAL_CARRY_OVER = 3;
+
+// How far back missed pills are looked for
+const MISSED_PILL_WINDOW = 7;
+
+// ─── PROFILE ──────────────────────────────────────────────────
+
+/** The method in the settings with its id, or null when none is set. */
+export function getContraceptionMethod(settings) {
+  const id = settings?.contraception_method;
+  return CONTRACEPTION_METHODS[id] ? { id, ...CONTRACEPTION_METHODS[id] } : null;
+}
+
+/** True when the method replaces the natural cycle, so predictions don't apply. */
+export function usesHormonalContraception(settings) {
+  return !!getContraceptionMethod(settings)?.hormonal;
+}
+
+/** True for pill users, who get the pack tracker and pill-taken logging. */
+export function usesPillPack(settings) {
+  return !!getContraceptionMethod(settings)?.pack;
+}
+
+/**
+ * Fertile windows are only shown with no contraception at all — on a copper
+ * IUD the cycle (and its predictions) carry on, but a fertile window means
+ * nothing useful and reads like a green light.
+ */
+export function showsFertileWindow(settings) {
+  return !getContraceptionMethod(settings);
+}
+
+// ─── PILL PACK ────────────────────────────────────────────────
+
+/**
+ * Where `date` ("yyyy-MM-dd") falls in the pill pack: pack day, whether it's
+ * a placebo day, and when this pack started and the next one starts. Packs
+ * run back to back from `pill_pack_start`. Null without a pack schedule or
+ * before it starts.
+ */
+export function getPackDay(settings, date) {
+  const method = getContraceptionMethod(settings);
+  if (!method?.pack || !settings.pill_pack_start) return null;
+
+  const daysSince = differenceInDays(parseISO(date), parseISO(settings.pill_pack_start));
+  if (daysSince < 0) return null;
+
+  const activeDays  = settings.pill_active_days || method.activeDays;
+  const placeboDays = settings.pill_placebo_days ?? method.placeboDays;
+  const packLength  = activeDays + placeboDays;
+  const index       = daysSince % packLength;
+  const packStart   = addDays(parseISO(settings.pill_pack_start), daysSince - index);
+
+  return {
+    packDay:   index + 1,
+    packLength,
+    activeDays,
+    placeboDays,
+    isPlacebo: index >= activeDays,
+    packStart:     format(packStart, "yyyy-MM-dd"),
+    nextPackStart: format(addDays(packStart, packLength), "yyyy-MM-dd"),
+    daysLeft:  packLength - index - 1,
+  };
+}
+
+/** Whether the pill for `date` is logged as taken. */
+export function isPillTaken(logs, date) {
+  return !!logs?.some((l) => l.date === date && l.pill_taken);
+}
+
+/**
+ * Active pill days in the last week before `today` with no pill logged,
+ * newest first. Days before the pack schedule or the method started don't
+ * count, so turning the mode on doesn't report a week of misses.
+ */
+export function getMissedPills(settings, logs, today) {
+  const missed = [];
+  for (let i = 1; i <= MISSED_PILL_WINDOW; i++) {
+    const date = format(addDays(parseISO(today), -i), "yyyy-MM-dd");
+    if (settings?.contraception_started && date < settings.contraception_started) break;
+    const pack = getPackDay(settings, date);
+    if (!pack) break;
+    if (!pack.isPlacebo && !isPillTaken(logs, date)) missed.push(date);
+  }
+  return missed;
+}
+
+// ─── BLEEDS ───────────────────────────────────────────────────
+
+/**
+ * What a bleed logged on `date` is under the user's method: "withdrawal" for
+ * the scheduled bleed of the combined pill's break (or a patch or ring
+ * break), "breakthrough" for bleeding at any other time. Null without a
+ * hormonal method, or before it was started — those bleeds are periods.
+ */
+export function classifyBleed(settings, date) {
+  const method = getContraceptionMethod(settings);
+  if (!method?.hormonal) return null;
+  if (settings.contraception_started && date < settings.contraception_started) return null;
+
+  if (method.id === "patch" || method.id === "ring") return "withdrawal";
+  if (method.id !== "combined_pill") return "breakthrough";
+
+  const pack = getPackDay(settings, date);
+  if (!pack) return "withdrawal";
+  if (pack.isPlacebo) return "withdrawal";
+  return pack.placeboDays > 0 && pack.packDay <= WITHDRAWAL_CARRY_OVER ? "withdrawal" : "breakthrough";
+}
@@ -4,16 +4,23 @@
  * All inputs come from the authenticated user's own data (RLS-enforced at DB level).
  */
 import { differenceInDays, parseISO, addDays, format } from "date-fns";
+import { usesHormonalContraception } from "./contraception.js";
+import { getCyclePauses, isCyclePaused } from "./pregnancy.js";
+import { isPerimenopause } from "./perimenopause.js";
+import { itemName } from "./logItems.js";
 
 // ─── CYCLE GROUPING ────────────────────────────────────────────
 
 /**
  * Groups period logs into discrete cycles.
  * Consecutive period days with ≤2-day gaps are treated as the same period.
+ * Bleeds classified under hormonal contraception (`bleed_type`) aren't periods.
+ * With `settings`, a cycle that runs across a pregnancy (see pregnancy.js) has
+ * no cycle length, so it doesn't count towards averages or variation.
  */
-export function buildCycles(logs) {
+export function buildCycles(logs, settings = null) {
   const periodLogs = logs
-    .filter((l) => l.log_type === "period" && l.date)
+    .filter((l) => l.log_type === "period" && l.date && !l.bleed_type)
     .map((l) => ({ ...l, dateObj: parseISO(l.date) }))
     .sort((a, b) => a.dateObj - b.dateObj);
 
@@ -32,13 +39,16 @@ export function buildCycles(logs) {
     }
   }
   groups.push(current);
+  const pauses = getCyclePauses(settings);
 
   return groups.map((group, i) => {
     const start = group[0];
     const end = group[group.length - 1];
     const periodLength = differenceInDays(end.dateObj, start.dateObj) + 1;
     const nextStart = groups[i + 1]?.[0];
-    const cycleLength = nextStart
+    const paused = !!nextStart &&
+      pauses.some((p) => start.date <= p.end && nextStart.date > p.start);
+    const cycleLength = nextStart && !paused
       ? differenceInDays(nextStart.dateObj, start.dateObj)
       : null;
 
@@ -50,12 +60,31 @@ export function buildCycles(logs) {
       endObj: end.dateObj,
       periodLength,
       cycleLength,
+      paused,
       avgFlow: group.map((d) => d.flow_intensity).filter(Boolean),
       logs: group,
     };
   });
 }
 
+/**
+ * The `last_period_start` / `last_period_end` pair implied by the logs, for
+ * resyncing settings after past entries are edited. The end stays null while
+ * the latest period is still open, i.e. no day is marked as its last and the
+ * current settings didn't already record an end for it.
+ */
+export function latestPeriodBounds(logs, settings) {
+  const cycles = buildCycles(logs, settings);
+  const latest = cycles[cycles.length - 1];
+  if (!latest) return null;
+  const marked = latest.logs.filter((l) => l.is_period_end).pop();
+  const hadEnd = !!settings?.last_period_end && settings.last_period_end >= latest.start;
+  return {
+    last_period_start: latest.start,
+    last_period_end:   marked?.date ?? (hadEnd ? latest.end : null),
+  };
+}
+
 // ─── CYCLE STATISTICS ──────────────────────────────────────────
 
 /**
@@ -83,13 +112,208 @@ export function computeCycleStats(cycles) {
   };
 }
 
+// ─── BASAL BODY TEMPERATURE ───────────────────────────────────
+
+const BBT_LOW_READINGS  = 6;    // readings that set the coverline
+const BBT_HIGH_READINGS = 3;    // consecutive readings that must clear it
+const BBT_MIN_RISE      = 0.2;  // °C the last high reading must rise above the lows
+const BBT_COVERLINE_GAP = 0.05; // °C the coverline is drawn above the highest low
+
+/**
+ * BBT readings (°C) logged in [from, to), one per date, oldest first.
+ */
+export function getBbtReadings(logs, from = null, to = null) {
+  const fromObj = typeof from === "string" ? parseISO(from) : from;
+  const toObj   = typeof to   === "string" ? parseISO(to)   : to;
+  const byDate = {};
+
+  logs.forEach((log) => {
+    if (!log.date || log.bbt === null || log.bbt === undefined) return;
+    const dateObj = parseISO(log.date);
+    if ((fromObj && dateObj < fromObj) || (toObj && dateObj >= toObj)) return;
+    byDate[log.date] = { date: log.date, dateObj, temp: Number(log.bbt) };
+  });
+
+  return Object.values(byDate).sort((a, b) => a.dateObj - b.dateObj);
+}
+
+/**
+ * Finds the sustained post-ovulation temperature rise using the 3-over-6 rule:
+ * three consecutive readings above the highest of the previous six, the third
+ * at least 0.2 °C higher. If the third falls short, a fourth reading above the
+ * lows still confirms the shift. Ovulation is taken as the last low day.
+ * Returns null when no shift is confirmed yet.
+ */
+export function detectThermalShift(readings) {
+  for (let i = BBT_LOW_READINGS; i + BBT_HIGH_READINGS <= readings.length; i++) {
+    const lows  = readings.slice(i - BBT_LOW_READINGS, i);
+    const highs = readings.slice(i, i + BBT_HIGH_READINGS);
+    const maxLow = Math.max(...lows.map((r) => r.temp));
+    if (!highs.every((r) => r.temp > maxLow)) continue;
+
+    let confirmIdx = i + BBT_HIGH_READINGS - 1;
+    if (highs[highs.length - 1].temp < maxLow + BBT_MIN_RISE) {
+      const extra = readings[i + BBT_HIGH_READINGS];
+      if (!extra || extra.temp <= maxLow) continue;
+      confirmIdx += 1;
+    }
+
+    const lastLow = readings[i - 1];
+    return {
+      ovulationDate: lastLow.date,
+      ovulationObj: lastLow.dateObj,
+      shiftDate: readings[i].date,
+      confirmedOn: readings[confirmIdx].date,
+      coverline: Math.round((maxLow + BBT_COVERLINE_GAP) * 100) / 100,
+    };
+  }
+  return null;
+}
+
+// ─── OVULATION MODEL ──────────────────────────────────────────
+
+/**
+ * The luteal phase (ovulation → next period) is fairly constant per person,
+ * usually 12–14 days. The follicular phase is what makes cycles vary.
+ */
+export const DEFAULT_LUTEAL_LENGTH = 14;
+const MIN_LUTEAL_LENGTH = 10;
+const MAX_LUTEAL_LENGTH = 16;
+// Ovulation before this cycle day is implausible — such a signal is ignored
+const MIN_OVULATION_DAY = 6;
+
+/**
+ * Logged signals that point at the ovulation day.
+ * `offset` is how many days after the signal ovulation is expected;
+ * `rank` orders how much we trust it (1 = most reliable).
+ */
+export const OVULATION_SIGNALS = {
+  lh_peak:        { label: "Positive ovulation test", offset: 1, rank: 1 },
+  peak_mucus:     { label: "Peak cervical mucus",     offset: 0, rank: 2 },
+  ovulation_pain: { label: "Ovulation pain",          offset: 0, rank: 3 },
+};
+
+// Mucus qualities that count as fertile; peak day is the last egg-white day
+const PEAK_MUCUS = "egg_white";
+
+/**
+ * Finds ovulation signals logged in [from, to). `to` may be null (open-ended).
+ * Returns signals sorted by date, each with the ovulation day it implies.
+ *
+ * Peak mucus can only be known in hindsight: an egg-white day counts once a
+ * later observation shows the mucus drying up again.
+ */
+export function findOvulationSignals(logs, from, to = null) {
+  const fromObj = typeof from === "string" ? parseISO(from) : from;
+  const toObj   = typeof to   === "string" ? parseISO(to)   : to;
+  const signals = [];
+  const mucusByDate = {};
+
+  const push = (type, date, dateObj) => {
+    const def = OVULATION_SIGNALS[type];
+    signals.push({ type, label: def.label, date, ovulationObj: addDays(dateObj, def.offset) });
+  };
+
+  logs.forEach((log) => {
+    if (!log.date) return;
+    const dateObj = parseISO(log.date);
+    if (dateObj < fromObj || (toObj && dateObj >= toObj)) return;
+
+    (log.symptoms || []).forEach((raw) => {
+      const type = raw.split(":")[0];
+      if (type === "ovulation_pain") push(type, log.date, dateObj);
+    });
+    if (log.ovulation_test === "peak") push("lh_peak", log.date, dateObj);
+    if (log.cervical_mucus) mucusByDate[log.date] = { date: log.date, dateObj, quality: log.cervical_mucus };
+  });
+
+  const mucus = Object.values(mucusByDate).sort((a, b) => a.dateObj - b.dateObj);
+  mucus.forEach((m, i) => {
+    const next = mucus[i + 1];
+    if (m.quality === PEAK_MUCUS && next && next.quality !== PEAK_MUCUS) {
+      push("peak_mucus", m.date, m.dateObj);
+    }
+  });
+
+  return signals.sort((a, b) => a.ovulationObj - b.ovulationObj);
+}
+
+/**
+ * Estimates the ovulation day of one cycle from logged signals.
+ * A confirmed BBT thermal shift wins over symptom-based signals.
+ * Returns null when nothing ovulation-related was logged in that cycle.
+ */
+export function estimateOvulation(logs, cycleStart, nextCycleStart = null) {
+  const startObj = typeof cycleStart === "string" ? parseISO(cycleStart) : cycleStart;
+  const plausible = (dateObj) => differenceInDays(dateObj, startObj) + 1 >= MIN_OVULATION_DAY;
+
+  const signals = findOvulationSignals(logs, startObj, nextCycleStart).filter((s) => plausible(s.ovulationObj));
+  const shift = detectThermalShift(getBbtReadings(logs, startObj, nextCycleStart));
+
+  if (shift && plausible(shift.ovulationObj)) {
+    return {
+      date: shift.ovulationDate,
+      dateObj: shift.ovulationObj,
+      confirmed: true,
+      coverline: shift.coverline,
+      signals: [
+        { type: "bbt_shift", label: "Temperature shift", date: shift.confirmedOn, ovulationObj: shift.ovulationObj },
+        ...signals,
+      ],
+    };
+  }
+  if (signals.length === 0) return null;
+
+  // Trust the most reliable kind of signal; within that kind use the earliest
+  // implied day — later ones are usually the tail of the same event.
+  const bestRank = Math.min(...signals.map((s) => OVULATION_SIGNALS[s.type].rank));
+  const ovulationObj = signals.find((s) => OVULATION_SIGNALS[s.type].rank === bestRank).ovulationObj;
+  return {
+    date: format(ovulationObj, "yyyy-MM-dd"),
+    dateObj: ovulationObj,
+    confirmed: false,
+    coverline: null,
+    signals,
+  };
+}
+
+/**
+ * Personal luteal length from completed cycles that had ovulation signals.
+ * Falls back to DEFAULT_LUTEAL_LENGTH when there is no usable history.
+ */
+export function estimateLutealLength(cycles, logs = []) {
+  const lengths = [];
+  cycles.forEach((c, i) => {
+    if (c.cycleLength === null) return;
+    const ovulation = estimateOvulation(logs, c.startObj, cycles[i + 1]?.startObj);
+    if (!ovulation) return;
+    const luteal = c.cycleLength - differenceInDays(ovulation.dateObj, c.startObj);
+    // Anything outside the physiological range is more likely a mislabelled log
+    if (luteal >= MIN_LUTEAL_LENGTH && luteal <= MAX_LUTEAL_LENGTH) lengths.push(luteal);
+  });
+
+  if (lengths.length === 0) {
+    return { length: DEFAULT_LUTEAL_LENGTH, source: "default", count: 0 };
+  }
+  const avg = lengths.reduce((a, b) => a + b, 0) / lengths.length;
+  return { length: Math.round(avg), source: "personal", count: lengths.length };
+}
+
 // ─── PREDICTION ENGINE ────────────────────────────────────────
 
 /**
  * Predicts next period date + confidence range using pure statistics.
  * Does NOT call any external API.
+ *
+ * Cycle length is split into a variable follicular phase and a roughly fixed
+ * luteal phase. When ovulation signals are logged in the current cycle, the
+ * prediction is re-anchored to ovulation + luteal length instead of the
+ * cycle-length average. `signals` and `method` say what the date is based on.
+ * Null under hormonal contraception, where there's no natural cycle to predict,
+ * and while cycle tracking is paused for a pregnancy.
  */
-export function predictNextPeriod(cycles, settings) {
+export function predictNextPeriod(cycles, settings, logs = []) {
+  if (usesHormonalContraception(settings) || isCyclePaused(settings, logs)) return null;
   const completed = cycles.filter((c) => c.cycleLength !== null);
   // Don't bail when cycles is empty — we can still predict from settings.last_period_start
   const stats = computeCycleStats(cycles);
@@ -109,19 +333,36 @@ export function predictNextPeriod(cycles, settings) {
   if (!lastPeriodStart) return null;
 
   const lastStart = parseISO(lastPeriodStart);
-  const predictedDate = addDays(lastStart, Math.round(avgLen));
+  const baselineDate = addDays(lastStart, Math.round(avgLen));
+
+  const luteal = estimateLutealLength(cycles, logs);
+  const follicularLength = Math.max(MIN_OVULATION_DAY - 1, Math.round(avgLen) - luteal.length);
+  const ovulation = estimateOvulation(logs, lastStart);
 
   // Confidence range = ±stdDev (clamped to 1–7 days)
   const stdDev = stats.stdDev || 0;
-  const rangeDays = Math.max(1, Math.min(7, Math.round(stdDev)));
-  const rangeStart = addDays(predictedDate, -rangeDays);
-  const rangeEnd = addDays(predictedDate, rangeDays);
+  let rangeDays = Math.max(1, Math.min(7, Math.round(stdDev)));
 
   // Confidence level — needs at least 1 complete cycle; more data = higher confidence
   let confidence = "high";
   if (completed.length === 0 || stdDev > 5) confidence = "low";
   else if (completed.length < 3 || stdDev > 2.5) confidence = "medium";
 
+  let predictedDate = baselineDate;
+  let method = completed.length > 0 ? "history" : "settings";
+
+  if (ovulation) {
+    // Only the luteal phase is left — its variation is small, so the range shrinks
+    predictedDate = addDays(ovulation.dateObj, luteal.length);
+    method = "ovulation";
+    rangeDays = luteal.source === "personal" ? 1 : 2;
+    confidence = luteal.source === "personal" || confidence === "high" ? "high" : "medium";
+  }
+
+  const rangeStart = addDays(predictedDate, -rangeDays);
+  const rangeEnd = addDays(predictedDate, rangeDays);
+  const ovulationObj = ovulation?.dateObj ?? addDays(lastStart, follicularLength);
+
   return {
     predicted_date: format(predictedDate, "yyyy-MM-dd"),
     range_start: format(rangeStart, "yyyy-MM-dd"),
@@ -133,26 +374,90 @@ export function predictNextPeriod(cycles, settings) {
     avg_cycle_length: Math.round(avgLen * 10) / 10,
     std_dev: Math.round(stdDev * 10) / 10,
     cycles_analyzed: completed.length,
+    method,
+    signals: ovulation
+      ? ovulation.signals.map(({ type, label, date }) => ({ type, label, date }))
+      : [],
+    ovulation_date: format(ovulationObj, "yyyy-MM-dd"),
+    ovulation_detected: !!ovulation,
+    ovulation_confirmed: !!ovulation?.confirmed,
+    luteal_length: luteal.length,
+    luteal_source: luteal.source,
+    follicular_length: follicularLength,
+    baseline_date: format(baselineDate, "yyyy-MM-dd"),
+    shift_days: differenceInDays(predictedDate, baselineDate),
   };
 }
 
+/**
+ * Human-readable explanation of what a prediction is based on,
+ * so the UI can say why the date moved.
+ */
+export function explainPrediction(prediction) {
+  if (!prediction) return null;
+
+  const details = [];
+  let summary;
+
+  if (prediction.method === "ovulation") {
+    const labels = [...new Set(prediction.signals.map((s) => s.label.toLowerCase()))];
+    summary = prediction.ovulation_confirmed
+      ? `Ovulation confirmed by temperature shift (${format(parseISO(prediction.ovulation_date), "MMM d")})`
+      : `Based on ovulation signs around ${format(parseISO(prediction.ovulation_date), "MMM d")}`;
+    details.push(`Signals used: ${labels.join(", ")}`);
+    details.push(
+      prediction.luteal_source === "personal"
+        ? `Your luteal phase is usually ${prediction.luteal_length} days`
+        : `Assumes a typical ${prediction.luteal_length}-day luteal phase`
+    );
+    if (prediction.shift_days !== 0) {
+      const n = Math.abs(prediction.shift_days);
+      details.push(
+        `${n} ${n === 1 ? "day" : "days"} ${prediction.shift_days < 0 ? "earlier" : "later"} than your cycle average alone suggests`
+      );
+    }
+  } else if (prediction.method === "history") {
+    summary = `Based on ${prediction.cycles_analyzed} tracked cycle${prediction.cycles_analyzed === 1 ? "" : "s"}`;
+    details.push("Log ovulation signs to refine this cycle's prediction");
+  } else {
+    summary = "Based on your cycle length setting";
+    details.push("Log a few full cycles to personalise predictions");
+  }
+
+  return { summary, details };
+}
+
 // ─── LATE PERIOD HANDLING ─────────────────────────────────────
 
 /**
- * Returns late-period status with calm, non-panic messaging.
- * Returns null if the period is not yet late.
+ * Returns late-period status with calm, non-panic messaging — unless one of
+ * `redFlags` (see redFlags.js) involves the late period, when waiting it out
+ * is the wrong advice. Returns null if the period is not yet late on `today`
+ * ("yyyy-MM-dd", default the current date).
  */
-export function getLateStatus(prediction, settings) {
+export function getLateStatus(prediction, settings, redFlags = [], { today: todayStr = format(new Date(), "yyyy-MM-dd") } = {}) {
   if (!prediction || !settings?.last_period_start) return null;
 
-  const today = new Date();
+  const today = parseISO(todayStr);
   const expectedDate = parseISO(prediction.predicted_date);
   const daysLate = differenceInDays(today, expectedDate);
 
   if (daysLate <= 0) return null;
+  // A year on from the last period it's menopause rather than a late period
+  if (isPerimenopause(settings) && differenceInDays(today, parseISO(settings.last_period_start)) >= 365) return null;
+
+  const flag = redFlags.find((f) => f.late);
+  if (flag) {
+    return { daysLate, message: `${flag.title}: ${flag.action}`, severity: "urgent", emoji: "🚨" };
+  }
 
   let message, severity, emoji;
-  if (daysLate <= 3) {
+  if (isPerimenopause(settings) && daysLate > 3) {
+    // Long gaps and skipped periods are expected here, not a cause for alarm
+    message = "Longer gaps and skipped periods are common in perimenopause. Your next period may simply come later.";
+    severity = "mild";
+    emoji = "🍂";
+  } else if (daysLate <= 3) {
     message = "Small variations of a few days are completely normal.";
     severity = "normal";
     emoji = "🌿";
@@ -175,30 +480,84 @@ export function getLateStatus(prediction, settings) {
 
 // ─── IRREGULARITY DETECTION ───────────────────────────────────
 
+// A cycle this long means a period was skipped, whatever the usual length
+const SKIPPED_CYCLE_DAYS = 60;
+
+/**
+ * How much the last 3 cycles may vary before they're called irregular.
+ * Cycles vary more from the 40s on, and in perimenopause a week or more
+ * between consecutive cycles is expected.
+ */
+export function irregularityThresholds({ age = null, perimenopause = false } = {}) {
+  if (perimenopause) return { stdDev: 10, range: 21 };
+  if (age >= 45)     return { stdDev: 7,  range: 14 };
+  if (age >= 40)     return { stdDev: 5,  range: 10 };
+  return { stdDev: 4, range: 8 };
+}
+
 /**
- * Checks if recent cycles are irregular (last 3 cycles).
+ * Completed cycles long enough that a period was probably skipped: 60+
+ * days, or at least 1.8× the median of the other cycles. Each comes with
+ * roughly how many periods were missed.
+ */
+export function detectSkippedCycles(cycles) {
+  const completed = cycles.filter((c) => c.cycleLength !== null);
+  const typical = computeCycleStats(completed.filter((c) => c.cycleLength < SKIPPED_CYCLE_DAYS)).avg || 28;
+  return completed
+    .filter((c) => {
+      const others = completed.filter((o) => o !== c).map((o) => o.cycleLength).sort((a, b) => a - b);
+      const median = others.length >= 2 ? others[Math.floor(others.length / 2)] : null;
+      return c.cycleLength >= SKIPPED_CYCLE_DAYS || (median !== null && c.cycleLength >= median * 1.8);
+    })
+    .map((c) => ({
+      start:       c.start,
+      cycleLength: c.cycleLength,
+      missed:      Math.max(1, Math.round(c.cycleLength / typical) - 1),
+    }));
+}
+
+/**
+ * Checks if recent cycles are irregular (last 3 cycles), against limits
+ * that widen with `age` and in `perimenopause`, where skipped cycles are
+ * left out of the variation and reported on their own instead.
  * Returns null if not enough data.
  */
-export function detectIrregularity(cycles) {
+export function detectIrregularity(cycles, { age = null, perimenopause = false } = {}) {
   const completed = cycles.filter((c) => c.cycleLength !== null);
   if (completed.length < 3) return null;
 
-  const last3 = completed.slice(-3).map((c) => c.cycleLength);
-  const avg = last3.reduce((a, b) => a + b, 0) / last3.length;
-  const variance = last3.reduce((sum, l) => sum + (l - avg) ** 2, 0) / last3.length;
+  const skipped = detectSkippedCycles(completed);
+  const counted = perimenopause
+    ? completed.filter((c) => !skipped.some((s) => s.start === c.start))
+    : completed;
+  const last3 = counted.slice(-3).map((c) => c.cycleLength);
+  const avg = last3.length ? last3.reduce((a, b) => a + b, 0) / last3.length : 0;
+  const variance = last3.length ? last3.reduce((sum, l) => sum + (l - avg) ** 2, 0) / last3.length : 0;
   const stdDev = Math.sqrt(variance);
-  const range = Math.max(...last3) - Math.min(...last3);
+  const range = last3.length ? Math.max(...last3) - Math.min(...last3) : 0;
 
-  const isIrregular = stdDev > 4 || range > 8;
+  const limits = irregularityThresholds({ age, perimenopause });
+  const isIrregular = last3.length >= 3 && (stdDev > limits.stdDev || range > limits.range);
+  const typicalFor = perimenopause ? " for perimenopause" : age >= 40 ? " for your age" : "";
+
+  const longest = skipped.reduce((max, s) => Math.max(max, s.cycleLength), 0);
+  const skippedMessage = skipped.length === 0 ? null
+    : `${skipped.length === 1 ? "One cycle" : `${skipped.length} cycles`} ran ${skipped.length === 1 ? "" : "up to "}${longest} days, which usually means a skipped period${
+        perimenopause ? " — common in perimenopause." : age >= 40 ? " — more common from your 40s on." : "."
+      }`;
 
   return {
     isIrregular,
     stdDev: Math.round(stdDev * 10) / 10,
     range,
     last3,
+    skipped,
+    skippedMessage,
     message: isIrregular
-      ? `Your last 3 cycles varied by ${range} days — more than the typical range.`
-      : `Your last 3 cycles have a ${range}-day spread, which is within a normal range.`,
+      ? `Your last 3 cycles varied by ${range} days — more than the typical range${typicalFor}.`
+      : last3.length < 3
+        ? "Not enough cycles between the skipped ones to judge how much they vary yet."
+        : `Your last 3 cycles have a ${range}-day spread, which is within a normal range${typicalFor}.`,
   };
 }
 
@@ -207,8 +566,9 @@ export function detectIrregularity(cycles) {
 /**
  * Computes which cycle days each symptom typically occurs.
  * Returns patterns sorted by frequency, with "cramps peak day 1-2" style insights.
+ * `customItems` names the user's own symptoms.
  */
-export function computeSymptomPatterns(logs, cycles) {
+export function computeSymptomPatterns(logs, cycles, customItems = []) {
   if (cycles.length === 0) return [];
 
   const symptomDays = {};
@@ -256,7 +616,7 @@ export function computeSymptomPatterns(logs, cycles) {
       const typicalRange = typMin === typMax ? `day ${typMin}` : `days ${typMin}–${typMax}`;
 
       return {
-        symptom: symptom.replace(/_/g, " "),
+        symptom: itemName(symptom, customItems),
         rawSymptom: symptom,
         avgDay: Math.round(avg),
         typicalRange,
@@ -273,12 +633,19 @@ export function computeSymptomPatterns(logs, cycles) {
 
 /**
  * Computes the fertile window based on last period start and average cycle length.
+ * Ovulation is placed one luteal phase before the next expected period, unless a
+ * known ovulation date (from logged signals or a confirmed BBT shift) is passed in.
  */
-export function getFertileWindow(lastPeriodStart, avgCycleLength) {
+export function getFertileWindow(
+  lastPeriodStart,
+  avgCycleLength,
+  { ovulationDate = null, ovulationConfirmed = false, lutealLength = DEFAULT_LUTEAL_LENGTH } = {}
+) {
   if (!lastPeriodStart) return null;
   const start = parseISO(lastPeriodStart);
-  const ovulationDayOffset = Math.round(avgCycleLength / 2) - 2;
-  const ovulation = addDays(start, ovulationDayOffset);
+  const ovulation = ovulationDate
+    ? parseISO(ovulationDate)
+    : addDays(start, Math.max(MIN_OVULATION_DAY - 1, Math.round(avgCycleLength) - lutealLength));
   const fertileStart = addDays(ovulation, -2);
   const fertileEnd = addDays(ovulation, 2);
   const today = new Date();
@@ -287,6 +654,8 @@ export function getFertileWindow(lastPeriodStart, avgCycleLength) {
     start: fertileStart,
     end: fertileEnd,
     ovulation,
+    ovulationEstimated: !ovulationDate,
+    ovulationConfirmed: !!ovulationDate && ovulationConfirmed,
     startFormatted: format(fertileStart, "MMM d"),
     endFormatted: format(fertileEnd, "MMM d"),
     ovulationFormatted: format(ovulation, "MMM d"),
@@ -295,3 +664,81 @@ export function getFertileWindow(lastPeriodStart, avgCycleLength) {
     daysUntilEnd: differenceInDays(fertileEnd, today),
   };
 }
+
+// ─── TODAY IN THE CYCLE ───────────────────────────────────────
+
+// How many recent log rows the Home screen reads to place today in the cycle
+export const RECENT_LOG_WINDOW = 30;
+
+/** Rough phase for a cycle day, offset from the end of the period. */
+export function getPhase(cycleDay, cycleLength, periodLength) {
+  if (cycleDay <= periodLength) return "period";
+  if (cycleDay <= periodLength + 6) return "follicular";
+  if (cycleDay <= periodLength + 10) return "ovulation";
+  return "luteal";
+}
+
+/**
+ * Where `today` ("yyyy-MM-dd") falls in the current cycle, as shown on the
+ * Home screen: cycle day, phase, and days until the next period. Uses
+ * averages from `recentLogs` when there are enough cycles, else settings.
+ */
+export function getCyclePosition(settings, recentLogs, today) {
+  const day = parseISO(today);
+  const cycles = buildCycles(recentLogs, settings);
+  const cycleLength = computeCycleStats(cycles).avg || settings?.average_cycle_length || 28;
+
+  // Average period length from actual logs when 2+ cycles exist
+  const avgPeriodFromLogs = cycles.length >= 2
+    ? Math.round(cycles.reduce((sum, c) => sum + c.periodLength, 0) / cycles.length)
+    : null;
+  const periodLength = avgPeriodFromLogs ?? settings?.average_period_length ?? 5;
+
+  // Only use last_period_start if it's today or in the past — ignore future-logged periods
+  const rawLastPeriodStart = settings?.last_period_start;
+  const lastPeriodStart = rawLastPeriodStart &&
+    differenceInDays(day, parseISO(rawLastPeriodStart)) >= 0
+      ? rawLastPeriodStart
+      : null;
+
+  // Prefer the most recent period start: compare settings vs. the last logged
+  // cycle's actual start. This fixes the % cycleLength wrapping bug where stale
+  // settings (e.g. Feb 4 + 28 days = March 3 ≡ day 4) show the wrong cycle day
+  // when the user has already logged a more recent period.
+  const loggedCycleStart = cycles.length > 0 ? cycles[cycles.length - 1].start : null;
+  const effectiveStart = (loggedCycleStart && lastPeriodStart)
+    ? (loggedCycleStart > lastPeriodStart ? loggedCycleStart : lastPeriodStart)
+    : (loggedCycleStart || lastPeriodStart);
+
+  let cycleDay = 1;
+  let nextPeriodIn = Math.round(cycleLength);
+  if (effectiveStart) {
+    const daysSince = differenceInDays(day, parseISO(effectiveStart));
+    cycleDay = (daysSince % cycleLength) + 1;
+    nextPeriodIn = cycleLength - (daysSince % cycleLength);
+  }
+
+  // When last_period_end is known, compute the actual period length from real dates
+  // rather than relying on the stored average, which may differ from reality.
+  const lastPeriodEnd = settings?.last_period_end;
+  const effectivePeriodLength = (effectiveStart && lastPeriodEnd && lastPeriodEnd >= effectiveStart)
+    ? differenceInDays(parseISO(lastPeriodEnd), parseISO(effectiveStart)) + 1
+    : periodLength;
+
+  // If the period has ended (last_period_end is today or in the past), advance
+  // cycleDay past the period length so the phase transitions out of "period"
+  // immediately — fixes "last day" not registering on the wheel.
+  const periodHasEnded = !!lastPeriodEnd && differenceInDays(day, parseISO(lastPeriodEnd)) >= 0;
+  if (periodHasEnded) {
+    cycleDay = Math.max(cycleDay, effectivePeriodLength + 1);
+  }
+
+  return {
+    cycleDay,
+    cycleLength,
+    periodLength: effectivePeriodLength,
+    phase: getPhase(cycleDay, cycleLength, effectivePeriodLength),
+    nextPeriodIn,
+    effectiveStart,
+  };
+}
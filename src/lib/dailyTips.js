@@ -0,0 +1,101 @@
+/**
+ * Phase-specific tips shown by the Home screen's DailyTip card and sent as the
+ * optional daily tip reminder. Kept pure so the push scheduler picks exactly
+ * the tip the app would show for the same cycle day.
+ */
+
+const TIPS = {
+  period: [
+    {
+      days: [1, 2],
+      title: "Heaviest days",
+      tips: [
+        "A heat pad on your lower belly relaxes uterine muscles and eases cramping. Ibuprofen (taken with food) works better than paracetamol for period pain.",
+        "On heavy days, change pads or tampons every 4–8 hours and keep a spare with you. Soaking through one an hour is worth mentioning to your doctor.",
+      ],
+    },
+    {
+      days: [3, 4],
+      title: "Flow is easing",
+      tips: [
+        "Replenish iron lost during your period with spinach, lentils, or red meat. Pair them with vitamin C — it doubles iron absorption.",
+        "Energy can still be low mid-period. Prioritise sleep tonight and swap intense workouts for something gentler if your body asks for it.",
+      ],
+    },
+    {
+      days: [5, 6, 7],
+      title: "Nearly through it",
+      tips: [
+        "Light movement like walking or gentle yoga boosts circulation and lifts your mood as your period winds down. You're almost there.",
+        "Brown spotting as your period ends is normal — it's older blood leaving slowly. A liner is usually all you need now.",
+        "As your period ends, estrogen starts to climb and energy usually returns. Plan something you enjoy for the coming days.",
+      ],
+    },
+  ],
+  follicular: [
+    "Estrogen is rising — your energy and focus are naturally climbing. This is the best phase to start new habits, tackle hard tasks, or push your workouts.",
+    "Your skin tends to look its best right now thanks to rising estrogen. Stay hydrated and use SPF to make the most of it.",
+    "Social energy is high in the follicular phase. Make plans, have important conversations, and lean into your natural confidence.",
+    "Your iron stores are rebuilding after your period. Keep beans, tofu, or lean meat on the menu, with some fruit or veg for vitamin C.",
+    "Many people find strength training feels easier this week. If you lift, it's a good time to add a little weight.",
+    "Sleep often feels more restful in this phase. Settling into a regular bedtime now makes it easier to keep when PMS arrives.",
+  ],
+  ovulation: [
+    "You're at peak energy and communication skills. Great day for presentations, difficult conversations, or anything that needs your A-game.",
+    "Your fertile window is open. Clear, stretchy cervical mucus (like egg whites) is your body's natural sign. Stay hydrated and fuel well today.",
+    "A brief twinge on one side of your lower belly around now is common — it's called mittelschmerz and usually passes within a day or two.",
+    "Libido often peaks around ovulation. If you're avoiding pregnancy, this is when contraception matters most.",
+  ],
+  luteal: [
+    "Progesterone is rising — bloating and mood shifts are normal. Cutting back on salt and caffeine this week can make a real difference.",
+    "Magnesium (dark chocolate, nuts, seeds) reduces cramps and mood swings before your period. Start taking it now if PMS is a pattern for you.",
+    "Your body temperature runs slightly higher in the luteal phase. Swap high-intensity cardio for strength training or pilates — you'll feel better for it.",
+    "Cravings for carbs and sweets are driven by progesterone — they're real, not a lack of willpower. Complex carbs like oats and sweet potato satisfy without the crash.",
+    "Sleep can get lighter before your period. A cooler bedroom and a steady wind-down routine help.",
+    "Feeling more tired or inward this week is normal. Leave a few evenings free to rest.",
+    "Regular meals with protein and fibre help smooth out the energy dips and irritability that come before a period.",
+    "If PMS regularly gets in the way of your life, keep logging it here — a clear pattern is useful to bring to your doctor.",
+    "Breast tenderness before a period is common. A well-fitting, supportive bra can ease it, even overnight.",
+    "Water retention builds late in the luteal phase. Drinking enough water actually helps your body let go of the extra.",
+    "Anxiety or low mood can creep in before your period. A short walk outside or a few minutes of slow breathing can take the edge off.",
+    "Skin can break out before your period as oil production rises. Gentle cleansing works better than scrubbing.",
+    "Your period is on its way — a good moment to check you have pads, tampons, or your cup ready.",
+  ],
+};
+
+const PHASE_TIP_LABELS = {
+  period:     "Period Phase",
+  follicular: "Follicular Phase",
+  ovulation:  "Ovulation Phase",
+  luteal:     "Luteal Phase",
+};
+
+// First cycle day of each phase, matching getPhase() in cycleStats
+const phaseStartDay = (phase, periodLength) =>
+  ({ period: 1, follicular: periodLength + 1, ovulation: periodLength + 7, luteal: periodLength + 11 })[phase] ?? 1;
+
+function getPeriodTip(cycleDay) {
+  for (const entry of TIPS.period) {
+    const i = entry.days.indexOf(cycleDay);
+    if (i !== -1) return { title: entry.title, tip: entry.tips[i] };
+  }
+  // fallback for longer periods
+  const last = TIPS.period[TIPS.period.length - 1];
+  return { title: "Period day", tip: last.tips[cycleDay % last.tips.length] };
+}
+
+/**
+ * The tip for a cycle day: `{ title, tip }`. Period days each have their own
+ * tip; other phases step through their list one day at a time from the start
+ * of the phase, so no tip repeats until the whole list has been shown.
+ */
+export function getDailyTip(phase, cycleDay = 1, periodLength = 5) {
+  if (phase === "period") return getPeriodTip(cycleDay);
+
+  const tips = TIPS[phase] || TIPS.follicular;
+  const dayInPhase = Math.max(0, cycleDay - phaseStartDay(phase, periodLength));
+  return {
+    title: PHASE_TIP_LABELS[phase] || "Daily Tip",
+    tip: tips[dayInPhase % tips.length],
+  };
+}
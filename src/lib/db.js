@@ -2,14 +2,75 @@
  * Data access layer — all Supabase queries go here.
  * RLS policies guarantee strict per-user data isolation at the DB level.
  */
+import { format, parseISO } from "date-fns";
 import { supabase } from "./supabaseClient";
+import { isValidBbt, BBT_MIN_C, BBT_MAX_C } from "./temperature";
+import {
+  enqueueMutation, getQueuedMutations, removeMutation, clearQueuedMutations,
+  getSyncStatus, setSyncStatus, refreshPendingCount,
+} from "./offlineQueue";
+import {
+  isUnlocked, isEncryptionEnabled, encryptLogFields, decryptLogFields, decryptLogs,
+  hasEncryptedFields, hasPlaintextFields, setEncryptionKeysCache, getEncryptionKeysCache, lock,
+  encryptText, decryptText, isEncryptedText,
+} from "./encryption";
+import { isAppLocked } from "./appLock";
+import { latestPeriodBounds } from "./cycleStats";
+import { classifyBleed } from "./contraception";
+import { MAX_VASOMOTOR_COUNT } from "./perimenopause";
+import { parseSymptom } from "./logItems";
+import { threadTitle, matchesSearch } from "./chatThreads";
 
 const SETTINGS_CACHE_KEY = "aura_cycle_settings";
 const LOGS_CACHE_KEY     = "aura_cycle_logs";
+const CUSTOM_ITEMS_CACHE_KEY = "aura_custom_log_items";
+const MEDICATIONS_CACHE_KEY = "aura_medications";
+
+// ─── OFFLINE HELPERS ──────────────────────────────────────────
+
+/** True when a Supabase call failed because the device couldn't reach the server. */
+function isNetworkError(error) {
+  if (typeof navigator !== "undefined" && !navigator.onLine) return true;
+  if (!error) return false;
+  return error instanceof TypeError ||
+    /failed to fetch|networkerror|load failed|network request failed/i.test(error.message ?? "");
+}
+
+/** Reads the user id from the stored session — works without a network round-trip. */
+async function getUserId() {
+  const { data: { session } } = await supabase.auth.getSession();
+  if (!session?.user) throw new Error("Not signed in");
+  return session.user.id;
+}
+
+/**
+ * Writes go straight to the queue while offline, and also while older writes
+ * are still pending so that mutations always reach the server in order.
+ */
+function shouldQueue() {
+  const { online, pending } = getSyncStatus();
+  return !online || pending > 0;
+}
+
+function newLocalId() {
+  if (typeof crypto !== "undefined" && crypto.randomUUID) return crypto.randomUUID();
+  // RFC 4122 v4 fallback for older WebViews
+  return "xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(/[xy]/g, (c) => {
+    const r = (Math.random() * 16) | 0;
+    return (c === "x" ? r : (r & 0x3) | 0x8).toString(16);
+  });
+}
 
 // ─── CYCLE LOGS ───────────────────────────────────────────────
 
 export function getCycleLogsCache() {
+  // The cache holds ciphertext when encryption is on — let the decrypted fetch fill the page
+  if (isEncryptionEnabled() || isAppLocked()) return undefined;
+  return readLogsCache();
+}
+
+/** Raw cached rows (possibly encrypted) for the offline fallbacks below. */
+function readLogsCache() {
   try {
     const cached = localStorage.getItem(LOGS_CACHE_KEY);
     return cached ? JSON.parse(cached) : undefined;
@@ -18,54 +79,412 @@ export function getCycleLogsCache() {
   }
 }
 
+/**
+ * Replays queued log mutations on top of server (or cached) rows so entries
+ * saved offline show up everywhere immediately. Pending rows carry `_pending`.
+ */
+function overlayQueuedLogs(logs, queued) {
+  const logOps = queued.filter((m) => m.op !== "settings");
+  if (logOps.length === 0) return logs;
+  let result = [...logs];
+  for (const m of logOps) {
+    if (m.op === "insert") {
+      result = [{ ...m.payload, _pending: true }, ...result.filter((l) => l.id !== m.log_id)];
+    } else if (m.op === "update") {
+      result = result.map((l) => (l.id === m.log_id ? { ...l, ...m.payload, _pending: true } : l));
+    } else if (m.op === "delete") {
+      result = result.filter((l) => l.id !== m.log_id);
+    } else if (m.op === "period_days") {
+      result = overlayPeriodDays(result, m.payload);
+    }
+  }
+  return result.sort((a, b) => b.date.localeCompare(a.date));
+}
+
+/** Local preview of save_period_days() for a batch that hasn't synced yet. */
+function overlayPeriodDays(logs, { days, clear_dates }) {
+  const byDate = new Map(logs.map((l) => [l.date, l]));
+  for (const d of days) {
+    const mark = {
+      log_type: "period", flow_intensity: d.flow_intensity, is_period_end: d.is_period_end,
+      bleed_type: d.bleed_type ?? null, _pending: true,
+    };
+    const existing = byDate.get(d.date);
+    byDate.set(d.date, existing
+      ? { ...existing, ...mark }
+      : { id: d.id, date: d.date, symptoms: [], moods: [], notes: null, ...mark });
+  }
+  for (const date of clear_dates) {
+    const existing = byDate.get(date);
+    if (existing?.log_type !== "period") continue;
+    byDate.set(date, {
+      ...existing,
+      log_type: existing.symptoms?.length ? "symptom" : existing.moods?.length ? "mood" : "note",
+      flow_intensity: null,
+      is_period_end: false,
+      bleed_type: null,
+      _pending: true,
+    });
+  }
+  return [...byDate.values()];
+}
+
 export async function getCycleLogs(limit = 200) {
   const { data, error } = await supabase
     .from("cycle_logs")
     .select("*")
     .order("date", { ascending: false })
     .limit(limit);
-  if (error) throw error;
-  const result = data ?? [];
-  // Cache up to 500 entries for instant display on next load
-  if (result.length > 0) {
-    try { localStorage.setItem(LOGS_CACHE_KEY, JSON.stringify(result.slice(0, 500))); } catch {}
+  let result;
+  if (error) {
+    if (!isNetworkError(error)) throw error;
+    // Offline — serve the last known rows instead of failing the page
+    result = (readLogsCache() ?? []).slice(0, limit);
+  } else {
+    result = data ?? [];
+    // Cache up to 500 entries for instant display on next load
+    if (result.length > 0) {
+      try { localStorage.setItem(LOGS_CACHE_KEY, JSON.stringify(result.slice(0, 500))); } catch {}
+    }
   }
-  return result;
+  try {
+    const queued = await getQueuedMutations(await getUserId());
+    result = overlayQueuedLogs(result, queued);
+  } catch {}
+  return decryptLogs(result);
 }
 
-export async function createCycleLog(logData) {
-  const { data: { user } } = await supabase.auth.getUser();
+/** Logs dated `start` to `end` ("yyyy-MM-dd", inclusive), oldest first. */
+export async function getCycleLogsInRange(start, end) {
   const { data, error } = await supabase
     .from("cycle_logs")
-    .insert({ ...logData, user_id: user.id })
-    .select()
-    .single();
-  if (error) throw error;
-  return data;
+    .select("*")
+    .gte("date", start)
+    .lte("date", end)
+    .order("date", { ascending: true });
+  let result;
+  if (error) {
+    if (!isNetworkError(error)) throw error;
+    result = readLogsCache() ?? [];
+  } else {
+    result = data ?? [];
+  }
+  try {
+    result = overlayQueuedLogs(result, await getQueuedMutations(await getUserId()));
+  } catch {}
+  const inRange = result
+    .filter((l) => l.date >= start && l.date <= end)
+    .sort((a, b) => a.date.localeCompare(b.date));
+  return decryptLogs(inRange);
 }
 
-export async function deleteCycleLog(id) {
-  const { error } = await supabase
+/**
+ * The one row matching `filter` ({ id } or { date }), including one saved
+ * offline that hasn't synced yet.
+ */
+async function findLog(filter) {
+  const [[column, value]] = Object.entries(filter);
+  const { data, error } = await supabase
     .from("cycle_logs")
-    .delete()
-    .eq("id", id);
-  if (error) throw error;
+    .select("*")
+    .match(filter)
+    .maybeSingle();
+  let rows;
+  if (error) {
+    if (!isNetworkError(error)) throw error;
+    rows = readLogsCache() ?? [];
+  } else {
+    rows = data ? [data] : [];
+  }
+  try {
+    rows = overlayQueuedLogs(rows, await getQueuedMutations(await getUserId()));
+  } catch {}
+  const row = rows.find((l) => l[column] === value);
+  return row ? decryptLogFields(row) : null;
+}
+
+/** A single log by id. */
+export const getCycleLog = (id) => findLog({ id });
+
+/** The day's record for a "yyyy-MM-dd" date, or null if nothing is logged. */
+export const getDailyLog = (date) => findLog({ date });
+
+/**
+ * Every log row for the current user, oldest first. Pages through the table
+ * so exports aren't capped by the row limit the screens use.
+ */
+export async function getAllCycleLogs() {
+  return decryptLogs(await fetchAllLogRows());
+}
+
+async function fetchAllLogRows() {
+  const PAGE = 1000;
+  /** @type {any[]} */
+  const rows = [];
+  for (let from = 0; ; from += PAGE) {
+    const { data, error } = await supabase
+      .from("cycle_logs")
+      .select("*")
+      .order("date", { ascending: true })
+      .order("created_at", { ascending: true })
+      .range(from, from + PAGE - 1);
+    if (error) throw error;
+    rows.push(...(data ?? []));
+    if (!data || data.length < PAGE) break;
+  }
+  return rows;
+}
+
+// Per-day counts and the symptom tag each one implies
+const VASOMOTOR_COUNTS = { hot_flash_count: "hot_flashes", night_sweat_count: "night_sweats" };
+
+/**
+ * Rounds the BBT reading and rejects implausible values up front, so the
+ * user gets a readable message instead of a check-constraint violation.
+ * Hot flash and night sweat counts get the same treatment, and a day with
+ * one also gets the matching symptom so symptom insights pick it up.
+ * Medications taken are stored once each.
+ */
+function normaliseLog(logData) {
+  let log = logData;
+  if (log.bbt !== undefined && log.bbt !== null) {
+    const bbt = Math.round(Number(log.bbt) * 100) / 100;
+    if (!isValidBbt(bbt)) {
+      throw new Error(`Temperature must be between ${BBT_MIN_C} and ${BBT_MAX_C} °C`);
+    }
+    log = { ...log, bbt };
+  }
+  for (const [field, symptom] of Object.entries(VASOMOTOR_COUNTS)) {
+    if (log[field] === undefined || log[field] === null) continue;
+    const count = Math.round(Number(log[field]));
+    if (!(count >= 0 && count <= MAX_VASOMOTOR_COUNT)) {
+      throw new Error(`Counts must be between 0 and ${MAX_VASOMOTOR_COUNT} a day`);
+    }
+    log = { ...log, [field]: count };
+    if (count > 0 && Array.isArray(log.symptoms) && !log.symptoms.some((s) => s.split(":")[0] === symptom)) {
+      log = { ...log, symptoms: [...log.symptoms, symptom] };
+    }
+  }
+  if (Array.isArray(log.medications_taken)) {
+    log = { ...log, medications_taken: [...new Set(log.medications_taken)] };
+  }
+  return log;
+}
+
+/**
+ * Whenever a write sets the day's type, a period day logged under hormonal
+ * contraception is classified as a withdrawal or breakthrough bleed, and
+ * any other day loses its classification.
+ */
+function classifyLog(logData) {
+  if (logData.log_type === undefined || !logData.date) return logData;
+  const bleed_type = logData.log_type === "period"
+    ? classifyBleed(getCycleSettingsCache(), logData.date)
+    : null;
+  return { ...logData, bleed_type };
+}
+
+/** Validation plus client-side encryption of protected fields when it's on. */
+async function prepareLog(logData) {
+  if (isEncryptionEnabled() && !isUnlocked()) {
+    throw new Error("Unlock your encrypted data before saving");
+  }
+  return encryptLogFields(classifyLog(normaliseLog(logData)));
+}
+
+async function insertCycleLog(logData) {
+  const userId = await getUserId();
+  // The id is generated client-side so a queued insert keeps the same
+  // identity once it reaches the server (and later edits can target it).
+  const row = { ...(await prepareLog(logData)), id: newLocalId(), user_id: userId };
+  if (!shouldQueue()) {
+    const { data, error } = await supabase
+      .from("cycle_logs")
+      .insert(row)
+      .select()
+      .single();
+    if (!error) return decryptLogFields(data);
+    if (!isNetworkError(error)) throw error;
+  }
+  await queueMutation({ user_id: userId, op: "insert", log_id: row.id, payload: row });
+  return decryptLogFields({ ...row, _pending: true });
+}
+
+/**
+ * Writes `existing` (the day's current record, or null) with `logData`
+ * applied. Fields present in `logData` replace the stored ones; fields left
+ * out are kept.
+ */
+async function writeDailyLog(existing, logData) {
+  if (existing) return updateCycleLog(existing.id, logData);
+  try {
+    return await insertCycleLog(logData);
+  } catch (error) {
+    // 23505 = another device created the day's record since we looked
+    if (error?.code !== "23505") throw error;
+    const current = await getDailyLog(logData.date);
+    if (!current) throw error;
+    return updateCycleLog(current.id, logData);
+  }
+}
+
+/**
+ * Saves into the single record for `logData.date`, creating it if the day
+ * has nothing logged yet. There is one row per user and date (see
+ * 007_daily_records.sql), so this is the only way new days are written.
+ */
+export async function saveDailyLog(logData) {
+  return writeDailyLog(await getDailyLog(logData.date), logData);
+}
+
+/**
+ * Marks `date` as a period day without touching anything else logged that
+ * day. Days already marked keep their flow.
+ */
+export async function markPeriodDay(date, flow = "medium") {
+  const existing = await getDailyLog(date);
+  if (existing?.log_type === "period") return existing;
+  return writeDailyLog(existing, { date, log_type: "period", flow_intensity: flow });
+}
+
+/**
+ * Logs whether the pill for `date` was taken, keeping everything else
+ * logged that day. A day with nothing else on it becomes a note.
+ */
+export async function logPillTaken(date, taken) {
+  const existing = await getDailyLog(date);
+  return writeDailyLog(existing, existing
+    ? { date, pill_taken: taken }
+    : { date, log_type: "note", pill_taken: taken });
+}
+
+/**
+ * Logs medication `id` as taken (or not) on `date`, keeping everything else
+ * logged that day. A day with nothing else on it becomes a note.
+ */
+export async function logMedicationTaken(date, id, taken) {
+  const existing = await getDailyLog(date);
+  const current = existing?.medications_taken ?? [];
+  const medications_taken = taken ? [...current, id] : current.filter((m) => m !== id);
+  return writeDailyLog(existing, existing
+    ? { date, medications_taken }
+    : { date, log_type: "note", medications_taken });
+}
+
+/**
+ * Saves a confirmed draft (see logDraft.js) into the day's record. Its
+ * symptoms and moods are added to any already logged, a drafted severity
+ * replacing the logged one; a note goes after the existing note; and the
+ * day becomes a period day if the draft has a flow, in which case the
+ * period bounds in settings are resynced.
+ */
+export async function saveLogDraft(draft) {
+  const existing = await getDailyLog(draft.date);
+  const logData = { date: draft.date };
+
+  if (draft.symptoms) {
+    const drafted = new Set(draft.symptoms.map((s) => parseSymptom(s).id));
+    logData.symptoms = [
+      ...(existing?.symptoms ?? []).filter((s) => !drafted.has(parseSymptom(s).id)),
+      ...draft.symptoms,
+    ];
+  }
+  if (draft.moods) logData.moods = [...new Set([...(existing?.moods ?? []), ...draft.moods])];
+  if (draft.notes) logData.notes = existing?.notes ? `${existing.notes}\n\n${draft.notes}` : draft.notes;
+  for (const field of ["sleep_hours", "stress_level", "water_intake"]) {
+    if (draft[field] !== undefined) logData[field] = draft[field];
+  }
+
+  // The same precedence as the log wizard: period, then symptoms, moods, note
+  if (draft.flow_intensity) logData.flow_intensity = draft.flow_intensity;
+  logData.log_type = draft.flow_intensity || existing?.log_type === "period" ? "period"
+    : (logData.symptoms ?? existing?.symptoms ?? []).length > 0 ? "symptom"
+    : (logData.moods ?? existing?.moods ?? []).length > 0 ? "mood"
+    : "note";
+
+  const saved = await writeDailyLog(existing, logData);
+  if (draft.flow_intensity) await syncPeriodSettings();
+  return saved;
+}
+
+/**
+ * Marks and unmarks period days in one batch (Calendar range editing).
+ * `days` are [{ date, flow_intensity, is_period_end }] to mark as period;
+ * `clearDates` stop being period days. Everything else logged on those days
+ * is kept, and a cleared day with nothing else on it is removed. Marked days
+ * are classified as bleeds under hormonal contraception, as in prepareLog().
+ */
+export async function savePeriodDays(days, clearDates = []) {
+  const userId = await getUserId();
+  const settings = getCycleSettingsCache();
+  // Ids are only used for days that don't have a record yet (see insertCycleLog)
+  const payload = {
+    days: days.map((d) => ({ ...d, id: newLocalId(), bleed_type: classifyBleed(settings, d.date) })),
+    clear_dates: clearDates,
+  };
+  if (!shouldQueue()) {
+    const { error } = await supabase.rpc("save_period_days", payload);
+    if (!error) return;
+    if (!isNetworkError(error)) throw error;
+  }
+  await queueMutation({ user_id: userId, op: "period_days", payload });
+}
+
+/**
+ * Re-derives the period start/end in cycle_settings from the logged period
+ * days after they were added, removed or moved. With no period logs left the
+ * dates from onboarding are kept rather than cleared.
+ */
+export async function syncPeriodSettings() {
+  const [logs, settings] = await Promise.all([getCycleLogs(500), getCycleSettings()]);
+  const bounds = latestPeriodBounds(logs, settings);
+  if (!bounds) return;
+  if (
+    bounds.last_period_start !== (settings?.last_period_start ?? null) ||
+    bounds.last_period_end   !== (settings?.last_period_end   ?? null)
+  ) {
+    await upsertCycleSettings(bounds);
+  }
+}
+
+export async function deleteCycleLog(id) {
+  const userId = await getUserId();
+  if (!shouldQueue()) {
+    const { error } = await supabase
+      .from("cycle_logs")
+      .delete()
+      .eq("id", id);
+    if (!error) return;
+    if (!isNetworkError(error)) throw error;
+  }
+  await queueMutation({ user_id: userId, op: "delete", log_id: id });
 }
 
 export async function updateCycleLog(id, logData) {
-  const { data, error } = await supabase
-    .from("cycle_logs")
-    .update(logData)
-    .eq("id", id)
-    .select()
-    .single();
-  if (error) throw error;
-  return data;
+  const userId = await getUserId();
+  const changes = await prepareLog(logData);
+  if (!shouldQueue()) {
+    const { data, error } = await supabase
+      .from("cycle_logs")
+      .update(changes)
+      .eq("id", id)
+      .select()
+      .single();
+    if (!error) return decryptLogFields(data);
+    if (!isNetworkError(error)) throw error;
+  }
+  // Snapshot of the row as last seen from the server, used to detect edits
+  // made on another device while this one was offline
+  const base = readLogsCache()?.find((l) => l.id === id) ?? null;
+  await queueMutation({ user_id: userId, op: "update", log_id: id, payload: changes, base });
+  return decryptLogFields({ ...(base ?? {}), ...changes, id, _pending: true });
 }
 
 // ─── CYCLE SETTINGS ───────────────────────────────────────────
 
 export function getCycleSettingsCache() {
+  // Nothing cached is handed out while the app lock screen is up
+  if (isAppLocked()) return undefined;
   try {
     const cached = localStorage.getItem(SETTINGS_CACHE_KEY);
     return cached ? JSON.parse(cached) : undefined;
@@ -79,7 +498,10 @@ export async function getCycleSettings() {
     .from("cycle_settings")
     .select("*")
     .maybeSingle();
-  if (error) throw error;
+  if (error) {
+    if (!isNetworkError(error)) throw error;
+    return getCycleSettingsCache() ?? null;
+  }
   if (data) {
     try { localStorage.setItem(SETTINGS_CACHE_KEY, JSON.stringify(data)); } catch {}
   }
@@ -87,29 +509,832 @@ export async function getCycleSettings() {
 }
 
 export async function upsertCycleSettings(settingsData) {
-  const { data: { user } } = await supabase.auth.getUser();
+  const userId = await getUserId();
+  if (!shouldQueue()) {
+    const { data, error } = await supabase
+      .from("cycle_settings")
+      .upsert(
+        { ...settingsData, user_id: userId },
+        { onConflict: "user_id" }
+      )
+      .select()
+      .single();
+    if (!error) {
+      if (data) {
+        try { localStorage.setItem(SETTINGS_CACHE_KEY, JSON.stringify(data)); } catch {}
+      }
+      return data;
+    }
+    if (!isNetworkError(error)) throw error;
+  }
+  await queueMutation({ user_id: userId, op: "settings", payload: settingsData });
+  // Settings are a single row, so the cache can be updated optimistically
+  const merged = { ...(getCycleSettingsCache() ?? {}), ...settingsData, user_id: userId };
+  try { localStorage.setItem(SETTINGS_CACHE_KEY, JSON.stringify(merged)); } catch {}
+  return merged;
+}
+
+export function clearSettingsCache() {
+  try {
+    localStorage.removeItem(SETTINGS_CACHE_KEY);
+    localStorage.removeItem(LOGS_CACHE_KEY);
+    localStorage.removeItem(CUSTOM_ITEMS_CACHE_KEY);
+    localStorage.removeItem(MEDICATIONS_CACHE_KEY);
+  } catch {}
+  // Forget the unlocked encryption key and which account had encryption on
+  setEncryptionKeysCache(null);
+  lock();
+}
+
+// ─── ENCRYPTION KEYS ──────────────────────────────────────────
+
+/** The user's wrapped data key record, or null if encryption is off. */
+export async function getEncryptionKeys() {
   const { data, error } = await supabase
-    .from("cycle_settings")
+    .from("encryption_keys")
+    .select("*")
+    .maybeSingle();
+  if (error) {
+    if (!isNetworkError(error)) throw error;
+    return getEncryptionKeysCache();
+  }
+  setEncryptionKeysCache(data ?? null);
+  return data ?? null;
+}
+
+export async function saveEncryptionKeys(record) {
+  const userId = await getUserId();
+  const { data, error } = await supabase
+    .from("encryption_keys")
     .upsert(
-      { ...settingsData, user_id: user.id },
+      { ...record, user_id: userId, updated_at: new Date().toISOString() },
       { onConflict: "user_id" }
     )
     .select()
     .single();
   if (error) throw error;
-  if (data) {
-    try { localStorage.setItem(SETTINGS_CACHE_KEY, JSON.stringify(data)); } catch {}
-  }
+  setEncryptionKeysCache(data);
   return data;
 }
 
-export function clearSettingsCache() {
+export async function deleteEncryptionKeys() {
+  const userId = await getUserId();
+  const { error } = await supabase
+    .from("encryption_keys")
+    .delete()
+    .eq("user_id", userId);
+  if (error) throw error;
+  setEncryptionKeysCache(null);
+}
+
+/**
+ * Rewrites every log so its protected fields are encrypted (`mode: "encrypt"`)
+ * or back in plaintext (`mode: "decrypt"`), then Luna's chats the same way.
+ * Rows already in the target state are skipped, so an interrupted run can
+ * simply be started again. Returns how many rows were rewritten.
+ */
+export async function rewriteAllLogs(mode, onProgress) {
+  const rows = await fetchAllLogRows();
+  const todo = rows.filter((r) => (mode === "encrypt" ? hasPlaintextFields(r) : hasEncryptedFields(r)));
+  for (let i = 0; i < todo.length; i++) {
+    const { notes, symptoms, moods } = todo[i];
+    // Decrypt first: a merged day can mix plaintext and encrypted values
+    const plain = await decryptLogFields({ notes, symptoms, moods });
+    if (plain._locked) throw new Error("Some entries couldn't be decrypted with this key");
+    const fields = mode === "encrypt" ? await encryptLogFields(plain) : plain;
+    const { error } = await supabase
+      .from("cycle_logs")
+      .update({ notes: fields.notes, symptoms: fields.symptoms, moods: fields.moods })
+      .eq("id", todo[i].id);
+    if (error) throw error;
+    onProgress?.(i + 1, todo.length);
+  }
+  try { localStorage.removeItem(LOGS_CACHE_KEY); } catch {}
+  return todo.length + await rewriteChats(mode);
+}
+
+// ─── OFFLINE SYNC ─────────────────────────────────────────────
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Three-way merge for an edit made offline against a row that may have been
+ * changed on another device since. Fields only one side touched are kept from
+ * that side; fields both sides changed go to whichever edit happened last.
+ * Encrypted fields get a fresh IV on every write, so they're compared by what
+ * they decrypt to; that needs the key, and while locked the edit stays queued.
+ */
+async function mergeOfflineEdit(base, server, changes, queuedAt) {
+  if (!base || !server.updated_at || server.updated_at === base.updated_at) {
+    return { changes, conflict: false };
+  }
+  const [plainBase, plainServer, plainChanges] = await Promise.all([base, server, changes].map(decryptLogFields));
+  if (plainBase._locked || plainServer._locked || plainChanges._locked) {
+    throw Object.assign(new Error("Unlock your encrypted data to sync this edit"), { locked: true });
+  }
+  const localWins = new Date(queuedAt) > new Date(server.updated_at);
+  const merged = {};
+  let conflict = false;
+  for (const [key, value] of Object.entries(plainChanges)) {
+    if (sameValue(value, plainBase[key])) continue;      // not actually edited here
+    const remoteChanged = !sameValue(plainServer[key], plainBase[key]);
+    if (remoteChanged && !sameValue(plainServer[key], value)) {
+      conflict = true;
+      if (!localWins) continue;
+    }
+    merged[key] = changes[key];                          // written as queued, encrypted or not
+  }
+  return { changes: merged, conflict };
+}
+
+const FLOW_ORDER = ["spotting", "light", "medium", "heavy"];
+
+/**
+ * Folds a day logged offline into the record another device created for the
+ * same date, the same way 007_daily_records.sql merges old duplicates: tags
+ * are unioned, notes appended, flow keeps the heavier reading and any other
+ * value set offline wins. Returns the update for the server row.
+ */
+function mergeDayRecords(server, offline) {
+  const merged = {};
+  for (const [key, value] of Object.entries(offline)) {
+    if (["id", "user_id", "date", "created_at", "updated_at"].includes(key)) continue;
+    if (value !== null && value !== undefined && value !== "") merged[key] = value;
+  }
+  for (const field of ["symptoms", "moods"]) {
+    merged[field] = [...new Set([...(server[field] ?? []), ...(offline[field] ?? [])])];
+  }
+  if (server.notes && offline.notes && server.notes !== offline.notes) {
+    merged.notes = `${server.notes}\n\n${offline.notes}`;
+  } else {
+    merged.notes = offline.notes || server.notes || null;
+  }
+  merged.exercise = !!(server.exercise || offline.exercise);
+  if (server.log_type === "period" || offline.log_type === "period") {
+    merged.log_type = "period";
+    const heavier = FLOW_ORDER.indexOf(server.flow_intensity) > FLOW_ORDER.indexOf(offline.flow_intensity);
+    merged.flow_intensity = heavier ? server.flow_intensity : offline.flow_intensity ?? server.flow_intensity;
+    merged.is_period_end = !!(server.is_period_end || offline.is_period_end);
+  } else {
+    merged.log_type = server.log_type;
+  }
+  return merged;
+}
+
+// Offline-created days that were folded into another device's record for the
+// same date; edits queued against the local id are redirected to that row
+const LOG_ALIASES_KEY = "aura_log_aliases";
+
+function getLogAliases() {
   try {
-    localStorage.removeItem(SETTINGS_CACHE_KEY);
-    localStorage.removeItem(LOGS_CACHE_KEY);
+    return JSON.parse(localStorage.getItem(LOG_ALIASES_KEY)) ?? {};
+  } catch {
+    return {};
+  }
+}
+
+function setLogAlias(localId, serverId) {
+  try {
+    localStorage.setItem(LOG_ALIASES_KEY, JSON.stringify({ ...getLogAliases(), [localId]: serverId }));
   } catch {}
 }
 
+const resolveLogId = (id) => getLogAliases()[id] ?? id;
+
+// PostgREST errors don't carry the HTTP status; it's on the response
+function checked({ data, error, status }) {
+  if (error) throw Object.assign(error, { status });
+  return data;
+}
+
+async function replayMutation(m) {
+  if (m.op === "insert") {
+    const inserted = await supabase.from("cycle_logs").insert(m.payload);
+    if (!inserted.error) return { conflict: false };
+    // 23505 = the insert already landed on an earlier attempt whose response
+    // was lost, or another device has since logged the same day
+    if (inserted.error.code !== "23505") checked(inserted);
+    const day = checked(await supabase
+      .from("cycle_logs")
+      .select("*")
+      .eq("date", m.payload.date)
+      .maybeSingle());
+    if (!day || day.id === m.log_id) return { conflict: false };
+    checked(await supabase
+      .from("cycle_logs")
+      .update(mergeDayRecords(day, m.payload))
+      .eq("id", day.id));
+    setLogAlias(m.log_id, day.id);
+    return { conflict: false };
+  }
+
+  if (m.op === "delete") {
+    checked(await supabase.from("cycle_logs").delete().eq("id", resolveLogId(m.log_id)));
+    return { conflict: false };
+  }
+
+  if (m.op === "update") {
+    const logId = resolveLogId(m.log_id);
+    const server = checked(await supabase
+      .from("cycle_logs")
+      .select("*")
+      .eq("id", logId)
+      .maybeSingle());
+    // Deleted on another device — the deletion wins
+    if (!server) return { conflict: true };
+    const { changes, conflict } = await mergeOfflineEdit(m.base, server, m.payload, m.queued_at);
+    if (Object.keys(changes).length > 0) {
+      checked(await supabase
+        .from("cycle_logs")
+        .update(changes)
+        .eq("id", logId));
+    }
+    return { conflict };
+  }
+
+  if (m.op === "period_days") {
+    checked(await supabase.rpc("save_period_days", m.payload));
+    return { conflict: false };
+  }
+
+  if (m.op === "settings") {
+    checked(await supabase
+      .from("cycle_settings")
+      .upsert({ ...m.payload, user_id: m.user_id }, { onConflict: "user_id" }));
+    return { conflict: false };
+  }
+
+  return { conflict: false };
+}
+
+/**
+ * Failures a later flush can get past: the session expired while offline
+ * (PostgREST answers 401 with a PGRST30x code until the token is refreshed),
+ * the server itself had a problem, or an edit needs the encryption key.
+ */
+function isRetryableError(error) {
+  const status = error?.status ?? 0;
+  return !!error?.locked || status === 401 || status >= 500 ||
+    /^PGRST30/.test(error?.code ?? "") || /jwt/i.test(error?.message ?? "");
+}
+
+const fmtQueuedDate = (date) => (date ? format(parseISO(date), "MMM d") : null);
+
+/** A queued mutation as the user would recognise it, for "couldn't be saved". */
+function describeMutation(m) {
+  const date = fmtQueuedDate(m.payload?.date ?? m.base?.date);
+  if (m.op === "insert" || m.op === "update") return date ? `${date} log` : "a log edit";
+  if (m.op === "delete") return date ? `deleting the ${date} log` : "a deleted log";
+  if (m.op === "period_days") {
+    const dates = [...(m.payload?.days ?? []).map((d) => d.date), ...(m.payload?.clear_dates ?? [])].sort();
+    return dates.length ? `period days from ${fmtQueuedDate(dates[0])}` : "period days";
+  }
+  if (m.op === "settings") return "cycle settings";
+  return "an entry";
+}
+
+let flushing = null;
+
+/**
+ * Sends queued mutations to Supabase in order, including any queued while
+ * the flush was running. Stops at the first network, auth or server failure
+ * (the rest stay queued for the next try); a mutation the server rejects as
+ * invalid is dropped so it can't block everything queued after it, and is
+ * listed in the sync status as `dropped` so the user knows.
+ */
+export function flushOfflineQueue() {
+  if (flushing) return flushing;
+  flushing = (async () => {
+    let synced = 0, conflicts = 0;
+    const dropped = [];
+    let userId;
+    try {
+      userId = await getUserId();
+      let queued = await getQueuedMutations(userId);
+      let stopped = false;
+      while (queued.length > 0 && !stopped) {
+        setSyncStatus({ syncing: true });
+        for (const m of queued) {
+          try {
+            const result = await replayMutation(m);
+            if (result.conflict) conflicts++;
+            synced++;
+          } catch (err) {
+            if (isNetworkError(err) || isRetryableError(err)) { stopped = true; break; }
+            console.error("Dropped queued change:", m.op, err);
+            dropped.push(describeMutation(m));
+          }
+          await removeMutation(m.seq);
+        }
+        queued = stopped ? [] : await getQueuedMutations(userId);
+      }
+    } catch {
+      // IndexedDB unavailable or no session — nothing we can replay
+    } finally {
+      if (userId) await refreshPendingCount(userId);
+      // Nothing left that could still refer to a merged-away local id
+      if (getSyncStatus().pending === 0) {
+        try { localStorage.removeItem(LOG_ALIASES_KEY); } catch {}
+      }
+      setSyncStatus({
+        syncing: false,
+        ...(synced > 0 || dropped.length > 0
+          ? { lastSyncedAt: new Date().toISOString(), conflicts, failed: dropped.length }
+          : {}),
+        // Kept until the user has seen them, across later flushes
+        ...(dropped.length > 0 ? { dropped: [...getSyncStatus().dropped, ...dropped] } : {}),
+      });
+      flushing = null;
+    }
+    return { synced, conflicts, failed: dropped.length };
+  })();
+  return flushing;
+}
+
+/**
+ * Queues a mutation and, when the device looks online, kicks off a flush so
+ * it goes out behind any older pending writes.
+ */
+async function queueMutation(mutation) {
+  await enqueueMutation(mutation);
+  if (getSyncStatus().online) flushOfflineQueue();
+}
+
+const SYNC_RETRY_MS = 30_000;
+
+/**
+ * Tracks connectivity and flushes the queue on start-up, whenever the device
+ * comes back online, and periodically while writes are pending (flaky mobile
+ * connections often fail without ever firing an "offline" event).
+ * Returns a cleanup function.
+ */
+export function startOfflineSync() {
+  const handleOnline  = () => { setSyncStatus({ online: true }); flushOfflineQueue(); };
+  const handleOffline = () => setSyncStatus({ online: false });
+  const retry = setInterval(() => {
+    const { online, pending } = getSyncStatus();
+    if (online && pending > 0) flushOfflineQueue();
+  }, SYNC_RETRY_MS);
+
+  window.addEventListener("online", handleOnline);
+  window.addEventListener("offline", handleOffline);
+  setSyncStatus({ online: navigator.onLine });
+  getUserId()
+    .then((userId) => refreshPendingCount(userId))
+    .then(() => { if (navigator.onLine) flushOfflineQueue(); })
+    .catch(() => {});
+
+  return () => {
+    clearInterval(retry);
+    window.removeEventListener("online", handleOnline);
+    window.removeEventListener("offline", handleOffline);
+  };
+}
+
+// ─── PUSH SUBSCRIPTIONS ───────────────────────────────────────
+
+/** Stores this device's Web Push subscription (a PushSubscription.toJSON()). */
+export async function savePushSubscription(subscription) {
+  const userId = await getUserId();
+  const { error } = await supabase
+    .from("push_subscriptions")
+    .upsert(
+      {
+        user_id:    userId,
+        endpoint:   subscription.endpoint,
+        p256dh:     subscription.keys.p256dh,
+        auth:       subscription.keys.auth,
+        user_agent: navigator.userAgent,
+      },
+      { onConflict: "user_id,endpoint" }
+    );
+  if (error) throw error;
+}
+
+export async function deletePushSubscription(endpoint) {
+  const { error } = await supabase
+    .from("push_subscriptions")
+    .delete()
+    .eq("endpoint", endpoint);
+  if (error) throw error;
+}
+
+// ─── CALENDAR FEED ────────────────────────────────────────────
+
+// 32 random bytes as hex — the feed URL's only credential
+function newFeedToken() {
+  const bytes = crypto.getRandomValues(new Uint8Array(32));
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/** The user's ICS feed settings and token, or null if there's no feed. */
+export async function getCalendarFeed() {
+  const { data, error } = await supabase
+    .from("calendar_feeds")
+    .select("*")
+    .maybeSingle();
+  if (error) throw error;
+  return data ?? null;
+}
+
+/** Creates the feed (with a fresh token) or updates its titles. */
+export async function saveCalendarFeed(options) {
+  const userId = await getUserId();
+  const existing = await getCalendarFeed();
+  const { data, error } = await supabase
+    .from("calendar_feeds")
+    .upsert(
+      {
+        ...options,
+        user_id: userId,
+        token: existing?.token ?? newFeedToken(),
+        updated_at: new Date().toISOString(),
+      },
+      { onConflict: "user_id" }
+    )
+    .select()
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+/** New token: the old feed URL stops working immediately. */
+export async function rotateCalendarFeedToken() {
+  const userId = await getUserId();
+  const { data, error } = await supabase
+    .from("calendar_feeds")
+    .update({ token: newFeedToken(), updated_at: new Date().toISOString() })
+    .eq("user_id", userId)
+    .select()
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+export async function deleteCalendarFeed() {
+  const userId = await getUserId();
+  const { error } = await supabase
+    .from("calendar_feeds")
+    .delete()
+    .eq("user_id", userId);
+  if (error) throw error;
+}
+
+// ─── CUSTOM SYMPTOMS & MOODS ──────────────────────────────────
+
+export function getCustomLogItemsCache() {
+  if (isAppLocked()) return undefined;
+  try {
+    const cached = localStorage.getItem(CUSTOM_ITEMS_CACHE_KEY);
+    return cached ? JSON.parse(cached) : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+/** The user's own symptoms and moods, oldest first. Falls back to the cache offline. */
+export async function getCustomLogItems() {
+  const { data, error } = await supabase
+    .from("custom_log_items")
+    .select("*")
+    .order("created_at", { ascending: true });
+  if (error) {
+    if (!isNetworkError(error)) throw error;
+    return getCustomLogItemsCache() ?? [];
+  }
+  try { localStorage.setItem(CUSTOM_ITEMS_CACHE_KEY, JSON.stringify(data ?? [])); } catch {}
+  return data ?? [];
+}
+
+/** `item` is { kind, key, label, emoji, has_severity }. */
+export async function createCustomLogItem(item) {
+  const userId = await getUserId();
+  const { data, error } = await supabase
+    .from("custom_log_items")
+    .insert({ ...item, user_id: userId })
+    .select()
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+/** Label, emoji or severity only: the key is what past logs refer to. */
+export async function updateCustomLogItem(id, { label, emoji, has_severity }) {
+  const { data, error } = await supabase
+    .from("custom_log_items")
+    .update({ label, emoji, has_severity })
+    .eq("id", id)
+    .select()
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+/** Past logs keep the key, which then shows as its plain words. */
+export async function deleteCustomLogItem(id) {
+  const { error } = await supabase
+    .from("custom_log_items")
+    .delete()
+    .eq("id", id);
+  if (error) throw error;
+}
+
+// ─── MEDICATIONS ──────────────────────────────────────────────
+
+export function getMedicationsCache() {
+  if (isAppLocked()) return undefined;
+  try {
+    const cached = localStorage.getItem(MEDICATIONS_CACHE_KEY);
+    return cached ? JSON.parse(cached) : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+/** The user's medications and supplements, stopped ones included, oldest first. */
+export async function getMedications() {
+  const { data, error } = await supabase
+    .from("medications")
+    .select("*")
+    .order("created_at", { ascending: true });
+  if (error) {
+    if (!isNetworkError(error)) throw error;
+    return getMedicationsCache() ?? [];
+  }
+  try { localStorage.setItem(MEDICATIONS_CACHE_KEY, JSON.stringify(data ?? [])); } catch {}
+  return data ?? [];
+}
+
+/** `med` is { name, dose, kind, schedule, reminder_enabled, reminder_time }. */
+export async function createMedication(med) {
+  const userId = await getUserId();
+  const { data, error } = await supabase
+    .from("medications")
+    .insert({ ...med, user_id: userId })
+    .select()
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+export async function updateMedication(id, updates) {
+  const { data, error } = await supabase
+    .from("medications")
+    .update(updates)
+    .eq("id", id)
+    .select()
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+/** Days it was logged on keep its id; stopping it (active: false) keeps the name too. */
+export async function deleteMedication(id) {
+  const { error } = await supabase
+    .from("medications")
+    .delete()
+    .eq("id", id);
+  if (error) throw error;
+}
+
+// ─── LUNA CHATS ───────────────────────────────────────────────
+// With encryption on, thread titles and message text are encrypted like log
+// notes, and a message's tool steps are stored as one encrypted JSON string.
+// The database can't search those, so search then happens here instead.
+
+const OLD_CHAT_KEY_PREFIX = "luna_chat_";
+const MESSAGE_COLUMNS = "id, thread_id, role, content, steps, pinned, created_at";
+const SEARCH_LIMIT = 50;
+
+async function readThread(row) {
+  return { ...row, title: (await decryptText(row.title)) ?? "Locked conversation" };
+}
+
+/** A stored message as the chat shows it; `_locked` if it can't be decrypted yet. */
+async function readMessage(row) {
+  const content = await decryptText(row.content);
+  let steps = row.steps;
+  if (isEncryptedText(steps)) {
+    const json = await decryptText(steps);
+    steps = json ? JSON.parse(json) : null;
+  }
+  const thread_title = row.chat_threads ? await decryptText(row.chat_threads.title) : undefined;
+  const { chat_threads: _thread, ...rest } = row;
+  return {
+    ...rest,
+    content: content ?? "",
+    steps,
+    ...(thread_title !== undefined ? { thread_title } : {}),
+    ...(content === null ? { _locked: true } : {}),
+  };
+}
+
+// Encrypts whichever of content/steps are given
+async function writeMessageFields(fields) {
+  if (isEncryptionEnabled() && !isUnlocked()) {
+    throw new Error("Unlock your encrypted data before saving");
+  }
+  const out = {};
+  if (fields.content !== undefined) out.content = await encryptText(fields.content);
+  if (fields.steps !== undefined) {
+    out.steps = fields.steps && isUnlocked() ? await encryptText(JSON.stringify(fields.steps)) : fields.steps;
+  }
+  return out;
+}
+
+async function fetchAllRows(table, columns) {
+  const PAGE = 1000;
+  /** @type {any[]} */
+  const rows = [];
+  for (let from = 0; ; from += PAGE) {
+    const { data, error } = await supabase
+      .from(table)
+      .select(columns)
+      .order("created_at", { ascending: true })
+      .range(from, from + PAGE - 1);
+    if (error) throw error;
+    rows.push(...(data ?? []));
+    if (!data || data.length < PAGE) break;
+  }
+  return rows;
+}
+
+/** Threads, most recently active first. */
+export async function getChatThreads() {
+  const { data, error } = await supabase
+    .from("chat_threads")
+    .select("id, title, created_at, updated_at")
+    .order("updated_at", { ascending: false });
+  if (error) throw error;
+  return Promise.all((data ?? []).map(readThread));
+}
+
+/** A new thread titled from its first question (see threadTitle). */
+export async function createChatThread(question) {
+  const userId = await getUserId();
+  const { content: title } = await writeMessageFields({ content: threadTitle(question) });
+  const { data, error } = await supabase
+    .from("chat_threads")
+    .insert({ user_id: userId, title })
+    .select("id, title, created_at, updated_at")
+    .single();
+  if (error) throw error;
+  return readThread(data);
+}
+
+/** Deletes a thread and every message in it. */
+export async function deleteChatThread(id) {
+  const { error } = await supabase
+    .from("chat_threads")
+    .delete()
+    .eq("id", id);
+  if (error) throw error;
+}
+
+/** A thread's messages, oldest first. */
+export async function getChatMessages(threadId) {
+  const { data, error } = await supabase
+    .from("chat_messages")
+    .select(MESSAGE_COLUMNS)
+    .eq("thread_id", threadId)
+    .order("created_at", { ascending: true });
+  if (error) throw error;
+  return Promise.all((data ?? []).map(readMessage));
+}
+
+/**
+ * Appends `messages` ({ role, content, steps? }) to a thread in one write,
+ * a millisecond apart so they keep their order. Returns the stored rows.
+ */
+export async function addChatMessages(threadId, messages) {
+  const userId = await getUserId();
+  const base = Date.now();
+  const rows = await Promise.all(messages.map(async (m, i) => ({
+    ...(await writeMessageFields({ content: m.content ?? "", steps: m.steps ?? null })),
+    thread_id: threadId,
+    user_id: userId,
+    role: m.role,
+    created_at: new Date(base + i).toISOString(),
+  })));
+  const { data, error } = await supabase
+    .from("chat_messages")
+    .insert(rows)
+    .select(MESSAGE_COLUMNS)
+    .order("created_at", { ascending: true });
+  if (error) throw error;
+  return Promise.all((data ?? []).map(readMessage));
+}
+
+/** Updates a message's tool steps (a draft saved or discarded) or its pin. */
+export async function updateChatMessage(id, changes) {
+  // Pinning alone touches nothing encrypted, so it works while locked
+  const updates = changes.steps !== undefined ? await writeMessageFields({ steps: changes.steps }) : {};
+  if (changes.pinned !== undefined) updates.pinned = changes.pinned;
+  const { error } = await supabase
+    .from("chat_messages")
+    .update(updates)
+    .eq("id", id);
+  if (error) throw error;
+}
+
+/** Pinned answers across every thread, newest first, with their thread's title. */
+export async function getPinnedChatMessages() {
+  const { data, error } = await supabase
+    .from("chat_messages")
+    .select(`${MESSAGE_COLUMNS}, chat_threads(title)`)
+    .eq("pinned", true)
+    .order("created_at", { ascending: false });
+  if (error) throw error;
+  return Promise.all((data ?? []).map(readMessage));
+}
+
+/**
+ * Messages matching `query` across every thread, newest first. Postgres
+ * full-text search does the work unless encryption is on, in which case
+ * the user's messages are decrypted and matched word by word here.
+ */
+export async function searchChatMessages(query) {
+  if (!query.trim()) return [];
+  if (isEncryptionEnabled()) {
+    const rows = await fetchAllRows("chat_messages", `${MESSAGE_COLUMNS}, chat_threads(title)`);
+    const messages = await Promise.all(rows.map(readMessage));
+    return messages
+      .filter((m) => matchesSearch(m.content, query))
+      .reverse()
+      .slice(0, SEARCH_LIMIT);
+  }
+  const { data, error } = await supabase
+    .from("chat_messages")
+    .select(`${MESSAGE_COLUMNS}, chat_threads(title)`)
+    .textSearch("search", query, { type: "websearch", config: "english" })
+    .order("created_at", { ascending: false })
+    .limit(SEARCH_LIMIT);
+  if (error) throw error;
+  return Promise.all((data ?? []).map(readMessage));
+}
+
+/**
+ * Moves a chat kept in this browser (before chats were saved to the
+ * account) into a thread of its own, then forgets the local copy. Returns
+ * the new thread, or null if there was nothing to move.
+ */
+export async function importLocalChat(userId) {
+  const key = `${OLD_CHAT_KEY_PREFIX}${userId}`;
+  let messages;
+  try {
+    messages = JSON.parse(localStorage.getItem(key) || "[]");
+  } catch {
+    messages = [];
+  }
+  messages = Array.isArray(messages) ? messages.filter((m) => m?.content || m?.steps?.length) : [];
+  if (messages.length === 0) {
+    try { localStorage.removeItem(key); } catch {}
+    return null;
+  }
+  const thread = await createChatThread(messages.find((m) => m.role === "user")?.content);
+  await addChatMessages(thread.id, messages.map(({ role, content, steps }) => ({
+    role: role === "assistant" ? "assistant" : "user", content, steps,
+  })));
+  try { localStorage.removeItem(key); } catch {}
+  return thread;
+}
+
+/** Encrypts or decrypts every thread title and message; see rewriteAllLogs. */
+async function rewriteChats(mode) {
+  const needsRewrite = (value) => (mode === "encrypt"
+    ? value !== null && value !== undefined && !isEncryptedText(value)
+    : isEncryptedText(value));
+  let count = 0;
+
+  for (const thread of await fetchAllRows("chat_threads", "id, title")) {
+    if (!needsRewrite(thread.title)) continue;
+    const title = await decryptText(thread.title);
+    if (title === null) throw new Error("Some entries couldn't be decrypted with this key");
+    const { error } = await supabase
+      .from("chat_threads")
+      .update({ title: mode === "encrypt" ? await encryptText(title) : title })
+      .eq("id", thread.id);
+    if (error) throw error;
+    count++;
+  }
+
+  for (const row of await fetchAllRows("chat_messages", "id, content, steps")) {
+    if (!needsRewrite(row.content) && !needsRewrite(row.steps)) continue;
+    const message = await readMessage(row);
+    if (message._locked) throw new Error("Some entries couldn't be decrypted with this key");
+    const fields = mode === "encrypt"
+      ? await writeMessageFields({ content: message.content, steps: message.steps })
+      : { content: message.content, steps: message.steps };
+    const { error } = await supabase
+      .from("chat_messages")
+      .update(fields)
+      .eq("id", row.id);
+    if (error) throw error;
+    count++;
+  }
+  return count;
+}
+
 // ─── PROFILES ─────────────────────────────────────────────────
 
 export async function getProfile() {
@@ -134,3 +1359,44 @@ export async function upsertProfile(profileData) {
   if (error) throw error;
   return data;
 }
+
+// ─── ACCOUNT ──────────────────────────────────────────────────
+
+// Per-day UI dismissals that aren't namespaced under aura_
+const LOCAL_KEY_PREFIXES = ["aura_", "period_banner_dismissed_", "log_reminder_dismissed_", "pred_period_dismissed_"];
+
+/**
+ * Permanently deletes the signed-in user's account and every row they own.
+ * Runs server-side (/api/delete-account) because only the service role can
+ * remove the auth user.
+ */
+export async function deleteAccount() {
+  const { data: { session } } = await supabase.auth.getSession();
+  if (!session) throw new Error("Not signed in");
+  const res = await fetch("/api/delete-account", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${session.access_token}`,
+    },
+    body: JSON.stringify({ confirm: "DELETE" }),
+  });
+  const body = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(body.error || "Couldn't delete your account.");
+}
+
+/**
+ * Removes every trace of a user from this device: cached rows, profile,
+ * notification markers, Luna chat history and queued offline writes.
+ */
+export async function clearLocalData(userId) {
+  try {
+    const keys = [];
+    for (let i = 0; i < localStorage.length; i++) keys.push(localStorage.key(i));
+    keys
+      .filter((k) => k && (LOCAL_KEY_PREFIXES.some((p) => k.startsWith(p)) || k === `${OLD_CHAT_KEY_PREFIX}${userId}`))
+      .forEach((k) => localStorage.removeItem(k));
+  } catch {}
+  try { await clearQueuedMutations(userId); } catch {}
+  setSyncStatus({ dropped: [], failed: 0 });
+}
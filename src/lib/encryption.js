@@ -0,0 +1,294 @@
+/**
+ * Opt-in end-to-end encryption for the free-text and tag fields of cycle logs.
+ *
+ * A random data key (AES-GCM 256) encrypts `notes`, `symptoms` and `moods`.
+ * That key is stored on the server only in wrapped form: once under a key
+ * derived from the user's passphrase (PBKDF2) and once under a one-time
+ * recovery code. Changing the passphrase re-wraps the data key, so existing
+ * logs never need re-encrypting. The unwrapped key lives in memory only.
+ */
+
+export const ENC_PREFIX = "enc:v1:";
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+const KDF_ITERATIONS = 310_000;
+const KEYS_CACHE_KEY = "aura_encryption_keys";
+
+let dataKey = null;
+const listeners = new Set();
+
+// ─── ENCODING ─────────────────────────────────────────────────
+
+const enc = new TextEncoder();
+const dec = new TextDecoder();
+
+function toBase64(bytes) {
+  let binary = "";
+  const arr = new Uint8Array(bytes);
+  for (let i = 0; i < arr.length; i += 0x8000) {
+    binary += String.fromCharCode(...arr.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function fromBase64(b64) {
+  const binary = atob(b64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+const BASE32 = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"; // no 0/O or 1/I to avoid misreads
+
+/** 120-bit recovery code in six groups, e.g. "K7PQ-…-4XMA", easy to write down. */
+function generateRecoveryCode() {
+  const bytes = crypto.getRandomValues(new Uint8Array(24));
+  const chars = [...bytes].map((b) => BASE32[b % 32]).join("");
+  return chars.match(/.{4}/g).join("-");
+}
+
+const normaliseRecoveryCode = (code) => String(code).toUpperCase().replace(/[^A-Z0-9]/g, "");
+
+// ─── KEY DERIVATION & WRAPPING ────────────────────────────────
+
+async function deriveWrappingKey(secret, salt, iterations = KDF_ITERATIONS) {
+  const material = await crypto.subtle.importKey("raw", enc.encode(secret), "PBKDF2", false, ["deriveKey"]);
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", salt, iterations, hash: "SHA-256" },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["wrapKey", "unwrapKey"]
+  );
+}
+
+async function wrapDataKey(key, secret) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const wrappingKey = await deriveWrappingKey(secret, salt);
+  const wrapped = await crypto.subtle.wrapKey("raw", key, wrappingKey, { name: "AES-GCM", iv });
+  return { salt: toBase64(salt), wrapped: `${toBase64(iv)}.${toBase64(wrapped)}` };
+}
+
+async function unwrapDataKey(wrapped, salt, secret, iterations) {
+  const [iv, data] = wrapped.split(".");
+  const wrappingKey = await deriveWrappingKey(secret, fromBase64(salt), iterations);
+  try {
+    return await crypto.subtle.unwrapKey(
+      "raw", fromBase64(data), wrappingKey, { name: "AES-GCM", iv: fromBase64(iv) },
+      { name: "AES-GCM", length: 256 }, true, ["encrypt", "decrypt"]
+    );
+  } catch {
+    // AES-GCM authentication fails on a wrong secret
+    return null;
+  }
+}
+
+// ─── KEY STATE ────────────────────────────────────────────────
+
+function setDataKey(key) {
+  dataKey = key;
+  listeners.forEach((l) => l(!!dataKey));
+}
+
+export const isUnlocked = () => !!dataKey;
+
+export function lock() {
+  setDataKey(null);
+}
+
+export function subscribeEncryption(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/** The user's wrapped-key record as last fetched (safe to cache — it's encrypted). */
+export function getEncryptionKeysCache() {
+  try {
+    const cached = localStorage.getItem(KEYS_CACHE_KEY);
+    return cached ? JSON.parse(cached) : null;
+  } catch {
+    return null;
+  }
+}
+
+export function setEncryptionKeysCache(record) {
+  try {
+    if (record) localStorage.setItem(KEYS_CACHE_KEY, JSON.stringify(record));
+    else localStorage.removeItem(KEYS_CACHE_KEY);
+  } catch {}
+}
+
+export const isEncryptionEnabled = () => !!getEncryptionKeysCache();
+
+/**
+ * Creates a fresh data key protected by `passphrase` and a new recovery code.
+ * Returns the DB record to store and the recovery code to show the user once.
+ * The new key is unlocked immediately.
+ */
+export async function createKeyMaterial(passphrase) {
+  const key = await crypto.subtle.generateKey({ name: "AES-GCM", length: 256 }, true, ["encrypt", "decrypt"]);
+  const recoveryCode = generateRecoveryCode();
+  const [main, recovery] = await Promise.all([
+    wrapDataKey(key, passphrase),
+    wrapDataKey(key, normaliseRecoveryCode(recoveryCode)),
+  ]);
+  setDataKey(key);
+  return {
+    record: {
+      kdf_salt: main.salt,
+      kdf_iterations: KDF_ITERATIONS,
+      wrapped_key: main.wrapped,
+      recovery_salt: recovery.salt,
+      recovery_wrapped_key: recovery.wrapped,
+    },
+    recoveryCode,
+  };
+}
+
+/** Returns true and unlocks on the right passphrase, false otherwise. */
+export async function unlockWithPassphrase(record, passphrase) {
+  const key = await unwrapDataKey(record.wrapped_key, record.kdf_salt, passphrase, record.kdf_iterations);
+  if (key) setDataKey(key);
+  return !!key;
+}
+
+export async function unlockWithRecoveryCode(record, code) {
+  const key = await unwrapDataKey(
+    record.recovery_wrapped_key, record.recovery_salt, normaliseRecoveryCode(code), record.kdf_iterations
+  );
+  if (key) setDataKey(key);
+  return !!key;
+}
+
+/**
+ * Re-wraps the unlocked data key under a new passphrase. Used for both
+ * "change passphrase" and recovery; logs stay encrypted with the same key.
+ */
+export async function rewrapForPassphrase(passphrase) {
+  if (!dataKey) throw new Error("Unlock your data first");
+  const main = await wrapDataKey(dataKey, passphrase);
+  return { kdf_salt: main.salt, kdf_iterations: KDF_ITERATIONS, wrapped_key: main.wrapped };
+}
+
+// ─── FIELD ENCRYPTION ─────────────────────────────────────────
+
+async function encryptString(text) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, dataKey, enc.encode(text));
+  return `${ENC_PREFIX}${toBase64(iv)}.${toBase64(data)}`;
+}
+
+async function decryptString(value) {
+  const [iv, data] = value.slice(ENC_PREFIX.length).split(".");
+  const plain = await crypto.subtle.decrypt({ name: "AES-GCM", iv: fromBase64(iv) }, dataKey, fromBase64(data));
+  return dec.decode(plain);
+}
+
+const isCipher = (v) => typeof v === "string" && v.startsWith(ENC_PREFIX);
+
+// Merged day records (see 007_daily_records.sql) can hold several encrypted
+// notes joined by blank lines, or several encrypted tag arrays side by side
+const NOTE_SEPARATOR = "\n\n";
+
+/** True if any protected field on the row is still ciphertext. */
+export const hasEncryptedFields = (log) =>
+  (typeof log.notes === "string" && log.notes.includes(ENC_PREFIX)) ||
+  !!log.symptoms?.some(isCipher) || !!log.moods?.some(isCipher);
+
+const plainTags = (tags) => Array.isArray(tags) && tags.length > 0 && !tags.every(isCipher);
+
+/** True if any protected field still needs encrypting. */
+export const hasPlaintextFields = (log) =>
+  (typeof log.notes === "string" && log.notes.split(NOTE_SEPARATOR).some((p) => p && !isCipher(p))) ||
+  plainTags(log.symptoms) || plainTags(log.moods);
+
+/**
+ * Encrypts whichever protected fields are present on a row or partial update.
+ * Arrays are serialised whole into a single-element array so the text[]
+ * columns keep their type and the number of tags isn't revealed. Empty
+ * notes and tag lists stay empty: the server (push reminders, the day-record
+ * SQL) goes by whether a field has anything in it, so that much is readable.
+ */
+export async function encryptLogFields(log) {
+  if (!dataKey) return log;
+  const out = { ...log };
+  if (typeof log.notes === "string" && log.notes && !isCipher(log.notes)) out.notes = await encryptString(log.notes);
+  for (const field of ["symptoms", "moods"]) {
+    if (Array.isArray(log[field]) && log[field].length > 0 && !log[field].some(isCipher)) {
+      out[field] = [await encryptString(JSON.stringify(log[field]))];
+    }
+  }
+  return out;
+}
+
+async function decryptNotes(notes) {
+  if (isCipher(notes) && !notes.includes(NOTE_SEPARATOR)) return decryptString(notes);
+  const parts = await Promise.all(
+    notes.split(NOTE_SEPARATOR).map((p) => (isCipher(p) ? decryptString(p) : p))
+  );
+  return parts.join(NOTE_SEPARATOR);
+}
+
+/** Flattens plaintext and encrypted tags into one list; later "id:severity" entries win. */
+async function decryptTags(tags) {
+  const byKey = new Map();
+  for (const value of tags) {
+    const plain = isCipher(value) ? JSON.parse(await decryptString(value)) : [value];
+    plain.forEach((t) => byKey.set(String(t).split(":")[0], t));
+  }
+  return [...byKey.values()];
+}
+
+/**
+ * Decrypts a row's protected fields. Plaintext rows (written before
+ * encryption was turned on) pass through unchanged. While locked, or if a
+ * value can't be decrypted, the fields come back empty and the row is
+ * flagged `_locked` so nothing downstream sees ciphertext.
+ */
+export async function decryptLogFields(log) {
+  if (!hasEncryptedFields(log)) return log;
+  const out = { ...log };
+  try {
+    if (!dataKey) throw new Error("locked");
+    if (typeof log.notes === "string" && log.notes.includes(ENC_PREFIX)) out.notes = await decryptNotes(log.notes);
+    for (const field of ["symptoms", "moods"]) {
+      if (log[field]?.some(isCipher)) out[field] = await decryptTags(log[field]);
+    }
+  } catch {
+    if (typeof out.notes === "string" && out.notes.includes(ENC_PREFIX)) out.notes = null;
+    if (out.symptoms?.some(isCipher)) out.symptoms = [];
+    if (out.moods?.some(isCipher)) out.moods = [];
+    out._locked = true;
+  }
+  return out;
+}
+
+export const decryptLogs = (logs) => Promise.all(logs.map(decryptLogFields));
+
+// ─── FREE TEXT ────────────────────────────────────────────────
+
+export const isEncryptedText = isCipher;
+
+/**
+ * Encrypts a free-text value outside cycle logs (Luna's chat threads and
+ * messages) while unlocked. Already encrypted values and null pass through.
+ */
+export async function encryptText(text) {
+  if (!dataKey || typeof text !== "string" || isCipher(text)) return text;
+  return encryptString(text);
+}
+
+/**
+ * Decrypts encryptText's output. Plaintext passes through; while locked, or
+ * if it can't be decrypted, it comes back null.
+ */
+export async function decryptText(value) {
+  if (!isCipher(value)) return value;
+  if (!dataKey) return null;
+  try {
+    return await decryptString(value);
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,37 @@
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createKeyMaterial, lock, encryptLogFields, decryptLogFields, hasEncryptedFields, hasPlaintextFields, ENC_PREFIX,
+} from "./encryption.js";
+
+describe("log field encryption", () => {
+  before(() => createKeyMaterial("correct horse battery"));
+  after(() => lock());
+
+  test("round-trips notes, symptoms and moods", async () => {
+    const log = { date: "2025-03-15", notes: "rough day", symptoms: ["cramps:2", "bloating:1"], moods: ["sad"] };
+    const stored = await encryptLogFields(log);
+    assert.ok(stored.notes.startsWith(ENC_PREFIX));
+    assert.equal(stored.symptoms.length, 1);
+    assert.equal(stored.moods.length, 1);
+    assert.ok(hasEncryptedFields(stored));
+    assert.deepEqual(await decryptLogFields(stored), log);
+  });
+
+  test("leaves empty notes and tag lists empty", async () => {
+    const stored = await encryptLogFields({ notes: "", symptoms: [], moods: ["happy"] });
+    assert.equal(stored.notes, "");
+    assert.deepEqual(stored.symptoms, []);
+    assert.equal(stored.moods.length, 1);
+    assert.ok(!hasPlaintextFields(stored));
+  });
+
+  test("comes back empty and flagged while locked", async () => {
+    const stored = await encryptLogFields({ notes: "private", symptoms: ["cramps:1"], moods: [] });
+    lock();
+    const read = await decryptLogFields(stored);
+    assert.equal(read.notes, null);
+    assert.deepEqual(read.symptoms, []);
+    assert.ok(read._locked);
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Data export — builds CSV / JSON downloads of everything the user has logged,
+ * plus the derived cycle statistics, entirely in the browser.
+ */
+import { format } from "date-fns";
+import {
+  buildCycles, computeCycleStats, predictNextPeriod, detectIrregularity,
+  computeSymptomPatterns,
+} from "./cycleStats";
+import { irregularityOptions } from "./perimenopause";
+
+// Columns listed first, in this order; any other columns follow alphabetically
+const LOG_COLUMNS = [
+  "date", "log_type", "flow_intensity", "is_period_end", "bleed_type", "pill_taken",
+  "hot_flash_count", "night_sweat_count", "medications_taken", "symptoms", "moods", "notes",
+  "sleep_hours", "sleep_quality", "water_intake", "exercise", "exercise_type", "stress_level",
+  "bbt", "cervical_mucus", "ovulation_test", "created_at", "updated_at", "id",
+];
+const OMIT_COLUMNS = ["user_id"];
+
+// ─── BUNDLE ───────────────────────────────────────────────────
+
+/**
+ * Everything that goes into an export: raw rows plus the same derived
+ * cycles/statistics the app shows on screen. The `profile`'s birth year
+ * makes the irregularity check age-aware, as it is in the app, and
+ * `customItems` names the user's own symptoms in the patterns.
+ */
+export function buildExportBundle(logs, settings, profile = null, customItems = [], medications = []) {
+  const cycles = buildCycles(logs, settings);
+  return {
+    exported_at: new Date().toISOString(),
+    settings,
+    custom_log_items: customItems,
+    medications,
+    logs,
+    cycles: cycles.map(({ index, start, end, periodLength, cycleLength, avgFlow }) => ({
+      cycle: index,
+      start,
+      end,
+      period_length: periodLength,
+      cycle_length: cycleLength,
+      flow: avgFlow,
+    })),
+    stats: computeCycleStats(cycles),
+    prediction: settings ? predictNextPeriod(cycles, settings, logs) : null,
+    irregularity: detectIrregularity(cycles, irregularityOptions(settings, profile)),
+    symptom_patterns: computeSymptomPatterns(logs, cycles, customItems).map(
+      ({ allDays: _allDays, ...pattern }) => pattern
+    ),
+  };
+}
+
+// ─── CSV ──────────────────────────────────────────────────────
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  const text = Array.isArray(value) ? value.join("; ") : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(columns, rows) {
+  const lines = [columns.join(",")];
+  rows.forEach((row) => lines.push(columns.map((c) => csvCell(row[c])).join(",")));
+  return lines.join("\r\n");
+}
+
+export function logsToCsv(logs) {
+  const extra = new Set();
+  logs.forEach((l) => Object.keys(l).forEach((k) => {
+    if (!LOG_COLUMNS.includes(k) && !OMIT_COLUMNS.includes(k) && !k.startsWith("_")) extra.add(k);
+  }));
+  const present = LOG_COLUMNS.filter((c) => logs.some((l) => c in l));
+  return toCsv([...present, ...[...extra].sort()], logs);
+}
+
+export function cyclesToCsv(cycles) {
+  return toCsv(["cycle", "start", "end", "period_length", "cycle_length", "flow"], cycles);
+}
+
+export function settingsToCsv(settings) {
+  const rows = Object.entries(settings ?? {})
+    .filter(([k]) => !OMIT_COLUMNS.includes(k))
+    .map(([field, value]) => ({ field, value }));
+  return toCsv(["field", "value"], rows);
+}
+
+// ─── DOWNLOADS ────────────────────────────────────────────────
+
+export function downloadFile(filename, content, type) {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+export const exportFilename = (name, ext) =>
+  `auracycle-${name}-${format(new Date(), "yyyy-MM-dd")}.${ext}`;
+
+export function downloadJson(bundle) {
+  downloadFile(exportFilename("export", "json"), JSON.stringify(bundle, null, 2), "application/json");
+}
+
+/** CSV is one table per file: logs, cycles and settings. */
+export function downloadCsv(bundle) {
+  const type = "text/csv;charset=utf-8";
+  // BOM so Excel opens UTF-8 (emoji, accents in notes) correctly
+  downloadFile(exportFilename("logs", "csv"), "\uFEFF" + logsToCsv(bundle.logs), type);
+  downloadFile(exportFilename("cycles", "csv"), "\uFEFF" + cyclesToCsv(bundle.cycles), type);
+  if (bundle.settings) {
+    downloadFile(exportFilename("settings", "csv"), "\uFEFF" + settingsToCsv(bundle.settings), type);
+  }
+  if (bundle.custom_log_items?.length) {
+    const rows = toCsv(["kind", "key", "label", "emoji", "has_severity"], bundle.custom_log_items);
+    downloadFile(exportFilename("custom-items", "csv"), "\uFEFF" + rows, type);
+  }
+  if (bundle.medications?.length) {
+    const rows = toCsv(["id", "name", "dose", "kind", "schedule", "active", "reminder_enabled", "reminder_time"], bundle.medications);
+    downloadFile(exportFilename("medications", "csv"), "\uFEFF" + rows, type);
+  }
+}
@@ -0,0 +1,397 @@
+/**
+ * History importers for other period trackers.
+ * Each parser turns an export file into `cycle_logs`-shaped rows (one per date);
+ * `planImport` then compares them with existing logs for a dry-run preview.
+ * Nothing here writes to the database.
+ */
+import { format, isValid, parse, parseISO } from "date-fns";
+import { toCelsius, isValidBbt } from "./temperature";
+
+export const IMPORT_SOURCES = [
+  { id: "clue",   label: "Clue",                 accept: ".json", hint: "ClueDataExport .json file" },
+  { id: "health", label: "Apple Health / Flo",   accept: ".xml",  hint: "export.xml from the Health app (Flo syncs here)" },
+  { id: "csv",    label: "Spreadsheet (CSV)",    accept: ".csv,.txt", hint: "Any CSV with a date column" },
+];
+
+// ─── VOCABULARY ───────────────────────────────────────────────
+// Other apps' option names (normalised to snake_case) → our ids.
+
+const FLOW_ALIASES = {
+  spotting: "spotting", very_light: "spotting", spot: "spotting", "1": "spotting",
+  light: "light", low: "light", "2": "light",
+  medium: "medium", moderate: "medium", normal: "medium", unspecified: "medium", yes: "medium", "3": "medium",
+  heavy: "heavy", high: "heavy", very_heavy: "heavy", "4": "heavy",
+};
+
+const SYMPTOM_ALIASES = {
+  cramps: "cramps", abdominal_cramps: "cramps", menstrual_cramps: "cramps",
+  tender_breasts: "tender_breasts", breast_pain: "tender_breasts", breast_tenderness: "tender_breasts", sensitive_breasts: "tender_breasts",
+  headache: "headache", migraine: "migraine",
+  acne: "acne", bad_skin: "acne", pimples: "acne",
+  backache: "backache", back_pain: "backache", lower_back_pain: "backache", lower_back: "backache",
+  fatigue: "fatigue", tired: "fatigue", exhausted: "fatigue",
+  cravings: "cravings", appetite_changes: "cravings", craving: "cravings",
+  insomnia: "insomnia", sleep_changes: "insomnia", poor_sleep: "insomnia",
+  abdominal_pain: "abdominal_pain", pelvic_pain: "abdominal_pain",
+  ovulation_pain: "ovulation_pain", ovulation: "ovulation_pain",
+  vaginal_itching: "vaginal_itching", itching: "vaginal_itching",
+  vaginal_dryness: "vaginal_dryness",
+  bloating: "bloating", bloated: "bloating",
+  nausea: "nausea", nauseated: "nausea",
+  hot_flashes: "hot_flashes", hot_flushes: "hot_flashes",
+  night_sweats: "night_sweats", night_sweat: "night_sweats",
+  dizziness: "dizziness", dizzy: "dizziness",
+  joint_pain: "joint_pain",
+};
+
+const MOOD_ALIASES = {
+  happy: "happy", calm: "calm", energetic: "energetic", energized: "energetic", frisky: "frisky",
+  mood_swings: "mood_swings", mood_changes: "mood_swings", pms: "mood_swings",
+  irritated: "irritated", irritable: "irritated", angry: "irritated",
+  sad: "sad", anxious: "anxious", stressed: "overwhelmed", depressed: "depressed",
+  low_energy: "low_energy", unmotivated: "unmotivated", focused: "focused", confident: "confident",
+  distracted: "foggy", brain_fog: "foggy", sensitive: "sensitive", overwhelmed: "overwhelmed",
+  lonely: "lonely", frustrated: "frustrated", restless: "restless", grateful: "grateful", apathetic: "apathetic",
+};
+
+const MUCUS_ALIASES = {
+  dry: "dry", sticky: "sticky", creamy: "creamy", watery: "watery", wet: "watery",
+  egg_white: "egg_white", eggwhite: "egg_white", stretchy: "egg_white",
+};
+
+const LH_ALIASES = {
+  negative: "negative", ovulation_test_neg: "negative", neg: "negative",
+  positive: "peak", ovulation_test_pos: "peak", pos: "peak", luteinizing_hormone_surge: "peak", peak: "peak",
+  high: "high", estrogen_surge: "high",
+};
+
+const normaliseOption = (value) =>
+  String(value ?? "").trim().toLowerCase().replace(/[\s\-/]+/g, "_");
+
+// ─── RECORD MERGING ───────────────────────────────────────────
+
+/**
+ * Collects partial observations per date, then builds one log row per date.
+ * `unmapped` options (things we have no field for) are kept in the notes.
+ */
+function createCollector(sourceLabel) {
+  const byDate = new Map();
+
+  const day = (date) => {
+    if (!byDate.has(date)) {
+      byDate.set(date, { date, symptoms: new Map(), moods: new Set(), unmapped: new Set(), notes: [] });
+    }
+    return byDate.get(date);
+  };
+
+  return {
+    flow(date, value) {
+      const flow = FLOW_ALIASES[normaliseOption(value)];
+      if (!flow) return;
+      const d = day(date);
+      // Keep the heaviest flow if a day has several records
+      const order = ["spotting", "light", "medium", "heavy"];
+      if (!d.flow || order.indexOf(flow) > order.indexOf(d.flow)) d.flow = flow;
+    },
+    symptom(date, value, severity = 1) {
+      const key = normaliseOption(value);
+      const d = day(date);
+      if (SYMPTOM_ALIASES[key]) {
+        const id = SYMPTOM_ALIASES[key];
+        d.symptoms.set(id, Math.max(d.symptoms.get(id) ?? 0, severity));
+      } else if (MOOD_ALIASES[key]) {
+        d.moods.add(MOOD_ALIASES[key]);
+      } else if (key) {
+        d.unmapped.add(String(value).replace(/_/g, " "));
+      }
+    },
+    mucus(date, value) {
+      const m = MUCUS_ALIASES[normaliseOption(value)];
+      if (m) day(date).mucus = m;
+    },
+    lhTest(date, value) {
+      const t = LH_ALIASES[normaliseOption(value)];
+      if (t) day(date).lhTest = t;
+    },
+    bbt(date, value, unit = "C") {
+      const c = toCelsius(value, unit);
+      if (isValidBbt(c)) day(date).bbt = c;
+    },
+    note(date, text) {
+      if (text && String(text).trim()) day(date).notes.push(String(text).trim());
+    },
+
+    rows() {
+      return [...byDate.values()]
+        .map((d) => {
+          const symptoms = [...d.symptoms].map(([id, sev]) => `${id}:${Math.min(3, Math.max(1, sev))}`);
+          const moods = [...d.moods];
+          const notes = [...d.notes];
+          if (d.unmapped.size > 0) notes.push(`Also logged in ${sourceLabel}: ${[...d.unmapped].join(", ")}`);
+          const row = {
+            date: d.date,
+            log_type: d.flow ? "period"
+              : symptoms.length ? "symptom"
+              : moods.length ? "mood"
+              : "note",
+            flow_intensity: d.flow ?? null,
+            symptoms,
+            moods,
+            notes: notes.length ? notes.join("\n") : null,
+          };
+          if (d.bbt !== undefined) row.bbt = d.bbt;
+          if (d.mucus) row.cervical_mucus = d.mucus;
+          if (d.lhTest) row.ovulation_test = d.lhTest;
+          return row;
+        })
+        .filter((r) =>
+          r.flow_intensity || r.symptoms.length || r.moods.length || r.notes ||
+          r.bbt !== undefined || r.cervical_mucus || r.ovulation_test
+        )
+        .sort((a, b) => a.date.localeCompare(b.date));
+    },
+  };
+}
+
+const isoDay = (value) => {
+  const s = String(value ?? "").trim();
+  const m = s.match(/^(\d{4}-\d{2}-\d{2})/);
+  return m && isValid(parseISO(m[1])) ? m[1] : null;
+};
+
+// ─── CLUE ─────────────────────────────────────────────────────
+
+/**
+ * Clue exports come in two shapes:
+ *  - legacy: { data: [{ day, period, pain: [...], emotion: [...], fluid, tests, ... }] }
+ *  - current: [{ date, type, value: { option } | [{ option }] | number }]
+ */
+export function parseClueJson(text) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    throw new Error("This doesn't look like a Clue export — the file isn't valid JSON.");
+  }
+  const entries = Array.isArray(json) ? json : Array.isArray(json?.data) ? json.data : null;
+  if (!entries) throw new Error("No Clue entries found in this file.");
+
+  const c = createCollector("Clue");
+  const options = (value) => {
+    if (value === null || value === undefined) return [];
+    if (Array.isArray(value)) return value.flatMap(options);
+    if (typeof value === "object") return value.option !== undefined ? [value.option] : [];
+    return [value];
+  };
+  const apply = (date, type, value) => {
+    const kind = normaliseOption(type);
+    if (kind === "period" || kind === "bleeding") {
+      options(value).forEach((o) => c.flow(date, o));
+    } else if (kind === "fluid" || kind === "discharge" || kind === "cervical_fluid") {
+      options(value).forEach((o) => c.mucus(date, o));
+    } else if (kind === "tests" || kind === "ovulation_test") {
+      options(value).forEach((o) => c.lhTest(date, o));
+    } else if (kind === "bbt" || kind === "temperature") {
+      const v = typeof value === "object" && value !== null ? value.value ?? value.option : value;
+      c.bbt(date, v, Number(v) > 50 ? "F" : "C");
+    } else if (kind === "notes" || kind === "note") {
+      c.note(date, typeof value === "object" && value !== null ? value.text ?? value.value : value);
+    } else if (["pain", "emotion", "emotions", "feelings", "mind", "mental", "energy", "digestion", "skin", "hair", "sleep"].includes(kind)) {
+      options(value).forEach((o) => c.symptom(date, o));
+    }
+  };
+
+  entries.forEach((e) => {
+    const date = isoDay(e.day ?? e.date);
+    if (!date) return;
+    if (e.type !== undefined) {
+      apply(date, e.type, e.value);
+    } else {
+      Object.entries(e).forEach(([key, value]) => {
+        if (key !== "day" && key !== "date") apply(date, key, value);
+      });
+    }
+  });
+  return c.rows();
+}
+
+// ─── APPLE HEALTH (and Flo, which syncs into it) ──────────────
+
+const HK = "HKCategoryTypeIdentifier";
+const HK_SYMPTOMS = {
+  AbdominalCramps: "cramps", Headache: "headache", Bloating: "bloating", Acne: "acne",
+  LowerBackPain: "backache", Fatigue: "fatigue", BreastPain: "tender_breasts", Nausea: "nausea",
+  HotFlashes: "hot_flashes", SleepChanges: "insomnia", Dizziness: "dizziness", PelvicPain: "abdominal_pain",
+  VaginalDryness: "vaginal_dryness", AppetiteChanges: "cravings", MoodChanges: "mood_swings",
+  NightSweats: "night_sweats",
+};
+const HK_SEVERITY = { Mild: 1, Moderate: 2, Severe: 3, Unspecified: 1, Present: 1 };
+
+function readAttributes(tag) {
+  const attrs = {};
+  for (const m of tag.matchAll(/(\w+)="([^"]*)"/g)) attrs[m[1]] = m[2];
+  return attrs;
+}
+
+/**
+ * Scans export.xml for menstrual-flow, cycle symptom, cervical mucus,
+ * ovulation test and basal temperature records. Uses a regex scan rather
+ * than DOMParser because Health exports are often hundreds of megabytes.
+ */
+export function parseHealthXml(text) {
+  if (!/<HealthData|<Record\b/.test(text)) {
+    throw new Error("This doesn't look like an Apple Health export.xml file.");
+  }
+  const c = createCollector("Apple Health");
+
+  for (const m of text.matchAll(/<Record\b([^>]*)>/g)) {
+    const a = readAttributes(m[1]);
+    const type = a.type ?? "";
+    if (!type.startsWith(HK) && type !== "HKQuantityTypeIdentifierBasalBodyTemperature") continue;
+    const date = isoDay(a.startDate);
+    if (!date) continue;
+    const value = (a.value ?? "").replace(/^HKCategoryValue\w*?(MenstrualFlow|VaginalBleeding|Severity|Presence|AppetiteChanges|CervicalMucusQuality|OvulationTestResult)/, "");
+
+    if (type === `${HK}MenstrualFlow` || type === `${HK}VaginalBleeding`) {
+      if (value !== "None") c.flow(date, value);
+    } else if (type === `${HK}IntermenstrualBleeding`) {
+      c.flow(date, "spotting");
+    } else if (type === `${HK}CervicalMucusQuality`) {
+      c.mucus(date, value.replace(/([a-z])([A-Z])/g, "$1_$2"));
+    } else if (type === `${HK}OvulationTestResult`) {
+      c.lhTest(date, value.replace(/([a-z])([A-Z])/g, "$1_$2"));
+    } else if (type === "HKQuantityTypeIdentifierBasalBodyTemperature") {
+      c.bbt(date, a.value, a.unit === "degF" ? "F" : "C");
+    } else {
+      const symptom = HK_SYMPTOMS[type.slice(HK.length)];
+      if (symptom && value !== "NotPresent" && value !== "NoChange") c.symptom(date, symptom, HK_SEVERITY[value] ?? 1);
+    }
+  }
+  return c.rows();
+}
+
+// ─── GENERIC CSV ──────────────────────────────────────────────
+
+/** RFC 4180-ish parser: quoted fields, escaped quotes, CRLF or LF, , or ; separators. */
+export function parseCsv(text) {
+  const clean = text.replace(/^\uFEFF/, "");
+  const firstLine = clean.split(/\r?\n/, 1)[0] ?? "";
+  const sep = (firstLine.match(/;/g)?.length ?? 0) > (firstLine.match(/,/g)?.length ?? 0) ? ";" : ",";
+
+  const records = [];
+  let field = "", record = [], quoted = false;
+  for (let i = 0; i < clean.length; i++) {
+    const ch = clean[i];
+    if (quoted) {
+      if (ch === '"' && clean[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === sep) {
+      record.push(field); field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && clean[i + 1] === "\n") i++;
+      record.push(field); field = "";
+      if (record.some((f) => f.trim() !== "")) records.push(record);
+      record = [];
+    } else {
+      field += ch;
+    }
+  }
+  record.push(field);
+  if (record.some((f) => f.trim() !== "")) records.push(record);
+
+  const [headers = [], ...rows] = records;
+  return {
+    headers: headers.map((h) => h.trim()),
+    rows: rows.map((r) => Object.fromEntries(headers.map((h, i) => [h.trim(), (r[i] ?? "").trim()]))),
+  };
+}
+
+export const CSV_FIELDS = [
+  { id: "date",     label: "Date",     required: true, guess: /date|day/i },
+  { id: "flow",     label: "Flow",     guess: /flow|period|bleed|menstruat/i },
+  { id: "symptoms", label: "Symptoms", guess: /symptom|pain|tag/i },
+  { id: "moods",    label: "Moods",    guess: /mood|emotion|feeling/i },
+  { id: "bbt",      label: "Temperature", guess: /bbt|temp/i },
+  { id: "notes",    label: "Notes",    guess: /note|comment/i },
+];
+
+export const DATE_FORMATS = [
+  { id: "iso", label: "2024-03-31",  pattern: null },
+  { id: "mdy", label: "03/31/2024",  pattern: "M/d/yyyy" },
+  { id: "dmy", label: "31/03/2024",  pattern: "d/M/yyyy" },
+];
+
+/** Best-guess column for each field, matched on header names. */
+export function guessCsvMapping(headers) {
+  const used = new Set();
+  return Object.fromEntries(CSV_FIELDS.map((f) => {
+    const column = headers.find((h) => f.guess.test(h) && !used.has(h)) ?? "";
+    if (column) used.add(column);
+    return [f.id, column];
+  }));
+}
+
+function parseCsvDate(value, dateFormat) {
+  const iso = isoDay(value);
+  if (iso) return iso;
+  const fmt = DATE_FORMATS.find((f) => f.id === dateFormat)?.pattern;
+  if (!fmt) return null;
+  const d = parse(String(value).trim().replace(/[.-]/g, "/").split(" ")[0], fmt, new Date());
+  return isValid(d) ? format(d, "yyyy-MM-dd") : null;
+}
+
+/**
+ * Maps parsed CSV rows to log rows using the user's column choices.
+ * List columns (symptoms/moods) may be separated by ; , or |.
+ * Returns { rows, skipped } where skipped counts rows with an unreadable date.
+ */
+export function mapCsvRows(csvRows, mapping, { dateFormat = "iso", unit = "C" } = {}) {
+  const c = createCollector("the spreadsheet");
+  let skipped = 0;
+  const list = (v) => String(v ?? "").split(/[;,|]/).map((s) => s.trim()).filter(Boolean);
+
+  csvRows.forEach((r) => {
+    const date = parseCsvDate(r[mapping.date], dateFormat);
+    if (!date) { skipped++; return; }
+    if (mapping.flow) c.flow(date, r[mapping.flow]);
+    if (mapping.symptoms) {
+      list(r[mapping.symptoms]).forEach((s) => {
+        // Accept our own "id:severity" format as well as plain names
+        const [name, sev] = s.split(":");
+        c.symptom(date, name, parseInt(sev, 10) || 1);
+      });
+    }
+    if (mapping.moods) list(r[mapping.moods]).forEach((m) => c.symptom(date, m));
+    if (mapping.bbt && r[mapping.bbt]) c.bbt(date, r[mapping.bbt].replace(",", "."), unit);
+    if (mapping.notes) c.note(date, r[mapping.notes]);
+  });
+  return { rows: c.rows(), skipped };
+}
+
+// ─── DRY RUN ──────────────────────────────────────────────────
+
+/**
+ * Splits imported rows into ones to create and duplicates of what the user
+ * already has. Each date holds a single record, so any imported day that is
+ * already logged is left alone rather than overwritten.
+ */
+export function planImport(rows, existingLogs) {
+  const loggedDates = new Set(existingLogs.map((l) => l.date));
+
+  const toCreate = [];
+  const duplicates = [];
+  rows.forEach((r) => {
+    (loggedDates.has(r.date) ? duplicates : toCreate).push(r);
+  });
+
+  return {
+    toCreate,
+    duplicates,
+    periodDays: toCreate.filter((r) => r.log_type === "period").length,
+    firstDate: rows[0]?.date ?? null,
+    lastDate: rows[rows.length - 1]?.date ?? null,
+  };
+}
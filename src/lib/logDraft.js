@@ -0,0 +1,101 @@
+/**
+ * A log drafted from words rather than the log wizard — by Luna's draft_log
+ * tool or the quick log box on Home — checked against the same vocabulary
+ * the pickers use. A draft is only a proposal: the user confirms it before
+ * saveLogDraft (db.js) merges it into the day. Pure, so the local parser
+ * and Luna's drafts go through the same rules.
+ */
+import { differenceInDays, format, parseISO, isValid } from "date-fns";
+import { getLogItems } from "./logItems.js";
+
+// FlowPicker's intensities, lightest first
+export const FLOW_INTENSITIES = ["spotting", "light", "medium", "heavy"];
+export const MAX_DRAFT_AGE_DAYS = 365;
+export const MAX_NOTE_LENGTH = 500;
+export const MAX_WATER_GLASSES = 30;
+
+export class DraftError extends Error {}
+
+function parseDay(value, field) {
+  const date = typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value) ? parseISO(value) : null;
+  if (!date || !isValid(date)) throw new DraftError(`${field} must be a yyyy-MM-dd date`);
+  return date;
+}
+
+/**
+ * Finds the item a tag refers to: a built-in id, a custom key, or an item's
+ * label as the user knows it ("Jaw pain", "mood swings").
+ */
+export function resolveItem(kind, tag, customItems = []) {
+  const wanted = String(tag).trim().toLowerCase();
+  const asKey = wanted.replace(/[\s-]+/g, "_");
+  return getLogItems(kind, customItems).find((i) =>
+    i.id === wanted || i.id === asKey || i.label.toLowerCase() === wanted
+  );
+}
+
+/** Symptoms as "id:severity" (1 unless the item takes one), moods as ids. */
+function draftTags(kind, tags, customItems) {
+  if (tags === undefined || tags === null) return undefined;
+  if (!Array.isArray(tags)) throw new DraftError(`${kind}s must be a list`);
+  const unknown = [];
+  const out = [];
+  for (const tag of tags) {
+    const [name, sev] = String(tag).split(":");
+    const item = resolveItem(kind, name, customItems);
+    if (!item) { unknown.push(name); continue; }
+    if (kind === "mood") out.push(item.id);
+    else out.push(`${item.id}:${item.severity ? Math.min(3, Math.max(1, parseInt(sev) || 1)) : 1}`);
+  }
+  if (unknown.length) throw new DraftError(`Unknown ${kind}s: ${unknown.join(", ")}`);
+  // One entry per item, the last severity given winning
+  const byId = new Map(out.map((t) => [t.split(":")[0], t]));
+  return [...byId.values()];
+}
+
+/**
+ * Checks a proposed log and returns it in the shape the log is stored in:
+ * `{ date, flow_intensity?, symptoms?, moods?, notes?, sleep_hours?,
+ * stress_level?, water_intake? }`. Throws a DraftError saying what's wrong,
+ * worded so Luna can correct her call.
+ */
+export function buildLogDraft(input, customItems = [], today = format(new Date(), "yyyy-MM-dd")) {
+  const date = parseDay(input.date, "date");
+  const todayDate = parseISO(today);
+  if (date > todayDate) throw new DraftError("Logs can't be drafted for future days");
+  if (differenceInDays(todayDate, date) > MAX_DRAFT_AGE_DAYS) {
+    throw new DraftError(`Only the last ${MAX_DRAFT_AGE_DAYS} days can be drafted`);
+  }
+
+  const draft = { date: input.date };
+  if (input.flow_intensity !== undefined && input.flow_intensity !== null) {
+    if (!FLOW_INTENSITIES.includes(input.flow_intensity)) {
+      throw new DraftError(`flow_intensity must be one of ${FLOW_INTENSITIES.join(", ")}`);
+    }
+    draft.flow_intensity = input.flow_intensity;
+  }
+  const symptoms = draftTags("symptom", input.symptoms, customItems);
+  if (symptoms?.length) draft.symptoms = symptoms;
+  const moods = draftTags("mood", input.moods, customItems);
+  if (moods?.length) draft.moods = moods;
+  if (typeof input.notes === "string" && input.notes.trim()) draft.notes = input.notes.trim().slice(0, MAX_NOTE_LENGTH);
+  if (input.sleep_hours !== undefined && input.sleep_hours !== null) {
+    const hours = Number(input.sleep_hours);
+    if (!(hours >= 0 && hours <= 24)) throw new DraftError("sleep_hours must be between 0 and 24");
+    draft.sleep_hours = Math.round(hours * 10) / 10;
+  }
+  if (input.stress_level !== undefined && input.stress_level !== null) {
+    const level = Math.round(Number(input.stress_level));
+    if (!(level >= 1 && level <= 5)) throw new DraftError("stress_level must be 1 to 5");
+    draft.stress_level = level;
+  }
+  if (input.water_intake !== undefined && input.water_intake !== null) {
+    const glasses = Math.round(Number(input.water_intake));
+    if (!(glasses >= 0 && glasses <= MAX_WATER_GLASSES)) {
+      throw new DraftError(`water_intake must be 0 to ${MAX_WATER_GLASSES} glasses`);
+    }
+    draft.water_intake = glasses;
+  }
+  if (Object.keys(draft).length === 1) throw new DraftError("The draft has nothing to log");
+  return draft;
+}
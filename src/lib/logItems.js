@@ -0,0 +1,154 @@
+/**
+ * The symptoms and moods a day can be tagged with: the built-in lists plus
+ * the user's own (custom_log_items), minus built-ins they've hidden. Logs
+ * store item keys — symptoms as "key:severity" — so everything that shows
+ * a tag looks its label up here, and a key with no definition (say, a
+ * deleted custom item) still reads as its words. Pure, so stats and Luna's
+ * context name things the same way the pickers do.
+ */
+
+export const BUILTIN_SYMPTOMS = [
+  { id: "everything_fine",    emoji: "👍", label: "Everything is Fine" },
+  { id: "cramps",             emoji: "🤕", label: "Cramps" },
+  { id: "tender_breasts",     emoji: "💗", label: "Tender Breasts" },
+  { id: "headache",           emoji: "🤯", label: "Headache" },
+  { id: "acne",               emoji: "😣", label: "Acne" },
+  { id: "backache",           emoji: "💆", label: "Backache" },
+  { id: "fatigue",            emoji: "😴", label: "Fatigue" },
+  { id: "cravings",           emoji: "🍫", label: "Cravings" },
+  { id: "insomnia",           emoji: "🌙", label: "Insomnia" },
+  { id: "abdominal_pain",     emoji: "🫃", label: "Abdominal Pain" },
+  { id: "ovulation_pain",     emoji: "🌼", label: "Ovulation Pain" },
+  { id: "vaginal_itching",    emoji: "⚠️", label: "Vaginal Itching" },
+  { id: "vaginal_dryness",    emoji: "💧", label: "Vaginal Dryness" },
+  { id: "bloating",           emoji: "🎈", label: "Bloating" },
+  { id: "nausea",             emoji: "🤢", label: "Nausea" },
+  { id: "hot_flashes",        emoji: "🔥", label: "Hot Flashes" },
+  { id: "night_sweats",       emoji: "💦", label: "Night Sweats" },
+  { id: "dizziness",          emoji: "💫", label: "Dizziness" },
+  { id: "joint_pain",         emoji: "🦴", label: "Joint Pain" },
+  { id: "migraine",           emoji: "⚡", label: "Migraine" },
+];
+
+export const BUILTIN_MOODS = [
+  { id: "happy",             emoji: "😊", label: "Happy" },
+  { id: "calm",              emoji: "😌", label: "Calm" },
+  { id: "energetic",         emoji: "⚡", label: "Energetic" },
+  { id: "frisky",            emoji: "😏", label: "Frisky" },
+  { id: "mood_swings",       emoji: "🎭", label: "Mood Swings" },
+  { id: "irritated",         emoji: "😤", label: "Irritated" },
+  { id: "sad",               emoji: "😢", label: "Sad" },
+  { id: "anxious",           emoji: "😰", label: "Anxious" },
+  { id: "depressed",         emoji: "😞", label: "Depressed" },
+  { id: "feeling_guilty",    emoji: "😔", label: "Feeling Guilty" },
+  { id: "obsessive_thoughts",emoji: "🔄", label: "Obsessive Thoughts" },
+  { id: "low_energy",        emoji: "🔋", label: "Low Energy" },
+  { id: "apathetic",         emoji: "😑", label: "Apathetic" },
+  { id: "confused",          emoji: "😕", label: "Confused" },
+  { id: "very_self_critical",emoji: "😣", label: "Very Self-Critical" },
+  { id: "confident",         emoji: "💪", label: "Confident" },
+  { id: "grateful",          emoji: "🙏", label: "Grateful" },
+  { id: "focused",           emoji: "🎯", label: "Focused" },
+  { id: "sensitive",         emoji: "🥺", label: "Sensitive" },
+  { id: "overwhelmed",       emoji: "🌊", label: "Overwhelmed" },
+  { id: "lonely",            emoji: "🌧️", label: "Lonely" },
+  { id: "frustrated",        emoji: "😩", label: "Frustrated" },
+  { id: "unmotivated",       emoji: "😶", label: "Unmotivated" },
+  { id: "foggy",             emoji: "🌫️", label: "Brain Fog" },
+  { id: "restless",          emoji: "🦋", label: "Restless" },
+];
+
+export const SEVERITY_LABELS = ["Mild", "Moderate", "Severe"];
+export const MAX_LABEL_LENGTH = 40;
+
+const BUILTINS = { symptom: BUILTIN_SYMPTOMS, mood: BUILTIN_MOODS };
+const HIDDEN_KEYS = { symptom: "hidden_symptoms", mood: "hidden_moods" };
+
+// Stored as "id:severity" e.g. "cramps:2"
+export function parseSymptom(s) {
+  const [id, sev] = s.split(":");
+  return { id, severity: sev ? parseInt(sev) : 1 };
+}
+
+/** Built-in ids of `kind` ("symptom" | "mood") the user has hidden. */
+export function hiddenItems(kind, settings) {
+  return settings?.[HIDDEN_KEYS[kind]] ?? [];
+}
+
+/**
+ * Every item of `kind` as `{ id, emoji, label, severity, custom }`:
+ * built-ins first, then the user's own in the order they were added.
+ * Hidden built-ins are left out unless listed in `keep` (e.g. already
+ * selected on the day being edited). Built-in symptoms take a severity,
+ * custom ones only if they were set up with it, and moods never do.
+ */
+export function getLogItems(kind, customItems = [], settings = null, keep = []) {
+  const hidden = hiddenItems(kind, settings);
+  return [
+    ...BUILTINS[kind]
+      .filter((b) => !hidden.includes(b.id) || keep.includes(b.id))
+      .map((b) => ({ ...b, severity: kind === "symptom", custom: false })),
+    ...customItems
+      .filter((c) => c.kind === kind)
+      .map((c) => ({ id: c.key, emoji: c.emoji, label: c.label, severity: !!c.has_severity, custom: true })),
+  ];
+}
+
+function findItem(id, customItems) {
+  return BUILTIN_SYMPTOMS.find((b) => b.id === id)
+    ?? BUILTIN_MOODS.find((b) => b.id === id)
+    ?? customItems.find((c) => c.key === id);
+}
+
+/** Display label for a stored key ("cramps:2" works too), e.g. "Cramps". */
+export function itemLabel(id, customItems = []) {
+  const key = id.split(":")[0];
+  const item = findItem(key, customItems);
+  if (item) return item.label;
+  const words = key.replace(/_/g, " ");
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * The same for use mid-sentence: built-ins in lower case ("cramps"),
+ * custom labels exactly as the user typed them.
+ */
+export function itemName(id, customItems = []) {
+  const key = id.split(":")[0];
+  const custom = customItems.find((c) => c.key === key);
+  return custom ? custom.label : itemLabel(key).toLowerCase();
+}
+
+/**
+ * A stored symptom in words, with its severity where the item takes one:
+ * "cramps:2" → "cramps (moderate)".
+ */
+export function describeSymptom(raw, customItems = []) {
+  const { id, severity } = parseSymptom(raw);
+  const custom = customItems.find((c) => c.key === id);
+  const rated = custom ? custom.has_severity : BUILTIN_SYMPTOMS.some((b) => b.id === id);
+  const level = SEVERITY_LABELS[severity - 1];
+  return rated && level ? `${itemName(id, customItems)} (${level.toLowerCase()})` : itemName(id, customItems);
+}
+
+/**
+ * A key for a new custom item, from its label: lower-case words joined by
+ * underscores, numbered if a built-in or another item already uses it.
+ */
+export function newItemKey(label, customItems = []) {
+  const base = label
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "")
+    .slice(0, 40) || "custom";
+  const taken = new Set([
+    ...BUILTIN_SYMPTOMS.map((b) => b.id),
+    ...BUILTIN_MOODS.map((b) => b.id),
+    ...customItems.map((c) => c.key),
+  ]);
+  if (!taken.has(base)) return base;
+  let n = 2;
+  while (taken.has(`${base}_${n}`)) n++;
+  return `${base}_${n}`;
+}
@@ -0,0 +1,95 @@
+/**
+ * Browser side of /api/chat. The Anthropic key and Luna's system prompt live
+ * on the server; requests carry the user's Supabase access token so the
+ * endpoint can authenticate them and apply per-user quotas.
+ */
+import { supabase } from "./supabaseClient";
+
+async function authHeaders() {
+  const { data: { session } } = await supabase.auth.getSession();
+  if (!session?.access_token) throw new Error("Please sign in again.");
+  return {
+    "Content-Type": "application/json",
+    Authorization: `Bearer ${session.access_token}`,
+  };
+}
+
+async function readError(res) {
+  const body = await res.json().catch(() => ({}));
+  return new Error(body.error || `HTTP ${res.status}`);
+}
+
+/**
+ * Sends the conversation and streams Luna's reply. `onText` receives each
+ * chunk as it arrives. Resolves with `{ text, stopReason, content }`: when
+ * stopReason is "tool_use", `content` is her turn including the tool calls
+ * to run (see lunaTools.js).
+ */
+export async function streamLunaChat({ messages, context, onText }) {
+  const res = await fetch("/api/chat", {
+    method: "POST",
+    headers: await authHeaders(),
+    body: JSON.stringify({ mode: "chat", messages, context }),
+  });
+  if (!res.ok) throw await readError(res);
+
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let full = "";
+  let final = { stop_reason: null, content: [] };
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    // Server-sent events are separated by a blank line
+    let boundary;
+    while ((boundary = buffer.indexOf("\n\n")) !== -1) {
+      const raw = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      const event = raw.match(/^event: (.*)$/m)?.[1];
+      const data = raw.match(/^data: (.*)$/m)?.[1];
+      if (!event || !data) continue;
+      const payload = JSON.parse(data);
+      if (event === "delta") {
+        full += payload.text;
+        onText?.(payload.text, full);
+      } else if (event === "done") {
+        final = payload;
+      } else if (event === "error") {
+        throw new Error(payload.error);
+      }
+    }
+  }
+  return { text: full, stopReason: final.stop_reason, content: final.content ?? [] };
+}
+
+/** One-shot JSON insight for the Home prediction card. */
+export async function requestCycleInsight(data) {
+  const res = await fetch("/api/chat", {
+    method: "POST",
+    headers: await authHeaders(),
+    body: JSON.stringify({ mode: "insight", data }),
+  });
+  if (!res.ok) throw await readError(res);
+  const { content } = await res.json();
+  return content;
+}
+
+/**
+ * Asks Luna to read a quick log note the local parser couldn't
+ * (quickLog.js). Resolves with draft_log-shaped input, still to be checked
+ * with buildLogDraft, or null if she found nothing to log.
+ */
+export async function requestQuickLog(text, today, customItems = []) {
+  const res = await fetch("/api/chat", {
+    method: "POST",
+    headers: await authHeaders(),
+    body: JSON.stringify({ mode: "quick_log", text, today, items: customItems.map((c) => c.label) }),
+  });
+  if (!res.ok) throw await readError(res);
+  const { input } = await res.json();
+  return input;
+}
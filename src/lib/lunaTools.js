@@ -0,0 +1,172 @@
+/**
+ * Runs Luna's tool calls in the browser. The definitions Claude sees live in
+ * api/_lib/lunaTools.js; the calls come back to us because only here are the
+ * user's logs decrypted and read through their own session. Each call
+ * becomes a step shown in the chat: `result` goes back to Luna, `summary`
+ * is the one-line label, and a drafted log waits in `draft` until the user
+ * saves it (saveLogDraft in db.js).
+ */
+import { differenceInDays, format, parseISO, isValid } from "date-fns";
+import { getCycleLogsInRange, getAllCycleLogs } from "./db";
+import { buildCycles, computeCycleStats, computeSymptomPatterns, detectIrregularity } from "./cycleStats";
+import { irregularityOptions } from "./perimenopause";
+import { describeSymptom, itemName } from "./logItems";
+import { medicationNames } from "./medications";
+import { buildLogDraft, DraftError } from "./logDraft";
+
+// Same limits as the server's (api/_lib/lunaTools.js)
+export const MAX_TOOL_ROUNDS = 3;
+export const MAX_RANGE_DAYS = 120;
+// Room for the results of the longest fetch; the server clips anything longer
+const MAX_RESULT_CHARS = 12_000;
+// What's kept of a result in the saved chat, for the expandable step
+const STORED_RESULT_CHARS = 2_000;
+
+const ANALYSES = ["stats", "symptom_patterns", "irregularity"];
+
+export const TOOL_LABELS = {
+  get_logs:       "Looked up your logs",
+  analyze_cycles: "Analysed your cycles",
+  draft_log:      "Drafted a log",
+};
+
+class ToolInputError extends Error {}
+
+const fmtDay = (date) => format(parseISO(date), "MMM d, yyyy");
+
+function parseDate(value, field) {
+  const date = typeof value === "string" ? parseISO(value) : null;
+  if (!date || !isValid(date) || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    throw new ToolInputError(`${field} must be a yyyy-MM-dd date`);
+  }
+  return date;
+}
+
+// ─── READING LOGS ─────────────────────────────────────────────
+
+/** A log row as Luna reads it: names instead of keys, empty fields left out. */
+function describeLog(log, ctx) {
+  const out = { date: log.date };
+  if (log.log_type === "period") {
+    out.flow = log.flow_intensity || "unspecified";
+    if (log.bleed_type) out.bleed = log.bleed_type;
+    if (log.is_period_end) out.period_end = true;
+  }
+  if (log.symptoms?.length) out.symptoms = log.symptoms.map((s) => describeSymptom(s, ctx.customItems));
+  if (log.moods?.length) out.moods = log.moods.map((m) => itemName(m, ctx.customItems));
+  if (log.notes) out.notes = log.notes.slice(0, 200);
+  for (const field of [
+    "sleep_hours", "sleep_quality", "stress_level", "water_intake", "bbt",
+    "cervical_mucus", "ovulation_test", "hot_flash_count", "night_sweat_count", "pill_taken",
+  ]) {
+    if (log[field] !== null && log[field] !== undefined) out[field] = log[field];
+  }
+  if (log.exercise) out.exercise = log.exercise_type || true;
+  if (log.medications_taken?.length) out.medications = medicationNames(log.medications_taken, ctx.medications);
+  return out;
+}
+
+async function getLogs(input, ctx) {
+  const start = parseDate(input.start_date, "start_date");
+  const end   = parseDate(input.end_date, "end_date");
+  if (end < start) throw new ToolInputError("end_date is before start_date");
+  if (differenceInDays(end, start) > MAX_RANGE_DAYS) {
+    throw new ToolInputError(`At most ${MAX_RANGE_DAYS} days at a time — split the range`);
+  }
+
+  const logs = await getCycleLogsInRange(input.start_date, input.end_date);
+  return {
+    summary: `${logs.length} ${logs.length === 1 ? "log" : "logs"}, ${fmtDay(input.start_date)} – ${fmtDay(input.end_date)}`,
+    result: { start_date: input.start_date, end_date: input.end_date, logs: logs.map((l) => describeLog(l, ctx)) },
+  };
+}
+
+// ─── ANALYSIS ─────────────────────────────────────────────────
+
+async function analyzeCycles(input, ctx) {
+  const analyses = (Array.isArray(input.analyses) ? input.analyses : []).filter((a) => ANALYSES.includes(a));
+  if (analyses.length === 0) throw new ToolInputError(`analyses must list one or more of ${ANALYSES.join(", ")}`);
+
+  const logs = await getAllCycleLogs();
+  const all = buildCycles(logs, ctx.settings);
+  let cycles = all;
+  if (input.start_date || input.end_date) {
+    const from = input.start_date ? format(parseDate(input.start_date, "start_date"), "yyyy-MM-dd") : "0000-01-01";
+    const to   = input.end_date   ? format(parseDate(input.end_date, "end_date"), "yyyy-MM-dd")     : "9999-12-31";
+    cycles = all.filter((c) => c.start >= from && c.start <= to);
+  } else if (input.last_n_cycles) {
+    cycles = all.slice(-Math.max(2, Math.round(input.last_n_cycles)));
+  }
+
+  const result = {
+    cycles: cycles.map(({ index, start, periodLength, cycleLength }) => ({
+      cycle: index, start, period_length: periodLength, cycle_length: cycleLength,
+    })),
+  };
+  if (analyses.includes("stats")) result.stats = computeCycleStats(cycles);
+  if (analyses.includes("symptom_patterns") && cycles.length > 0) {
+    // Only days inside the chosen cycles, or the last one would take in every later day
+    const after = all[cycles[cycles.length - 1].index]?.start ?? "9999-12-31";
+    const inRange = logs.filter((l) => l.date >= cycles[0].start && l.date < after);
+    result.symptom_patterns = computeSymptomPatterns(inRange, cycles, ctx.customItems)
+      .map(({ allDays: _allDays, ...pattern }) => pattern);
+  }
+  if (analyses.includes("irregularity")) {
+    result.irregularity = detectIrregularity(cycles, irregularityOptions(ctx.settings, ctx.profile));
+  }
+
+  const names = { stats: "stats", symptom_patterns: "symptom patterns", irregularity: "irregularity" };
+  const list = analyses.map((a) => names[a]).join(", ");
+  return {
+    summary: `${list.charAt(0).toUpperCase()}${list.slice(1)} over ${cycles.length} ${cycles.length === 1 ? "cycle" : "cycles"}`,
+    result,
+  };
+}
+
+// ─── DRAFTING A LOG ───────────────────────────────────────────
+
+function draftLog(input, ctx) {
+  const draft = buildLogDraft(input, ctx.customItems);
+  return {
+    summary: `For ${format(parseISO(draft.date), "EEE, MMM d")}`,
+    result: { status: "drafted", note: "Shown to the user to review. It is saved only if they confirm it." },
+    draft: { ...draft, status: "pending" },
+  };
+}
+
+// ─── DISPATCH ─────────────────────────────────────────────────
+
+const RUNNERS = { get_logs: getLogs, analyze_cycles: analyzeCycles, draft_log: draftLog };
+
+/**
+ * Runs one tool call (`{ id, name, input }` from Luna's reply) against the
+ * user's data. `ctx` is `{ settings, profile, customItems, medications }`.
+ * Never throws: a bad call becomes an error result Luna can correct.
+ */
+export async function runLunaTool(call, ctx) {
+  const step = { id: call.id, name: call.name, input: call.input ?? {} };
+  const runner = RUNNERS[call.name];
+  try {
+    if (!runner) throw new ToolInputError(`Unknown tool ${call.name}`);
+    const { summary, result, draft } = await runner(step.input, ctx);
+    const json = JSON.stringify(result);
+    return {
+      ...step,
+      summary,
+      draft,
+      isError: false,
+      result: json.length > MAX_RESULT_CHARS ? `${json.slice(0, MAX_RESULT_CHARS)}…(cut short, ask for a narrower range)` : json,
+    };
+  } catch (err) {
+    // Input mistakes go back to Luna verbatim; anything else stays generic
+    const isInputError = err instanceof ToolInputError || err instanceof DraftError;
+    const message = isInputError ? err.message : "Couldn't read the data just now";
+    if (!isInputError) console.error("Luna tool error:", err);
+    return { ...step, summary: message, result: message, isError: true };
+  }
+}
+
+/** A step as kept in the saved chat, with the result trimmed for display. */
+export function storedStep(step) {
+  return { ...step, result: step.result.slice(0, STORED_RESULT_CHARS) };
+}
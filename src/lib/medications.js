@@ -0,0 +1,140 @@
+/**
+ * Medications and supplements: the user's list (medications table), which
+ * of them a day's log says were taken (cycle_logs.medications_taken), and
+ * how symptom severity compares on days with and without each one. Pure,
+ * so the reminder rules on the server read the same schedule as the app.
+ */
+import { parseSymptom, itemName } from "./logItems.js";
+
+export const MEDICATION_KINDS = {
+  medication: { label: "Medication", emoji: "💊" },
+  supplement: { label: "Supplement", emoji: "🌿" },
+};
+
+export const SCHEDULES = {
+  daily:     "Every day",
+  as_needed: "As needed",
+};
+
+export const MAX_NAME_LENGTH = 60;
+export const MAX_DOSE_LENGTH = 40;
+export const DEFAULT_REMINDER_TIME = "09:00";
+
+// Fewest logged days on each side before a comparison is shown
+export const MIN_COMPARE_DAYS = 3;
+
+/** "Ibuprofen 400 mg", or just the name when no dose is set. */
+export function medicationLabel(med) {
+  return med.dose ? `${med.name} ${med.dose}` : med.name;
+}
+
+/** Names for a day's `medications_taken`; deleted ones can no longer be named. */
+export function medicationNames(ids = [], medications = []) {
+  return ids.map((id) => medications.find((m) => m.id === id)?.name ?? "a deleted medication");
+}
+
+export function activeMedications(medications = []) {
+  return medications.filter((m) => m.active !== false);
+}
+
+/** Ids of the medications logged as taken on `date`. */
+export function takenOn(logs, date) {
+  return logs?.find((l) => l.date === date)?.medications_taken ?? [];
+}
+
+export function isMedicationTaken(logs, date, id) {
+  return takenOn(logs, date).includes(id);
+}
+
+/**
+ * Daily medications with a reminder that hasn't been logged as taken on
+ * `today`, each with its reminder time ("HH:mm").
+ */
+export function dueMedications(medications, logs, today) {
+  return activeMedications(medications).filter((m) =>
+    m.schedule === "daily" && m.reminder_enabled && !isMedicationTaken(logs, today, m.id)
+  );
+}
+
+/**
+ * The user's medications a tip mentions by name, e.g. their "Ibuprofen
+ * 200 mg" for a tip about ibuprofen, so the tip can offer to log it.
+ */
+export function tipMedications(tip, medications = []) {
+  const text = tip.toLowerCase();
+  return activeMedications(medications).filter((m) => {
+    const word = m.name.toLowerCase().split(/\s+/)[0];
+    return word.length >= 4 && text.includes(word);
+  });
+}
+
+// ─── EFFECTIVENESS ────────────────────────────────────────────
+
+const round1 = (n) => Math.round(n * 10) / 10;
+const mean = (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0);
+
+/** Severity of each symptom logged that day, "everything_fine" left out. */
+function severities(log) {
+  const out = {};
+  for (const raw of log.symptoms) {
+    const { id, severity } = parseSymptom(raw);
+    if (id !== "everything_fine") out[id] = severity;
+  }
+  return out;
+}
+
+/**
+ * For each medication taken on at least one day: the average symptom load
+ * (summed severities, 1 mild to 3 severe) on days it was taken against days
+ * it wasn't, and the symptoms that differ most. Only days with symptoms
+ * logged count, since an empty day says nothing about how the user felt.
+ * `enough` is false until both sides have MIN_COMPARE_DAYS days.
+ */
+export function computeMedicationEffects(logs, medications, customItems = []) {
+  const days = logs
+    .filter((l) => l.symptoms?.length > 0)
+    .map((l) => ({ taken: l.medications_taken ?? [], severities: severities(l) }));
+
+  return medications
+    .map((med) => {
+      const withMed    = days.filter((d) => d.taken.includes(med.id));
+      const withoutMed = days.filter((d) => !d.taken.includes(med.id));
+      const result = {
+        medication: med,
+        withDays: withMed.length,
+        withoutDays: withoutMed.length,
+        enough: withMed.length >= MIN_COMPARE_DAYS && withoutMed.length >= MIN_COMPARE_DAYS,
+      };
+      if (!result.enough) return result;
+
+      const load = (group) => mean(group.map((d) => Object.values(d.severities).reduce((a, b) => a + b, 0)));
+      const symptomIds = new Set(withMed.flatMap((d) => Object.keys(d.severities)));
+      withoutMed.forEach((d) => Object.keys(d.severities).forEach((id) => symptomIds.add(id)));
+
+      const symptoms = [...symptomIds]
+        .map((id) => {
+          const avgWith    = mean(withMed.map((d) => d.severities[id] ?? 0));
+          const avgWithout = mean(withoutMed.map((d) => d.severities[id] ?? 0));
+          return {
+            symptom: itemName(id, customItems),
+            avgWith: round1(avgWith),
+            avgWithout: round1(avgWithout),
+            change: round1(avgWith - avgWithout),
+          };
+        })
+        .filter((s) => s.change !== 0)
+        .sort((a, b) => Math.abs(b.change) - Math.abs(a.change))
+        .slice(0, 4);
+
+      const avgWith    = load(withMed);
+      const avgWithout = load(withoutMed);
+      return {
+        ...result,
+        avgWith: round1(avgWith),
+        avgWithout: round1(avgWithout),
+        change: round1(avgWith - avgWithout),
+        symptoms,
+      };
+    })
+    .filter((r) => r.withDays > 0);
+}
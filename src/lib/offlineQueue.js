@@ -0,0 +1,118 @@
+/**
+ * Persistent write queue for offline logging.
+ * Mutations are stored in IndexedDB (so they survive reloads and app kills)
+ * and replayed in insertion order by db.js once the connection is back.
+ */
+
+const DB_NAME    = "aura_offline";
+const DB_VERSION = 1;
+const STORE      = "mutations";
+
+// ─── INDEXEDDB ────────────────────────────────────────────────
+
+let dbPromise = null;
+
+function openQueueDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("Offline storage is not available in this browser"));
+      return;
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(STORE, { keyPath: "seq", autoIncrement: true });
+      store.createIndex("user_id", "user_id");
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror   = () => reject(request.error);
+  }).catch((err) => {
+    dbPromise = null;
+    throw err;
+  });
+  return dbPromise;
+}
+
+async function withStore(mode, fn) {
+  const db = await openQueueDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const request = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror    = () => reject(tx.error);
+    tx.onabort    = () => reject(tx.error);
+  });
+}
+
+// ─── QUEUE ────────────────────────────────────────────────────
+
+/**
+ * Appends a mutation: { user_id, op, log_id?, payload?, base? }.
+ * Returns the sequence number it was stored under.
+ */
+export async function enqueueMutation(mutation) {
+  const seq = await withStore("readwrite", (store) =>
+    store.add({ ...mutation, queued_at: new Date().toISOString() })
+  );
+  await refreshPendingCount(mutation.user_id);
+  return seq;
+}
+
+/** All queued mutations for a user, oldest first. */
+export async function getQueuedMutations(userId) {
+  if (!userId) return [];
+  const rows = await withStore("readonly", (store) =>
+    store.index("user_id").getAll(userId)
+  );
+  return (rows ?? []).sort((a, b) => a.seq - b.seq);
+}
+
+export async function removeMutation(seq) {
+  await withStore("readwrite", (store) => store.delete(seq));
+}
+
+export async function clearQueuedMutations(userId) {
+  const rows = await getQueuedMutations(userId);
+  await withStore("readwrite", (store) => {
+    rows.forEach((r) => store.delete(r.seq));
+  });
+  await refreshPendingCount(userId);
+}
+
+// ─── SYNC STATUS ──────────────────────────────────────────────
+// Tiny observable store so the Layout can show pending / synced state.
+
+let status = {
+  online:       typeof navigator === "undefined" ? true : navigator.onLine,
+  pending:      0,
+  syncing:      false,
+  lastSyncedAt: null,
+  conflicts:    0,
+  failed:       0,
+  // What the server rejected and was dropped from the queue, until dismissed
+  dropped:      [],
+};
+const listeners = new Set();
+
+export function getSyncStatus() {
+  return status;
+}
+
+export function setSyncStatus(patch) {
+  status = { ...status, ...patch };
+  listeners.forEach((l) => l(status));
+}
+
+export function subscribeSyncStatus(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export async function refreshPendingCount(userId) {
+  try {
+    const rows = await getQueuedMutations(userId);
+    setSyncStatus({ pending: rows.length });
+  } catch {
+    setSyncStatus({ pending: 0 });
+  }
+}
@@ -0,0 +1,146 @@
+/**
+ * Perimenopause mode. In the years before menopause cycles get longer, vary
+ * more and are skipped altogether, and hot flashes and night sweats start.
+ * Irregularity is judged against age-aware limits (see detectIrregularity),
+ * and the trends that matter here are measured in years rather than cycles.
+ * Pure, so the clinician report and Luna see the same numbers.
+ */
+import { addMonths, differenceInDays, differenceInMonths, format, parseISO, subMonths } from "date-fns";
+
+// Twelve months without a period marks menopause
+export const MENOPAUSE_MONTHS = 12;
+// Per-day counts are capped so a typo can't swamp the averages
+export const MAX_VASOMOTOR_COUNT = 50;
+
+const FLOW_SCORE = { spotting: 1, light: 2, medium: 3, heavy: 4 };
+const FLOW_LABELS = ["Spotting", "Light", "Medium", "Heavy"];
+
+export function isPerimenopause(settings) {
+  return settings?.tracking_mode === "perimenopause";
+}
+
+/** Age this year from `profiles.birth_year`, or null if it isn't set. */
+export function getAge(birthYear, today = new Date()) {
+  return birthYear ? today.getFullYear() - birthYear : null;
+}
+
+/** Options for detectIrregularity from the user's settings and profile. */
+export function irregularityOptions(settings, profile) {
+  return { age: getAge(profile?.birth_year), perimenopause: isPerimenopause(settings) };
+}
+
+// ─── YEARLY TRENDS ────────────────────────────────────────────
+
+/**
+ * Cycle length and flow per calendar year, oldest first: how many cycles
+ * started that year, their average length (leaving out skipped cycles,
+ * which are counted separately), average period length, and the average
+ * flow across all its period days as a 1–4 score with its label.
+ */
+export function computeYearlyTrends(cycles, skipped = []) {
+  const skippedStarts = new Set(skipped.map((s) => s.start));
+  const years = {};
+  cycles.forEach((c) => {
+    const year = Number(c.start.slice(0, 4));
+    if (!years[year]) years[year] = { year, cycles: 0, lengths: [], skipped: 0, periodDays: 0, flows: [] };
+    const y = years[year];
+    y.cycles++;
+    y.periodDays += c.periodLength;
+    y.flows.push(...c.avgFlow.map((f) => FLOW_SCORE[f]).filter(Boolean));
+    if (skippedStarts.has(c.start)) y.skipped++;
+    else if (c.cycleLength !== null) y.lengths.push(c.cycleLength);
+  });
+
+  const avg = (arr) => (arr.length ? arr.reduce((a, b) => a + b, 0) / arr.length : null);
+  return Object.values(years)
+    .sort((a, b) => a.year - b.year)
+    .map(({ year, cycles: count, lengths, skipped: skippedCount, periodDays, flows }) => {
+      const flow = avg(flows);
+      return {
+        year,
+        cycles:          count,
+        avgCycleLength:  lengths.length ? Math.round(avg(lengths)) : null,
+        skipped:         skippedCount,
+        avgPeriodLength: Math.round((periodDays / count) * 10) / 10,
+        flowScore:       flow !== null ? Math.round(flow * 10) / 10 : null,
+        flowLabel:       flow !== null ? FLOW_LABELS[Math.round(flow) - 1] : null,
+      };
+    });
+}
+
+// ─── MENOPAUSE MILESTONE ──────────────────────────────────────
+
+/**
+ * Time since the last period (bleeds under hormonal contraception don't
+ * count) towards the 12 months that mark menopause. Null until a period
+ * has been logged.
+ */
+export function getMenopauseMilestone(logs, settings, today = format(new Date(), "yyyy-MM-dd")) {
+  const logged = logs
+    .filter((l) => l.log_type === "period" && !l.bleed_type && l.date <= today)
+    .reduce((latest, l) => (l.date > latest ? l.date : latest), "");
+  const last = [logged, settings?.last_period_start ?? ""].sort().pop();
+  if (!last) return null;
+
+  const todayObj = parseISO(today);
+  const months = differenceInMonths(todayObj, parseISO(last));
+  return {
+    lastPeriod: last,
+    daysSince:  differenceInDays(todayObj, parseISO(last)),
+    monthsSince: months,
+    progress:   Math.min(1, months / MENOPAUSE_MONTHS),
+    reached:    months >= MENOPAUSE_MONTHS,
+    reachedOn:  format(addMonths(parseISO(last), MENOPAUSE_MONTHS), "yyyy-MM-dd"),
+  };
+}
+
+// ─── VASOMOTOR SYMPTOMS ───────────────────────────────────────
+
+/**
+ * Hot flashes and night sweats by month for the last `months` months,
+ * oldest first. Averages are per day that had a count logged, so days
+ * nothing was tracked don't read as days without symptoms.
+ */
+export function vasomotorByMonth(logs, months = 12, today = format(new Date(), "yyyy-MM-dd")) {
+  const first = format(subMonths(parseISO(today), months - 1), "yyyy-MM");
+  const byMonth = {};
+  for (let i = 0; i < months; i++) {
+    const key = format(addMonths(parseISO(`${first}-01`), i), "yyyy-MM");
+    byMonth[key] = { month: key, label: format(parseISO(`${key}-01`), "MMM"), days: 0, hotFlashes: 0, nightSweats: 0 };
+  }
+  logs.forEach((l) => {
+    if (!l.date || l.date > today) return;
+    if (l.hot_flash_count == null && l.night_sweat_count == null) return;
+    const m = byMonth[l.date.slice(0, 7)];
+    if (!m) return;
+    m.days++;
+    m.hotFlashes  += l.hot_flash_count ?? 0;
+    m.nightSweats += l.night_sweat_count ?? 0;
+  });
+  return Object.values(byMonth).map((m) => ({
+    ...m,
+    avgPerDay: m.days ? Math.round((m.hotFlashes / m.days) * 10) / 10 : null,
+  }));
+}
+
+/**
+ * Hot flash and night sweat totals over the last `days` days, with the
+ * average and busiest day. Null when no counts were logged in that time.
+ */
+export function summariseVasomotor(logs, days = 30, today = format(new Date(), "yyyy-MM-dd")) {
+  const recent = logs.filter((l) =>
+    l.date && l.date <= today &&
+    differenceInDays(parseISO(today), parseISO(l.date)) < days &&
+    (l.hot_flash_count != null || l.night_sweat_count != null)
+  );
+  if (recent.length === 0) return null;
+  const flashes = recent.map((l) => l.hot_flash_count ?? 0);
+  const total = flashes.reduce((a, b) => a + b, 0);
+  return {
+    days:             recent.length,
+    hotFlashes:       total,
+    avgPerDay:        Math.round((total / recent.length) * 10) / 10,
+    maxPerDay:        Math.max(...flashes),
+    nightSweatNights: recent.filter((l) => l.night_sweat_count > 0).length,
+  };
+}
@@ -0,0 +1,103 @@
+/**
+ * Pregnancy mode. While pregnant, and after the pregnancy until the first
+ * period, there is no cycle to predict: predictions, late-period warnings and
+ * fertile windows are paused. Each pregnancy is also kept as a pause in
+ * `cycle_pauses`, so the one very long "cycle" around it never reaches the
+ * cycle statistics. Pure, so the reminder scheduler sees the same mode.
+ */
+import { addDays, differenceInDays, format, parseISO } from "date-fns";
+
+// Pregnancy is dated from the first day of the last period (LMP)
+export const PREGNANCY_DAYS = 280;
+// Conception is taken to be two weeks after the LMP
+const CONCEPTION_OFFSET = 14;
+const TYPICAL_CYCLE = 28;
+
+export const DUE_DATE_SOURCES = {
+  due_date:    "Due date",
+  conception:  "Conception date",
+  last_period: "Last period",
+};
+
+// ─── DATING ───────────────────────────────────────────────────
+
+/**
+ * Due date ("yyyy-MM-dd") from whichever date the user knows. From the last
+ * period it's Naegele's rule, moved by however much the cycle is longer or
+ * shorter than 28 days, since ovulation moves with it.
+ */
+export function estimateDueDate(source, date, cycleLength = TYPICAL_CYCLE) {
+  if (!date) return null;
+  const day = parseISO(date);
+  if (source === "due_date") return date;
+  if (source === "conception") return format(addDays(day, PREGNANCY_DAYS - CONCEPTION_OFFSET), "yyyy-MM-dd");
+  const shift = Math.round((cycleLength || TYPICAL_CYCLE) - TYPICAL_CYCLE);
+  return format(addDays(day, PREGNANCY_DAYS + shift), "yyyy-MM-dd");
+}
+
+/** The LMP-equivalent start of a pregnancy with this due date. */
+export function pregnancyStart(dueDate) {
+  return format(addDays(parseISO(dueDate), -PREGNANCY_DAYS), "yyyy-MM-dd");
+}
+
+/**
+ * How far along the pregnancy is on `today`: completed weeks and days,
+ * trimester, progress towards the due date (0–1) and days to go. Null
+ * outside pregnancy mode.
+ */
+export function getGestation(settings, today) {
+  if (settings?.tracking_mode !== "pregnancy" || !settings.due_date) return null;
+  const elapsed = Math.max(0, differenceInDays(parseISO(today), parseISO(pregnancyStart(settings.due_date))));
+  const week = Math.floor(elapsed / 7);
+  return {
+    week,
+    day: elapsed % 7,
+    elapsedDays: elapsed,
+    trimester: week < 14 ? 1 : week < 28 ? 2 : 3,
+    progress: Math.min(1, elapsed / PREGNANCY_DAYS),
+    daysToGo: differenceInDays(parseISO(settings.due_date), parseISO(today)),
+    dueDate: settings.due_date,
+  };
+}
+
+// ─── CYCLE PAUSES ─────────────────────────────────────────────
+
+/**
+ * Date ranges `{ start, end }` with no cycle: past pregnancies from
+ * `cycle_pauses`, plus the current one up to `today`.
+ */
+export function getCyclePauses(settings, today = format(new Date(), "yyyy-MM-dd")) {
+  const pauses = Array.isArray(settings?.cycle_pauses) ? [...settings.cycle_pauses] : [];
+  if (settings?.tracking_mode === "pregnancy" && settings.due_date) {
+    pauses.push({ start: pregnancyStart(settings.due_date), end: today });
+  }
+  return pauses;
+}
+
+/**
+ * True while cycle predictions are on hold: during pregnancy, and after it
+ * until a period starts after `pregnancy_end_date` (in `logs`, or already
+ * recorded as `last_period_start`).
+ */
+export function isCyclePaused(settings, logs = []) {
+  if (settings?.tracking_mode === "pregnancy") return true;
+  if (settings?.tracking_mode !== "postpartum") return false;
+  const end = settings.pregnancy_end_date;
+  if (!end || settings.last_period_start > end) return false;
+  return !logs.some((l) => l.log_type === "period" && !l.bleed_type && l.date > end);
+}
+
+/**
+ * Settings changes that end the current pregnancy on `endDate`: tracking
+ * moves to postpartum and the pregnancy is kept as a cycle pause.
+ */
+export function endPregnancySettings(settings, endDate) {
+  const pauses = Array.isArray(settings?.cycle_pauses) ? settings.cycle_pauses : [];
+  const start = settings?.due_date ? pregnancyStart(settings.due_date) : null;
+  return {
+    tracking_mode:      "postpartum",
+    pregnancy_end_date: endDate,
+    due_date:           null,
+    cycle_pauses:       start && start <= endDate ? [...pauses, { start, end: endDate }] : pauses,
+  };
+}
@@ -0,0 +1,69 @@
+/**
+ * Web Push on this device: registers public/sw.js and subscribes it with the
+ * server's VAPID public key so /api/send-reminders can deliver reminders
+ * while the app is closed. Subscriptions are stored per device in Supabase.
+ */
+import { savePushSubscription, deletePushSubscription } from "./db";
+import { requestNotificationPermission } from "./notifications";
+
+// Vite's env typings aren't loaded by the jsconfig check
+const VAPID_PUBLIC_KEY = /** @type {any} */ (import.meta).env.VITE_VAPID_PUBLIC_KEY;
+const SW_URL = "/sw.js";
+
+export const isPushSupported = () =>
+  !!VAPID_PUBLIC_KEY &&
+  typeof navigator !== "undefined" && "serviceWorker" in navigator &&
+  typeof window !== "undefined" && "PushManager" in window;
+
+// applicationServerKey wants raw bytes, the key is base64url
+function keyToBytes(base64url) {
+  const base64 = (base64url + "=".repeat((4 - (base64url.length % 4)) % 4))
+    .replace(/-/g, "+")
+    .replace(/_/g, "/");
+  return Uint8Array.from(atob(base64), (c) => c.charCodeAt(0));
+}
+
+async function getSubscription() {
+  const registration = await navigator.serviceWorker.getRegistration(SW_URL);
+  return registration ? registration.pushManager.getSubscription() : null;
+}
+
+/** True when this device already has a push subscription. */
+export async function isPushActive() {
+  if (!isPushSupported()) return false;
+  try {
+    return !!(await getSubscription());
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Asks for permission, subscribes this device and saves the subscription.
+ * Resolves to false when push isn't available or permission was refused —
+ * callers fall back to in-app notifications.
+ */
+export async function enablePush() {
+  if (!isPushSupported()) return false;
+  if (!(await requestNotificationPermission())) return false;
+
+  const registration = await navigator.serviceWorker.register(SW_URL);
+  await navigator.serviceWorker.ready;
+  const subscription =
+    (await registration.pushManager.getSubscription()) ??
+    (await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: keyToBytes(VAPID_PUBLIC_KEY),
+    }));
+  await savePushSubscription(subscription.toJSON());
+  return true;
+}
+
+/** Unsubscribes this device and forgets it on the server. */
+export async function disablePush() {
+  if (!isPushSupported()) return;
+  const subscription = await getSubscription();
+  if (!subscription) return;
+  await deletePushSubscription(subscription.endpoint).catch(() => {});
+  await subscription.unsubscribe();
+}
@@ -0,0 +1,234 @@
+/**
+ * Reads a one-line update like "heavy flow, bad cramps since this morning"
+ * into a log draft without a network call. It knows the common ways people
+ * name the pickers' flows, symptoms and moods, a few ways of giving sleep,
+ * stress and water, and relative dates ("yesterday", "on Monday"). Things
+ * said not to be there are left out: "no cramps today", "not tired at all,
+ * feeling happy" or "no heavy flow" log no cramps, no fatigue and no flow. What it can't place is left
+ * for Luna (requestQuickLog in lunaChat.js). Pure.
+ */
+import { format, parseISO, subDays, getDay } from "date-fns";
+import { getLogItems } from "./logItems.js";
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+  seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12,
+};
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+
+// Most specific first: a matched phrase is blanked out before the next is tried
+const SYMPTOM_PHRASES = [
+  ["ovulation_pain",  /\b(ovulation (pain|cramps?)|mittelschmerz)\b/],
+  ["migraine",        /\bmigraines?\b/],
+  ["headache",        /\b(headaches?|head ?aches?|head (hurts|is pounding))\b/],
+  ["cramps",          /\b(cramp(s|y|ing)?|period pains?)\b/],
+  ["tender_breasts",  /\b((tender|sore|painful) (breasts?|boobs?|chest)|breast (tenderness|pain))\b/],
+  ["backache",        /\b(back ?aches?|(lower )?back (pain|hurts|is killing me))\b/],
+  ["abdominal_pain",  /\b((stomach|tummy|belly|abdominal) ?(aches?|pain))\b/],
+  ["hot_flashes",     /\bhot (flash|flush)(es)?\b/],
+  ["night_sweats",    /\bnight ?sweats?\b/],
+  ["insomnia",        /\b(insomnia|(could ?n[o']?t|can[o']?t|did ?n[o']?t) sleep|no sleep)\b/],
+  ["fatigue",         /\b(tired|exhausted|fatigued?|wiped out|drained|knackered)\b/],
+  ["cravings",        /\bcravings?\b/],
+  ["acne",            /\b(acne|spots|pimples?|break ?outs?|broke out|zits?)\b/],
+  ["bloating",        /\bbloat(ed|ing)?\b/],
+  ["nausea",          /\b(nause(a|ous|ated)|queasy|feel(ing)? sick)\b/],
+  ["dizziness",       /\b(dizz(y|iness)|light ?headed)\b/],
+  ["joint_pain",      /\b(joint (pain|aches?)|(achy|aching|sore) joints)\b/],
+  ["vaginal_dryness", /\bvaginal dryness\b/],
+  ["vaginal_itching", /\b(vaginal )?itch(y|ing)\b/],
+  ["everything_fine", /\b(feel(ing)? (fine|normal)|no symptoms|all good)\b/],
+];
+
+const MOOD_PHRASES = [
+  ["mood_swings",         /\b(mood ?swings|moody)\b/],
+  ["low_energy",          /\b(low energy|no energy|sluggish)\b/],
+  ["energetic",           /\b(energetic|energi[sz]ed|full of energy)\b/],
+  ["foggy",               /\b(brain ?fog|foggy)\b/],
+  ["very_self_critical",  /\bself[- ]critical\b/],
+  ["feeling_guilty",      /\bguilty\b/],
+  ["obsessive_thoughts",  /\bobsessive thoughts?\b/],
+  ["happy",               /\b(happy|good mood|great mood|cheerful)\b/],
+  ["calm",                /\b(calm|relaxed|chilled?)\b/],
+  ["frisky",              /\b(frisky|horny|high libido)\b/],
+  ["irritated",           /\b(irritat(ed|able)|annoyed|grumpy|cranky|snappy)\b/],
+  ["sad",                 /\b(sad|feeling down|teary|crying|weepy)\b/],
+  ["anxious",             /\b(anxious|anxiety|nervous|worried|on edge)\b/],
+  ["depressed",           /\bdepress(ed|ion)\b/],
+  ["apathetic",           /\bapathetic\b/],
+  ["confused",            /\bconfused\b/],
+  ["confident",           /\bconfident\b/],
+  ["grateful",            /\b(grateful|thankful)\b/],
+  ["focused",             /\b(focused|productive)\b/],
+  ["sensitive",           /\b(sensitive|emotional)\b/],
+  ["overwhelmed",         /\boverwhelmed\b/],
+  ["lonely",              /\blonely\b/],
+  ["frustrated",          /\bfrustrated\b/],
+  ["unmotivated",         /\b(unmotivated|no motivation)\b/],
+  ["restless",            /\b(restless|fidgety)\b/],
+];
+
+// How bad a symptom was, from the words just before or after it in its clause
+const SEVERITY_WORDS = [
+  { level: 3, pattern: /\b(severe|terrible|awful|horrible|unbearable|excruciating|intense|killer|really bad|very bad|so bad|worst)\b/ },
+  { level: 2, pattern: /\b(bad|moderate|pretty bad|quite bad|strong|nasty|sore)\b/ },
+  { level: 1, pattern: /\b(mild|slight|minor|a bit of|a little|a few|some|light)\b/ },
+];
+
+const FLOW_WORDS = { spotting: "spotting", light: "light", medium: "medium", moderate: "medium", normal: "medium", heavy: "heavy" };
+
+const blank = (text, match) => text.replace(match, " ".repeat(match.length));
+
+// "no cramps", "not really tired", "didn't have any bloating": a negation up
+// to two words before, in the same clause
+const NEGATION = /(?:\b(?:no|not|without|none|never|zero)|n't)\s+(?:(?!(?:but|and)\b)[a-z']+\s+){0,2}$/;
+
+const negatedAt = (text, index) => NEGATION.test(text.slice(0, index));
+
+function readNumber(word) {
+  return NUMBER_WORDS[word] ?? parseFloat(word);
+}
+
+// ─── PIECES ───────────────────────────────────────────────────
+
+/** The day the text is about, or `today` when it doesn't say. */
+function readDate(text, today) {
+  const base = parseISO(today);
+  const ago = text.match(/\b(\d+|one|two|three|four|five|six|seven) days? ago\b/);
+  if (ago) return format(subDays(base, readNumber(ago[1])), "yyyy-MM-dd");
+  if (/\bday before yesterday\b/.test(text)) return format(subDays(base, 2), "yyyy-MM-dd");
+  if (/\byesterday\b/.test(text)) return format(subDays(base, 1), "yyyy-MM-dd");
+  const weekday = text.match(/\b(?:on |last )?(sunday|monday|tuesday|wednesday|thursday|friday|saturday)\b/);
+  if (weekday) {
+    // The most recent such day, a week back if it's today's name after "last"
+    let back = (getDay(base) - WEEKDAYS.indexOf(weekday[1]) + 7) % 7;
+    if (back === 0 && weekday[0].startsWith("last")) back = 7;
+    return format(subDays(base, back), "yyyy-MM-dd");
+  }
+  const iso = text.match(/\b(\d{4}-\d{2}-\d{2})\b/);
+  return iso ? iso[1] : today;
+}
+
+function readFlow(text) {
+  const named = text.match(/\b(spotting|light|medium|moderate|normal|heavy)\s+(flow|bleeding|period|day)\b/)
+    ?? text.match(/\b(?:flow|bleeding|period)\s+(?:is\s+|was\s+|very\s+|really\s+)*(light|medium|moderate|heavy)\b/);
+  if (named && !negatedAt(text, named.index)) return { flow: FLOW_WORDS[named[1]], match: named[0] };
+  const other = text.match(/\b(spotting|spotted|flooding|bleeding heavily|bleeding lightly)\b/);
+  if (other && !negatedAt(text, other.index)) {
+    const flow = other[1].startsWith("spot") ? "spotting" : other[1].endsWith("lightly") ? "light" : "heavy";
+    return { flow, match: other[0] };
+  }
+  // Just that it came: medium, like a period day marked from Home
+  const started = text.match(/\b(period (started|came|arrived|is here)|got my period|on my period|started bleeding|bleeding)\b/);
+  return started && !negatedAt(text, started.index) ? { flow: "medium", match: started[0] } : null;
+}
+
+function readSleep(text) {
+  const m = text.match(/\bslept (?:for )?(?:about |around |only |like )?(\d+(?:\.\d+)?|[a-z]+) ?(?:h|hrs?|hours?)\b/)
+    ?? text.match(/\b(\d+(?:\.\d+)?|[a-z]+) ?(?:h|hrs?|hours?) (?:of )?sleep\b/)
+    ?? text.match(/\bsleep:? (\d+(?:\.\d+)?) ?(?:h|hrs?|hours?)?\b/);
+  const hours = m ? readNumber(m[1]) : NaN;
+  return hours >= 0 && hours <= 24 ? { hours, match: m[0] } : null;
+}
+
+function readStress(text) {
+  const rated = text.match(/\bstress(?:ed)?(?: level)?(?: is| was| at|:)? ?([1-5])(?: ?\/ ?5| out of 5)?\b/);
+  if (rated) return { level: Number(rated[1]), match: rated[0] };
+  const worded = text.match(/\b(not stressed|no stress|(?:a bit|a little|slightly|kind of) stressed|(?:very|really|super|so|extremely) stressed|stressed( out)?)\b/);
+  if (!worded) return null;
+  const w = worded[0];
+  const level = /^(not|no)/.test(w) ? 1 : /^(a bit|a little|slightly|kind of)/.test(w) ? 3 : /^(very|really|super|so|extremely)/.test(w) ? 5 : 4;
+  return { level, match: w };
+}
+
+/** Glasses of water, the unit the log uses; a glass is taken as 250 ml. */
+function readWater(text) {
+  if (!/\b(water|drank|drink)\b/.test(text)) return null;
+  const glasses = text.match(/\b(\d+|[a-z]+) (?:glasses|glass|cups?|bottles?)(?: of water)?\b/);
+  if (glasses && !Number.isNaN(readNumber(glasses[1]))) {
+    return { glasses: readNumber(glasses[1]), match: glasses[0] };
+  }
+  const litres = text.match(/\b(\d+(?:\.\d+)?) ?(l|litres?|liters?|ml)\b/);
+  if (!litres) return null;
+  const ml = parseFloat(litres[1]) * (litres[2] === "ml" ? 1 : 1000);
+  return { glasses: Math.round(ml / 250), match: litres[0] };
+}
+
+/**
+ * Items of `kind` named in `text`: the phrase list first, then any item's
+ * label or key as written (custom items included). Each hit is blanked out
+ * of the text so "migraine" isn't also read as a headache; a negated one
+ * ("no cramps") is blanked without being kept.
+ */
+function readItems(kind, phrases, text, customItems) {
+  const found = [];
+  let rest = text;
+  const take = (id, m) => {
+    if (!negatedAt(rest, m.index)) found.push({ id, index: m.index, length: m[0].length });
+    rest = rest.slice(0, m.index) + " ".repeat(m[0].length) + rest.slice(m.index + m[0].length);
+  };
+  for (const [id, pattern] of phrases) {
+    const m = rest.match(pattern);
+    if (m) take(id, m);
+  }
+  for (const item of getLogItems(kind, customItems)) {
+    if (found.some((f) => f.id === item.id)) continue;
+    for (const name of new Set([item.label.toLowerCase(), item.id.replace(/_/g, " ")])) {
+      const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      const m = rest.match(new RegExp(`\\b${escaped}\\b`));
+      if (m) { take(item.id, m); break; }
+    }
+  }
+  return { found, rest };
+}
+
+/**
+ * The severity words in the clause around a symptom named at `index`,
+ * 1 if there are none. The name itself is left out, so "sore boobs" is
+ * just tender breasts.
+ */
+function severityAt(text, index, length) {
+  const start = Math.max(text.lastIndexOf(",", index), text.lastIndexOf(";", index), text.lastIndexOf(" and ", index)) + 1;
+  const ends = [",", ";", " and "].map((sep) => text.indexOf(sep, index + length)).filter((i) => i !== -1);
+  const end = ends.length ? Math.min(...ends) : text.length;
+  const clause = text.slice(start, index) + " " + text.slice(index + length, end);
+  return SEVERITY_WORDS.find(({ pattern }) => pattern.test(clause))?.level ?? 1;
+}
+
+// ─── PARSER ───────────────────────────────────────────────────
+
+/**
+ * Parses `text` into draft_log-shaped input (see logDraft.js) and the
+ * number of things it recognised besides the date. `today` is "yyyy-MM-dd".
+ */
+export function parseQuickLog(text, { customItems = [], today = format(new Date(), "yyyy-MM-dd") } = {}) {
+  let rest = ` ${text.toLowerCase().replace(/[’‘]/g, "'").replace(/\s+/g, " ")} `;
+  const input = { date: readDate(rest, today) };
+  let found = 0;
+
+  const flow = readFlow(rest);
+  if (flow) { input.flow_intensity = flow.flow; rest = blank(rest, flow.match); found++; }
+  const sleep = readSleep(rest);
+  if (sleep) { input.sleep_hours = sleep.hours; rest = blank(rest, sleep.match); found++; }
+  const stress = readStress(rest);
+  if (stress) { input.stress_level = stress.level; rest = blank(rest, stress.match); found++; }
+  const water = readWater(rest);
+  if (water) { input.water_intake = water.glasses; rest = blank(rest, water.match); found++; }
+
+  const items = getLogItems("symptom", customItems);
+  const symptoms = readItems("symptom", SYMPTOM_PHRASES, rest, customItems);
+  if (symptoms.found.length) {
+    input.symptoms = symptoms.found.map(({ id, index, length }) => {
+      const rated = items.find((i) => i.id === id)?.severity;
+      return `${id}:${rated ? severityAt(rest, index, length) : 1}`;
+    });
+    found += symptoms.found.length;
+  }
+  const moods = readItems("mood", MOOD_PHRASES, symptoms.rest, customItems);
+  if (moods.found.length) {
+    input.moods = moods.found.map((m) => m.id);
+    found += moods.found.length;
+  }
+
+  return { input, found };
+}
@@ -0,0 +1,40 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { parseQuickLog } from "./quickLog.js";
+
+const today = "2025-03-15";
+const parse = (text) => parseQuickLog(text, { today }).input;
+
+describe("parseQuickLog", () => {
+  test("reads flow, symptoms with severity and moods", () => {
+    assert.deepEqual(parse("heavy flow, bad cramps, feeling anxious"), {
+      date: today, flow_intensity: "heavy", symptoms: ["cramps:2"], moods: ["anxious"],
+    });
+  });
+
+  test("reads relative dates", () => {
+    assert.equal(parse("spotting yesterday").date, "2025-03-14");
+    assert.equal(parse("light flow 3 days ago").date, "2025-03-12");
+  });
+
+  test("a period mentioned without a flow is a medium day", () => {
+    assert.equal(parse("period started this morning").flow_intensity, "medium");
+  });
+
+  test("leaves out negated symptoms and moods", () => {
+    assert.deepEqual(parse("no cramps today"), { date: today });
+    assert.deepEqual(parse("not tired at all, feeling happy"), { date: today, moods: ["happy"] });
+    assert.deepEqual(parse("didn't have any bloating"), { date: today });
+  });
+
+  test("leaves out negated flow", () => {
+    for (const text of ["no heavy flow today", "not heavy bleeding anymore", "no spotting", "not bleeding", "not on my period"]) {
+      assert.equal(parse(text).flow_intensity, undefined, text);
+    }
+  });
+
+  test("a negation only reaches its own clause", () => {
+    assert.equal(parse("no heavy flow, just spotting").flow_intensity, "spotting");
+    assert.deepEqual(parse("no cramps but bloated").symptoms, ["bloating:1"]);
+  });
+});
@@ -0,0 +1,221 @@
+/**
+ * Red-flag triage: fixed rules for danger signs in what the user tells Luna
+ * and in what they log, checked before and apart from any AI. A rule that
+ * matches puts an urgent-care card ahead of Luna's words and tells her it
+ * was shown. The rules are deliberately blunt and err towards showing the
+ * card: beyond "not dizzy"-style negation, no guessing about what the user
+ * meant. Pure.
+ *
+ * Change a rule's wording or logic → bump its `version` (and the table's),
+ * so a card the user dismissed under the old rule shows again.
+ */
+import { differenceInMonths, format, parseISO, subDays } from "date-fns";
+import { buildCycles, predictNextPeriod, getLateStatus } from "./cycleStats.js";
+import { getCyclePauses } from "./pregnancy.js";
+import { isPerimenopause, MENOPAUSE_MONTHS } from "./perimenopause.js";
+import { parseSymptom } from "./logItems.js";
+
+export const RED_FLAG_RULES_VERSION = 2;
+
+// Most urgent first; `rank` orders the cards
+export const RED_FLAG_LEVELS = {
+  emergency: { rank: 0, label: "Get help now",        action: "Call emergency services or go to the nearest emergency department now." },
+  urgent:    { rank: 1, label: "See a doctor today",  action: "Contact a doctor or urgent care today." },
+  prompt:    { rank: 2, label: "Book a doctor visit", action: "Make an appointment with your doctor soon — within the next couple of weeks." },
+};
+
+// Periods longer than this are worth a doctor's look
+export const MAX_NORMAL_PERIOD_DAYS = 7;
+// From this age a year without periods is taken as menopause
+const MENOPAUSE_AGE = 45;
+// How far back logged data can raise a flag, so old history doesn't nag forever
+const BLEED_LOOKBACK_DAYS = 30;
+const SYMPTOM_LOOKBACK_DAYS = 3;
+// Logged pain that can be one-sided; ordinary cramps before a late period can't
+const LATE_PAIN_SYMPTOMS = ["abdominal_pain", "ovulation_pain"];
+
+// ─── CHAT PATTERNS ────────────────────────────────────────────
+
+const BLEEDING = /\b(bleed|bleeding|bled|blood|period|flow|spotting|clots?)\b/i;
+const PAD = /\b(pads?|tampons?|cups?|liners?|underwear)\b/i;
+const HOURLY = /\b(every|each|an|one|per|within an?)\s+(hour|hr)\b|\bhourly\b|\bevery\s+(30|forty|45|few)\s+min/i;
+const SOAKING = /\b(soak(s|ed|ing)?|fill(s|ed|ing)?|bleed(ing)? through|bled through|leak(s|ed|ing)? through|chang(e|ed|ing))\b/i;
+const HEAVY_BLEEDING = /\b(heavy|heavily|heavier)\b[^.!?]{0,25}\b(bleed|bleeding|bled|blood|period|flow)\b|\b(bleed|bleeding|bled|blood|period|flow)\b[^.!?]{0,25}\b(heavy|heavily|heavier)\b|\b(soak(s|ed|ing)?|flooding|gushing|pouring|clots)\b|\b(so much|lots of|loads of) blood\b/i;
+const FAINT = /\b(faint(ed|ing)?|pass(ed)? out|passing out|black(ed)? out|dizzy|light[- ]?headed|short of breath|can'?t breathe|heart (is )?racing)\b/i;
+const LONG_BLEED = /\b(for|lasted|lasting|lasts|been|over|more than|longer than)\s+(about\s+|almost\s+|nearly\s+|like\s+)?((8|9|[1-9]\d)\s+days|(eight|nine|ten|eleven|twelve|thirteen|fourteen|fifteen|twenty)\s+days|(two|three|four|2|3|4|a few|several|a couple( of)?)\s+weeks|a week and a half)\b/i;
+const MENOPAUSE_BLEED = /\b(after|since|post)[- ]?(my\s+)?menopaus(e|al)\b|\byears? (after|since) my last period\b/i;
+const ONE_SIDED = /\b(one|left|right)[- ]sided\b|\bon (my|the) (left|right)( side)?\b|\b(left|right) side\b|\b(left|right) ovary\b/i;
+const PAIN = /\b(pain|painful|cramp(s|ing)?|ache|aching|hurts?|stabbing|sharp)\b/i;
+const LATE_WORDS = /\b(late|missed|overdue|pregnan\w*|positive test)\b/i;
+const NOT_DURATION = /\b(late|missed|overdue|cycles?)\b/i;
+
+// "not dizzy", "didn't pass out", "never felt faint": a negation up to two
+// words before, in the same clause
+const NEGATION = /(?:\b(?:no|not|without|never)|n't)\s+(?:(?!(?:but|and)\b)[a-z']+\s+){0,2}$/i;
+
+/** `pattern`, matching only where its words aren't negated. */
+function affirmed(pattern) {
+  const all = new RegExp(pattern.source, `${pattern.flags}g`);
+  return { test: (s) => [...s.matchAll(all)].some((m) => !NEGATION.test(s.slice(0, m.index))) };
+}
+
+// ─── RULES ────────────────────────────────────────────────────
+
+/**
+ * The rules table. A rule matches chat text when any `text` group matches
+ * one sentence (all of `all`, none of `none`); with `late`, the period must
+ * also be late — going by the logs, or by the message itself. `logs` gets
+ * the user's data and returns what it found as `{ date, detail }` — the day
+ * it happened and a sentence about it — or null.
+ */
+export const RED_FLAG_RULES = [
+  {
+    id: "soaking_hourly",
+    version: 1,
+    level: "urgent",
+    title: "Very heavy bleeding",
+    advice: "Soaking through a pad or tampon every hour for two hours or more can mean losing a dangerous amount of blood. If you also feel faint or short of breath, treat it as an emergency.",
+    text: [{ all: [SOAKING, PAD, HOURLY] }],
+  },
+  {
+    id: "heavy_with_faintness",
+    version: 2,
+    level: "urgent",
+    title: "Heavy bleeding with dizziness",
+    advice: "Feeling faint, dizzy or short of breath while bleeding heavily can be a sign of significant blood loss.",
+    text: [{ all: [HEAVY_BLEEDING, affirmed(FAINT)] }],
+    logs: ({ logs, today }) => {
+      const since = format(subDays(parseISO(today), SYMPTOM_LOOKBACK_DAYS), "yyyy-MM-dd");
+      const day = logs.find((l) => l.date >= since && l.date <= today && l.flow_intensity === "heavy" &&
+        (l.symptoms ?? []).some((s) => parseSymptom(s).id === "dizziness"));
+      return day
+        ? { date: day.date, detail: `You logged heavy flow with dizziness on ${format(parseISO(day.date), "MMM d")}.` }
+        : null;
+    },
+  },
+  {
+    id: "long_period",
+    version: 1,
+    level: "prompt",
+    title: `Period longer than ${MAX_NORMAL_PERIOD_DAYS} days`,
+    advice: `Bleeding for more than ${MAX_NORMAL_PERIOD_DAYS} days is worth checking — it can come from fibroids, polyps, thyroid or clotting problems, and can lead to anaemia.`,
+    text: [{ all: [BLEEDING, LONG_BLEED], none: [NOT_DURATION] }],
+    logs: ({ cycles, today }) => {
+      const since = format(subDays(parseISO(today), BLEED_LOOKBACK_DAYS), "yyyy-MM-dd");
+      const long = cycles.filter((c) => c.end >= since && c.periodLength > MAX_NORMAL_PERIOD_DAYS).pop();
+      return long
+        ? { date: long.start, detail: `Your period from ${format(long.startObj, "MMM d")} lasted ${long.periodLength} days.` }
+        : null;
+    },
+  },
+  {
+    id: "postmenopausal_bleeding",
+    version: 1,
+    level: "prompt",
+    title: "Bleeding after menopause",
+    advice: "Any bleeding or spotting a year or more after your last period should be checked by a doctor, even if it's light or only happens once.",
+    text: [{ all: [BLEEDING, MENOPAUSE_BLEED] }],
+    logs: ({ logs, settings, age, today }) => {
+      if (!isPerimenopause(settings) && !(age >= MENOPAUSE_AGE)) return null;
+      const since = format(subDays(parseISO(today), BLEED_LOOKBACK_DAYS), "yyyy-MM-dd");
+      const pauses = getCyclePauses(settings);
+      const bleeds = [...new Set(logs.filter((l) => l.flow_intensity && l.date <= today).map((l) => l.date))].sort();
+      for (let i = bleeds.length - 1; i > 0; i--) {
+        const [prev, date] = [bleeds[i - 1], bleeds[i]];
+        if (date < since) break;
+        const months = differenceInMonths(parseISO(date), parseISO(prev));
+        // A pregnancy in between explains the gap
+        if (months < MENOPAUSE_MONTHS || pauses.some((p) => prev <= p.end && date > p.start)) continue;
+        return { date, detail: `You logged bleeding on ${format(parseISO(date), "MMM d")}, ${months} months after the bleed before it.` };
+      }
+      return null;
+    },
+  },
+  {
+    id: "late_period_one_sided_pain",
+    version: 1,
+    level: "emergency",
+    title: "Severe pain with a late period",
+    advice: "Strong pain low in the tummy — especially on one side — when your period is late can be a sign of an ectopic pregnancy, which needs treatment straight away. Shoulder-tip pain, bleeding or feeling faint make it more urgent.",
+    late: true,
+    text: [{ all: [ONE_SIDED, PAIN] }],
+    logs: ({ logs, late, prediction }) => {
+      if (!late) return null;
+      const day = logs.find((l) => l.date >= prediction.predicted_date && (l.symptoms ?? []).some((s) => {
+        const { id, severity } = parseSymptom(s);
+        return severity >= 3 && LATE_PAIN_SYMPTOMS.includes(id);
+      }));
+      return day
+        ? {
+          date: day.date,
+          detail: `You logged severe pain on ${format(parseISO(day.date), "MMM d")} and your period is ${late.daysLate} ${late.daysLate === 1 ? "day" : "days"} late.`,
+        }
+        : null;
+    },
+  },
+];
+
+// ─── TRIAGE ───────────────────────────────────────────────────
+
+const byUrgency = (a, b) => RED_FLAG_LEVELS[a.level].rank - RED_FLAG_LEVELS[b.level].rank;
+
+function toFlag(rule, source, { date = null, detail = null } = {}) {
+  return {
+    // Identifies this finding for dismissal: a new event or rule version shows
+    // again. Only the rule and the date, so a stored key says nothing more.
+    key: `${rule.id}@${rule.version}${date ? `:${date}` : ""}`,
+    rule: rule.id,
+    version: rule.version,
+    level: rule.level,
+    title: rule.title,
+    advice: rule.advice,
+    action: RED_FLAG_LEVELS[rule.level].action,
+    late: !!rule.late,
+    date,
+    detail,
+    source,
+  };
+}
+
+const sentences = (text) => String(text ?? "").split(/(?<=[.!?\n])\s+/).filter(Boolean);
+
+/**
+ * Red flags in a message to Luna, most urgent first. `periodLate` is whether
+ * the logs already show a late period (see getLateStatus).
+ */
+export function triageText(text, { periodLate = false } = {}) {
+  const parts = sentences(text);
+  const mentionsLate = LATE_WORDS.test(String(text ?? ""));
+  return RED_FLAG_RULES
+    .filter((rule) => rule.text?.some(({ all, none = [] }) =>
+      parts.some((s) => all.every((p) => p.test(s)) && !none.some((p) => p.test(s)))))
+    .filter((rule) => !rule.late || periodLate || mentionsLate)
+    .map((rule) => toFlag(rule, "chat"))
+    .sort(byUrgency);
+}
+
+/** Red flags in the user's logs, most urgent first. */
+export function triageLogs(logs, settings, { age = null, today = format(new Date(), "yyyy-MM-dd") } = {}) {
+  const cycles = buildCycles(logs, settings);
+  const prediction = predictNextPeriod(cycles, settings, logs);
+  const late = getLateStatus(prediction, settings, [], { today });
+  const data = { logs, cycles, settings, age, today, prediction, late };
+  return RED_FLAG_RULES
+    .map((rule) => {
+      const found = rule.logs?.(data);
+      return found ? toFlag(rule, "logs", found) : null;
+    })
+    .filter(Boolean)
+    .sort(byUrgency);
+}
+
+/** Flags as a section of Luna's context, or "" when there are none. */
+export function describeRedFlags(flags, heading) {
+  if (flags.length === 0) return "";
+  let text = `--- ${heading} ---\n`;
+  flags.forEach((f) => {
+    text += `  • ${f.title} (${RED_FLAG_LEVELS[f.level].label.toLowerCase()})${f.detail ? `: ${f.detail}` : ""}\n`;
+  });
+  text += "The app has already shown the user an urgent-care card for these. Back it up plainly: tell them to seek care as it says, and don't reassure them out of it.\n\n";
+  return text;
+}
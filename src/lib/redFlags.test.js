@@ -0,0 +1,217 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { format, parseISO, subDays, subMonths } from "date-fns";
+import {
+  RED_FLAG_RULES, RED_FLAG_RULES_VERSION, RED_FLAG_LEVELS, triageText, triageLogs,
+} from "./redFlags.js";
+import { buildCycles, predictNextPeriod, getLateStatus } from "./cycleStats.js";
+
+// Everything runs on a fixed date, late-period checks included
+const today = "2025-03-15";
+const now = parseISO(today);
+const daysAgo = (n) => format(subDays(now, n), "yyyy-MM-dd");
+
+const rulesIn = (flags) => flags.map((f) => f.rule);
+
+/** Period days `from`…`to` days ago, oldest first. */
+function period(from, to, flow = "medium") {
+  const days = [];
+  for (let n = from; n >= to; n--) days.push({ date: daysAgo(n), log_type: "period", flow_intensity: flow });
+  return days;
+}
+
+// Three 28-day cycles with the last one starting 34 days ago: due 6 days ago
+const lateLogs = [...period(90, 87), ...period(62, 59), ...period(34, 31)];
+const lateSettings = { last_period_start: daysAgo(34), average_cycle_length: 28 };
+
+// ─── TABLE ────────────────────────────────────────────────────
+
+describe("rules table", () => {
+  test("ids are unique and every rule has a known level", () => {
+    const ids = RED_FLAG_RULES.map((r) => r.id);
+    assert.equal(new Set(ids).size, ids.length);
+    for (const rule of RED_FLAG_RULES) assert.ok(RED_FLAG_LEVELS[rule.level], rule.id);
+  });
+
+  test("rule versions are positive and the table version is the newest of them", () => {
+    for (const rule of RED_FLAG_RULES) {
+      assert.ok(Number.isInteger(rule.version) && rule.version >= 1, rule.id);
+      assert.ok(rule.version <= RED_FLAG_RULES_VERSION, rule.id);
+    }
+    assert.equal(Math.max(...RED_FLAG_RULES.map((r) => r.version)), RED_FLAG_RULES_VERSION);
+  });
+
+  test("every rule can be matched from chat or from logs", () => {
+    for (const rule of RED_FLAG_RULES) assert.ok(rule.text || rule.logs, rule.id);
+  });
+});
+
+// ─── CHAT ─────────────────────────────────────────────────────
+
+describe("triageText", () => {
+  const cases = {
+    soaking_hourly: {
+      yes: ["I'm soaking through a pad every hour since this morning", "Have to change my tampon every hour"],
+      no: ["I change my pad every few hours", "Is it normal to use a pad at night?"],
+    },
+    heavy_with_faintness: {
+      yes: ["Heavy period and I nearly fainted at work", "Bleeding really heavily and feeling lightheaded"],
+      no: ["I feel dizzy and my period started", "I'm not dizzy, just bleeding a bit", "Heavy flow but I didn't pass out"],
+    },
+    long_period: {
+      yes: ["My period has lasted 10 days now", "I've been bleeding for two weeks"],
+      no: ["My period comes every 28 days", "My period is 10 days late", "My period lasts 5 days"],
+    },
+    postmenopausal_bleeding: {
+      yes: ["I had some spotting, it's 2 years after menopause", "Bleeding again, years after my last period"],
+      no: ["Will my hot flashes stop after menopause?", "I had some spotting yesterday"],
+    },
+    late_period_one_sided_pain: {
+      yes: ["Sharp pain on my right side and my period is late", "Stabbing left-sided pain, and I missed my period"],
+      no: ["Sharp pain on my right side", "My period is late"],
+    },
+  };
+
+  for (const [rule, { yes, no }] of Object.entries(cases)) {
+    for (const text of yes) {
+      test(`${rule}: flags "${text}"`, () => assert.ok(rulesIn(triageText(text)).includes(rule)));
+    }
+    for (const text of no) {
+      test(`${rule}: leaves "${text}"`, () => assert.ok(!rulesIn(triageText(text)).includes(rule)));
+    }
+  }
+
+  test("covers every rule that matches chat", () => {
+    const withText = RED_FLAG_RULES.filter((r) => r.text).map((r) => r.id).sort();
+    assert.deepEqual(Object.keys(cases).sort(), withText);
+  });
+
+  test("one-sided pain needs a late period, from the logs or the message", () => {
+    const text = "Sharp pain on my right side";
+    assert.deepEqual(rulesIn(triageText(text)), []);
+    assert.deepEqual(rulesIn(triageText(text, { periodLate: true })), ["late_period_one_sided_pain"]);
+    assert.deepEqual(rulesIn(triageText(`${text}. Could I be pregnant?`)), ["late_period_one_sided_pain"]);
+  });
+
+  test("puts the most urgent flag first", () => {
+    const flags = triageText("Soaking a pad every hour. Sharp pain on my left side and my period is late.");
+    assert.deepEqual(rulesIn(flags), ["late_period_one_sided_pain", "soaking_hourly"]);
+  });
+
+  test("chat flags are keyed by rule and version only", () => {
+    const [flag] = triageText("I've been bleeding for two weeks");
+    const rule = RED_FLAG_RULES.find((r) => r.id === "long_period");
+    assert.equal(flag.key, `long_period@${rule.version}`);
+    assert.equal(flag.source, "chat");
+    assert.equal(flag.date, null);
+  });
+});
+
+// ─── LOGS ─────────────────────────────────────────────────────
+
+describe("triageLogs", () => {
+  test("heavy_with_faintness: heavy flow with dizziness in the last few days", () => {
+    const logs = [{ date: daysAgo(1), log_type: "period", flow_intensity: "heavy", symptoms: ["dizziness:2"] }];
+    const [flag] = triageLogs(logs, null, { today });
+    assert.equal(flag.rule, "heavy_with_faintness");
+    assert.equal(flag.date, daysAgo(1));
+  });
+
+  test("heavy_with_faintness: not without dizziness, nor from last month", () => {
+    const noDizziness = [{ date: daysAgo(1), log_type: "period", flow_intensity: "heavy", symptoms: ["cramps:2"] }];
+    const old = [{ date: daysAgo(30), log_type: "period", flow_intensity: "heavy", symptoms: ["dizziness:2"] }];
+    assert.ok(!rulesIn(triageLogs(noDizziness, null, { today })).includes("heavy_with_faintness"));
+    assert.ok(!rulesIn(triageLogs(old, null, { today })).includes("heavy_with_faintness"));
+  });
+
+  test("long_period: a recent period over seven days", () => {
+    const flags = triageLogs(period(12, 4), null, { today });
+    const flag = flags.find((f) => f.rule === "long_period");
+    assert.ok(flag);
+    assert.equal(flag.date, daysAgo(12));
+    assert.match(flag.detail, /lasted 9 days/);
+  });
+
+  test("long_period: not a normal-length period", () => {
+    assert.ok(!rulesIn(triageLogs(period(8, 4), null, { today })).includes("long_period"));
+  });
+
+  test("postmenopausal_bleeding: bleeding a year or more after the last bleed", () => {
+    const logs = [
+      { date: format(subMonths(now, 16), "yyyy-MM-dd"), log_type: "period", flow_intensity: "light" },
+      { date: daysAgo(3), log_type: "period", flow_intensity: "spotting" },
+    ];
+    assert.ok(rulesIn(triageLogs(logs, { tracking_mode: "perimenopause" }, { today })).includes("postmenopausal_bleeding"));
+    assert.ok(rulesIn(triageLogs(logs, null, { today, age: 52 })).includes("postmenopausal_bleeding"));
+    // Younger and not in perimenopause mode, a long gap is something else
+    assert.ok(!rulesIn(triageLogs(logs, null, { today, age: 30 })).includes("postmenopausal_bleeding"));
+  });
+
+  test("postmenopausal_bleeding: not after a shorter gap", () => {
+    const logs = [
+      { date: format(subMonths(now, 5), "yyyy-MM-dd"), log_type: "period", flow_intensity: "light" },
+      { date: daysAgo(3), log_type: "period", flow_intensity: "spotting" },
+    ];
+    assert.ok(!rulesIn(triageLogs(logs, { tracking_mode: "perimenopause" }, { today })).includes("postmenopausal_bleeding"));
+  });
+
+  test("late_period_one_sided_pain: severe pain logged while the period is late", () => {
+    const logs = [...lateLogs, { date: daysAgo(1), log_type: "symptom", symptoms: ["abdominal_pain:3"] }];
+    const flag = triageLogs(logs, lateSettings, { today }).find((f) => f.rule === "late_period_one_sided_pain");
+    assert.ok(flag);
+    assert.equal(flag.level, "emergency");
+    assert.ok(flag.late);
+  });
+
+  test("late_period_one_sided_pain: not when the period isn't late", () => {
+    // Same pain, but the last period started 10 days ago
+    const logs = [...period(66, 63), ...period(38, 35), ...period(10, 7),
+      { date: daysAgo(1), log_type: "symptom", symptoms: ["abdominal_pain:3"] }];
+    const settings = { last_period_start: daysAgo(10), average_cycle_length: 28 };
+    assert.ok(!rulesIn(triageLogs(logs, settings, { today })).includes("late_period_one_sided_pain"));
+  });
+
+  test("late_period_one_sided_pain: not for milder pain or ordinary cramps", () => {
+    const mild = [...lateLogs, { date: daysAgo(1), log_type: "symptom", symptoms: ["abdominal_pain:1"] }];
+    const cramps = [...lateLogs, { date: daysAgo(1), log_type: "symptom", symptoms: ["cramps:3"] }];
+    assert.ok(!rulesIn(triageLogs(mild, lateSettings, { today })).includes("late_period_one_sided_pain"));
+    assert.ok(!rulesIn(triageLogs(cramps, lateSettings, { today })).includes("late_period_one_sided_pain"));
+  });
+
+  test("goes by the given today, not the clock", () => {
+    const logs = [...lateLogs, { date: daysAgo(1), log_type: "symptom", symptoms: ["abdominal_pain:3"] }];
+    // A week earlier the period wasn't due yet
+    const weekEarlier = format(subDays(now, 7), "yyyy-MM-dd");
+    assert.ok(!rulesIn(triageLogs(logs, lateSettings, { today: weekEarlier })).includes("late_period_one_sided_pain"));
+  });
+
+  test("nothing to flag in ordinary cycles", () => {
+    assert.deepEqual(triageLogs(lateLogs, lateSettings, { today }), []);
+  });
+
+  test("log flags are keyed by rule, version and date, never the details", () => {
+    const logs = [{ date: daysAgo(1), log_type: "period", flow_intensity: "heavy", symptoms: ["dizziness:2"] }];
+    const [flag] = triageLogs(logs, null, { today });
+    const rule = RED_FLAG_RULES.find((r) => r.id === "heavy_with_faintness");
+    assert.equal(flag.key, `heavy_with_faintness@${rule.version}:${daysAgo(1)}`);
+    assert.ok(!flag.key.includes(flag.detail));
+  });
+
+  test("a new event gets a new key, so an earlier dismissal doesn't hide it", () => {
+    const on = (n) => triageLogs(
+      [{ date: daysAgo(n), log_type: "period", flow_intensity: "heavy", symptoms: ["dizziness:1"] }],
+      null, { today },
+    )[0].key;
+    const dismissed = [on(2)];
+    assert.ok(dismissed.includes(on(2)));
+    assert.ok(!dismissed.includes(on(1)));
+  });
+
+  test("a late-period flag turns the late status urgent", () => {
+    const logs = [...lateLogs, { date: daysAgo(1), log_type: "symptom", symptoms: ["abdominal_pain:3"] }];
+    const flags = triageLogs(logs, lateSettings, { today });
+    const prediction = predictNextPeriod(buildCycles(logs, lateSettings), lateSettings, logs);
+    assert.notEqual(getLateStatus(prediction, lateSettings, [], { today }).severity, "urgent");
+    assert.equal(getLateStatus(prediction, lateSettings, flags, { today }).severity, "urgent");
+  });
+});
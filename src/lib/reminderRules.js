@@ -0,0 +1,224 @@
+/**
+ * Reminder rules shared by the in-app check (notifications.js) and the Web
+ * Push scheduler (api/send-reminders.js). Every rule looks at one local
+ * calendar day — `today` is a "yyyy-MM-dd" string in the user's timezone —
+ * and returns the reminder that's due, or null. Nothing here touches the
+ * browser, so the server evaluates exactly what the app would.
+ */
+import { addDays, differenceInDays, format, parseISO } from "date-fns";
+import { getFertileWindow, getCyclePosition, RECENT_LOG_WINDOW } from "./cycleStats.js";
+import { getDailyTip } from "./dailyTips.js";
+import {
+  usesHormonalContraception, showsFertileWindow, getPackDay, isPillTaken, getMissedPills,
+} from "./contraception.js";
+import { isCyclePaused } from "./pregnancy.js";
+import { isPerimenopause } from "./perimenopause.js";
+import { dueMedications, medicationLabel, DEFAULT_REMINDER_TIME } from "./medications.js";
+
+// Which settings column holds the time of day each kind of reminder goes out
+const TIME_KEYS = {
+  period:   "reminder_period_time",
+  symptoms: "reminder_symptoms_time",
+  mood:     "reminder_mood_time",
+  tip:      "reminder_daily_tip_time",
+  pill:     "reminder_pill_time",
+};
+
+const DEFAULT_TIMES = { period: "08:00", symptoms: "20:00", mood: "21:00", tip: "09:00", pill: "09:00" };
+
+/**
+ * "HH:mm" at which `reminder` should be delivered for these settings.
+ * Medication reminders carry their own time.
+ */
+export function reminderTime(settings, reminder) {
+  if (reminder.time) return reminder.time;
+  return settings?.[TIME_KEYS[reminder.slot]] || DEFAULT_TIMES[reminder.slot];
+}
+
+/**
+ * Period approaching reminder.
+ * Fires when the period is within `reminder_period_before` days.
+ */
+export function checkPeriodReminder(settings, today) {
+  if (!settings?.last_period_start || usesHormonalContraception(settings)) return null;
+
+  const cycleLength   = settings.average_cycle_length || 28;
+  const daysSince     = differenceInDays(parseISO(today), parseISO(settings.last_period_start));
+  const daysUntilNext = cycleLength - (daysSince % cycleLength);
+  const reminderDays  = settings.reminder_period_before ?? 2;
+
+  if (daysUntilNext <= 0 || daysUntilNext > reminderDays) return null;
+  return {
+    type: "period",
+    slot: "period",
+    title: "Period Reminder 🩸",
+    body: daysUntilNext === 1
+      ? "Your period may start tomorrow!"
+      : `Your period may start in ${daysUntilNext} days.`,
+  };
+}
+
+/**
+ * Late period reminder — calm, non-alarmist wording.
+ * Fires when the period is 2+ days late.
+ */
+export function checkLatePeriodReminder(prediction, today) {
+  if (!prediction?.predicted_date) return null;
+
+  const daysLate = differenceInDays(parseISO(today), parseISO(prediction.predicted_date));
+  if (daysLate < 2) return null;
+
+  let body;
+  if (daysLate <= 5)  body = "Your period is a couple of days later than expected — small delays are normal.";
+  else if (daysLate <= 10) body = "Your period is running late. Stress, sleep, or travel can cause this.";
+  else body = "Your period is notably late. If this is unusual for you, consider checking in with your doctor.";
+
+  return { type: "late_period", slot: "period", title: "Period Update 💜", body };
+}
+
+/**
+ * Fertile window reminder.
+ * Fires the day before the fertile window starts, and on ovulation day.
+ * Uses the prediction's ovulation day when logged signals have pinned it down.
+ */
+export function checkFertileWindowReminder(settings, prediction, today) {
+  if (!settings?.last_period_start || !showsFertileWindow(settings)) return null;
+
+  const avgCycleLength = settings.average_cycle_length || 28;
+  const fertile = getFertileWindow(settings.last_period_start, avgCycleLength, {
+    ovulationDate: prediction?.ovulation_detected ? prediction.ovulation_date : null,
+    ovulationConfirmed: prediction?.ovulation_confirmed,
+    lutealLength:  prediction?.luteal_length,
+  });
+  if (!fertile) return null;
+
+  const day = parseISO(today);
+  if (differenceInDays(fertile.start, day) === 1) {
+    return {
+      type: "fertile_approaching",
+      slot: "period",
+      title: "Fertile Window Approaching 🌸",
+      body: `Your fertile window starts tomorrow (${fertile.startFormatted} – ${fertile.endFormatted}).`,
+    };
+  }
+  if (differenceInDays(fertile.ovulation, day) === 0) {
+    return {
+      type: "ovulation",
+      slot: "period",
+      title: fertile.ovulationEstimated ? "Estimated Ovulation Day 🌼" : "Ovulation Day 🌼",
+      body: fertile.ovulationEstimated
+        ? "Today is your estimated ovulation day."
+        : "Your logged signs point to ovulation today.",
+    };
+  }
+  return null;
+}
+
+/**
+ * Symptom logging reminder.
+ * Fires if the user hasn't logged symptoms today. Encrypted lists are read
+ * by whether they're empty, which encryptLogFields leaves visible.
+ */
+export function checkSymptomReminder(settings, logs, today) {
+  if (!settings?.reminder_symptoms_enabled) return null;
+  if (logs?.some((l) => l.date === today && l.symptoms?.length > 0)) return null;
+  return {
+    type: "symptoms",
+    slot: "symptoms",
+    title: "Symptom Check-In 📋",
+    body: "Have you logged your symptoms today? Tracking helps build a clearer picture.",
+  };
+}
+
+/**
+ * Mood logging reminder.
+ * Fires if the user hasn't logged a mood today (encrypted lists as above).
+ */
+export function checkMoodReminder(settings, logs, today) {
+  if (!settings?.reminder_mood_enabled) return null;
+  if (logs?.some((l) => l.date === today && l.moods?.length > 0)) return null;
+  return {
+    type: "mood",
+    slot: "mood",
+    title: "Mood Check-In 💜",
+    body: "How are you feeling today? A quick mood log takes just a moment.",
+  };
+}
+
+/**
+ * Daily tip reminder.
+ * Sends the tip the Home screen's DailyTip card shows for today's cycle day.
+ * Tips follow cycle phases, so there are none under hormonal contraception.
+ * `logs` must be newest first, as getCycleLogs() returns them, so the cycle
+ * day is worked out from the same recent window Home uses.
+ */
+export function checkDailyTipReminder(settings, logs, today) {
+  if (!settings?.reminder_daily_tip_enabled || usesHormonalContraception(settings)) return null;
+
+  const position = getCyclePosition(settings, (logs ?? []).slice(0, RECENT_LOG_WINDOW), today);
+  if (!position.effectiveStart) return null;
+
+  const { tip } = getDailyTip(position.phase, position.cycleDay, position.periodLength);
+  return { type: "daily_tip", slot: "tip", title: "Daily Tip ✨", body: tip };
+}
+
+/**
+ * Pill reminder.
+ * Fires on active pill days until today's pill is logged, and says so when
+ * yesterday's wasn't — what to do about a missed pill depends on the brand,
+ * so it points to the leaflet rather than giving instructions.
+ */
+export function checkPillReminder(settings, logs, today) {
+  if (!settings?.reminder_pill_enabled) return null;
+  const pack = getPackDay(settings, today);
+  if (!pack || pack.isPlacebo || isPillTaken(logs, today)) return null;
+
+  const missed = getMissedPills(settings, logs, today);
+  const missedYesterday = missed[0] === format(addDays(parseISO(today), -1), "yyyy-MM-dd");
+  return {
+    type: "pill",
+    slot: "pill",
+    title: "Pill Reminder 💊",
+    body: missedYesterday
+      ? "Time for today's pill. Yesterday's isn't logged — if you missed it, your pill's leaflet explains what to do."
+      : `Time for today's pill (day ${pack.packDay} of ${pack.packLength}).`,
+  };
+}
+
+/**
+ * Medication reminders.
+ * One per daily medication with a reminder on, until it's logged as taken.
+ */
+export function checkMedicationReminders(medications, logs, today) {
+  return dueMedications(medications, logs, today).map((med) => ({
+    type: `medication_${med.id}`,
+    slot: "medication",
+    time: med.reminder_time || DEFAULT_REMINDER_TIME,
+    title: "Medication Reminder 💊",
+    body: `Time for your ${medicationLabel(med)}.`,
+  }));
+}
+
+/**
+ * Every reminder due on `today`, whatever its time of day. Callers compare
+ * reminderTime() with the local clock and deduplicate per type and day.
+ * While cycle tracking is paused for a pregnancy only the check-ins remain,
+ * and in perimenopause a late period isn't worth a notification.
+ * `medications` is the user's list, for their medication reminders.
+ */
+export function dueReminders(settings, logs = [], prediction = null, today, medications = []) {
+  if (!settings?.notifications_enabled) return [];
+  const cycleReminders = isCyclePaused(settings, logs) ? [] : [
+    checkPeriodReminder(settings, today),
+    !isPerimenopause(settings) && checkLatePeriodReminder(prediction, today),
+    checkFertileWindowReminder(settings, prediction, today),
+    checkDailyTipReminder(settings, logs, today),
+  ];
+  return [
+    ...cycleReminders,
+    checkSymptomReminder(settings, logs, today),
+    checkMoodReminder(settings, logs, today),
+    checkPillReminder(settings, logs, today),
+    ...checkMedicationReminders(medications, logs, today),
+  ].filter(Boolean);
+}
@@ -0,0 +1,46 @@
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { checkSymptomReminder, checkMoodReminder } from "./reminderRules.js";
+import { createKeyMaterial, lock, encryptLogFields } from "./encryption.js";
+
+const today = "2025-03-15";
+const settings = { reminder_symptoms_enabled: true, reminder_mood_enabled: true };
+
+describe("check-in reminders", () => {
+  test("are due until something is logged today", () => {
+    const logs = [{ date: today, flow_intensity: "light", symptoms: [], moods: [] }];
+    assert.equal(checkSymptomReminder(settings, logs, today)?.type, "symptoms");
+    assert.equal(checkMoodReminder(settings, logs, today)?.type, "mood");
+  });
+
+  test("stop once symptoms and moods are logged today", () => {
+    const logs = [{ date: today, symptoms: ["cramps:2"], moods: ["calm"] }];
+    assert.equal(checkSymptomReminder(settings, logs, today), null);
+    assert.equal(checkMoodReminder(settings, logs, today), null);
+  });
+
+  test("ignore other days and respect the settings", () => {
+    const logs = [{ date: "2025-03-14", symptoms: ["cramps:2"], moods: ["calm"] }];
+    assert.ok(checkSymptomReminder(settings, logs, today));
+    assert.equal(checkSymptomReminder({ ...settings, reminder_symptoms_enabled: false }, [], today), null);
+    assert.equal(checkMoodReminder({ ...settings, reminder_mood_enabled: false }, [], today), null);
+  });
+
+  describe("with encrypted logs", () => {
+    before(() => createKeyMaterial("correct horse battery"));
+    after(() => lock());
+
+    test("an encrypted empty list doesn't count as logged", async () => {
+      // A flow-only day: the server sees the row as stored, never decrypted
+      const row = await encryptLogFields({ date: today, flow_intensity: "heavy", notes: "", symptoms: [], moods: [] });
+      assert.equal(checkSymptomReminder(settings, [row], today)?.type, "symptoms");
+      assert.equal(checkMoodReminder(settings, [row], today)?.type, "mood");
+    });
+
+    test("an encrypted list with tags counts as logged", async () => {
+      const row = await encryptLogFields({ date: today, symptoms: ["headache:1"], moods: [] });
+      assert.equal(checkSymptomReminder(settings, [row], today), null);
+      assert.equal(checkMoodReminder(settings, [row], today)?.type, "mood");
+    });
+  });
+});
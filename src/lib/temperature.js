@@ -0,0 +1,32 @@
+/**
+ * Basal body temperature helpers.
+ * Readings are stored in °C; `unit` is the user's display unit ("C" or "F").
+ */
+
+// Physiologically plausible BBT range (°C) — matches the DB check constraint
+export const BBT_MIN_C = 34;
+export const BBT_MAX_C = 42;
+
+export function toCelsius(value, unit = "C") {
+  if (value === null || value === undefined || value === "") return null;
+  const n = typeof value === "number" ? value : parseFloat(value);
+  if (Number.isNaN(n)) return null;
+  const c = unit === "F" ? ((n - 32) * 5) / 9 : n;
+  return Math.round(c * 100) / 100;
+}
+
+export function fromCelsius(celsius, unit = "C") {
+  if (celsius === null || celsius === undefined) return null;
+  const n = Number(celsius);
+  const v = unit === "F" ? (n * 9) / 5 + 32 : n;
+  return Math.round(v * 100) / 100;
+}
+
+export function formatTemperature(celsius, unit = "C") {
+  const v = fromCelsius(celsius, unit);
+  return v === null ? "—" : `${v.toFixed(2)}°${unit}`;
+}
+
+export function isValidBbt(celsius) {
+  return typeof celsius === "number" && celsius >= BBT_MIN_C && celsius <= BBT_MAX_C;
+}
@@ -1,11 +1,22 @@
 import React, { useState, useRef, useEffect } from "react";
-import { useQuery } from "@tanstack/react-query";
+import { useQuery, useQueryClient } from "@tanstack/react-query";
 import { motion, AnimatePresence } from "framer-motion";
-import { Send, Sparkles, Loader2, Trash2, ChevronRight, Check } from "lucide-react";
+import { Send, Sparkles, Loader2, Trash2, ChevronRight, MessagesSquare, SquarePen } from "lucide-react";
 import { differenceInDays, format } from "date-fns";
+import { toast } from "sonner";
 import ChatBubble from "@/components/chat/ChatBubble";
-import { getCycleLogs, getCycleSettings } from "@/lib/db";
+import ThreadList from "@/components/chat/ThreadList";
+import {
+  getCycleLogs, getCycleSettings, getChatThreads, getChatMessages, createChatThread,
+  addChatMessages, updateChatMessage, deleteChatThread, importLocalChat,
+} from "@/lib/db";
 import { useAuth } from "@/lib/AuthContext";
+import { useLogItems } from "@/hooks/use-log-items";
+import { describeSymptom, itemName } from "@/lib/logItems";
+import { useMedications } from "@/hooks/use-medications";
+import { computeMedicationEffects, medicationLabel, medicationNames, SCHEDULES } from "@/lib/medications";
+import { streamLunaChat } from "@/lib/lunaChat";
+import { runLunaTool, storedStep, MAX_TOOL_ROUNDS } from "@/lib/lunaTools";
 import {
   buildCycles,
   computeCycleStats,
@@ -14,7 +25,15 @@ import {
   detectIrregularity,
   computeSymptomPatterns,
   getFertileWindow,
+  explainPrediction,
 } from "@/lib/cycleStats";
+import { getContraceptionMethod, getPackDay, getMissedPills, BLEED_LABELS } from "@/lib/contraception";
+import { getGestation, isCyclePaused } from "@/lib/pregnancy";
+import {
+  getAge, isPerimenopause, irregularityOptions, getMenopauseMilestone, summariseVasomotor,
+} from "@/lib/perimenopause";
+import { triageLogs, triageText, describeRedFlags } from "@/lib/redFlags";
+import RedFlagCard from "@/components/triage/RedFlagCard";
 
 const SUGGESTION_CATEGORIES = [
   {
@@ -55,36 +74,22 @@ const SUGGESTION_CATEGORIES = [
   },
 ];
 
-const LUNA_SYSTEM_PROMPT = (context) => `You are Luna, a warm, empathetic, and knowledgeable AI menstrual health assistant built into the Luna app. You help users understand their cycle, symptoms, mood patterns, and overall wellness.
-
-Guidelines:
-- Be warm, supportive, and non-judgmental
-- Provide evidence-based, accurate information
-- Personalise responses using the user's actual cycle data when relevant
-- Keep responses concise but helpful — use bullet points and bold for readability
-- Always recommend consulting a healthcare provider for serious medical concerns
-- You are NOT a doctor — make this clear when appropriate
-- Use a friendly, conversational tone — like a knowledgeable friend
-
-${context}`;
-
 export default function AIAssistant() {
-  const { user } = useAuth();
-  const storageKey = `luna_chat_${user?.id}`;
+  const { user, profile } = useAuth();
+  const { customItems } = useLogItems();
+  const medications = useMedications();
+  const queryClient = useQueryClient();
 
   const [input, setInput]       = useState("");
-  const [messages, setMessages] = useState(() => {
-    try {
-      const stored = localStorage.getItem(storageKey);
-      return stored ? JSON.parse(stored) : [];
-    } catch {
-      return [];
-    }
-  });
+  const [threadId, setThreadId] = useState(null);
+  const [messages, setMessages] = useState([]);
   const [isLoading, setIsLoading]         = useState(false);
+  const [isStreaming, setIsStreaming]     = useState(false);
   const [activeCat, setActiveCat]         = useState(0);
-  const [isSelectionMode, setIsSelectionMode] = useState(false);
-  const [selectedMessages, setSelectedMessages] = useState(new Set());
+  const [showThreads, setShowThreads]     = useState(false);
+  // The thread whose messages are in `messages`, so starting a new thread
+  // mid-send doesn't reload it over the reply being streamed
+  const loadedThread = useRef(null);
   const chatEndRef   = useRef(null);
   const textareaRef  = useRef(null);
 
@@ -106,12 +111,45 @@ export default function AIAssistant() {
     chatEndRef.current?.scrollIntoView({ behavior: "smooth" });
   }, [messages, isLoading]);
 
+  const { data: threads = [] } = useQuery({
+    queryKey: ["chatThreads", user?.id],
+    queryFn: getChatThreads,
+    enabled: !!user?.id,
+  });
+
+  // Chats used to live only in this browser; move any left here into a thread
   useEffect(() => {
-    try {
-      // Keep last 100 messages to avoid storage bloat; keyed by user ID — no cross-user leakage
-      localStorage.setItem(storageKey, JSON.stringify(messages.slice(-100)));
-    } catch {}
-  }, [messages, storageKey]);
+    if (!user?.id) return;
+    importLocalChat(user.id)
+      .then((thread) => {
+        if (!thread) return;
+        queryClient.invalidateQueries({ queryKey: ["chatThreads"] });
+        setThreadId((current) => current ?? thread.id);
+      })
+      .catch((err) => console.error("Chat import error:", err));
+  }, [user?.id, queryClient]);
+
+  useEffect(() => {
+    if (threadId === loadedThread.current) return;
+    loadedThread.current = threadId;
+    if (!threadId) { setMessages([]); return; }
+    let cancelled = false;
+    getChatMessages(threadId)
+      .then((rows) => { if (!cancelled) setMessages(rows); })
+      .catch((err) => {
+        console.error("Chat load error:", err);
+        toast.error("Couldn't load that conversation.");
+      });
+    return () => { cancelled = true; };
+  }, [threadId]);
+
+  const threadTitle = threads.find((t) => t.id === threadId)?.title;
+
+  // ── Red flags ──────────────────────────────────────────────────
+  // Checked by fixed rules before Luna sees anything; the cards go ahead of her reply
+  const logFlags = triageLogs(logs, settings, { age: getAge(profile?.birth_year) });
+  const periodLate = !!getLateStatus(predictNextPeriod(buildCycles(logs, settings), settings, logs), settings);
+  const messageFlags = (text) => triageText(text, { periodLate });
 
   const handleInputChange = (e) => {
     setInput(e.target.value);
@@ -122,28 +160,41 @@ export default function AIAssistant() {
     }
   };
 
-  const buildContext = () => {
+  // `flags`: red flags in the message being sent
+  const buildContext = (flags = []) => {
     // All data is scoped to the authenticated user via Supabase RLS — no cross-user leakage
     const today       = format(new Date(), "yyyy-MM-dd");
     const periodLogs  = logs.filter((l) => l.log_type === "period");
     const symptomLogs = logs.filter((l) => l.symptoms?.length > 0);
     const moodLogs    = logs.filter((l) => l.moods?.length > 0);
-    const lifestyleLogs = logs.filter((l) => l.sleep_hours || l.stress_level || l.exercise);
+    const lifestyleLogs = logs.filter((l) => l.sleep_hours || l.stress_level || l.exercise || l.bbt || l.cervical_mucus || l.ovulation_test);
 
     // Computed stats (pure JS, no API)
-    const cycles      = buildCycles(logs);
+    const cycles      = buildCycles(logs, settings);
     const stats       = computeCycleStats(cycles);
-    const prediction  = predictNextPeriod(cycles, settings);
-    const lateStatus  = getLateStatus(prediction, settings);
-    const irregularity = detectIrregularity(cycles);
-    const patterns    = computeSymptomPatterns(logs, cycles);
-    const fertile     = settings?.last_period_start
-      ? getFertileWindow(settings.last_period_start, stats.avg || settings?.average_cycle_length || 28)
+    const prediction  = predictNextPeriod(cycles, settings, logs);
+    const lateStatus  = getLateStatus(prediction, settings, [...logFlags, ...flags]);
+    const irregularity = detectIrregularity(cycles, irregularityOptions(settings, profile));
+    const patterns    = computeSymptomPatterns(logs, cycles, customItems);
+    const symptomList = (symptoms) => symptoms.map((s) => describeSymptom(s, customItems)).join(", ");
+    const moodList    = (moods) => moods.map((m) => itemName(m, customItems)).join(", ");
+    const contraception = getContraceptionMethod(settings);
+    const paused      = isCyclePaused(settings, logs);
+    const fertile     = settings?.last_period_start && !contraception && !paused
+      ? getFertileWindow(settings.last_period_start, stats.avg || settings?.average_cycle_length || 28, {
+          ovulationDate: prediction?.ovulation_detected ? prediction.ovulation_date : null,
+          ovulationConfirmed: prediction?.ovulation_confirmed,
+          lutealLength:  prediction?.luteal_length,
+        })
       : null;
 
     let ctx = "=== User's Complete Cycle & Health Data ===\n";
     ctx += `Today: ${today}\n\n`;
 
+    // ── Red flags, first so nothing below reads as reassurance ──
+    ctx += describeRedFlags(flags, "Red Flags in the User's Message");
+    ctx += describeRedFlags(logFlags, "Red Flags in Logged Data");
+
     // ── Settings ──
     if (settings) {
       ctx += "--- Settings ---\n";
@@ -156,6 +207,48 @@ export default function AIAssistant() {
       }
       if (settings.last_period_end) ctx += `Last period end: ${settings.last_period_end}\n`;
     }
+    const age = getAge(profile?.birth_year);
+    if (age) ctx += `Age: ${age}\n`;
+
+    // ── Contraception ──
+    if (contraception) {
+      ctx += "\n--- Contraception ---\n";
+      ctx += `Method: ${contraception.label}${settings.contraception_started ? ` (since ${settings.contraception_started})` : ""}\n`;
+      if (contraception.hormonal) {
+        ctx += "Hormonal method: no natural cycle, so there are no period predictions or fertile windows. Bleeds are withdrawal or breakthrough bleeds, not periods.\n";
+      }
+      const pack = getPackDay(settings, today);
+      if (pack) {
+        ctx += `Pill pack: day ${pack.packDay} of ${pack.packLength} (${pack.isPlacebo ? "placebo/break day" : "active pill day"})\n`;
+        const missed = getMissedPills(settings, logs, today);
+        if (missed.length) ctx += `Active pills not logged as taken: ${missed.join(", ")}\n`;
+      }
+    }
+
+    // ── Pregnancy ──
+    const gestation = getGestation(settings, today);
+    if (gestation) {
+      ctx += "\n--- Pregnancy ---\n";
+      ctx += `Pregnant: week ${gestation.week} + ${gestation.day} days (trimester ${gestation.trimester}), due ${gestation.dueDate}\n`;
+      ctx += "Period predictions and fertile windows are paused during pregnancy.\n";
+    } else if (paused) {
+      ctx += "\n--- After Pregnancy ---\n";
+      ctx += `Pregnancy ended ${settings.pregnancy_end_date}; no period logged since, so cycle predictions are paused until the first one.\n`;
+    }
+
+    // ── Perimenopause ──
+    if (isPerimenopause(settings)) {
+      ctx += "\n--- Perimenopause ---\n";
+      ctx += "Perimenopause mode is on: longer, more variable and skipped cycles are expected.\n";
+      const milestone = getMenopauseMilestone(logs, settings, today);
+      if (milestone) {
+        ctx += `Months since last period: ${milestone.monthsSince} (last period ${milestone.lastPeriod}${milestone.reached ? "; 12 months reached, which marks menopause" : ""})\n`;
+      }
+      const vasomotor = summariseVasomotor(logs, 30, today);
+      if (vasomotor) {
+        ctx += `Hot flashes, last 30 days: ${vasomotor.avgPerDay}/day on average over ${vasomotor.days} logged days (max ${vasomotor.maxPerDay}); night sweats on ${vasomotor.nightSweatNights} nights\n`;
+      }
+    }
 
     // ── Computed stats ──
     ctx += "\n--- Computed Statistics ---\n";
@@ -167,18 +260,41 @@ export default function AIAssistant() {
     }
     if (prediction) {
       ctx += `Predicted next period: ${prediction.predicted_date} (range: ${prediction.range_start} – ${prediction.range_end}, ${prediction.confidence} confidence)\n`;
+      const why = explainPrediction(prediction);
+      if (why) ctx += `Prediction basis: ${why.summary}${why.details.length ? ` — ${why.details.join("; ")}` : ""}\n`;
     }
     if (lateStatus) {
       ctx += `LATE PERIOD: ${lateStatus.daysLate} days late — ${lateStatus.message}\n`;
     }
     if (irregularity) {
       ctx += `Cycle regularity: ${irregularity.isIrregular ? "IRREGULAR" : "regular"} — ${irregularity.message}\n`;
+      if (irregularity.skippedMessage) ctx += `Skipped cycles: ${irregularity.skippedMessage}\n`;
     }
     if (fertile) {
-      ctx += `Fertile window this cycle: ${fertile.startFormatted} – ${fertile.endFormatted} (ovulation est. ${fertile.ovulationFormatted})\n`;
+      ctx += `Fertile window this cycle: ${fertile.startFormatted} – ${fertile.endFormatted} (ovulation ${fertile.ovulationConfirmed ? "confirmed by BBT" : fertile.ovulationEstimated ? "est." : "from logged signs"} ${fertile.ovulationFormatted})\n`;
       if (fertile.isActive) ctx += "Note: User is currently in their fertile window.\n";
     }
 
+    // ── The user's own symptoms and moods ──
+    if (customItems.length > 0) {
+      ctx += `\nSymptoms and moods the user added themselves: ${customItems.map((c) => `${c.label} (${c.kind})`).join(", ")}\n`;
+    }
+
+    // ── Medications ──
+    if (medications.length > 0) {
+      ctx += "\n--- Medications & Supplements ---\n";
+      medications.forEach((m) => {
+        ctx += `  • ${medicationLabel(m)}: ${m.active ? SCHEDULES[m.schedule].toLowerCase() : "stopped"}\n`;
+      });
+      computeMedicationEffects(logs, medications, customItems)
+        .filter((e) => e.enough)
+        .forEach((e) => {
+          ctx += `  Symptom load (summed severity) with ${e.medication.name}: ${e.avgWith} over ${e.withDays} days, without: ${e.avgWithout} over ${e.withoutDays} days`;
+          if (e.medication.schedule === "as_needed") ctx += " (taken as needed, so likely on worse days)";
+          ctx += "\n";
+        });
+    }
+
     // ── Symptom patterns ──
     if (patterns.length > 0) {
       ctx += "\n--- Symptom Timing Patterns ---\n";
@@ -191,8 +307,8 @@ export default function AIAssistant() {
     if (periodLogs.length > 0) {
       ctx += `\n--- Period Logs (${periodLogs.length} total, showing recent 12) ---\n`;
       periodLogs.slice(0, 12).forEach((l) => {
-        ctx += `  • ${l.date}: flow=${l.flow_intensity || "unspecified"}`;
-        if (l.symptoms?.length) ctx += `, symptoms: ${l.symptoms.join(", ")}`;
+        ctx += `  • ${l.date}: ${l.bleed_type ? `${BLEED_LABELS[l.bleed_type].toLowerCase()}, ` : ""}flow=${l.flow_intensity || "unspecified"}`;
+        if (l.symptoms?.length) ctx += `, symptoms: ${symptomList(l.symptoms)}`;
         if (l.stress_level) ctx += `, stress: ${l.stress_level}/5`;
         if (l.sleep_quality) ctx += `, sleep: ${l.sleep_quality}/5`;
         ctx += "\n";
@@ -203,7 +319,8 @@ export default function AIAssistant() {
     if (symptomLogs.length > 0) {
       ctx += `\n--- Symptom Logs (${symptomLogs.length} total, showing recent 10) ---\n`;
       symptomLogs.slice(0, 10).forEach((l) => {
-        ctx += `  • ${l.date}: ${l.symptoms.join(", ")}`;
+        ctx += `  • ${l.date}: ${symptomList(l.symptoms)}`;
+        if (l.medications_taken?.length) ctx += ` | took: ${medicationNames(l.medications_taken, medications).join(", ")}`;
         if (l.stress_level) ctx += ` | stress: ${l.stress_level}/5`;
         if (l.sleep_quality) ctx += ` | sleep quality: ${l.sleep_quality}/5`;
         ctx += "\n";
@@ -214,7 +331,7 @@ export default function AIAssistant() {
     if (moodLogs.length > 0) {
       ctx += `\n--- Mood Logs (${moodLogs.length} total, showing recent 10) ---\n`;
       moodLogs.slice(0, 10).forEach((l) => {
-        ctx += `  • ${l.date}: ${l.moods.join(", ")}`;
+        ctx += `  • ${l.date}: ${moodList(l.moods)}`;
         if (l.notes) ctx += ` | note: "${l.notes.slice(0, 60)}"`;
         ctx += "\n";
       });
@@ -230,6 +347,9 @@ export default function AIAssistant() {
         if (l.stress_level) parts.push(`stress: ${l.stress_level}/5`);
         if (l.water_intake) parts.push(`water: ${l.water_intake}ml`);
         if (l.exercise) parts.push(`exercise: ${l.exercise_type || "yes"}`);
+        if (l.bbt) parts.push(`BBT: ${l.bbt}°C`);
+        if (l.cervical_mucus) parts.push(`cervical mucus: ${l.cervical_mucus.replace(/_/g, " ")}`);
+        if (l.ovulation_test) parts.push(`LH test: ${l.ovulation_test}`);
         ctx += `  • ${l.date}: ${parts.join(", ")}\n`;
       });
     }
@@ -242,140 +362,195 @@ export default function AIAssistant() {
     if (!trimmed || isLoading) return;
 
     const userMsg = { role: "user", content: trimmed };
-    const updatedMessages = [...messages, userMsg];
+    let updatedMessages = [...messages, userMsg];
     setMessages(updatedMessages);
     setInput("");
     if (textareaRef.current) textareaRef.current.style.height = "auto";
     setIsLoading(true);
 
-    try {
-      const systemPrompt = LUNA_SYSTEM_PROMPT(buildContext());
-
-      // Call Vercel serverless function — uses server-side ANTHROPIC_API_KEY
-      const res = await fetch("/api/chat", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          systemPrompt,
-          messages: updatedMessages.slice(-10), // send last 10 messages for context
-        }),
-      });
+    // Past turns go back as their text; this turn's tool calls and results
+    // are added round by round while Luna works
+    const history = updatedMessages
+      .filter((m) => m.content && !m.error && !m._locked)
+      .slice(-10)
+      .map(({ role, content }) => ({ role, content }));
+    const flags = messageFlags(trimmed);
+    const toolContext = { settings, profile, customItems, medications };
+    let turn  = [];
+    let steps = [];
+    let shown = "";
+    const show = (content) => setMessages([
+      ...updatedMessages,
+      { role: "assistant", content, ...(steps.length ? { steps: steps.map(storedStep) } : {}) },
+    ]);
 
-      if (!res.ok) {
-        const err = await res.json().catch(() => ({}));
-        throw new Error(err.error || `HTTP ${res.status}`);
+    try {
+      // Saved before asking Luna, so a question is never lost with its answer
+      let activeThread = threadId;
+      if (!activeThread) {
+        const thread = await createChatThread(trimmed);
+        activeThread = loadedThread.current = thread.id;
+        setThreadId(thread.id);
       }
+      const [savedQuestion] = await addChatMessages(activeThread, [userMsg]);
+      updatedMessages = [...messages, savedQuestion];
+
+      // The server adds Luna's instructions and stops offering tools after a
+      // few rounds, so this ends; the round cap only guards against a bad reply
+      for (let round = 0; round <= MAX_TOOL_ROUNDS; round++) {
+        const reply = await streamLunaChat({
+          context: buildContext(flags),
+          messages: [...history, ...turn],
+          onText: (_, full) => {
+            setIsStreaming(true);
+            show(shown ? `${shown}\n\n${full}` : full);
+          },
+        });
+        if (reply.text) shown = shown ? `${shown}\n\n${reply.text}` : reply.text;
+
+        const calls = reply.content.filter((b) => b.type === "tool_use");
+        if (reply.stopReason !== "tool_use" || calls.length === 0) break;
+
+        const results = [];
+        for (const call of calls) {
+          const step = await runLunaTool(call, toolContext);
+          steps = [...steps, step];
+          show(shown);
+          results.push({
+            type: "tool_result",
+            tool_use_id: call.id,
+            content: step.result,
+            ...(step.isError ? { is_error: true } : {}),
+          });
+        }
+        turn = [...turn, { role: "assistant", content: reply.content }, { role: "user", content: results }];
+      }
+      if (!shown && steps.length === 0) throw new Error("Luna didn't reply.");
+      show(shown);
 
-      const { content } = await res.json();
-      setMessages((prev) => [...prev, { role: "assistant", content }]);
+      const [savedReply] = await addChatMessages(activeThread, [
+        { role: "assistant", content: shown, steps: steps.length ? steps.map(storedStep) : null },
+      ]);
+      setMessages([...updatedMessages, savedReply]);
+      queryClient.invalidateQueries({ queryKey: ["chatThreads"] });
     } catch (err) {
-      setMessages((prev) => [
-        ...prev,
+      // Drop any partial reply and explain what happened instead
+      setMessages([
+        ...updatedMessages,
         {
           role: "assistant",
           content: `Sorry, I couldn't respond right now. ${err.message || "Please try again."} 💜`,
+          // Shown but not saved, and not sent back to Luna as part of the chat
+          error: true,
         },
       ]);
     } finally {
       setIsLoading(false);
+      setIsStreaming(false);
     }
   };
 
-  // ── Selection mode helpers ────────────────────────────────────
-  const enterSelectionMode = () => {
-    setIsSelectionMode(true);
-    setSelectedMessages(new Set());
-  };
-
-  const exitSelectionMode = () => {
-    setIsSelectionMode(false);
-    setSelectedMessages(new Set());
+  // A drafted log was saved or discarded from its step in the chat
+  const setDraftStatus = (msgIdx, stepId, status) => {
+    const message = messages[msgIdx];
+    const steps = message.steps.map((s) => (s.id === stepId ? { ...s, draft: { ...s.draft, status } } : s));
+    setMessages((prev) => prev.map((m, i) => (i === msgIdx ? { ...m, steps } : m)));
+    if (message.id) {
+      updateChatMessage(message.id, { steps }).catch((err) => console.error("Chat save error:", err));
+    }
   };
 
-  const toggleMessageSelection = (idx) => {
-    setSelectedMessages((prev) => {
-      const next = new Set(prev);
-      if (next.has(idx)) next.delete(idx);
-      else next.add(idx);
-      return next;
-    });
+  const togglePin = async (msgIdx) => {
+    const message = messages[msgIdx];
+    const pinned = !message.pinned;
+    setMessages((prev) => prev.map((m, i) => (i === msgIdx ? { ...m, pinned } : m)));
+    try {
+      await updateChatMessage(message.id, { pinned });
+      queryClient.invalidateQueries({ queryKey: ["pinnedChat"] });
+      if (pinned) toast.success("Pinned — find it under your conversations 📌");
+    } catch (err) {
+      console.error("Chat pin error:", err);
+      setMessages((prev) => prev.map((m, i) => (i === msgIdx ? { ...m, pinned: !pinned } : m)));
+      toast.error("Couldn't pin that.");
+    }
   };
 
-  const selectAllMessages = () => {
-    setSelectedMessages(new Set(messages.map((_, i) => i)));
+  // ── Threads ───────────────────────────────────────────────────
+  const openThread = (id) => {
+    setThreadId(id);
+    setShowThreads(false);
   };
 
-  const deleteSelectedMessages = () => {
-    setMessages((prev) => prev.filter((_, i) => !selectedMessages.has(i)));
-    exitSelectionMode();
-  };
+  const startNewThread = () => openThread(null);
 
-  const clearAllMessages = () => {
-    setMessages([]);
-    localStorage.removeItem(storageKey);
-    exitSelectionMode();
+  const removeThread = async (thread) => {
+    if (!window.confirm(`Delete "${thread.title}"? This removes the whole conversation.`)) return;
+    try {
+      await deleteChatThread(thread.id);
+      if (thread.id === threadId) setThreadId(null);
+      queryClient.invalidateQueries({ queryKey: ["chatThreads"] });
+      queryClient.invalidateQueries({ queryKey: ["pinnedChat"] });
+      queryClient.invalidateQueries({ queryKey: ["chatSearch"] });
+      toast.success("Conversation deleted");
+    } catch (err) {
+      console.error("Chat delete error:", err);
+      toast.error("Couldn't delete that conversation.");
+    }
   };
   // ─────────────────────────────────────────────────────────────
 
   const activeCategory = SUGGESTION_CATEGORIES[activeCat];
 
   return (
-    <div className="flex flex-col h-screen pb-16 max-w-lg mx-auto" style={{ background: "linear-gradient(160deg, #faf5ff 0%, #fff0f8 100%)" }}>
+    <div className="relative flex flex-col h-screen pb-16 max-w-lg mx-auto" style={{ background: "linear-gradient(160deg, #faf5ff 0%, #fff0f8 100%)" }}>
       {/* Header */}
       <div className="flex items-center gap-3 px-4 pt-10 pb-3 bg-white/70 backdrop-blur-xl border-b border-purple-50 shadow-sm">
-        {isSelectionMode ? (
-          /* Selection mode header */
-          <>
-            <div className="flex-1">
-              <p className="text-sm font-semibold text-slate-700">
-                {selectedMessages.size > 0 ? `${selectedMessages.size} selected` : "Select messages"}
-              </p>
-            </div>
-            <div className="flex items-center gap-2">
-              <button
-                onClick={selectAllMessages}
-                className="text-xs font-semibold text-violet-600 px-2.5 py-1 rounded-lg hover:bg-violet-50 transition-colors"
-              >
-                All
-              </button>
-              <button
-                onClick={exitSelectionMode}
-                className="text-xs font-semibold text-slate-500 px-2.5 py-1 rounded-lg hover:bg-slate-100 transition-colors"
-              >
-                Cancel
-              </button>
-            </div>
-          </>
-        ) : (
-          /* Normal header */
+        <button
+          onClick={() => setShowThreads(true)}
+          disabled={isLoading}
+          className="p-2 -ml-2 rounded-xl hover:bg-violet-50 transition-colors text-slate-400 hover:text-violet-500 disabled:opacity-40"
+          title="Conversations"
+        >
+          <MessagesSquare className="w-5 h-5" />
+        </button>
+        <div className="flex items-center gap-2.5 flex-1 min-w-0">
+          <div className="w-10 h-10 rounded-full bg-gradient-to-br from-violet-500 to-pink-500 flex items-center justify-center shadow-md shadow-violet-200 flex-shrink-0">
+            <Sparkles className="w-4.5 h-4.5 text-white" style={{ width: 18, height: 18 }} />
+          </div>
+          <div className="min-w-0">
+            <h2 className="text-sm font-bold text-slate-800 truncate">{threadTitle ?? "Luna AI"}</h2>
+            <p className="text-[11px] text-slate-400 flex items-center gap-1">
+              <span className="w-1.5 h-1.5 rounded-full bg-emerald-400 inline-block" />
+              Your health companion
+            </p>
+          </div>
+        </div>
+        {threadId && (
           <>
-            <div className="flex items-center gap-2.5 flex-1">
-              <div className="w-10 h-10 rounded-full bg-gradient-to-br from-violet-500 to-pink-500 flex items-center justify-center shadow-md shadow-violet-200">
-                <Sparkles className="w-4.5 h-4.5 text-white" style={{ width: 18, height: 18 }} />
-              </div>
-              <div>
-                <h2 className="text-sm font-bold text-slate-800">Luna AI</h2>
-                <p className="text-[11px] text-slate-400 flex items-center gap-1">
-                  <span className="w-1.5 h-1.5 rounded-full bg-emerald-400 inline-block" />
-                  Your health companion
-                </p>
-              </div>
-            </div>
-            {messages.length > 0 && (
-              <button
-                onClick={enterSelectionMode}
-                className="p-2 rounded-xl hover:bg-rose-50 transition-colors text-slate-400 hover:text-rose-400"
-                title="Manage messages"
-              >
-                <Trash2 className="w-4 h-4" />
-              </button>
-            )}
+            <button
+              onClick={startNewThread}
+              disabled={isLoading}
+              className="p-2 rounded-xl hover:bg-violet-50 transition-colors text-slate-400 hover:text-violet-500 disabled:opacity-40"
+              title="New chat"
+            >
+              <SquarePen className="w-4 h-4" />
+            </button>
+            <button
+              onClick={() => removeThread({ id: threadId, title: threadTitle ?? "this conversation" })}
+              disabled={isLoading}
+              className="p-2 rounded-xl hover:bg-rose-50 transition-colors text-slate-400 hover:text-rose-400 disabled:opacity-40"
+              title="Delete conversation"
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
           </>
         )}
       </div>
 
       {/* Messages */}
       <div className="flex-1 overflow-y-auto px-4 py-4 space-y-4">
+        <RedFlagCard flags={logFlags} />
+
         {messages.length === 0 && (
           <motion.div
             initial={{ opacity: 0, y: 20 }}
@@ -444,38 +619,26 @@ export default function AIAssistant() {
         <AnimatePresence>
           {messages.map((msg, i) => (
             <motion.div
-              key={i}
+              key={msg.id ?? i}
               layout
               initial={{ opacity: 0, y: 8 }}
               animate={{ opacity: 1, y: 0 }}
               exit={{ opacity: 0, scale: 0.95 }}
-              className={`relative flex items-center gap-2 ${isSelectionMode ? "cursor-pointer" : ""}`}
-              onClick={() => isSelectionMode && toggleMessageSelection(i)}
             >
-              {/* Selection checkbox — shown on the left in selection mode */}
-              {isSelectionMode && (
-                <motion.div
-                  initial={{ opacity: 0, scale: 0.7 }}
-                  animate={{ opacity: 1, scale: 1 }}
-                  exit={{ opacity: 0, scale: 0.7 }}
-                  className={`flex-shrink-0 w-5 h-5 rounded-full border-2 flex items-center justify-center transition-colors ${
-                    selectedMessages.has(i)
-                      ? "bg-violet-500 border-violet-500"
-                      : "bg-white border-slate-300"
-                  }`}
-                >
-                  {selectedMessages.has(i) && <Check className="w-3 h-3 text-white" />}
-                </motion.div>
-              )}
-
-              <div className={`flex-1 ${isSelectionMode && selectedMessages.has(i) ? "opacity-70" : ""}`}>
-                <ChatBubble message={msg} />
-              </div>
+              <ChatBubble
+                message={msg}
+                // Drafts can be confirmed once Luna has finished the reply they're in
+                onDraftStatus={isLoading && i === messages.length - 1
+                  ? null
+                  : (stepId, status) => setDraftStatus(i, stepId, status)}
+                onTogglePin={msg.id && msg.role === "assistant" ? () => togglePin(i) : null}
+              />
+              {msg.role === "user" && <RedFlagCard flags={messageFlags(msg.content)} className="mt-3" />}
             </motion.div>
           ))}
         </AnimatePresence>
 
-        {isLoading && (
+        {isLoading && !isStreaming && (
           <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} className="flex items-end gap-2">
             <div className="w-8 h-8 rounded-full bg-gradient-to-br from-violet-500 to-pink-500 flex items-center justify-center flex-shrink-0 shadow-md shadow-violet-200">
               <Sparkles className="w-3.5 h-3.5 text-white" />
@@ -497,70 +660,54 @@ export default function AIAssistant() {
         <div ref={chatEndRef} />
       </div>
 
-      {/* Selection mode action bar */}
-      <AnimatePresence>
-        {isSelectionMode && (
-          <motion.div
-            initial={{ opacity: 0, y: 20 }}
-            animate={{ opacity: 1, y: 0 }}
-            exit={{ opacity: 0, y: 20 }}
-            transition={{ duration: 0.18 }}
-            className="px-4 pt-3 pb-6 bg-white/95 backdrop-blur-xl border-t border-purple-50 shadow-[0_-4px_16px_rgba(139,92,246,0.06)] flex gap-2"
+      {/* Input */}
+      <div className="px-4 pt-3 pb-6 bg-white/90 backdrop-blur-xl border-t border-purple-50 shadow-[0_-4px_16px_rgba(139,92,246,0.06)]">
+        <form
+          onSubmit={(e) => { e.preventDefault(); sendMessage(input); }}
+          className="flex items-end gap-2"
+        >
+          <div className="flex-1 bg-slate-50 rounded-2xl border border-purple-100 focus-within:border-violet-300 focus-within:ring-2 focus-within:ring-violet-100 transition-all">
+            <textarea
+              ref={textareaRef}
+              value={input}
+              onChange={handleInputChange}
+              onKeyDown={(e) => {
+                if (e.key === "Enter" && !e.shiftKey) {
+                  e.preventDefault();
+                  sendMessage(input);
+                }
+              }}
+              placeholder="Ask Luna anything about your cycle..."
+              rows={1}
+              className="w-full bg-transparent px-4 py-3 text-sm resize-none focus:outline-none text-slate-700 placeholder:text-slate-400 leading-relaxed"
+              style={{ maxHeight: 120, minHeight: 44 }}
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={!input.trim() || isLoading}
+            className="w-11 h-11 rounded-2xl bg-gradient-to-br from-violet-600 to-purple-700 hover:from-violet-700 hover:to-purple-800 flex-shrink-0 shadow-md shadow-violet-200 disabled:opacity-40 disabled:shadow-none transition-all flex items-center justify-center"
           >
-            <button
-              onClick={clearAllMessages}
-              className="flex-1 py-2.5 rounded-2xl bg-slate-100 text-slate-600 text-sm font-semibold hover:bg-slate-200 transition-colors"
-            >
-              Clear All
-            </button>
-            <button
-              onClick={deleteSelectedMessages}
-              disabled={selectedMessages.size === 0}
-              className="flex-1 py-2.5 rounded-2xl bg-rose-500 text-white text-sm font-semibold hover:bg-rose-600 disabled:opacity-40 disabled:cursor-not-allowed transition-colors"
-            >
-              {selectedMessages.size > 0 ? `Delete (${selectedMessages.size})` : "Delete"}
-            </button>
-          </motion.div>
+            {isLoading
+              ? <Loader2 className="w-4 h-4 text-white animate-spin" />
+              : <Send className="w-4 h-4 text-white" />
+            }
+          </button>
+        </form>
+      </div>
+
+      <AnimatePresence>
+        {showThreads && (
+          <ThreadList
+            threads={threads}
+            activeId={threadId}
+            onOpen={openThread}
+            onNew={startNewThread}
+            onDelete={removeThread}
+            onClose={() => setShowThreads(false)}
+          />
         )}
       </AnimatePresence>
-
-      {/* Input — hidden during selection mode */}
-      {!isSelectionMode && (
-        <div className="px-4 pt-3 pb-6 bg-white/90 backdrop-blur-xl border-t border-purple-50 shadow-[0_-4px_16px_rgba(139,92,246,0.06)]">
-          <form
-            onSubmit={(e) => { e.preventDefault(); sendMessage(input); }}
-            className="flex items-end gap-2"
-          >
-            <div className="flex-1 bg-slate-50 rounded-2xl border border-purple-100 focus-within:border-violet-300 focus-within:ring-2 focus-within:ring-violet-100 transition-all">
-              <textarea
-                ref={textareaRef}
-                value={input}
-                onChange={handleInputChange}
-                onKeyDown={(e) => {
-                  if (e.key === "Enter" && !e.shiftKey) {
-                    e.preventDefault();
-                    sendMessage(input);
-                  }
-                }}
-                placeholder="Ask Luna anything about your cycle..."
-                rows={1}
-                className="w-full bg-transparent px-4 py-3 text-sm resize-none focus:outline-none text-slate-700 placeholder:text-slate-400 leading-relaxed"
-                style={{ maxHeight: 120, minHeight: 44 }}
-              />
-            </div>
-            <button
-              type="submit"
-              disabled={!input.trim() || isLoading}
-              className="w-11 h-11 rounded-2xl bg-gradient-to-br from-violet-600 to-purple-700 hover:from-violet-700 hover:to-purple-800 flex-shrink-0 shadow-md shadow-violet-200 disabled:opacity-40 disabled:shadow-none transition-all flex items-center justify-center"
-            >
-              {isLoading
-                ? <Loader2 className="w-4 h-4 text-white animate-spin" />
-                : <Send className="w-4 h-4 text-white" />
-              }
-            </button>
-          </form>
-        </div>
-      )}
     </div>
   );
 }
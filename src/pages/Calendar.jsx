@@ -2,12 +2,20 @@ import React, { useState } from "react";
 import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
 import { motion, AnimatePresence } from "framer-motion";
 import CycleCalendar from "@/components/calendar/CycleCalendar";
+import PeriodRangeEditor from "@/components/calendar/PeriodRangeEditor";
 import { format, isSameDay, differenceInDays, parseISO } from "date-fns";
-import { Droplets, Brain, Heart, Pencil, Plus, Moon, Dumbbell, Droplet, Activity, Trash2, X } from "lucide-react";
+import { Droplets, Brain, Heart, Pencil, PencilLine, Plus, Moon, Dumbbell, Droplet, Activity, Trash2, X, Sparkles, CalendarRange, Download } from "lucide-react";
 import { Link } from "react-router-dom";
 import { createPageUrl } from "@/utils";
-import { getCycleLogs, getCycleLogsCache, getCycleSettings, getCycleSettingsCache, deleteCycleLog } from "@/lib/db";
-import { buildCycles, computeCycleStats, predictNextPeriod, getFertileWindow } from "@/lib/cycleStats";
+import { getCycleLogs, getCycleLogsCache, getCycleSettings, getCycleSettingsCache, deleteCycleLog, getCalendarFeed } from "@/lib/db";
+import { buildCycles, computeCycleStats, predictNextPeriod, getFertileWindow, explainPrediction } from "@/lib/cycleStats";
+import { buildCycleEvents, toICS, DEFAULT_FEED_OPTIONS } from "@/lib/calendarFeed";
+import { usesHormonalContraception, showsFertileWindow, BLEED_LABELS } from "@/lib/contraception";
+import { downloadFile } from "@/lib/exportData";
+import { useLogItems } from "@/hooks/use-log-items";
+import { useMedications } from "@/hooks/use-medications";
+import { useAuth } from "@/lib/AuthContext";
+import { medicationNames } from "@/lib/medications";
 import { toast } from "sonner";
 
 const LOG_TYPES = [
@@ -25,6 +33,8 @@ const TYPE_META = {
   note:    { icon: Pencil,   color: "text-slate-500",  bg: "bg-slate-50",  border: "border-slate-100",  label: "Note" },
 };
 
+const MAX_RANGE_DAYS = 31;
+
 const PHASE_INFO = {
   period:     { label: "Menstrual Phase",  color: "text-rose-600",   bg: "bg-rose-50",   desc: "Your period is here. Rest and stay hydrated." },
   follicular: { label: "Follicular Phase", color: "text-emerald-600",bg: "bg-emerald-50",desc: "Energy rising! Great time for new starts." },
@@ -33,7 +43,7 @@ const PHASE_INFO = {
 };
 
 function getDayPhase(day, settings) {
-  if (!settings?.last_period_start) return null;
+  if (!settings?.last_period_start || usesHormonalContraception(settings)) return null;
   const cycleLength  = settings.average_cycle_length  || 28;
   const periodLength = settings.average_period_length || 5;
   let daysSince = differenceInDays(day, parseISO(settings.last_period_start));
@@ -45,16 +55,21 @@ function getDayPhase(day, settings) {
   }
   const cycleDay = daysSince + 1;
   if (cycleDay <= periodLength)                                       return "period";
-  if (cycleDay >= cycleLength - 16 && cycleDay <= cycleLength - 11)  return "fertile";
+  if (cycleDay >= cycleLength - 16 && cycleDay <= cycleLength - 11)  return showsFertileWindow(settings) ? "fertile" : null;
   if (cycleDay > cycleLength - 11)                                    return "luteal";
   return "follicular";
 }
 
 export default function Calendar() {
+  const { user } = useAuth();
   const [selectedDay,   setSelectedDay]   = useState(() => new Date());
   const [activeFilter,  setActiveFilter]  = useState("all");
   const [confirmDelete, setConfirmDelete] = useState(null); // log id to confirm
+  const [rangeMode,     setRangeMode]     = useState(false);
+  const [range,         setRange]         = useState({ start: null, end: null });
   const queryClient = useQueryClient();
+  const { name: itemName } = useLogItems();
+  const medications = useMedications();
 
   const { data: logs = [] } = useQuery({
     queryKey: ["cycleLogs"],
@@ -69,9 +84,9 @@ export default function Calendar() {
   });
 
   // Compute prediction + fertile window from logged data
-  const cycles     = buildCycles(logs);
+  const cycles     = buildCycles(logs, settings);
   const cycleStats = computeCycleStats(cycles);
-  const prediction = predictNextPeriod(cycles, settings);
+  const prediction = predictNextPeriod(cycles, settings, logs);
   const avgLen     = cycleStats.avg || settings?.average_cycle_length || 28;
   // Average period length from logged cycles; fall back to settings or default
   const avgPeriodFromLogs = cycles.length >= 2
@@ -89,9 +104,41 @@ export default function Calendar() {
 
   // Only show the "next cycle" fertile window when a prediction exists (it would be in a future month).
   // Without prediction data, getDayPhase already handles the current cycle's fertile window.
-  const fertile    = activePrediction?.predicted_date
-    ? getFertileWindow(activePrediction.predicted_date, avgLen)
+  const fertile    = activePrediction?.predicted_date && showsFertileWindow(settings)
+    ? getFertileWindow(activePrediction.predicted_date, avgLen, { lutealLength: activePrediction.luteal_length })
     : null;
+  const explanation = explainPrediction(activePrediction);
+  // Ovulation pinned down by logged signals in the current cycle
+  const ovulationDate = prediction?.ovulation_detected ? prediction.ovulation_date : null;
+
+  // Range mode: first tap sets the start, second the end; a third starts over
+  const pickRangeDay = (day) => {
+    const { start, end } = range;
+    if (!start || end) {
+      setRange({ start: day, end: null });
+    } else if (Math.abs(differenceInDays(day, start)) + 1 > MAX_RANGE_DAYS) {
+      toast.error(`Pick a range of up to ${MAX_RANGE_DAYS} days.`);
+    } else {
+      setRange(day < start ? { start: day, end: start } : { start, end: day });
+    }
+  };
+
+  const closeRangeMode = () => {
+    setRangeMode(false);
+    setRange({ start: null, end: null });
+  };
+
+  // One-off .ics file, titled the same way as the subscribable feed
+  const downloadIcs = async () => {
+    const feed = await getCalendarFeed().catch(() => null);
+    const today = format(new Date(), "yyyy-MM-dd");
+    const events = buildCycleEvents(settings, logs, today, { includeFertile: feed?.include_fertile ?? true });
+    if (events.length === 0) {
+      toast.error("Log a period first — there's nothing to add to a calendar yet.");
+      return;
+    }
+    downloadFile(`calendar-${today}.ics`, toICS(events, { ...(feed ?? DEFAULT_FEED_OPTIONS), user_id: user?.id }), "text/calendar;charset=utf-8");
+  };
 
   const deleteLog = useMutation({
     mutationFn: (id) => deleteCycleLog(id),
@@ -113,13 +160,14 @@ export default function Calendar() {
     if (activeFilter === "all") return true;
     if (activeFilter === "symptom") return l.symptoms?.length > 0;
     if (activeFilter === "mood")    return l.moods?.length > 0;
+    if (activeFilter === "note")    return !!l.notes;
     return l.log_type === activeFilter;
   });
 
   // Only show "Menstrual Phase" when the day has an actual period log — not just
   // from a phase calculation that can be off due to settings drift or timezone issues.
   const phaseFromCalc = selectedDay ? getDayPhase(selectedDay, settings) : null;
-  const selectedHasPeriodLog = selectedLogs.some((l) => l.log_type === "period");
+  const selectedHasPeriodLog = selectedLogs.some((l) => l.log_type === "period" && !l.bleed_type);
   const phase = selectedHasPeriodLog
     ? "period"
     : phaseFromCalc === "period" ? null : phaseFromCalc;
@@ -131,13 +179,41 @@ export default function Calendar() {
     return d.getMonth() === now.getMonth() && d.getFullYear() === now.getFullYear();
   });
   const periodDays = thisMonthLogs.filter((l) => l.log_type === "period").length;
+  const hormonal   = usesHormonalContraception(settings);
   const loggedDays = new Set(thisMonthLogs.map((l) => l.date)).size;
 
   return (
     <div className="pb-28 px-4 pt-10 max-w-lg mx-auto">
-      <motion.div initial={{ opacity: 0, y: -8 }} animate={{ opacity: 1, y: 0 }} className="mb-5">
-        <h1 className="text-2xl font-bold text-slate-800">Calendar</h1>
-        <p className="text-sm text-slate-400 mt-0.5">Track your cycle day by day</p>
+      <motion.div initial={{ opacity: 0, y: -8 }} animate={{ opacity: 1, y: 0 }} className="mb-5 flex items-start justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-slate-800">Calendar</h1>
+          <p className="text-sm text-slate-400 mt-0.5">
+            {rangeMode ? "Tap the first and last day of a period" : "Track your cycle day by day"}
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <button
+            type="button"
+            onClick={downloadIcs}
+            aria-label="Download .ics calendar file"
+            title="Add to your calendar (.ics)"
+            className="p-1.5 rounded-xl border bg-white text-slate-500 border-slate-100 hover:border-slate-200 transition-all"
+          >
+            <Download className="w-3.5 h-3.5" />
+          </button>
+          <button
+            type="button"
+            onClick={() => (rangeMode ? closeRangeMode() : setRangeMode(true))}
+            className={`flex items-center gap-1.5 px-3 py-1.5 rounded-xl text-xs font-semibold border transition-all ${
+              rangeMode
+                ? "bg-violet-100 text-violet-700 border-violet-200"
+                : "bg-white text-slate-500 border-slate-100 hover:border-slate-200"
+            }`}
+          >
+            <CalendarRange className="w-3.5 h-3.5" />
+            {rangeMode ? "Done" : "Edit period"}
+          </button>
+        </div>
       </motion.div>
 
       {/* Monthly mini stats */}
@@ -148,7 +224,9 @@ export default function Calendar() {
         className="flex gap-3 mb-4"
       >
         <div className="flex-1 bg-white rounded-2xl px-4 py-3 border border-purple-50 shadow-sm">
-          <p className="text-[10px] font-semibold uppercase tracking-wider text-slate-400 mb-0.5">Period Days</p>
+          <p className="text-[10px] font-semibold uppercase tracking-wider text-slate-400 mb-0.5">
+            {hormonal ? "Bleed Days" : "Period Days"}
+          </p>
           <p className="text-2xl font-bold text-rose-500">{periodDays}</p>
           <p className="text-[10px] text-slate-400">this month</p>
         </div>
@@ -181,11 +259,45 @@ export default function Calendar() {
           prediction={activePrediction}
           fertileWindow={fertile}
           periodLength={periodLength}
-          onDayClick={setSelectedDay}
+          ovulationDate={ovulationDate}
+          onDayClick={rangeMode ? pickRangeDay : setSelectedDay}
           selectedDay={selectedDay}
+          rangeMode={rangeMode}
+          rangeStart={range.start}
+          rangeEnd={range.end}
         />
       </motion.div>
 
+      {rangeMode && range.start && (
+        <PeriodRangeEditor
+          key={`${range.start.toISOString()}-${range.end?.toISOString() ?? ""}`}
+          start={range.start}
+          end={range.end}
+          logs={logs}
+          onClose={closeRangeMode}
+        />
+      )}
+
+      {/* Why the predicted period sits where it does */}
+      {explanation && (
+        <motion.div
+          initial={{ opacity: 0, y: 8 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.2 }}
+          className="bg-white rounded-2xl px-4 py-3 mb-4 border border-purple-50 shadow-sm flex items-start gap-2.5"
+        >
+          <Sparkles className="w-4 h-4 text-violet-500 mt-0.5 flex-shrink-0" />
+          <div>
+            <p className="text-xs font-semibold text-slate-700">
+              Next period ~{format(parseISO(activePrediction.predicted_date), "MMM d")} · {explanation.summary}
+            </p>
+            {explanation.details.map((d) => (
+              <p key={d} className="text-[11px] text-slate-400 mt-0.5">{d}</p>
+            ))}
+          </div>
+        </motion.div>
+      )}
+
       <AnimatePresence>
         {selectedDay && (
           <motion.div
@@ -266,7 +378,9 @@ export default function Calendar() {
                         <div className={`${t.bg} w-8 h-8 rounded-xl flex items-center justify-center`}>
                           <t.icon className={`w-4 h-4 ${t.color}`} />
                         </div>
-                        <span className="text-sm font-bold text-slate-700">{t.label}</span>
+                        <span className="text-sm font-bold text-slate-700">
+                          {log.log_type === "period" && log.bleed_type ? BLEED_LABELS[log.bleed_type] : t.label}
+                        </span>
                         {log.flow_intensity && (
                           <span className="text-xs bg-rose-50 text-rose-600 px-2 py-0.5 rounded-full font-semibold border border-rose-100">
                             {log.flow_intensity}
@@ -277,7 +391,32 @@ export default function Calendar() {
                             ended
                           </span>
                         )}
-                        {/* Delete button */}
+                        {log.pill_taken && (
+                          <span className="text-xs bg-violet-50 text-violet-600 px-2 py-0.5 rounded-full font-semibold border border-violet-100">
+                            pill taken
+                          </span>
+                        )}
+                        {log.hot_flash_count > 0 && (
+                          <span className="text-xs bg-orange-50 text-orange-600 px-2 py-0.5 rounded-full font-semibold border border-orange-100">
+                            🔥 ×{log.hot_flash_count}
+                          </span>
+                        )}
+                        {log.night_sweat_count > 0 && (
+                          <span className="text-xs bg-sky-50 text-sky-600 px-2 py-0.5 rounded-full font-semibold border border-sky-100">
+                            💦 ×{log.night_sweat_count}
+                          </span>
+                        )}
+                        {log.medications_taken?.length > 0 && (
+                          <span className="text-xs bg-violet-50 text-violet-600 px-2 py-0.5 rounded-full font-semibold border border-violet-100">
+                            💊 {medicationNames(log.medications_taken, medications).join(", ")}
+                          </span>
+                        )}
+                        {log._pending && (
+                          <span className="text-xs bg-amber-50 text-amber-600 px-2 py-0.5 rounded-full font-semibold border border-amber-100">
+                            not synced
+                          </span>
+                        )}
+                        {/* Edit / delete buttons */}
                         <div className="ml-auto flex items-center gap-1.5">
                           {isConfirming ? (
                             <>
@@ -298,14 +437,23 @@ export default function Calendar() {
                               </button>
                             </>
                           ) : (
-                            <button
-                              type="button"
-                              onClick={() => setConfirmDelete(log.id)}
-                              className="p-2.5 rounded-xl text-slate-300 active:text-rose-400 active:bg-rose-50 transition-colors touch-manipulation"
-                              title="Delete log"
-                            >
-                              <Trash2 className="w-4 h-4" />
-                            </button>
+                            <>
+                              <Link
+                                to={`${createPageUrl("LogEntry")}?id=${log.id}`}
+                                className="p-2.5 rounded-xl text-slate-300 active:text-violet-500 active:bg-violet-50 transition-colors touch-manipulation"
+                                title="Edit log"
+                              >
+                                <PencilLine className="w-4 h-4" />
+                              </Link>
+                              <button
+                                type="button"
+                                onClick={() => setConfirmDelete(log.id)}
+                                className="p-2.5 rounded-xl text-slate-300 active:text-rose-400 active:bg-rose-50 transition-colors touch-manipulation"
+                                title="Delete log"
+                              >
+                                <Trash2 className="w-4 h-4" />
+                              </button>
+                            </>
                           )}
                         </div>
                       </div>
@@ -315,19 +463,36 @@ export default function Calendar() {
                           <div className="flex flex-wrap gap-1.5">
                             {log.symptoms.map((s) => (
                               <span key={s} className="text-xs bg-amber-50 text-amber-700 px-2.5 py-1 rounded-full border border-amber-100 font-medium">
-                                {s.split(":")[0].replace(/_/g, " ")}
+                                {itemName(s)}
                               </span>
                             ))}
                           </div>
                         </div>
                       )}
+                      {(log.cervical_mucus || log.ovulation_test) && (
+                        <div className="mb-2">
+                          <p className="text-[10px] font-semibold uppercase tracking-wider text-slate-400 mb-1.5">Fertility signs</p>
+                          <div className="flex flex-wrap gap-1.5">
+                            {log.cervical_mucus && (
+                              <span className="text-xs bg-sky-50 text-sky-700 px-2.5 py-1 rounded-full border border-sky-100 font-medium">
+                                {log.cervical_mucus.replace(/_/g, " ")} mucus
+                              </span>
+                            )}
+                            {log.ovulation_test && (
+                              <span className="text-xs bg-fuchsia-50 text-fuchsia-700 px-2.5 py-1 rounded-full border border-fuchsia-100 font-medium">
+                                LH test: {log.ovulation_test}
+                              </span>
+                            )}
+                          </div>
+                        </div>
+                      )}
                       {log.moods?.length > 0 && (
                         <div className="mb-2">
                           <p className="text-[10px] font-semibold uppercase tracking-wider text-slate-400 mb-1.5">Mood</p>
                           <div className="flex flex-wrap gap-1.5">
                             {log.moods.map((m) => (
                               <span key={m} className="text-xs bg-violet-50 text-violet-700 px-2.5 py-1 rounded-full border border-violet-100 font-medium">
-                                {m.replace(/_/g, " ")}
+                                {itemName(m)}
                               </span>
                             ))}
                           </div>
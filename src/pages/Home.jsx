@@ -6,23 +6,26 @@ import CycleWheel from "@/components/dashboard/CycleWheel";
 import QuickStats from "@/components/dashboard/QuickStats";
 import DailyTip from "@/components/dashboard/DailyTip";
 import AIPrediction from "@/components/dashboard/AIPrediction";
+import ContraceptionCard from "@/components/dashboard/ContraceptionCard";
+import PregnancyCard from "@/components/dashboard/PregnancyCard";
+import MedicationsCard from "@/components/dashboard/MedicationsCard";
+import QuickLogCard from "@/components/dashboard/QuickLogCard";
+import RedFlagCard from "@/components/triage/RedFlagCard";
 import { Link } from "react-router-dom";
 import { createPageUrl } from "@/utils";
 import { Plus, MessageCircle, CheckCircle, X } from "lucide-react";
-import { getCycleLogs, getCycleSettings, getCycleSettingsCache, upsertCycleSettings, createCycleLog } from "@/lib/db";
+import { getCycleLogs, getCycleSettings, getCycleSettingsCache, upsertCycleSettings, markPeriodDay } from "@/lib/db";
 import { useAuth } from "@/lib/AuthContext";
-import { buildCycles, computeCycleStats, predictNextPeriod } from "@/lib/cycleStats";
+import { getAppTitle } from "@/lib/appLock";
+import { buildCycles, getCyclePosition, predictNextPeriod, RECENT_LOG_WINDOW } from "@/lib/cycleStats";
+import { usesHormonalContraception, showsFertileWindow } from "@/lib/contraception";
+import { isCyclePaused } from "@/lib/pregnancy";
+import { getAge } from "@/lib/perimenopause";
+import { triageLogs } from "@/lib/redFlags";
 import { toast } from "sonner";
 
-function getPhase(cycleDay, cycleLength, periodLength) {
-  if (cycleDay <= periodLength) return "period";
-  if (cycleDay <= periodLength + 6) return "follicular";
-  if (cycleDay <= periodLength + 10) return "ovulation";
-  return "luteal";
-}
-
 export default function Home() {
-  const { profile } = useAuth();
+  const { user, profile } = useAuth();
   const queryClient = useQueryClient();
 
   // Dismiss banner once per calendar day — comes back fresh the next day
@@ -39,76 +42,51 @@ export default function Home() {
 
   const { data: recentLogs = [] } = useQuery({
     queryKey: ["recentLogs"],
-    queryFn: () => getCycleLogs(30),
+    queryFn: () => getCycleLogs(RECENT_LOG_WINDOW),
   });
 
-  // Use computed averages from actual logs when available, fall back to settings
-  const allLogs = recentLogs;
-  const computedCycles = buildCycles(allLogs);
-  const computedStats  = computeCycleStats(computedCycles);
-  const cycleLength  = computedStats.avg || settings?.average_cycle_length  || 28;
-
-  // Average period length from actual logged cycles (span of consecutive period days)
-  // Require 2+ cycles before trusting the average (a single 1-day log would show "1 days")
-  const avgPeriodFromLogs = computedCycles.length >= 2
-    ? Math.round(computedCycles.reduce((sum, c) => sum + c.periodLength, 0) / computedCycles.length)
-    : null;
-  const periodLength = avgPeriodFromLogs ?? settings?.average_period_length ?? 5;
-
-  // Only use last_period_start if it's today or in the past — ignore future-logged periods
-  const rawLastPeriodStart = settings?.last_period_start;
-  const lastPeriodStart = rawLastPeriodStart &&
-    differenceInDays(new Date(), parseISO(rawLastPeriodStart)) >= 0
-      ? rawLastPeriodStart
-      : null;
-
-  let cycleDay = 1;
-  let nextPeriodIn = Math.round(cycleLength);
-  let nextPeriodDate = "";
-
-  // Prefer the most recent period start: compare settings vs. the last logged
-  // cycle's actual start. This fixes the % cycleLength wrapping bug where stale
-  // settings (e.g. Feb 4 + 28 days = March 3 ≡ day 4) show the wrong cycle day
-  // when the user has already logged a more recent period.
-  const loggedCycleStart = computedCycles.length > 0
-    ? computedCycles[computedCycles.length - 1].start
-    : null;
-  const effectiveStart = (loggedCycleStart && lastPeriodStart)
-    ? (loggedCycleStart > lastPeriodStart ? loggedCycleStart : lastPeriodStart)
-    : (loggedCycleStart || lastPeriodStart);
-
-  if (effectiveStart) {
-    const daysSince = differenceInDays(new Date(), parseISO(effectiveStart));
-    cycleDay = (daysSince % cycleLength) + 1;
-    nextPeriodIn = cycleLength - (daysSince % cycleLength);
-    nextPeriodDate = format(addDays(new Date(), nextPeriodIn), "MMM d");
-  }
-
-  // When last_period_end is known, compute the actual period length from real dates
-  // rather than relying on the stored average, which may differ from reality.
-  const lastPeriodEnd = settings?.last_period_end;
-  const effectivePeriodLength = (effectiveStart && lastPeriodEnd && lastPeriodEnd >= effectiveStart)
-    ? differenceInDays(parseISO(lastPeriodEnd), parseISO(effectiveStart)) + 1
-    : periodLength;
-
-  // If the period has ended (last_period_end is today or in the past), advance
-  // cycleDay past the period length so the phase transitions out of "period"
-  // immediately — fixes "last day" not registering on the wheel.
-  const periodHasEnded = !!lastPeriodEnd &&
-    differenceInDays(new Date(), parseISO(lastPeriodEnd)) >= 0;
-  if (periodHasEnded) {
-    cycleDay = Math.max(cycleDay, effectivePeriodLength + 1);
-  }
+  const computedCycles = buildCycles(recentLogs, settings);
+  const todayStr = format(new Date(), "yyyy-MM-dd");
 
-  const phase = getPhase(cycleDay, cycleLength, effectivePeriodLength);
+  // ── Red flags ──────────────────────────────────────────────
+  // A longer history than the cycle view needs: bleeding after menopause is
+  // judged against the bleed before it, which may be a year back
+  const { data: historyLogs = recentLogs } = useQuery({
+    queryKey: ["cycleLogs", user?.id],
+    queryFn: () => getCycleLogs(500),
+    enabled: !!user?.id,
+  });
+  const redFlags = triageLogs(historyLogs, settings, { age: getAge(profile?.birth_year), today: todayStr });
+  // Dismissed per finding (rule, rule version and date), so a new event or a
+  // changed rule shows again. Per user, and cleared on sign-out with the other aura_ keys.
+  const flagDismissKey = `aura_red_flags_dismissed_${user?.id}`;
+  const [dismissedFlags, setDismissedFlags] = useState(() => {
+    try { return JSON.parse(localStorage.getItem(flagDismissKey) ?? "[]"); } catch { return []; }
+  });
+  const dismissFlag = (flag) => {
+    const next = [...dismissedFlags, flag.key];
+    if (user?.id) {
+      try { localStorage.setItem(flagDismissKey, JSON.stringify(next)); } catch {}
+    }
+    setDismissedFlags(next);
+  };
+  const {
+    cycleDay, cycleLength, periodLength: effectivePeriodLength, phase, nextPeriodIn, effectiveStart,
+  } = getCyclePosition(settings, recentLogs, todayStr);
+  const nextPeriodDate = effectiveStart ? format(addDays(new Date(), nextPeriodIn), "MMM d") : "";
   const [aiPrediction, setAiPrediction] = useState(null);
 
   // ── Prediction arrival banner ──────────────────────────────
-  const prediction = predictNextPeriod(computedCycles, settings);
-  const todayStr = format(new Date(), "yyyy-MM-dd");
+  const prediction = predictNextPeriod(computedCycles, settings, recentLogs);
+
+  // Hormonal contraception: no cycle to show, the contraception card instead
+  const hormonal = usesHormonalContraception(settings);
+  // Pregnancy, and after it until the first period: the pregnancy card instead
+  const paused = isCyclePaused(settings, recentLogs);
+  const showCycle = !hormonal && !paused;
 
   // ── Period-ended banner ────────────────────────────────────
-  const isPeriodActive = phase === "period" && !settings?.last_period_end;
+  const isPeriodActive = phase === "period" && !settings?.last_period_end && showCycle;
   const isEndedToday = settings?.last_period_end === format(new Date(), "yyyy-MM-dd");
 
   // ── Daily log reminder ─────────────────────────────────────
@@ -140,7 +118,7 @@ export default function Home() {
 
   const confirmPeriodStarted = useMutation({
     mutationFn: () => Promise.all([
-      createCycleLog({ log_type: "period", date: todayStr, flow_intensity: "medium" }),
+      markPeriodDay(todayStr),
       upsertCycleSettings({ last_period_start: todayStr, last_period_end: null }),
     ]),
     onSuccess: () => {
@@ -173,9 +151,18 @@ export default function Home() {
         <p className="text-sm text-slate-400 font-medium">
           {profile?.display_name ? `Hey, ${profile.display_name} 👋` : "Welcome back 👋"}
         </p>
-        <h1 className="text-2xl font-bold text-slate-800 tracking-tight">Luna</h1>
+        <h1 className="text-2xl font-bold text-slate-800 tracking-tight">{getAppTitle()}</h1>
       </motion.div>
 
+      {/* Red flags in the logs — ahead of everything else, Luna included */}
+      <AnimatePresence>
+        {redFlags.some((f) => !dismissedFlags.includes(f.key)) && (
+          <motion.div exit={{ opacity: 0 }} className="mb-4">
+            <RedFlagCard flags={redFlags.filter((f) => !dismissedFlags.includes(f.key))} onDismiss={dismissFlag} />
+          </motion.div>
+        )}
+      </AnimatePresence>
+
       {/* Daily log reminder */}
       <AnimatePresence>
         {!hasLoggedToday && showLogReminder && (
@@ -297,30 +284,55 @@ export default function Home() {
         )}
       </AnimatePresence>
 
+      {/* Gestational week, or weeks since the pregnancy ended */}
+      {paused && (
+        <div className="mb-4">
+          <PregnancyCard settings={settings} />
+        </div>
+      )}
+
+      {/* Contraception — pill pack tracker, or why predictions are off */}
+      {settings?.contraception_method && !paused && (
+        <div className="mb-4">
+          <ContraceptionCard settings={settings} logs={recentLogs} />
+        </div>
+      )}
+
       {/* Cycle wheel — tap to go to Calendar */}
-      <div className="mb-4">
-        <Link to={createPageUrl("Calendar")} className="block">
-          <CycleWheel
-            cycleDay={cycleDay}
-            cycleLength={cycleLength}
-            periodLength={effectivePeriodLength}
-            phase={phase}
-            prediction={aiPrediction}
-          />
-        </Link>
-      </div>
+      {showCycle && (
+        <div className="mb-4">
+          <Link to={createPageUrl("Calendar")} className="block">
+            <CycleWheel
+              cycleDay={cycleDay}
+              cycleLength={cycleLength}
+              periodLength={effectivePeriodLength}
+              phase={phase}
+              prediction={aiPrediction}
+              showFertile={showsFertileWindow(settings)}
+            />
+          </Link>
+        </div>
+      )}
 
       {/* Next Period prediction card — right under wheel, computes instantly from cached settings */}
-      <AIPrediction logs={recentLogs} settings={settings} onPrediction={setAiPrediction} />
+      {showCycle && <AIPrediction logs={recentLogs} settings={settings} profile={profile} redFlags={redFlags} onPrediction={setAiPrediction} />}
+
+      {/* One-line logging: free text to a draft the user confirms */}
+      <QuickLogCard />
 
       {/* Daily Tip */}
-      <div className="mb-4">
-        <DailyTip phase={phase} cycleDay={cycleDay} />
-      </div>
+      {showCycle && (
+        <div className="mb-4">
+          <DailyTip phase={phase} cycleDay={cycleDay} periodLength={effectivePeriodLength} logs={recentLogs} />
+        </div>
+      )}
+
+      {/* Today's medications and supplements */}
+      <MedicationsCard logs={recentLogs} />
 
       {/* Next period expected */}
       <div className="mb-5">
-        {effectiveStart && (
+        {effectiveStart && showCycle && (
           <motion.div
             initial={{ opacity: 0 }}
             animate={{ opacity: 1 }}
@@ -350,15 +362,17 @@ export default function Home() {
       </div>
 
       {/* 4 stats panels */}
-      <div className="mb-5">
-        <QuickStats
-          nextPeriodIn={nextPeriodIn}
-          cycleLength={cycleLength}
-          periodLength={effectivePeriodLength}
-          lastPeriod={effectiveStart ? format(parseISO(effectiveStart), "MMM d") : null}
-          cyclesCount={computedCycles.length}
-        />
-      </div>
+      {showCycle && (
+        <div className="mb-5">
+          <QuickStats
+            nextPeriodIn={nextPeriodIn}
+            cycleLength={cycleLength}
+            periodLength={effectivePeriodLength}
+            lastPeriod={effectiveStart ? format(parseISO(effectiveStart), "MMM d") : null}
+            cyclesCount={computedCycles.length}
+          />
+        </div>
+      )}
 
       {/* FABs */}
       <div className="fixed bottom-24 right-4 flex flex-col gap-3 z-10">
@@ -9,6 +9,9 @@ import {
   CalendarDays, Droplets, Sparkles, Zap, RefreshCw,
 } from "lucide-react";
 import { getCycleLogs, getCycleSettings, getCycleSettingsCache } from "@/lib/db";
+import { useAuth } from "@/lib/AuthContext";
+import { useLogItems } from "@/hooks/use-log-items";
+import { isPerimenopause, irregularityOptions } from "@/lib/perimenopause";
 import {
   buildCycles,
   computeCycleStats,
@@ -17,6 +20,9 @@ import {
   predictNextPeriod,
 } from "@/lib/cycleStats";
 import { format, parseISO, differenceInDays } from "date-fns";
+import BbtChart from "@/components/insights/BbtChart";
+import PerimenopauseTrends from "@/components/insights/PerimenopauseTrends";
+import MedicationEffects from "@/components/insights/MedicationEffects";
 
 const COLORS = ["#8B5CF6", "#EC4899", "#F59E0B", "#34D399", "#3B82F6", "#EF4444"];
 const FLOW_ORDER = ["spotting", "light", "medium", "heavy"];
@@ -25,6 +31,8 @@ const cap = (s) => s.charAt(0).toUpperCase() + s.slice(1);
 export default function Insights() {
   const [activeSymptomTab, setActiveSymptomTab] = useState("frequency");
   const [activeCorrelTab,  setActiveCorrelTab]  = useState("flow");
+  const { profile } = useAuth();
+  const { customItems, name: itemName } = useLogItems();
 
   // ── 1 year+ of data ─────────────────────────────────────────
   const { data: logs = [] } = useQuery({
@@ -39,11 +47,14 @@ export default function Insights() {
   });
 
   // ── Core cycle computations ─────────────────────────────────
-  const cycles       = useMemo(() => buildCycles(logs),              [logs]);
+  const cycles       = useMemo(() => buildCycles(logs, settings),    [logs, settings]);
   const stats        = useMemo(() => computeCycleStats(cycles),      [cycles]);
-  const irregularity = useMemo(() => detectIrregularity(cycles),     [cycles]);
-  const patterns     = useMemo(() => computeSymptomPatterns(logs, cycles), [logs, cycles]);
-  const prediction   = useMemo(() => predictNextPeriod(cycles, settings),  [cycles, settings]);
+  const irregularity = useMemo(
+    () => detectIrregularity(cycles, irregularityOptions(settings, profile)),
+    [cycles, settings, profile]
+  );
+  const patterns     = useMemo(() => computeSymptomPatterns(logs, cycles, customItems), [logs, cycles, customItems]);
+  const prediction   = useMemo(() => predictNextPeriod(cycles, settings, logs), [cycles, settings, logs]);
 
   const avgPeriodLength = cycles.length > 0
     ? Math.round(cycles.reduce((s, c) => s + c.periodLength, 0) / cycles.length)
@@ -56,17 +67,17 @@ export default function Insights() {
     : stats.stdDev <= 4.5 ? { text: "Slightly variable", cls: "bg-amber-50 text-amber-600" }
     :                        { text: "Variable",          cls: "bg-orange-50 text-orange-600" };
 
-  // ── Logs grouped by date ────────────────────────────────────
+  // ── Logs by date (one record per day) ───────────────────────
   const logsByDate = useMemo(() => {
     const map = {};
     logs.forEach((l) => {
       if (!l.date) return;
-      if (!map[l.date]) map[l.date] = { symptoms: [], flow: null, stress: null, sleep: null };
-      const d = map[l.date];
-      l.symptoms?.forEach((s) => d.symptoms.push(s.split(":")[0]));
-      if (l.flow_intensity) d.flow = l.flow_intensity.toLowerCase();
-      if (l.stress_level != null && d.stress === null) d.stress = l.stress_level;
-      if (l.sleep_hours  != null && d.sleep  === null) d.sleep  = l.sleep_hours;
+      map[l.date] = {
+        symptoms: (l.symptoms ?? []).map((s) => s.split(":")[0]),
+        flow:     l.flow_intensity?.toLowerCase() ?? null,
+        stress:   l.stress_level ?? null,
+        sleep:    l.sleep_hours  ?? null,
+      };
     });
     return map;
   }, [logs]);
@@ -129,7 +140,7 @@ export default function Insights() {
           : 0;
         return {
           symptom: s,
-          label: s.replace(/_/g, " "),
+          label: itemName(s),
           cycleMap,
           uniqueCycles: Object.keys(cycleMap).length,
           avgDay,
@@ -137,7 +148,7 @@ export default function Insights() {
       })
       .filter((d) => d.uniqueCycles >= 2)
       .sort((a, b) => b.uniqueCycles - a.uniqueCycles);
-  }, [logs, cycles]);
+  }, [logs, cycles, itemName]);
 
   // ── Luna's AI-style insights ────────────────────────────────
   const lunaInsights = useMemo(() => {
@@ -169,7 +180,7 @@ export default function Insights() {
           .sort((a, b) => b[1] - a[1])[0];
         if (dominant[1] / d.total >= 0.55) {
           out.push({
-            text: `${cap(s.replace(/_/g, " "))} tends to occur most on ${dominant[0]}-flow days (${dominant[1]} of ${d.total} times)`,
+            text: `${cap(itemName(s))} tends to occur most on ${dominant[0]}-flow days (${dominant[1]} of ${d.total} times)`,
             emoji: "💧",
           });
         }
@@ -184,7 +195,7 @@ export default function Insights() {
         .forEach(([s, count]) => {
           if (count >= 2) {
             out.push({
-              text: `On ${count} of ${hsc} high-stress days, you also experienced ${s.replace(/_/g, " ")}`,
+              text: `On ${count} of ${hsc} high-stress days, you also experienced ${itemName(s)}`,
               emoji: "⚡",
             });
           }
@@ -202,12 +213,12 @@ export default function Insights() {
     }
 
     return out.slice(0, 6);
-  }, [crossCycleData, sfCorrelation, stressCorrelation, cycles, stats]);
+  }, [crossCycleData, sfCorrelation, stressCorrelation, cycles, stats, itemName]);
 
   // ── Symptom frequency & flow distribution ──────────────────
   const symptomFreq = {};
   logs.forEach((l) => l.symptoms?.forEach((s) => {
-    const name = s.split(":")[0].replace(/_/g, " ");
+    const name = itemName(s);
     symptomFreq[name] = (symptomFreq[name] || 0) + 1;
   }));
   const symptomData = Object.entries(symptomFreq)
@@ -236,14 +247,14 @@ export default function Insights() {
     .slice(0, 5)
     .map(([s, d]) => {
       const dominant = FLOW_ORDER.map((f) => ({ f, n: d[f] || 0 })).sort((a, b) => b.n - a.n)[0];
-      return { symptom: s.replace(/_/g, " "), dominant: dominant.f, dominantN: dominant.n, total: d.total, data: d };
+      return { symptom: itemName(s), dominant: dominant.f, dominantN: dominant.n, total: d.total, data: d };
     });
 
   const stressCorrelCards = Object.entries(stressCorrelation.counts)
     .filter(([, n]) => n >= 2)
     .sort((a, b) => b[1] - a[1])
     .slice(0, 5)
-    .map(([s, count]) => ({ symptom: s.replace(/_/g, " "), count, total: stressCorrelation.highStressDayCount }));
+    .map(([s, count]) => ({ symptom: itemName(s), count, total: stressCorrelation.highStressDayCount }));
 
   const maxCycleDay = Math.min(stats.avg || 28, 30);
 
@@ -324,6 +335,17 @@ export default function Insights() {
         </motion.div>
       )}
 
+      {/* ── Perimenopause (long-run trends) ──────────────────── */}
+      {isPerimenopause(settings) && (
+        <PerimenopauseTrends logs={logs} cycles={cycles} settings={settings} />
+      )}
+
+      {/* ── Basal body temperature ───────────────────────────── */}
+      <BbtChart logs={logs} cycles={cycles} unit={settings?.temperature_unit || "C"} />
+
+      {/* ── Medications vs symptom severity ──────────────────── */}
+      <MedicationEffects logs={logs} customItems={customItems} />
+
       {/* ── Across Your Cycles (symptom timeline) ────────────── */}
       {crossCycleData.length > 0 && cycles.length >= 2 && (
         <motion.div
@@ -573,6 +595,9 @@ export default function Insights() {
                 Recent lengths: {irregularity.last3.join(" → ")} days
               </p>
             )}
+            {irregularity.skippedMessage && (
+              <p className="text-[11px] text-slate-500 mt-1.5">{irregularity.skippedMessage}</p>
+            )}
           </div>
         </motion.div>
       )}
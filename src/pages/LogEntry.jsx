@@ -1,19 +1,80 @@
-import React, { useState } from "react";
+import React, { useState, useEffect, useRef } from "react";
 import { useMutation, useQueryClient, useQuery } from "@tanstack/react-query";
 import { motion, AnimatePresence } from "framer-motion";
 import { format, differenceInDays, addDays, parseISO } from "date-fns";
-import { ArrowLeft, Check, ChevronRight, Droplets, Heart, Brain, Pencil, Dumbbell, Moon, GlassWater, Zap } from "lucide-react";
+import { ArrowLeft, Check, ChevronRight, Droplets, Heart, Brain, Pencil, Dumbbell, Moon, GlassWater, Zap, Thermometer, Flower2 } from "lucide-react";
 import { Link, useNavigate, useSearchParams } from "react-router-dom";
 import { createPageUrl } from "@/utils";
 import FlowPicker from "@/components/log/FlowPicker";
 import SymptomPicker from "@/components/log/SymptomPicker";
 import MoodPicker from "@/components/log/MoodPicker";
+import FertilityPicker from "@/components/log/FertilityPicker";
+import VasomotorPicker from "@/components/log/VasomotorPicker";
+import MedicationPicker from "@/components/log/MedicationPicker";
 import { Button } from "@/components/ui/button";
 import { Textarea } from "@/components/ui/textarea";
 import { Input } from "@/components/ui/input";
-import { getCycleSettings, createCycleLog, upsertCycleSettings } from "@/lib/db";
+import {
+  getCycleSettings, upsertCycleSettings, getCycleLog, updateCycleLog,
+  getDailyLog, saveDailyLog, markPeriodDay, syncPeriodSettings,
+} from "@/lib/db";
+import { toCelsius, fromCelsius, isValidBbt } from "@/lib/temperature";
+import { classifyBleed, getPackDay, BLEED_LABELS } from "@/lib/contraception";
+import { isPerimenopause } from "@/lib/perimenopause";
+import { useMedications } from "@/hooks/use-medications";
+import { toast } from "sonner";
 
-const STEPS = ["flow", "symptoms", "mood", "lifestyle", "notes"];
+const STEPS = ["flow", "symptoms", "fertility", "mood", "lifestyle", "notes"];
+
+const EMPTY_FORM = {
+  period_day_type: "mid",
+  flow_intensity: null,
+  is_period_end: false,
+  symptoms: [],
+  moods: [],
+  notes: "",
+  sleep_hours: "",
+  sleep_quality: null,
+  water_intake: "",
+  exercise: false,
+  exercise_type: "none",
+  stress_level: null,
+  bbt: "",
+  cervical_mucus: null,
+  ovulation_test: null,
+  pill_taken: null,
+  hot_flash_count: null,
+  night_sweat_count: null,
+  medications_taken: [],
+};
+
+/** Wizard state for an existing row, so every step opens pre-filled. */
+function logToForm(log, settings) {
+  const unit = settings?.temperature_unit || "C";
+  return {
+    period_day_type: log.is_period_end ? "last"
+      : log.log_type === "period" && settings?.last_period_start === log.date ? "first"
+      : "mid",
+    flow_intensity: log.log_type === "period" ? log.flow_intensity || "medium" : null,
+    is_period_end:  !!log.is_period_end,
+    symptoms:       log.symptoms ?? [],
+    moods:          log.moods ?? [],
+    notes:          log.notes ?? "",
+    sleep_hours:    log.sleep_hours  != null ? String(log.sleep_hours)  : "",
+    sleep_quality:  log.sleep_quality ?? null,
+    water_intake:   log.water_intake != null ? String(log.water_intake) : "",
+    exercise:       !!log.exercise,
+    exercise_type:  log.exercise_type || "none",
+    stress_level:   log.stress_level ?? null,
+    bbt:            log.bbt != null ? String(fromCelsius(log.bbt, unit)) : "",
+    cervical_mucus: log.cervical_mucus ?? null,
+    ovulation_test: log.ovulation_test ?? null,
+    pill_taken:     log.pill_taken ?? null,
+    hot_flash_count:   log.hot_flash_count ?? null,
+    night_sweat_count: log.night_sweat_count ?? null,
+    medications_taken: log.medications_taken ?? [],
+  };
+}
 
 export default function LogEntry() {
   const navigate = useNavigate();
@@ -21,34 +82,116 @@ export default function LogEntry() {
   const [searchParams] = useSearchParams();
 
   const dateParam = searchParams.get("date");
+  const editId    = searchParams.get("id");
+  const isEditing = !!editId;
   const [logDate, setLogDate] = useState(
     dateParam ? new Date(dateParam + "T12:00:00") : new Date()
   );
 
   const [step, setStep] = useState(0);
-  const [data, setData] = useState({
-    period_day_type: "mid",
-    flow_intensity: null,
-    is_period_end: false,
-    symptoms: [],
-    moods: [],
-    notes: "",
-    sleep_hours: "",
-    sleep_quality: null,
-    water_intake: "",
-    exercise: false,
-    exercise_type: "none",
-    stress_level: null,
-  });
+  const [data, setData] = useState(EMPTY_FORM);
+  const dateStr = format(logDate, "yyyy-MM-dd");
 
   const { data: settings } = useQuery({
     queryKey: ["cycleSettings"],
     queryFn: getCycleSettings,
   });
+  const medications = useMedications();
+
+  // Editing: load the row once, then fill the wizard from it
+  const { data: existingLog, isLoading: loadingLog } = useQuery({
+    queryKey: ["cycleLog", editId],
+    queryFn: () => getCycleLog(editId),
+    enabled: isEditing,
+  });
+  const prefilled = useRef(false);
+
+  useEffect(() => {
+    if (!isEditing || loadingLog || prefilled.current) return;
+    // Wait for settings so the first-day and temperature fields come out right
+    if (settings === undefined) return;
+    prefilled.current = true;
+    if (!existingLog) {
+      toast.error("That log entry no longer exists.");
+      navigate(createPageUrl("Calendar"));
+      return;
+    }
+    setLogDate(new Date(existingLog.date + "T12:00:00"));
+    setData(logToForm(existingLog, settings));
+  }, [isEditing, loadingLog, existingLog, settings]);
+
+  // New entry: a day has one record, so open whatever is already logged for
+  // the chosen date and save back into it
+  const { data: dayLog, isLoading: loadingDay } = useQuery({
+    queryKey: ["dailyLog", dateStr],
+    queryFn: () => getDailyLog(dateStr),
+    enabled: !isEditing,
+  });
+  const filledFrom = useRef(null); // date whose record is in the form
+
+  useEffect(() => {
+    if (isEditing || loadingDay || settings === undefined) return;
+    if (dayLog) {
+      if (filledFrom.current === dayLog.date) return;
+      filledFrom.current = dayLog.date;
+      setData(logToForm(dayLog, settings));
+    } else if (filledFrom.current) {
+      // Moved off a logged day: don't carry its entries over to this one
+      filledFrom.current = null;
+      setData(EMPTY_FORM);
+    }
+  }, [isEditing, loadingDay, dayLog, settings]);
+
+  const tempUnit = settings?.temperature_unit || "C";
+  const autoFillDays = Math.max(0, Math.min(
+    (settings?.average_period_length || 5) - 1,
+    differenceInDays(parseISO(format(new Date(), "yyyy-MM-dd")), parseISO(dateStr))
+  ));
+  const bbtCelsius = toCelsius(data.bbt, tempUnit);
+  const bbtInvalid = data.bbt !== "" && !isValidBbt(bbtCelsius);
+  // Under hormonal contraception bleeding is a withdrawal or breakthrough bleed
+  const bleedType = classifyBleed(settings, dateStr);
+  const pack = getPackDay(settings, dateStr);
+  // Hot flash counters in perimenopause, or wherever some were logged before
+  const showVasomotor = isPerimenopause(settings) ||
+    data.hot_flash_count != null || data.night_sweat_count != null;
+  // A counted hot flash or night sweat tags the day with that symptom when saved
+  const hasSymptoms = data.symptoms.length > 0 || data.hot_flash_count > 0 || data.night_sweat_count > 0;
+
+  /**
+   * Saves edits to the existing row in place. No days are auto-filled here;
+   * instead the period start/end in settings are re-derived from the logs
+   * whenever a period day was added, removed, moved or re-marked.
+   */
+  const saveEdit = async (shared) => {
+    const isFirstDay  = data.period_day_type === "first";
+    const isLastDay   = data.period_day_type === "last";
+    const isPeriodLog = !!(data.flow_intensity) || isFirstDay || isLastDay;
+    const log_type = isPeriodLog ? "period"
+      : hasSymptoms ? "symptom"
+      : data.moods.length > 0    ? "mood"
+      : "note";
+
+    try {
+      await updateCycleLog(editId, {
+        ...shared,
+        log_type,
+        flow_intensity: isPeriodLog ? data.flow_intensity || "medium" : null,
+        is_period_end:  isPeriodLog && isLastDay,
+      });
+    } catch (err) {
+      // 23505 = moved onto a date that already has its own record
+      if (err?.code === "23505") {
+        throw new Error(`${format(logDate, "MMMM d")} already has a log — edit that one instead.`);
+      }
+      throw err;
+    }
+
+    if (isPeriodLog || existingLog.log_type === "period") await syncPeriodSettings();
+  };
 
   const createLog = useMutation({
     mutationFn: async () => {
-      const dateStr = format(logDate, "yyyy-MM-dd");
       const shared = {
         date: dateStr,
         symptoms:      data.symptoms,
@@ -60,17 +203,39 @@ export default function LogEntry() {
         exercise:      data.exercise,
         exercise_type: data.exercise_type !== "none" ? data.exercise_type : null,
         stress_level:  data.stress_level  || null,
+        bbt:           bbtCelsius,
+        cervical_mucus: data.cervical_mucus,
+        ovulation_test: data.ovulation_test,
+        pill_taken:     data.pill_taken,
+        hot_flash_count:   data.hot_flash_count,
+        night_sweat_count: data.night_sweat_count,
+        medications_taken: data.medications_taken,
       };
 
+      if (isEditing) {
+        await saveEdit(shared);
+        return;
+      }
+
       const isFirstDay = data.period_day_type === "first";
       const isLastDay  = data.period_day_type === "last";
       const isPeriodLog = !!(data.flow_intensity) || isFirstDay || isLastDay;
 
-      if (isPeriodLog) {
+      if (isPeriodLog && bleedType) {
+        // A bleed isn't a period: no days are auto-filled and the period
+        // dates in settings stay as they are
+        await saveDailyLog({
+          ...shared,
+          log_type:       "period",
+          flow_intensity: data.flow_intensity || "medium",
+          is_period_end:  false,
+        });
+
+      } else if (isPeriodLog) {
         const flow = data.flow_intensity || "medium";
 
-        // Always create the main log for the selected date
-        await createCycleLog({
+        // Always save the main log for the selected date
+        await saveDailyLog({
           ...shared,
           log_type:       "period",
           flow_intensity: flow,
@@ -78,17 +243,15 @@ export default function LogEntry() {
         });
 
         if (isFirstDay) {
-          // Auto-fill the next (defaultPeriodLen - 1) days with basic period logs
+          // Auto-fill the following days of a typical period that have already
+          // passed; days still to come are logged as they happen
           const defaultLen = settings?.average_period_length || 5;
-          for (let i = 1; i < defaultLen; i++) {
-            try {
-              await createCycleLog({
-                date:           format(addDays(logDate, i), "yyyy-MM-dd"),
-                log_type:       "period",
-                flow_intensity: i >= defaultLen - 1 ? "light" : "medium",
-                symptoms: [], moods: [],
-              });
-            } catch { /* skip if already exists */ }
+          for (let i = 1; i <= autoFillDays; i++) {
+            // Days already logged keep what's there and just become period days
+            await markPeriodDay(
+              format(addDays(logDate, i), "yyyy-MM-dd"),
+              i >= defaultLen - 1 ? "light" : "medium"
+            );
           }
           // First day always updates the period start
           await upsertCycleSettings({ last_period_start: dateStr });
@@ -100,14 +263,7 @@ export default function LogEntry() {
             let d = addDays(parseISO(startStr), 1);
             let guard = 0;
             while (format(d, "yyyy-MM-dd") < dateStr && guard++ < 30) {
-              try {
-                await createCycleLog({
-                  date: format(d, "yyyy-MM-dd"),
-                  log_type: "period",
-                  flow_intensity: "medium",
-                  symptoms: [], moods: [],
-                });
-              } catch { /* skip duplicates */ }
+              await markPeriodDay(format(d, "yyyy-MM-dd"));
               d = addDays(d, 1);
             }
           }
@@ -129,74 +285,118 @@ export default function LogEntry() {
 
       } else {
         const log_type =
-          data.symptoms.length > 0 ? "symptom"
+          hasSymptoms ? "symptom"
           : data.moods.length > 0  ? "mood"
           : "note";
-        await createCycleLog({ ...shared, log_type });
+        await saveDailyLog({
+          ...shared,
+          log_type,
+          flow_intensity: null,
+          is_period_end:  false,
+        });
+        // The day was a period day until now
+        if (dayLog?.log_type === "period") await syncPeriodSettings();
       }
     },
     onSuccess: () => {
       queryClient.invalidateQueries({ queryKey: ["recentLogs"] });
       queryClient.invalidateQueries({ queryKey: ["cycleSettings"] });
       queryClient.invalidateQueries({ queryKey: ["cycleLogs"] });
-      navigate(createPageUrl("Home"));
+      queryClient.invalidateQueries({ queryKey: ["dailyLog"] });
+      if (isEditing) {
+        queryClient.invalidateQueries({ queryKey: ["cycleLog", editId] });
+        toast.success("Log updated");
+        navigate(createPageUrl("Calendar"));
+      } else {
+        navigate(createPageUrl("Home"));
+      }
     },
+    onError: (err) => toast.error(err.message || "Failed to save log."),
   });
 
   const stepContent = {
     flow: {
-      title: "Period Flow",
+      title: bleedType ? "Bleeding" : "Period Flow",
       icon: Droplets,
       color: "text-rose-500",
       content: (
         <div className="space-y-4">
-          {/* Period day type */}
-          <div className="grid grid-cols-3 gap-2">
-            {[
-              { id: "first", emoji: "🌸", label: "First Day",  desc: "Start of period" },
-              { id: "mid",   emoji: "🩸", label: "Period Day", desc: "Ongoing" },
-              { id: "last",  emoji: "✨", label: "Last Day",   desc: "End of period" },
-            ].map((t) => (
-              <button
-                key={t.id}
-                onClick={() => setData({ ...data, period_day_type: t.id })}
-                className={`flex flex-col items-center py-3 rounded-2xl border-2 text-xs font-semibold transition-all ${
-                  data.period_day_type === t.id
-                    ? "border-rose-400 bg-rose-50 text-rose-700"
-                    : "border-slate-100 text-slate-500 hover:border-slate-200 bg-white"
-                }`}
-              >
-                <span className="text-xl mb-1">{t.emoji}</span>
-                <span className="font-bold">{t.label}</span>
-                <span className="text-[10px] font-normal text-slate-400 mt-0.5">{t.desc}</span>
-              </button>
-            ))}
-          </div>
-
-          {/* Auto-fill notice */}
-          {data.period_day_type === "first" && (
-            <motion.div
-              initial={{ opacity: 0, y: -4 }}
-              animate={{ opacity: 1, y: 0 }}
-              className="bg-rose-50 border border-rose-100 rounded-xl px-3 py-2 text-xs text-rose-600 flex items-start gap-2"
+          {/* Pill taken — active pill days only */}
+          {pack && !pack.isPlacebo && (
+            <button
+              type="button"
+              onClick={() => setData({ ...data, pill_taken: !data.pill_taken })}
+              className={`w-full flex items-center justify-between px-4 py-3 rounded-2xl border-2 text-sm font-semibold transition-all ${
+                data.pill_taken
+                  ? "border-violet-400 bg-violet-50 text-violet-700"
+                  : "border-slate-100 text-slate-500 hover:border-slate-200 bg-white"
+              }`}
             >
-              <span>🌸</span>
-              <span>We'll automatically fill in the next {(settings?.average_period_length || 5) - 1} days as period days for you.</span>
-            </motion.div>
+              <span>💊 Took my pill · day {pack.packDay}</span>
+              {data.pill_taken && <Check className="w-4 h-4" />}
+            </button>
           )}
-          {data.period_day_type === "last" && (
-            <motion.div
-              initial={{ opacity: 0, y: -4 }}
-              animate={{ opacity: 1, y: 0 }}
-              className="bg-rose-50 border border-rose-100 rounded-xl px-3 py-2 text-xs text-rose-600 flex items-start gap-2"
-            >
-              <span>✨</span>
-              <span>
-                {settings?.last_period_start
-                  ? `We'll fill in all days from your period start to today.`
-                  : "Log this as your last period day."}
-              </span>
-            </motion.div>
+
+          {bleedType ? (
+            <div className="bg-rose-50 border border-rose-100 rounded-xl px-3 py-2 text-xs text-rose-600">
+              Any bleeding you log today is saved as a {BLEED_LABELS[bleedType].toLowerCase()}. It isn't counted
+              as a period, so it doesn't change your cycle stats.
+            </div>
+          ) : (
+            <>
+              {/* Period day type */}
+              <div className="grid grid-cols-3 gap-2">
+                {[
+                  { id: "first", emoji: "🌸", label: "First Day",  desc: "Start of period" },
+                  { id: "mid",   emoji: "🩸", label: "Period Day", desc: "Ongoing" },
+                  { id: "last",  emoji: "✨", label: "Last Day",   desc: "End of period" },
+                ].map((t) => (
+                  <button
+                    key={t.id}
+                    onClick={() => setData({ ...data, period_day_type: t.id })}
+                    className={`flex flex-col items-center py-3 rounded-2xl border-2 text-xs font-semibold transition-all ${
+                      data.period_day_type === t.id
+                        ? "border-rose-400 bg-rose-50 text-rose-700"
+                        : "border-slate-100 text-slate-500 hover:border-slate-200 bg-white"
+                    }`}
+                  >
+                    <span className="text-xl mb-1">{t.emoji}</span>
+                    <span className="font-bold">{t.label}</span>
+                    <span className="text-[10px] font-normal text-slate-400 mt-0.5">{t.desc}</span>
+                  </button>
+                ))}
+              </div>
+
+              {/* Auto-fill notice */}
+              {data.period_day_type === "first" && !isEditing && (
+                <motion.div
+                  initial={{ opacity: 0, y: -4 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  className="bg-rose-50 border border-rose-100 rounded-xl px-3 py-2 text-xs text-rose-600 flex items-start gap-2"
+                >
+                  <span>🌸</span>
+                  <span>
+                    {autoFillDays > 0
+                      ? `We'll also mark the ${autoFillDays} day${autoFillDays > 1 ? "s" : ""} since then as period days.`
+                      : "Log the next days as they come, or mark the whole period at once from the Calendar."}
+                  </span>
+                </motion.div>
+              )}
+              {data.period_day_type === "last" && !isEditing && (
+                <motion.div
+                  initial={{ opacity: 0, y: -4 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  className="bg-rose-50 border border-rose-100 rounded-xl px-3 py-2 text-xs text-rose-600 flex items-start gap-2"
+                >
+                  <span>✨</span>
+                  <span>
+                    {settings?.last_period_start
+                      ? `We'll fill in all days from your period start to today.`
+                      : "Log this as your last period day."}
+                  </span>
+                </motion.div>
+              )}
+            </>
           )}
 
           <FlowPicker
@@ -211,9 +411,35 @@ export default function LogEntry() {
       icon: Brain,
       color: "text-amber-500",
       content: (
-        <SymptomPicker
-          selected={data.symptoms}
-          onChange={(v) => setData({ ...data, symptoms: v })}
+        <div className="space-y-5">
+          {showVasomotor && (
+            <VasomotorPicker
+              values={data}
+              onChange={(v) => setData({ ...data, hot_flash_count: v.hot_flash_count, night_sweat_count: v.night_sweat_count })}
+            />
+          )}
+          <SymptomPicker
+            selected={data.symptoms}
+            onChange={(v) => setData({ ...data, symptoms: v })}
+          />
+          <MedicationPicker
+            medications={medications}
+            selected={data.medications_taken}
+            onChange={(v) => setData({ ...data, medications_taken: v })}
+          />
+        </div>
+      ),
+    },
+    fertility: {
+      title: "Fertility Signs",
+      icon: Flower2,
+      color: "text-sky-500",
+      content: (
+        <FertilityPicker
+          mucus={data.cervical_mucus}
+          onMucusChange={(v) => setData({ ...data, cervical_mucus: v })}
+          test={data.ovulation_test}
+          onTestChange={(v) => setData({ ...data, ovulation_test: v })}
         />
       ),
     },
@@ -328,6 +554,34 @@ export default function LogEntry() {
             </div>
           </div>
 
+          <div className="bg-white rounded-2xl p-4 border border-purple-50 shadow-sm">
+            <div className="flex items-center gap-3 mb-3">
+              <div className="bg-teal-50 w-9 h-9 rounded-xl flex items-center justify-center">
+                <Thermometer className="w-4 h-4 text-teal-500" />
+              </div>
+              <div>
+                <span className="text-sm font-medium text-slate-700">Basal body temperature</span>
+                <p className="text-[10px] text-slate-400">Taken on waking, before getting up</p>
+              </div>
+            </div>
+            <input
+              type="number"
+              step="0.01"
+              inputMode="decimal"
+              placeholder={tempUnit === "F" ? "°F (e.g. 97.70)" : "°C (e.g. 36.50)"}
+              value={data.bbt}
+              onChange={(e) => setData({ ...data, bbt: e.target.value })}
+              className={`flex h-9 w-full rounded-xl border bg-transparent px-3 py-1 text-base shadow-sm placeholder:text-muted-foreground focus-visible:outline-none focus-visible:ring-1 focus-visible:ring-ring md:text-sm ${
+                bbtInvalid ? "border-rose-300" : "border-purple-100"
+              }`}
+            />
+            {bbtInvalid && (
+              <p className="text-[11px] text-rose-500 mt-1.5">
+                That doesn't look like a body temperature in °{tempUnit}.
+              </p>
+            )}
+          </div>
+
           <div className="bg-white rounded-2xl p-4 border border-purple-50 shadow-sm">
             <div className="flex items-center gap-3 mb-3">
               <div className="bg-blue-50 w-9 h-9 rounded-xl flex items-center justify-center">
@@ -367,7 +621,7 @@ export default function LogEntry() {
   return (
     <div className="min-h-screen px-4 pt-10 pb-8 max-w-lg mx-auto" style={{ background: "linear-gradient(160deg, #faf5ff 0%, #fff0f8 100%)" }}>
       <div className="flex items-center justify-between mb-6">
-        <Link to={createPageUrl("Home")} className="p-2 -ml-2 rounded-xl hover:bg-purple-50 transition-colors">
+        <Link to={createPageUrl(isEditing ? "Calendar" : "Home")} className="p-2 -ml-2 rounded-xl hover:bg-purple-50 transition-colors">
           <ArrowLeft className="w-5 h-5 text-slate-500" />
         </Link>
         {/* Tappable date — shows native date picker on tap */}
@@ -389,6 +643,12 @@ export default function LogEntry() {
         <div className="w-9" />
       </div>
 
+      {!isEditing && dayLog && (
+        <p className="text-xs text-violet-600 bg-violet-50 border border-violet-100 rounded-xl px-3 py-2 -mt-2 mb-5">
+          You've already logged this day — saving updates that entry.
+        </p>
+      )}
+
       {/* Progress bar */}
       <div className="flex gap-1.5 mb-8">
         {STEPS.map((_, i) => (
@@ -430,13 +690,13 @@ export default function LogEntry() {
         {isLast ? (
           <Button
             onClick={() => createLog.mutate()}
-            disabled={createLog.isPending}
+            disabled={createLog.isPending || bbtInvalid || (isEditing ? !prefilled.current : loadingDay)}
             className="flex-1 rounded-2xl h-12 bg-gradient-to-r from-violet-600 to-purple-700 hover:from-violet-700 hover:to-purple-800 text-white shadow-lg shadow-violet-200"
           >
             {createLog.isPending ? (
               "Saving..."
             ) : (
-              <><Check className="w-4 h-4 mr-2" /> Save Log</>
+              <><Check className="w-4 h-4 mr-2" /> {isEditing || dayLog ? "Save Changes" : "Save Log"}</>
             )}
           </Button>
         ) : (
@@ -93,6 +93,9 @@ export default function Onboarding() {
             maxDate={new Date()}
             placeholder="Pick a date"
           />
+          <p className="text-xs text-slate-400 -mt-3">
+            Coming from Clue, Flo or Apple Health? You can import your full history in Settings after setup.
+          </p>
 
           <div>
             <label className="text-xs font-semibold text-slate-500 uppercase tracking-wide mb-2 block">
@@ -9,7 +9,20 @@ import { toast } from "sonner";
 import { getCycleSettings, upsertCycleSettings } from "@/lib/db";
 import { useAuth } from "@/lib/AuthContext";
 import { requestNotificationPermission } from "@/lib/notifications";
+import { enablePush, disablePush, isPushActive } from "@/lib/push";
 import DatePicker from "@/components/ui/DatePicker";
+import ExportSection from "@/components/settings/ExportSection";
+import ImportSection from "@/components/settings/ImportSection";
+import DeleteAccountSection from "@/components/settings/DeleteAccountSection";
+import EncryptionSection from "@/components/settings/EncryptionSection";
+import AppLockSection from "@/components/settings/AppLockSection";
+import CalendarFeedSection from "@/components/settings/CalendarFeedSection";
+import ContraceptionSection from "@/components/settings/ContraceptionSection";
+import PregnancySection from "@/components/settings/PregnancySection";
+import PerimenopauseSection from "@/components/settings/PerimenopauseSection";
+import LogItemsSection from "@/components/settings/LogItemsSection";
+import MedicationsSection from "@/components/settings/MedicationsSection";
+import { usesHormonalContraception, usesPillPack } from "@/lib/contraception";
 
 export default function Settings() {
   const { user, profile, logout } = useAuth();
@@ -17,6 +30,12 @@ export default function Settings() {
   const [saved, setSaved] = useState(false);
   // Only populate the form once — prevent re-fetch from overwriting unsaved edits
   const initialized = useRef(false);
+  // Whether this device gets reminders by push, even with Luna closed
+  const [pushActive, setPushActive] = useState(false);
+
+  useEffect(() => {
+    isPushActive().then(setPushActive);
+  }, []);
 
   const { data: settings, isLoading } = useQuery({
     queryKey: ["cycleSettings"],
@@ -35,6 +54,16 @@ export default function Settings() {
     reminder_symptoms_time: "20:00",
     reminder_mood_enabled: false,
     reminder_mood_time: "21:00",
+    reminder_daily_tip_enabled: false,
+    reminder_daily_tip_time: "09:00",
+    reminder_pill_enabled: false,
+    reminder_pill_time: "09:00",
+    temperature_unit: "C",
+    contraception_method: "",
+    contraception_started: "",
+    pill_pack_start: "",
+    pill_active_days: 21,
+    pill_placebo_days: 7,
   });
 
   useEffect(() => {
@@ -53,6 +82,16 @@ export default function Settings() {
         reminder_symptoms_time:    settings.reminder_symptoms_time    || "20:00",
         reminder_mood_enabled:     settings.reminder_mood_enabled     ?? false,
         reminder_mood_time:        settings.reminder_mood_time        || "21:00",
+        reminder_daily_tip_enabled: settings.reminder_daily_tip_enabled ?? false,
+        reminder_daily_tip_time:    settings.reminder_daily_tip_time    || "09:00",
+        reminder_pill_enabled:     settings.reminder_pill_enabled     ?? false,
+        reminder_pill_time:        settings.reminder_pill_time        || "09:00",
+        temperature_unit:          settings.temperature_unit          || "C",
+        contraception_method:      settings.contraception_method      || "",
+        contraception_started:     settings.contraception_started     || "",
+        pill_pack_start:           settings.pill_pack_start           || "",
+        pill_active_days:          settings.pill_active_days          || 21,
+        pill_placebo_days:         settings.pill_placebo_days         ?? 7,
       });
     }
   }, [settings]);
@@ -67,8 +106,17 @@ export default function Settings() {
         // Empty strings are not valid dates for PostgreSQL — send null instead
         last_period_start: form.last_period_start || null,
         last_period_end:   form.last_period_end   || null,
+        contraception_method:  form.contraception_method  || null,
+        contraception_started: form.contraception_started || null,
+        pill_pack_start:       form.pill_pack_start       || null,
+        // Lets the reminder scheduler work out this user's local time
+        timezone: Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC",
       }),
     onSuccess: () => {
+      if (!form.notifications_enabled && pushActive) {
+        disablePush().catch(() => {});
+        setPushActive(false);
+      }
       queryClient.invalidateQueries({ queryKey: ["cycleSettings"] });
       // Allow the form to reinitialise from the saved data on the NEXT mount
       initialized.current = false;
@@ -84,7 +132,14 @@ export default function Settings() {
 
   const handleToggleNotifications = async () => {
     if (!form.notifications_enabled) {
-      const granted = await requestNotificationPermission();
+      // Push first so reminders arrive with Luna closed; plain browser
+      // notifications (shown only while the app is open) are the fallback
+      const pushed = await enablePush().catch((err) => {
+        console.error("Push subscription error:", err);
+        return false;
+      });
+      setPushActive(pushed);
+      const granted = pushed || await requestNotificationPermission();
       if (!granted) {
         toast.error("Please allow notifications in your browser settings.");
         return;
@@ -152,8 +207,34 @@ export default function Settings() {
             />
             <p className="text-xs text-slate-400 mt-2">Set this to track how long your period lasted</p>
           </div>
+
+          <div className="space-y-2">
+            <p className="text-xs font-semibold text-slate-500 uppercase tracking-wide">Temperature Unit</p>
+            <div className="grid grid-cols-2 gap-2">
+              {[
+                { id: "C", label: "°C Celsius" },
+                { id: "F", label: "°F Fahrenheit" },
+              ].map((u) => (
+                <button
+                  key={u.id}
+                  type="button"
+                  onClick={() => setForm({ ...form, temperature_unit: u.id })}
+                  className={`py-2 rounded-xl text-xs font-semibold border-2 transition-all ${
+                    form.temperature_unit === u.id
+                      ? "border-violet-400 bg-violet-50 text-violet-700"
+                      : "border-slate-100 text-slate-500 hover:border-slate-200"
+                  }`}
+                >
+                  {u.label}
+                </button>
+              ))}
+            </div>
+            <p className="text-xs text-slate-400">Used for basal body temperature logging and charts</p>
+          </div>
         </div>
 
+        <ContraceptionSection form={form} setForm={setForm} />
+
         {/* Notifications */}
         <div className="bg-white rounded-2xl p-5 border border-purple-50 shadow-sm">
           <div className="flex items-center justify-between mb-4">
@@ -178,32 +259,72 @@ export default function Settings() {
 
           {form.notifications_enabled && (
             <div className="space-y-4">
-              <div className="bg-violet-50 rounded-xl p-3 border border-violet-100">
-                <p className="text-xs font-semibold text-violet-700 mb-2">Period Reminder</p>
-                <div className="flex items-center gap-3">
-                  <div className="flex-1">
-                    <p className="text-xs text-slate-500 mb-1">Days before period</p>
-                    <Input
-                      type="number"
-                      value={form.reminder_period_before}
-                      onChange={(e) => setForm({ ...form, reminder_period_before: e.target.value })}
-                      className="rounded-xl border-violet-200 h-8 text-sm"
-                      min={1} max={7}
-                    />
-                  </div>
-                  <div className="flex-1">
-                    <p className="text-xs text-slate-500 mb-1">Notification time</p>
-                    <Input
-                      type="time"
-                      value={form.reminder_period_time}
-                      onChange={(e) => setForm({ ...form, reminder_period_time: e.target.value })}
-                      className="rounded-xl border-violet-200 h-8 text-sm"
-                    />
+              {!usesHormonalContraception(form) && (
+                <div className="bg-violet-50 rounded-xl p-3 border border-violet-100">
+                  <p className="text-xs font-semibold text-violet-700 mb-2">Period Reminder</p>
+                  <div className="flex items-center gap-3">
+                    <div className="flex-1">
+                      <p className="text-xs text-slate-500 mb-1">Days before period</p>
+                      <Input
+                        type="number"
+                        value={form.reminder_period_before}
+                        onChange={(e) => setForm({ ...form, reminder_period_before: e.target.value })}
+                        className="rounded-xl border-violet-200 h-8 text-sm"
+                        min={1} max={7}
+                      />
+                    </div>
+                    <div className="flex-1">
+                      <p className="text-xs text-slate-500 mb-1">Notification time</p>
+                      <Input
+                        type="time"
+                        value={form.reminder_period_time}
+                        onChange={(e) => setForm({ ...form, reminder_period_time: e.target.value })}
+                        className="rounded-xl border-violet-200 h-8 text-sm"
+                      />
+                    </div>
                   </div>
                 </div>
-              </div>
+              )}
+              {usesPillPack(form) && (
+                <DailyReminder
+                  label="Pill Reminder"
+                  hint="On active pill days until you log today's pill"
+                  enabled={form.reminder_pill_enabled}
+                  time={form.reminder_pill_time}
+                  onToggle={() => setForm({ ...form, reminder_pill_enabled: !form.reminder_pill_enabled })}
+                  onTime={(t) => setForm({ ...form, reminder_pill_time: t })}
+                />
+              )}
+              <DailyReminder
+                label="Symptom Check-In"
+                hint="Only if you haven't logged symptoms that day"
+                enabled={form.reminder_symptoms_enabled}
+                time={form.reminder_symptoms_time}
+                onToggle={() => setForm({ ...form, reminder_symptoms_enabled: !form.reminder_symptoms_enabled })}
+                onTime={(t) => setForm({ ...form, reminder_symptoms_time: t })}
+              />
+              <DailyReminder
+                label="Mood Check-In"
+                hint="Only if you haven't logged a mood that day"
+                enabled={form.reminder_mood_enabled}
+                time={form.reminder_mood_time}
+                onToggle={() => setForm({ ...form, reminder_mood_enabled: !form.reminder_mood_enabled })}
+                onTime={(t) => setForm({ ...form, reminder_mood_time: t })}
+              />
+              {!usesHormonalContraception(form) && (
+                <DailyReminder
+                  label="Daily Tip"
+                  hint="Today's tip for where you are in your cycle"
+                  enabled={form.reminder_daily_tip_enabled}
+                  time={form.reminder_daily_tip_time}
+                  onToggle={() => setForm({ ...form, reminder_daily_tip_enabled: !form.reminder_daily_tip_enabled })}
+                  onTime={(t) => setForm({ ...form, reminder_daily_tip_time: t })}
+                />
+              )}
               <p className="text-xs text-slate-400">
-                Browser notifications only appear when Luna is open. For reliable reminders, check the calendar regularly.
+                {pushActive
+                  ? "Reminders are sent to this device at these times, even when Luna is closed."
+                  : "This browser can't receive push reminders, so they only appear while Luna is open."}
               </p>
             </div>
           )}
@@ -224,6 +345,24 @@ export default function Settings() {
           )}
         </Button>
 
+        <PregnancySection />
+
+        <PerimenopauseSection />
+
+        <LogItemsSection />
+
+        <MedicationsSection />
+
+        <AppLockSection />
+
+        <EncryptionSection />
+
+        <ImportSection />
+
+        <ExportSection />
+
+        <CalendarFeedSection />
+
         <Button
           variant="outline"
           onClick={logout}
@@ -231,7 +370,46 @@ export default function Settings() {
         >
           <LogOut className="w-4 h-4 mr-2" /> Log Out
         </Button>
+
+        <DeleteAccountSection />
       </motion.div>
     </div>
   );
 }
+
+/** A once-a-day check-in reminder with its own on/off switch and time. */
+function DailyReminder({ label, hint, enabled, time, onToggle, onTime }) {
+  return (
+    <div className="bg-violet-50 rounded-xl p-3 border border-violet-100">
+      <div className="flex items-center justify-between">
+        <div>
+          <p className="text-xs font-semibold text-violet-700">{label}</p>
+          <p className="text-[11px] text-slate-400">{hint}</p>
+        </div>
+        <button
+          type="button"
+          onClick={onToggle}
+          aria-label={`${label} reminder`}
+          className={`w-10 h-5 rounded-full transition-all duration-200 relative flex-shrink-0 ${
+            enabled ? "bg-violet-500" : "bg-slate-200"
+          }`}
+        >
+          <div className={`absolute top-0.5 left-0.5 w-4 h-4 bg-white rounded-full shadow transition-transform duration-200 ${
+            enabled ? "translate-x-5" : "translate-x-0"
+          }`} />
+        </button>
+      </div>
+      {enabled && (
+        <div className="mt-2">
+          <p className="text-xs text-slate-500 mb-1">Notification time</p>
+          <input
+            type="time"
+            value={time}
+            onChange={(e) => onTime(e.target.value)}
+            className="text-sm font-medium text-slate-700 bg-white border border-violet-200 rounded-xl px-2 py-1 focus:outline-none focus:border-violet-300"
+          />
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,20 @@
+-- ============================================================
+-- AuraCycle - Basal body temperature tracking
+-- Run after 001_initial.sql in the Supabase SQL editor.
+-- ============================================================
+
+-- ─── CYCLE LOGS: BBT READING ─────────────────────────────────
+-- Always stored in °C; the app converts to/from °F for display.
+alter table public.cycle_logs
+  add column if not exists bbt numeric(4, 2)
+    check (bbt between 34 and 42);
+
+-- ─── CYCLE SETTINGS: DISPLAY UNIT ────────────────────────────
+alter table public.cycle_settings
+  add column if not exists temperature_unit text not null default 'C'
+    check (temperature_unit in ('C', 'F'));
+
+-- ─── INDEXES FOR PERFORMANCE ─────────────────────────────────
+create index if not exists idx_cycle_logs_user_bbt
+  on public.cycle_logs(user_id, date)
+  where bbt is not null;
@@ -0,0 +1,13 @@
+-- ============================================================
+-- AuraCycle - Cervical mucus & ovulation (LH) test logging
+-- Run after 002_bbt.sql in the Supabase SQL editor.
+-- ============================================================
+
+-- ─── CYCLE LOGS: FERTILITY SIGNS ─────────────────────────────
+alter table public.cycle_logs
+  add column if not exists cervical_mucus text
+    check (cervical_mucus in ('dry', 'sticky', 'creamy', 'watery', 'egg_white'));
+
+alter table public.cycle_logs
+  add column if not exists ovulation_test text
+    check (ovulation_test in ('negative', 'high', 'peak'));
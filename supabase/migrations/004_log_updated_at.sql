@@ -0,0 +1,39 @@
+-- ============================================================
+-- AuraCycle - Row versioning for offline sync
+-- Run after 003_fertility_signs.sql in the Supabase SQL editor.
+-- Edits queued offline compare against updated_at to detect
+-- changes made on another device in the meantime.
+-- ============================================================
+
+-- ─── CYCLE LOGS: UPDATED_AT ──────────────────────────────────
+-- Backfill from created_at before adding the default, so existing rows
+-- don't all look like they were edited at migration time.
+alter table public.cycle_logs
+  add column if not exists updated_at timestamptz;
+
+update public.cycle_logs
+  set updated_at = coalesce(created_at, now())
+  where updated_at is null;
+
+alter table public.cycle_logs
+  alter column updated_at set default now();
+
+-- ─── KEEP UPDATED_AT CURRENT ─────────────────────────────────
+create or replace function public.set_updated_at()
+returns trigger language plpgsql
+as $$
+begin
+  new.updated_at = now();
+  return new;
+end;
+$$;
+
+drop trigger if exists cycle_logs_set_updated_at on public.cycle_logs;
+create trigger cycle_logs_set_updated_at
+  before update on public.cycle_logs
+  for each row execute procedure public.set_updated_at();
+
+drop trigger if exists cycle_settings_set_updated_at on public.cycle_settings;
+create trigger cycle_settings_set_updated_at
+  before update on public.cycle_settings
+  for each row execute procedure public.set_updated_at();
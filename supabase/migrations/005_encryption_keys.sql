@@ -0,0 +1,29 @@
+-- ============================================================
+-- AuraCycle - Opt-in end-to-end encryption
+-- Run after 004_log_updated_at.sql in the Supabase SQL editor.
+-- Only wrapped (encrypted) copies of each user's data key are
+-- stored here; the passphrase and recovery code never leave
+-- the browser. Encrypted log fields are prefixed "enc:v1:".
+-- ============================================================
+
+-- ─── ENCRYPTION KEYS TABLE ───────────────────────────────────
+create table if not exists public.encryption_keys (
+  user_id               uuid primary key references auth.users(id) on delete cascade,
+  kdf_salt              text not null,
+  kdf_iterations        int  not null,
+  wrapped_key           text not null,
+  recovery_salt         text not null,
+  recovery_wrapped_key  text not null,
+  created_at            timestamptz default now(),
+  updated_at            timestamptz default now()
+);
+
+-- ─── ROW LEVEL SECURITY ──────────────────────────────────────
+alter table public.encryption_keys enable row level security;
+
+drop policy if exists "encryption_keys_own" on public.encryption_keys;
+
+create policy "encryption_keys_own"
+  on public.encryption_keys for all
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
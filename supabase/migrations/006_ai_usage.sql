@@ -0,0 +1,29 @@
+-- ============================================================
+-- AuraCycle - AI usage ledger for /api/chat quotas
+-- Run after 005_encryption_keys.sql in the Supabase SQL editor.
+-- One row per Claude request. Written only by the server with
+-- the service role key; users may read their own rows.
+-- ============================================================
+
+-- ─── AI USAGE TABLE ──────────────────────────────────────────
+create table if not exists public.ai_usage (
+  id             bigint generated always as identity primary key,
+  user_id        uuid not null references auth.users(id) on delete cascade,
+  mode           text not null,
+  input_tokens   int  not null default 0,
+  output_tokens  int  not null default 0,
+  created_at     timestamptz default now()
+);
+
+create index if not exists ai_usage_user_created_idx
+  on public.ai_usage (user_id, created_at desc);
+
+-- ─── ROW LEVEL SECURITY ──────────────────────────────────────
+-- No insert/update policy: quotas can't be reset from the browser.
+alter table public.ai_usage enable row level security;
+
+drop policy if exists "ai_usage_read_own" on public.ai_usage;
+
+create policy "ai_usage_read_own"
+  on public.ai_usage for select
+  using (auth.uid() = user_id);
@@ -0,0 +1,121 @@
+-- ============================================================
+-- AuraCycle - One daily record per date
+-- Run after 006_ai_usage.sql in the Supabase SQL editor.
+-- Folds each user's duplicate cycle_logs rows for the same day
+-- into a single row, then allows only one row per user and date.
+-- ============================================================
+
+begin;
+
+-- ─── PICK A ROW TO KEEP PER DAY ──────────────────────────────
+-- The day's period row if there is one, otherwise the oldest row.
+create temp table day_rows on commit drop as
+select
+  l.*,
+  row_number() over (
+    partition by l.user_id, l.date
+    order by (l.log_type = 'period') desc, l.created_at, l.id
+  ) as keep_rank
+from public.cycle_logs l
+where (l.user_id, l.date) in (
+  select user_id, date from public.cycle_logs
+  group by user_id, date
+  having count(*) > 1
+);
+
+-- ─── MERGE TAGS ──────────────────────────────────────────────
+-- Symptoms are "id:severity"; the most recently edited severity wins.
+-- Encrypted values can't be compared, so each one is kept as is.
+create temp table day_tags on commit drop as
+select user_id, date, field, array_agg(tag order by tag) as tags
+from (
+  select distinct on (user_id, date, field, tag_key)
+    user_id, date, field, tag
+  from (
+    select d.user_id, d.date, d.updated_at, f.field, t.tag,
+      case when t.tag like 'enc:v1:%' or f.field = 'moods' then t.tag
+           else split_part(t.tag, ':', 1) end as tag_key
+    from day_rows d
+    cross join lateral (values ('symptoms', d.symptoms), ('moods', d.moods)) as f(field, tags)
+    cross join lateral unnest(f.tags) as t(tag)
+  ) all_tags
+  order by user_id, date, field, tag_key, updated_at desc nulls last
+) unique_tags
+group by user_id, date, field;
+
+-- ─── MERGE NOTES ─────────────────────────────────────────────
+-- Distinct notes appended in the order they were written.
+create temp table day_notes on commit drop as
+select user_id, date, string_agg(notes, E'\n\n' order by created_at) as notes
+from (
+  select distinct on (user_id, date, notes) user_id, date, notes, created_at
+  from day_rows
+  where notes is not null and notes <> ''
+  order by user_id, date, notes, created_at
+) unique_notes
+group by user_id, date;
+
+-- ─── MERGE SINGLE VALUES ─────────────────────────────────────
+-- Flow takes the heaviest reading; everything else the latest edit that set it.
+create temp table day_merged on commit drop as
+select
+  d.user_id,
+  d.date,
+  bool_or(d.log_type = 'period') as is_period,
+  (array_agg(d.flow_intensity order by
+    array_position(array['spotting', 'light', 'medium', 'heavy'], d.flow_intensity) desc nulls last))[1]
+    as flow_intensity,
+  bool_or(coalesce(d.is_period_end, false)) as is_period_end,
+  bool_or(coalesce(d.exercise, false))      as exercise,
+  (array_agg(d.sleep_hours    order by d.updated_at desc nulls last) filter (where d.sleep_hours    is not null))[1] as sleep_hours,
+  (array_agg(d.sleep_quality  order by d.updated_at desc nulls last) filter (where d.sleep_quality  is not null))[1] as sleep_quality,
+  (array_agg(d.water_intake   order by d.updated_at desc nulls last) filter (where d.water_intake   is not null))[1] as water_intake,
+  (array_agg(d.exercise_type  order by d.updated_at desc nulls last) filter (where d.exercise_type  is not null))[1] as exercise_type,
+  (array_agg(d.stress_level   order by d.updated_at desc nulls last) filter (where d.stress_level   is not null))[1] as stress_level,
+  (array_agg(d.bbt            order by d.updated_at desc nulls last) filter (where d.bbt            is not null))[1] as bbt,
+  (array_agg(d.cervical_mucus order by d.updated_at desc nulls last) filter (where d.cervical_mucus is not null))[1] as cervical_mucus,
+  (array_agg(d.ovulation_test order by d.updated_at desc nulls last) filter (where d.ovulation_test is not null))[1] as ovulation_test
+from day_rows d
+group by d.user_id, d.date;
+
+-- ─── WRITE THE MERGED DAY, DROP THE REST ─────────────────────
+update public.cycle_logs l set
+  symptoms       = coalesce(s.tags, '{}'),
+  moods          = coalesce(mo.tags, '{}'),
+  notes          = n.notes,
+  log_type       = case
+                     when m.is_period then 'period'
+                     when cardinality(s.tags)  > 0 then 'symptom'
+                     when cardinality(mo.tags) > 0 then 'mood'
+                     else 'note'
+                   end,
+  flow_intensity = m.flow_intensity,
+  is_period_end  = m.is_period_end,
+  exercise       = m.exercise,
+  sleep_hours    = m.sleep_hours,
+  sleep_quality  = m.sleep_quality,
+  water_intake   = m.water_intake,
+  exercise_type  = m.exercise_type,
+  stress_level   = m.stress_level,
+  bbt            = m.bbt,
+  cervical_mucus = m.cervical_mucus,
+  ovulation_test = m.ovulation_test
+from day_rows k
+join day_merged m on m.user_id = k.user_id and m.date = k.date
+left join day_tags s   on s.user_id  = k.user_id and s.date  = k.date and s.field  = 'symptoms'
+left join day_tags mo  on mo.user_id = k.user_id and mo.date = k.date and mo.field = 'moods'
+left join day_notes n  on n.user_id  = k.user_id and n.date  = k.date
+where l.id = k.id and k.keep_rank = 1;
+
+delete from public.cycle_logs l
+using day_rows d
+where l.id = d.id and d.keep_rank > 1;
+
+-- ─── ONE RECORD PER USER PER DAY ─────────────────────────────
+alter table public.cycle_logs
+  drop constraint if exists cycle_logs_user_date_key;
+
+alter table public.cycle_logs
+  add constraint cycle_logs_user_date_key unique (user_id, date);
+
+commit;
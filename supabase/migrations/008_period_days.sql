@@ -0,0 +1,60 @@
+-- ============================================================
+-- AuraCycle - Batch period editing from the Calendar
+-- Run after 007_daily_records.sql in the Supabase SQL editor.
+-- Marks and unmarks a whole range of period days in a single
+-- call, so a corrected period is saved all at once or not at all.
+-- ============================================================
+
+-- ─── SAVE PERIOD DAYS ────────────────────────────────────────
+-- days:        [{ id?, date, flow_intensity, is_period_end }] to mark.
+--              `id` is only used when the day has no record yet.
+-- clear_dates: days that are no longer period days. Anything else
+--              logged on them stays; a day left empty is removed.
+-- Runs as the caller, so the cycle_logs RLS policy still applies.
+create or replace function public.save_period_days(days jsonb, clear_dates date[] default '{}')
+returns void
+language plpgsql
+security invoker
+set search_path = public
+as $$
+begin
+  insert into public.cycle_logs (id, user_id, date, log_type, flow_intensity, is_period_end)
+  select
+    coalesce((d->>'id')::uuid, gen_random_uuid()),
+    auth.uid(),
+    (d->>'date')::date,
+    'period',
+    coalesce(d->>'flow_intensity', 'medium'),
+    coalesce((d->>'is_period_end')::boolean, false)
+  from jsonb_array_elements(coalesce(days, '[]'::jsonb)) d
+  on conflict (user_id, date) do update set
+    log_type       = 'period',
+    flow_intensity = excluded.flow_intensity,
+    is_period_end  = excluded.is_period_end;
+
+  update public.cycle_logs set
+    log_type       = case
+                       when cardinality(symptoms) > 0 then 'symptom'
+                       when cardinality(moods)    > 0 then 'mood'
+                       else 'note'
+                     end,
+    flow_intensity = null,
+    is_period_end  = false
+  where user_id = auth.uid()
+    and date = any(clear_dates)
+    and log_type = 'period';
+
+  delete from public.cycle_logs
+  where user_id = auth.uid()
+    and date = any(clear_dates)
+    and coalesce(cardinality(symptoms), 0) = 0
+    and coalesce(cardinality(moods), 0) = 0
+    and coalesce(notes, '') = ''
+    and sleep_hours is null and sleep_quality is null and water_intake is null
+    and not coalesce(exercise, false) and exercise_type is null
+    and stress_level is null and bbt is null
+    and cervical_mucus is null and ovulation_test is null;
+end;
+$$;
+
+grant execute on function public.save_period_days(jsonb, date[]) to authenticated;
@@ -0,0 +1,52 @@
+-- ============================================================
+-- AuraCycle - Web Push reminders
+-- Run after 008_period_days.sql in the Supabase SQL editor.
+-- Each device that turns on reminders stores its push
+-- subscription here; /api/send-reminders (a Vercel cron job)
+-- reads them with the service role key and records every
+-- reminder it delivers so none goes out twice in a day.
+-- ============================================================
+
+-- ─── PUSH SUBSCRIPTIONS ──────────────────────────────────────
+-- One row per browser/device. p256dh and auth are the keys the
+-- push service needs to encrypt payloads for that device.
+create table if not exists public.push_subscriptions (
+  id            uuid primary key default gen_random_uuid(),
+  user_id       uuid not null references auth.users(id) on delete cascade,
+  endpoint      text not null,
+  p256dh        text not null,
+  auth          text not null,
+  user_agent    text,
+  created_at    timestamptz default now(),
+  last_used_at  timestamptz,
+  constraint push_subscriptions_user_endpoint_key unique (user_id, endpoint)
+);
+
+-- ─── USER TIMEZONE ───────────────────────────────────────────
+-- IANA name (e.g. "Europe/Berlin"), saved from the browser so the
+-- scheduler can tell when it's 08:00 for this user.
+alter table public.cycle_settings
+  add column if not exists timezone text default 'UTC';
+
+-- ─── DELIVERY LEDGER ─────────────────────────────────────────
+-- Claimed before sending; the primary key stops a second cron run
+-- from sending the same reminder on the same local day.
+create table if not exists public.reminder_deliveries (
+  user_id        uuid not null references auth.users(id) on delete cascade,
+  reminder_type  text not null,
+  local_date     date not null,
+  sent_at        timestamptz default now(),
+  primary key (user_id, reminder_type, local_date)
+);
+
+-- ─── ROW LEVEL SECURITY ──────────────────────────────────────
+-- Deliveries are written only by the server; no policy needed.
+alter table public.push_subscriptions  enable row level security;
+alter table public.reminder_deliveries enable row level security;
+
+drop policy if exists "push_subscriptions_own" on public.push_subscriptions;
+
+create policy "push_subscriptions_own"
+  on public.push_subscriptions for all
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
@@ -0,0 +1,9 @@
+-- ============================================================
+-- AuraCycle - Daily tip reminder
+-- Run after 009_push_notifications.sql in the Supabase SQL editor.
+-- Opt-in reminder that sends the day's phase-specific tip.
+-- ============================================================
+
+alter table public.cycle_settings
+  add column if not exists reminder_daily_tip_enabled boolean default false,
+  add column if not exists reminder_daily_tip_time    text    default '09:00';
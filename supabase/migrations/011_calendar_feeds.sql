@@ -0,0 +1,32 @@
+-- ============================================================
+-- AuraCycle - Subscribable calendar (ICS) feed
+-- Run after 010_daily_tip_reminder.sql in the Supabase SQL editor.
+-- One feed per user. The token in the feed URL is the only
+-- credential calendar apps send, so anyone holding the URL can
+-- read the feed until the user rotates or revokes it.
+-- ============================================================
+
+-- ─── CALENDAR FEEDS ──────────────────────────────────────────
+-- The titles are what shows up in the calendar app; they default
+-- to wording that doesn't reveal what the events are.
+create table if not exists public.calendar_feeds (
+  user_id          uuid primary key references auth.users(id) on delete cascade,
+  token            text not null unique check (char_length(token) >= 32),
+  calendar_name    text not null default 'Personal',
+  period_title     text not null default 'Personal',
+  fertile_title    text not null default 'Reminder',
+  include_fertile  boolean not null default true,
+  created_at       timestamptz default now(),
+  updated_at       timestamptz default now()
+);
+
+-- ─── ROW LEVEL SECURITY ──────────────────────────────────────
+-- /api/calendar-feed looks tokens up with the service role key.
+alter table public.calendar_feeds enable row level security;
+
+drop policy if exists "calendar_feeds_own" on public.calendar_feeds;
+
+create policy "calendar_feeds_own"
+  on public.calendar_feeds for all
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
@@ -0,0 +1,86 @@
+-- ============================================================
+-- AuraCycle - Birth control mode
+-- Run after 011_calendar_feeds.sql in the Supabase SQL editor.
+-- A contraception profile in the settings, a pill pack schedule,
+-- daily pill-taken logging, and bleeds on hormonal methods kept
+-- apart from periods so they never feed cycle predictions.
+-- ============================================================
+
+-- ─── CONTRACEPTION PROFILE ───────────────────────────────────
+-- contraception_started: bleeds from this day on are classified
+-- by the method; earlier ones stay periods.
+-- pill_pack_start: day 1 of any pack, later packs follow on from
+-- it (pill_active_days + pill_placebo_days long each).
+alter table public.cycle_settings
+  add column if not exists contraception_method  text
+    check (contraception_method in (
+      'combined_pill', 'mini_pill', 'patch', 'ring', 'hormonal_iud', 'copper_iud', 'implant'
+    )),
+  add column if not exists contraception_started date,
+  add column if not exists pill_pack_start       date,
+  add column if not exists pill_active_days      int     default 21 check (pill_active_days between 1 and 90),
+  add column if not exists pill_placebo_days     int     default 7  check (pill_placebo_days between 0 and 7),
+  add column if not exists reminder_pill_enabled boolean default false,
+  add column if not exists reminder_pill_time    text    default '09:00';
+
+-- ─── DAILY LOG ───────────────────────────────────────────────
+-- bleed_type is set on period days logged under a hormonal
+-- method; those rows are left out when grouping cycles.
+alter table public.cycle_logs
+  add column if not exists pill_taken boolean,
+  add column if not exists bleed_type text check (bleed_type in ('withdrawal', 'breakthrough'));
+
+-- ─── SAVE PERIOD DAYS ────────────────────────────────────────
+-- Same as 008_period_days.sql, plus each day's bleed_type and
+-- pill_taken counting as something logged on a cleared day.
+create or replace function public.save_period_days(days jsonb, clear_dates date[] default '{}')
+returns void
+language plpgsql
+security invoker
+set search_path = public
+as $$
+begin
+  insert into public.cycle_logs (id, user_id, date, log_type, flow_intensity, is_period_end, bleed_type)
+  select
+    coalesce((d->>'id')::uuid, gen_random_uuid()),
+    auth.uid(),
+    (d->>'date')::date,
+    'period',
+    coalesce(d->>'flow_intensity', 'medium'),
+    coalesce((d->>'is_period_end')::boolean, false),
+    d->>'bleed_type'
+  from jsonb_array_elements(coalesce(days, '[]'::jsonb)) d
+  on conflict (user_id, date) do update set
+    log_type       = 'period',
+    flow_intensity = excluded.flow_intensity,
+    is_period_end  = excluded.is_period_end,
+    bleed_type     = excluded.bleed_type;
+
+  update public.cycle_logs set
+    log_type       = case
+                       when cardinality(symptoms) > 0 then 'symptom'
+                       when cardinality(moods)    > 0 then 'mood'
+                       else 'note'
+                     end,
+    flow_intensity = null,
+    is_period_end  = false,
+    bleed_type     = null
+  where user_id = auth.uid()
+    and date = any(clear_dates)
+    and log_type = 'period';
+
+  delete from public.cycle_logs
+  where user_id = auth.uid()
+    and date = any(clear_dates)
+    and coalesce(cardinality(symptoms), 0) = 0
+    and coalesce(cardinality(moods), 0) = 0
+    and coalesce(notes, '') = ''
+    and sleep_hours is null and sleep_quality is null and water_intake is null
+    and not coalesce(exercise, false) and exercise_type is null
+    and stress_level is null and bbt is null
+    and cervical_mucus is null and ovulation_test is null
+    and pill_taken is null;
+end;
+$$;
+
+grant execute on function public.save_period_days(jsonb, date[]) to authenticated;
@@ -0,0 +1,20 @@
+-- ============================================================
+-- AuraCycle - Pregnancy mode
+-- Run after 012_contraception.sql in the Supabase SQL editor.
+-- Pauses cycle predictions and reminders during a pregnancy
+-- and until the first period after it, and remembers each
+-- pregnancy so cycle statistics skip over it.
+-- ============================================================
+
+-- tracking_mode:      'cycle' (default), 'pregnancy', or 'postpartum'
+--                     (after a pregnancy, until the first period).
+-- due_date:           of the current pregnancy; the pregnancy is dated
+--                     from 280 days before it.
+-- pregnancy_end_date: the day the last pregnancy ended.
+-- cycle_pauses:       [{ start, end }] date ranges of past pregnancies.
+alter table public.cycle_settings
+  add column if not exists tracking_mode text default 'cycle'
+    check (tracking_mode in ('cycle', 'pregnancy', 'postpartum')),
+  add column if not exists due_date           date,
+  add column if not exists pregnancy_end_date date,
+  add column if not exists cycle_pauses       jsonb default '[]'::jsonb;
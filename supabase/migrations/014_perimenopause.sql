@@ -0,0 +1,22 @@
+-- ============================================================
+-- AuraCycle - Perimenopause mode
+-- Run after 013_pregnancy.sql in the Supabase SQL editor.
+-- Adds a perimenopause tracking mode, with irregularity judged
+-- against age (profiles.birth_year), and per-day counts of hot
+-- flashes and night sweats.
+-- ============================================================
+
+-- ─── CYCLE SETTINGS ──────────────────────────────────────────
+alter table public.cycle_settings
+  drop constraint if exists cycle_settings_tracking_mode_check;
+alter table public.cycle_settings
+  add constraint cycle_settings_tracking_mode_check
+    check (tracking_mode in ('cycle', 'pregnancy', 'postpartum', 'perimenopause'));
+
+-- ─── DAILY LOG ───────────────────────────────────────────────
+-- How many hot flashes that day, and night sweats the night
+-- before. A day with a count also carries the matching symptom
+-- tag, so it is never cleared as empty by save_period_days.
+alter table public.cycle_logs
+  add column if not exists hot_flash_count   int check (hot_flash_count   between 0 and 50),
+  add column if not exists night_sweat_count int check (night_sweat_count between 0 and 50);
@@ -0,0 +1,41 @@
+-- ============================================================
+-- AuraCycle - Custom symptoms and moods
+-- Run after 014_perimenopause.sql in the Supabase SQL editor.
+-- Users can define their own symptoms and moods, and hide the
+-- built-in ones they never use.
+-- ============================================================
+
+-- ─── CUSTOM LOG ITEMS ────────────────────────────────────────
+-- key is what cycle_logs.symptoms / moods store (symptoms as
+-- "key:severity"), so it never changes once created; renaming
+-- only changes the label. has_severity applies to symptoms.
+create table if not exists public.custom_log_items (
+  id            uuid primary key default gen_random_uuid(),
+  user_id       uuid not null references auth.users(id) on delete cascade,
+  kind          text not null check (kind in ('symptom', 'mood')),
+  key           text not null check (key ~ '^[a-z0-9_]{1,48}$'),
+  label         text not null check (char_length(label) between 1 and 40),
+  emoji         text not null default '✨' check (char_length(emoji) <= 16),
+  has_severity  boolean not null default false,
+  created_at    timestamptz default now(),
+  unique (user_id, key)
+);
+
+create index if not exists custom_log_items_user_idx
+  on public.custom_log_items (user_id, created_at);
+
+-- ─── HIDDEN BUILT-INS ────────────────────────────────────────
+-- Ids of built-in symptoms / moods left out of the pickers.
+alter table public.cycle_settings
+  add column if not exists hidden_symptoms text[] default '{}',
+  add column if not exists hidden_moods    text[] default '{}';
+
+-- ─── ROW LEVEL SECURITY ──────────────────────────────────────
+alter table public.custom_log_items enable row level security;
+
+drop policy if exists "custom_log_items_own" on public.custom_log_items;
+
+create policy "custom_log_items_own"
+  on public.custom_log_items for all
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
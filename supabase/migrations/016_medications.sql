@@ -0,0 +1,98 @@
+-- ============================================================
+-- AuraCycle - Medications and supplements
+-- Run after 015_custom_log_items.sql in the Supabase SQL editor.
+-- A per-user list of medications and supplements with dose and
+-- schedule, optional daily reminders, and which of them were
+-- taken on each logged day.
+-- ============================================================
+
+-- ─── MEDICATIONS ─────────────────────────────────────────────
+-- schedule 'daily' can have a reminder at reminder_time (local,
+-- "HH:mm"); 'as_needed' ones are only logged. Stopping one sets
+-- active = false, which keeps it for past days and insights.
+create table if not exists public.medications (
+  id                uuid primary key default gen_random_uuid(),
+  user_id           uuid not null references auth.users(id) on delete cascade,
+  name              text not null check (char_length(name) between 1 and 60),
+  dose              text check (char_length(dose) <= 40),
+  kind              text not null default 'medication' check (kind in ('medication', 'supplement')),
+  schedule          text not null default 'daily' check (schedule in ('daily', 'as_needed')),
+  reminder_enabled  boolean not null default false,
+  reminder_time     text not null default '09:00' check (reminder_time ~ '^[0-2][0-9]:[0-5][0-9]$'),
+  active            boolean not null default true,
+  created_at        timestamptz default now()
+);
+
+create index if not exists medications_user_idx
+  on public.medications (user_id, created_at);
+
+-- ─── DAILY LOG ───────────────────────────────────────────────
+-- Ids of the medications taken that day.
+alter table public.cycle_logs
+  add column if not exists medications_taken uuid[];
+
+-- ─── SAVE PERIOD DAYS ────────────────────────────────────────
+-- Same as 012_contraception.sql, plus medications taken counting
+-- as something logged on a cleared day.
+create or replace function public.save_period_days(days jsonb, clear_dates date[] default '{}')
+returns void
+language plpgsql
+security invoker
+set search_path = public
+as $$
+begin
+  insert into public.cycle_logs (id, user_id, date, log_type, flow_intensity, is_period_end, bleed_type)
+  select
+    coalesce((d->>'id')::uuid, gen_random_uuid()),
+    auth.uid(),
+    (d->>'date')::date,
+    'period',
+    coalesce(d->>'flow_intensity', 'medium'),
+    coalesce((d->>'is_period_end')::boolean, false),
+    d->>'bleed_type'
+  from jsonb_array_elements(coalesce(days, '[]'::jsonb)) d
+  on conflict (user_id, date) do update set
+    log_type       = 'period',
+    flow_intensity = excluded.flow_intensity,
+    is_period_end  = excluded.is_period_end,
+    bleed_type     = excluded.bleed_type;
+
+  update public.cycle_logs set
+    log_type       = case
+                       when cardinality(symptoms) > 0 then 'symptom'
+                       when cardinality(moods)    > 0 then 'mood'
+                       else 'note'
+                     end,
+    flow_intensity = null,
+    is_period_end  = false,
+    bleed_type     = null
+  where user_id = auth.uid()
+    and date = any(clear_dates)
+    and log_type = 'period';
+
+  delete from public.cycle_logs
+  where user_id = auth.uid()
+    and date = any(clear_dates)
+    and coalesce(cardinality(symptoms), 0) = 0
+    and coalesce(cardinality(moods), 0) = 0
+    and coalesce(notes, '') = ''
+    and sleep_hours is null and sleep_quality is null and water_intake is null
+    and not coalesce(exercise, false) and exercise_type is null
+    and stress_level is null and bbt is null
+    and cervical_mucus is null and ovulation_test is null
+    and pill_taken is null
+    and coalesce(cardinality(medications_taken), 0) = 0;
+end;
+$$;
+
+grant execute on function public.save_period_days(jsonb, date[]) to authenticated;
+
+-- ─── ROW LEVEL SECURITY ──────────────────────────────────────
+alter table public.medications enable row level security;
+
+drop policy if exists "medications_own" on public.medications;
+
+create policy "medications_own"
+  on public.medications for all
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
@@ -0,0 +1,84 @@
+-- ============================================================
+-- AuraCycle - Luna conversations
+-- Run after 016_medications.sql in the Supabase SQL editor.
+-- Chats with Luna are kept per user as threads of messages, so
+-- they follow the user across devices, can be searched, and
+-- useful answers can be pinned.
+-- ============================================================
+
+-- ─── THREADS ─────────────────────────────────────────────────
+-- title comes from the thread's first question. With encryption
+-- on it is ciphertext, hence no length check beyond a sanity cap.
+create table if not exists public.chat_threads (
+  id          uuid primary key default gen_random_uuid(),
+  user_id     uuid not null references auth.users(id) on delete cascade,
+  title       text not null check (char_length(title) between 1 and 1000),
+  created_at  timestamptz default now(),
+  updated_at  timestamptz default now()
+);
+
+create index if not exists chat_threads_user_idx
+  on public.chat_threads (user_id, updated_at desc);
+
+-- ─── MESSAGES ────────────────────────────────────────────────
+-- steps holds the tool calls behind an answer (see
+-- src/lib/lunaTools.js), or their ciphertext as a JSON string.
+-- search indexes the text for full-text search; encrypted
+-- messages are searched in the app instead.
+create table if not exists public.chat_messages (
+  id          uuid primary key default gen_random_uuid(),
+  thread_id   uuid not null references public.chat_threads(id) on delete cascade,
+  user_id     uuid not null references auth.users(id) on delete cascade,
+  role        text not null check (role in ('user', 'assistant')),
+  content     text not null default '' check (char_length(content) <= 40000),
+  steps       jsonb,
+  pinned      boolean not null default false,
+  created_at  timestamptz default now(),
+  search      tsvector generated always as (to_tsvector('english', content)) stored
+);
+
+create index if not exists chat_messages_thread_idx
+  on public.chat_messages (thread_id, created_at);
+
+create index if not exists chat_messages_pinned_idx
+  on public.chat_messages (user_id, created_at desc) where pinned;
+
+create index if not exists chat_messages_search_idx
+  on public.chat_messages using gin (search);
+
+-- ─── KEEP THREADS IN RECENT ORDER ────────────────────────────
+-- A new message moves its thread to the top of the list.
+create or replace function public.touch_chat_thread()
+returns trigger language plpgsql
+as $$
+begin
+  update public.chat_threads set updated_at = now() where id = new.thread_id;
+  return new;
+end;
+$$;
+
+drop trigger if exists chat_messages_touch_thread on public.chat_messages;
+create trigger chat_messages_touch_thread
+  after insert on public.chat_messages
+  for each row execute procedure public.touch_chat_thread();
+
+-- ─── ROW LEVEL SECURITY ──────────────────────────────────────
+alter table public.chat_threads  enable row level security;
+alter table public.chat_messages enable row level security;
+
+drop policy if exists "chat_threads_own" on public.chat_threads;
+drop policy if exists "chat_messages_own" on public.chat_messages;
+
+create policy "chat_threads_own"
+  on public.chat_threads for all
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
+
+-- A message must belong to one of the user's own threads
+create policy "chat_messages_own"
+  on public.chat_messages for all
+  using (auth.uid() = user_id)
+  with check (
+    auth.uid() = user_id
+    and exists (select 1 from public.chat_threads t where t.id = thread_id and t.user_id = auth.uid())
+  );
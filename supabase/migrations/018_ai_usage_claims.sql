@@ -0,0 +1,62 @@
+-- ============================================================
+-- AuraCycle - Atomic AI quota claims
+-- Run after 017_chat_threads.sql in the Supabase SQL editor.
+-- Checks a user's /api/chat quotas and records the request in
+-- one call, so concurrent requests can't all pass the limits
+-- before any of them has been counted.
+-- ============================================================
+
+-- ─── CLAIM AI USAGE ──────────────────────────────────────────
+-- Returns { id } of the new ai_usage row, or { quota, retry_after }
+-- when a limit is reached: quota is 'minute' or 'day', retry_after
+-- the seconds until the oldest counted request drops out of that
+-- window. A per-user advisory lock makes each claim wait for the
+-- one before it and then see its row.
+-- Called by the server with the service role key only.
+create or replace function public.claim_ai_usage(
+  for_user uuid, request_mode text, per_minute int, per_day int, tokens_per_day int
+)
+returns jsonb
+language plpgsql
+security invoker
+set search_path = public
+as $$
+declare
+  minute_count  int;
+  minute_oldest timestamptz;
+  day_count     int;
+  day_tokens    bigint;
+  day_oldest    timestamptz;
+  new_id        bigint;
+begin
+  perform pg_advisory_xact_lock(hashtext('ai_usage:' || for_user::text));
+
+  select count(*), min(created_at)
+    into minute_count, minute_oldest
+  from public.ai_usage
+  where user_id = for_user and created_at >= now() - interval '1 minute';
+
+  if minute_count >= per_minute then
+    return jsonb_build_object('quota', 'minute', 'retry_after',
+      greatest(1, ceil(extract(epoch from minute_oldest + interval '1 minute' - now()))));
+  end if;
+
+  select count(*), coalesce(sum(input_tokens + output_tokens), 0), min(created_at)
+    into day_count, day_tokens, day_oldest
+  from public.ai_usage
+  where user_id = for_user and created_at >= now() - interval '1 day';
+
+  if day_count >= per_day or day_tokens >= tokens_per_day then
+    return jsonb_build_object('quota', 'day', 'retry_after',
+      greatest(1, ceil(extract(epoch from day_oldest + interval '1 day' - now()))));
+  end if;
+
+  insert into public.ai_usage (user_id, mode)
+  values (for_user, request_mode)
+  returning id into new_id;
+  return jsonb_build_object('id', new_id);
+end;
+$$;
+
+revoke execute on function public.claim_ai_usage(uuid, text, int, int, int) from public, anon, authenticated;
+grant execute on function public.claim_ai_usage(uuid, text, int, int, int) to service_role;